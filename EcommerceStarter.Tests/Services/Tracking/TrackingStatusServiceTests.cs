@@ -0,0 +1,160 @@
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using EcommerceStarter.Models.Tracking;
+using EcommerceStarter.Services.Push;
+using EcommerceStarter.Services.Tracking;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging.Abstractions;
+using Xunit;
+
+namespace EcommerceStarter.Tests.Services.Tracking
+{
+    public class TrackingStatusServiceTests : IDisposable
+    {
+        private const string TrackingNumber = "9400100000000000000000";
+
+        private readonly ApplicationDbContext _context;
+        private readonly MemoryCache _cache = new(new MemoryCacheOptions());
+        private readonly FakeCarrierProvider _provider = new();
+        private readonly RecordingWebPushService _push = new();
+        private readonly TrackingStatusService _service;
+
+        public TrackingStatusServiceTests()
+        {
+            var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .Options;
+            _context = new ApplicationDbContext(options);
+
+            _service = new TrackingStatusService(
+                _cache,
+                new[] { _provider },
+                _context,
+                _push,
+                NullLogger<TrackingStatusService>.Instance);
+        }
+
+        public void Dispose()
+        {
+            _context.Dispose();
+            _cache.Dispose();
+        }
+
+        [Fact]
+        public async Task RefreshShippedOrders_PushesWhenCarrierStatusChanges()
+        {
+            var order = await AddOrderAsync(OrderStatus.Shipped, TrackingStatusType.Pending);
+            _provider.Status = TrackingStatusType.OutForDelivery;
+
+            var checkedCount = await _service.RefreshShippedOrdersAsync();
+
+            Assert.Equal(1, checkedCount);
+            var sent = Assert.Single(_push.Sent);
+            Assert.Equal(order.Id, sent.Order.Id);
+            Assert.Equal("Order ES-1001: Out for delivery", sent.Title);
+            Assert.Equal(TrackingStatusType.OutForDelivery, (await _context.Orders.SingleAsync()).LastTrackingStatus);
+        }
+
+        [Fact]
+        public async Task RefreshShippedOrders_DoesNotPushTheSameStatusTwice()
+        {
+            await AddOrderAsync(OrderStatus.Shipped, TrackingStatusType.InTransit);
+            _provider.Status = TrackingStatusType.InTransit;
+
+            await _service.RefreshShippedOrdersAsync();
+
+            Assert.Empty(_push.Sent);
+        }
+
+        [Fact]
+        public async Task RefreshShippedOrders_SkipsOrdersThatAreNotShippedOrAlreadyDelivered()
+        {
+            await AddOrderAsync(OrderStatus.Processing, null);
+            await AddOrderAsync(OrderStatus.Shipped, TrackingStatusType.Delivered);
+            _provider.Status = TrackingStatusType.Returned;
+
+            var checkedCount = await _service.RefreshShippedOrdersAsync();
+
+            Assert.Equal(0, checkedCount);
+            Assert.Equal(0, _provider.Calls);
+            Assert.Empty(_push.Sent);
+        }
+
+        [Fact]
+        public async Task RefreshShippedOrders_SkipsCouriersThatAreNotConfigured()
+        {
+            await AddOrderAsync(OrderStatus.Shipped, TrackingStatusType.Pending);
+            _provider.Enabled = false;
+
+            var checkedCount = await _service.RefreshShippedOrdersAsync();
+
+            Assert.Equal(0, checkedCount);
+            Assert.Equal(0, _provider.Calls);
+        }
+
+        private async Task<Order> AddOrderAsync(OrderStatus status, TrackingStatusType? lastTrackingStatus)
+        {
+            var order = new Order
+            {
+                OrderNumber = $"ES-{1001 + await _context.Orders.CountAsync()}",
+                UserId = "customer-1",
+                CustomerEmail = "customer@example.com",
+                Status = status,
+                TrackingNumber = TrackingNumber,
+                TrackingCourier = Courier.USPS,
+                LastTrackingStatus = lastTrackingStatus
+            };
+            _context.Orders.Add(order);
+            await _context.SaveChangesAsync();
+            return order;
+        }
+
+        private class FakeCarrierProvider : ICarrierTrackingProvider
+        {
+            public TrackingStatusType Status { get; set; } = TrackingStatusType.InTransit;
+            public bool Enabled { get; set; } = true;
+            public int Calls { get; private set; }
+
+            public Courier SupportedCourier => Courier.USPS;
+
+            public Task<TrackingStatus?> GetStatusAsync(string trackingNumber)
+            {
+                Calls++;
+                return Task.FromResult<TrackingStatus?>(new TrackingStatus
+                {
+                    TrackingNumber = trackingNumber,
+                    Courier = Courier.USPS,
+                    CurrentStatus = Status.ToString(),
+                    StatusType = Status,
+                    City = "Springfield",
+                    State = "IL"
+                });
+            }
+
+            public Task<bool> IsEnabledAsync() => Task.FromResult(Enabled);
+        }
+
+        private class RecordingWebPushService : IWebPushService
+        {
+            public List<(Order Order, string Title, string Body)> Sent { get; } = new();
+
+            public Task NotifyOrderStatusAsync(Order order, string title, string body)
+            {
+                Sent.Add((order, title, body));
+                return Task.CompletedTask;
+            }
+
+            public Task<string?> GetPublicKeyAsync() => Task.FromResult<string?>(null);
+
+            public Task SaveSubscriptionAsync(string userId, string endpoint, string p256dh, string auth, string? userAgent) => Task.CompletedTask;
+
+            public Task RemoveSubscriptionAsync(string userId, string endpoint) => Task.CompletedTask;
+
+            public Task<(bool Success, int StatusCode, string? Error)> SendAsync(PushSubscription subscription, WebPushMessage message) =>
+                Task.FromResult((true, 201, (string?)null));
+
+            public Task<int> SendToUserAsync(string userId, WebPushMessage message) => Task.FromResult(0);
+        }
+    }
+}
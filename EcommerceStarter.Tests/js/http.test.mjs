@@ -0,0 +1,111 @@
+// Tests for wwwroot/js/http.js (run with npm test)
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const source = readFileSync(new URL('../../EcommerceStarter/wwwroot/js/http.js', import.meta.url), 'utf8');
+
+// A page with the layout's token and a form rendering its own; fetch records its calls
+function page(respond) {
+    const { window } = new JSDOM(`
+        <input name="__RequestVerificationToken" value="layout-token">
+        <form><input name="__RequestVerificationToken" value="form-token"></form>`, { runScripts: 'outside-only' });
+
+    const calls = [];
+    window.fetch = (url, options) => {
+        calls.push({ url, options });
+        return Promise.resolve(respond ? respond(url, options) : jsonResponse(200, {}));
+    };
+    window.eval(source);
+    return { Http: window.Http, window, calls };
+}
+
+function jsonResponse(status, data) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: () => data === undefined ? Promise.reject(new SyntaxError('No body')) : Promise.resolve(data)
+    };
+}
+
+describe('antiforgeryToken', () => {
+    it('uses the token rendered by the layout', () => {
+        const { Http } = page();
+        assert.equal(Http.antiforgeryToken(), 'layout-token');
+    });
+
+    it('prefers the token of the form it is given', () => {
+        const { Http, window } = page();
+        assert.equal(Http.antiforgeryToken(window.document.querySelector('form')), 'form-token');
+    });
+});
+
+describe('post', () => {
+    it('sends JSON with the antiforgery header and same-origin credentials', async () => {
+        const { Http, calls } = page();
+        await Http.post('/api/cart/items/quantity', { productId: 3, quantity: 2 }, { keepalive: true });
+
+        const [{ url, options }] = calls;
+        assert.equal(url, '/api/cart/items/quantity');
+        assert.equal(options.method, 'POST');
+        assert.equal(options.credentials, 'same-origin');
+        assert.equal(options.keepalive, true);
+        // Spread into this realm: the object was made inside the jsdom window
+        assert.deepEqual({ ...options.headers }, {
+            'Content-Type': 'application/json',
+            'RequestVerificationToken': 'layout-token'
+        });
+        assert.deepEqual(JSON.parse(options.body), { productId: 3, quantity: 2 });
+    });
+});
+
+describe('fetchJson and postJson', () => {
+    it('resolve with the JSON of a successful response, bypassing the HTTP cache', async () => {
+        const { Http, calls } = page(() => jsonResponse(200, { productIds: [4] }));
+
+        assert.deepEqual(await Http.fetchJson('/api/wishlist'), { productIds: [4] });
+        assert.equal(calls[0].options.cache, 'no-store');
+
+        assert.deepEqual(await Http.postJson('/api/wishlist/items', { productId: 4 }), { productIds: [4] });
+        assert.equal(calls[1].options.method, 'POST');
+        assert.equal(calls[1].options.headers.RequestVerificationToken, 'layout-token');
+    });
+
+    it('reject error statuses', async () => {
+        const { Http } = page(() => jsonResponse(500, { message: 'Boom' }));
+        await assert.rejects(Http.fetchJson('/api/wishlist'), /Request failed \(500\)/);
+    });
+});
+
+describe('readJson', () => {
+    it('reads the body of an error status', async () => {
+        const { Http } = page();
+        const data = await Http.readJson(jsonResponse(404, { success: false, items: [], message: 'Gone' }), d => d.items);
+        assert.equal(data.message, 'Gone');
+    });
+
+    it('rejects with the server message when the body is not accepted', async () => {
+        const { Http } = page();
+        await assert.rejects(
+            Http.readJson(jsonResponse(400, { success: false, message: 'Only 2 left' }), d => d.success),
+            error => error.serverMessage === 'Only 2 left');
+    });
+
+    it('rejects without a body', async () => {
+        const { Http } = page();
+        await assert.rejects(Http.readJson(jsonResponse(502)), /Request failed \(502\)/);
+    });
+});
+
+describe('createElement', () => {
+    it('sets the class and the text, never HTML', () => {
+        const { Http } = page();
+        const element = Http.createElement('span', 'badge bg-info', '<b>Sale</b>');
+
+        assert.equal(element.tagName, 'SPAN');
+        assert.equal(element.className, 'badge bg-info');
+        assert.equal(element.textContent, '<b>Sale</b>');
+        assert.equal(element.children.length, 0);
+    });
+});
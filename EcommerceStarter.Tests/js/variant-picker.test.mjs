@@ -0,0 +1,205 @@
+// Tests for the exported helpers of wwwroot/js/variant-picker.js (run with npm test)
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import {
+    variantPrice,
+    isInStock,
+    attributeValues,
+    canSelectAttributeValue,
+    quantityOptions,
+    fillQuantities,
+    createVariantPicker
+} from '../../EcommerceStarter/wwwroot/js/variant-picker.js';
+
+function variant(id, color, size, stock, extra = {}) {
+    return Object.assign({
+        id,
+        name: `${color} / ${size}`,
+        stock,
+        priceOverride: null,
+        attributes: [
+            { attributeName: 'Color', value: color },
+            { attributeName: 'Size', value: size }
+        ]
+    }, extra);
+}
+
+// Red comes in M only (L is sold out), Blue in L only, Green is switched off
+const variants = [
+    variant(1, 'Red', 'M', 4),
+    variant(2, 'Red', 'L', 0),
+    variant(3, 'Blue', 'L', 2),
+    variant(4, 'Green', 'M', 9, { isAvailable: false })
+];
+
+describe('variantPrice', () => {
+    it('uses the variant price override', () => {
+        assert.equal(variantPrice({ priceOverride: 12.5 }, 20), 12.5);
+    });
+
+    it('falls back to the product price without an override', () => {
+        assert.equal(variantPrice({ priceOverride: null }, 20), 20);
+        assert.equal(variantPrice({}, '19.99'), 19.99);
+    });
+
+    it('keeps an override of 0', () => {
+        assert.equal(variantPrice({ priceOverride: 0 }, 20), 0);
+    });
+
+    it('reads prices sent as strings', () => {
+        assert.equal(variantPrice({ priceOverride: '7.25' }, 20), 7.25);
+    });
+});
+
+describe('isInStock', () => {
+    it('needs stock', () => {
+        assert.equal(isInStock({ stock: 3 }), true);
+        assert.equal(isInStock({ stock: 0 }), false);
+        assert.equal(isInStock({ stock: -1 }), false);
+    });
+
+    it('treats unavailable variants as out of stock', () => {
+        assert.equal(isInStock({ stock: 3, isAvailable: false }), false);
+        assert.equal(isInStock({ stock: 3, isAvailable: true }), true);
+    });
+});
+
+describe('canSelectAttributeValue', () => {
+    it('allows values that leave an in-stock variant', () => {
+        assert.equal(canSelectAttributeValue(variants, {}, 'Color', 'Red'), true);
+        assert.equal(canSelectAttributeValue(variants, { Color: 'Red' }, 'Size', 'M'), true);
+    });
+
+    it('rejects values whose variants are all sold out', () => {
+        assert.equal(canSelectAttributeValue(variants, { Color: 'Red' }, 'Size', 'L'), false);
+    });
+
+    it('rejects values whose variants are unavailable', () => {
+        assert.equal(canSelectAttributeValue(variants, {}, 'Color', 'Green'), false);
+    });
+
+    it('replaces the value already chosen for the same attribute', () => {
+        assert.equal(canSelectAttributeValue(variants, { Size: 'L', Color: 'Red' }, 'Color', 'Blue'), true);
+    });
+
+    it('rejects values no variant has', () => {
+        assert.equal(canSelectAttributeValue(variants, {}, 'Color', 'Purple'), false);
+    });
+
+    it('lists every value of an attribute, sorted', () => {
+        assert.deepEqual(attributeValues(variants, 'Color'), ['Blue', 'Green', 'Red']);
+    });
+});
+
+describe('quantityOptions', () => {
+    it('offers one option per unit in stock', () => {
+        assert.deepEqual(quantityOptions(3), [
+            { value: 1, label: '1' },
+            { value: 2, label: '2' },
+            { value: 3, label: '3' }
+        ]);
+    });
+
+    it('lists up to 20 and then offers all of them', () => {
+        const options = quantityOptions(35);
+        assert.equal(options.length, 21);
+        assert.deepEqual(options[19], { value: 20, label: '20' });
+        assert.deepEqual(options[20], { value: 35, label: 'All 35' });
+    });
+
+    it('offers nothing without stock', () => {
+        assert.deepEqual(quantityOptions(0), []);
+    });
+});
+
+describe('fillQuantities', () => {
+    function quantitySelect() {
+        const { window } = new JSDOM('<select id="quantity"><option value="9">9</option></select>');
+        return window.document.getElementById('quantity');
+    }
+
+    it('replaces the options and selects the first', () => {
+        const select = quantitySelect();
+        fillQuantities(select, 22);
+
+        const options = Array.from(select.options);
+        assert.equal(options.length, 21);
+        assert.deepEqual(options.slice(0, 2).map(o => [o.value, o.textContent]), [['1', '1'], ['2', '2']]);
+        assert.deepEqual([options[20].value, options[20].textContent], ['22', 'All 22']);
+        assert.equal(select.selectedIndex, 0);
+        assert.equal(select.value, '1');
+    });
+
+    it('empties the list for a sold-out variant', () => {
+        const select = quantitySelect();
+        fillQuantities(select, 0);
+
+        assert.equal(select.options.length, 0);
+    });
+});
+
+describe('createVariantPicker', () => {
+    function picker(options = {}) {
+        const { window } = new JSDOM('<div id="attributes"></div><div id="variants"></div>');
+        const document = window.document;
+        const attributes = document.getElementById('attributes');
+        const valueButton = value => attributes.querySelector(`[data-attr-value="${value}"]`);
+        const variantButton = id => document.querySelector(`[data-variant-id="${id}"]`);
+
+        const instance = createVariantPicker(Object.assign({
+            attributes,
+            variants: document.getElementById('variants'),
+            basePrice: 20
+        }, options));
+
+        return { instance, valueButton, variantButton };
+    }
+
+    it('disables attribute values that cannot be bought', async () => {
+        const { instance, valueButton } = picker();
+        await instance.load(variants);
+
+        assert.equal(valueButton('Red').disabled, false);
+        assert.equal(valueButton('Blue').disabled, false);
+        assert.equal(valueButton('Green').disabled, true);
+
+        valueButton('Red').click();
+        assert.equal(valueButton('M').disabled, false);
+        assert.equal(valueButton('L').disabled, true);
+    });
+
+    it('reports the picked variant with its own price', async () => {
+        const selected = [];
+        const { instance, variantButton } = picker({ onSelect: variant => selected.push(variant) });
+        await instance.load([
+            variant(1, 'Red', 'M', 4, { priceOverride: 24 }),
+            variant(3, 'Blue', 'L', 2)
+        ]);
+
+        variantButton(1).click();
+
+        assert.equal(instance.selectedVariantId, 1);
+        assert.equal(selected.length, 1);
+        assert.equal(selected[0].price, 24);
+        assert.equal(selected[0].stock, 4);
+        assert.equal(variantButton(1).getAttribute('aria-pressed'), 'true');
+    });
+
+    it('picks the one in-stock variant a choice describes, with its price', async () => {
+        const selected = [];
+        const { instance } = picker({ onSelect: variant => selected.push(variant) });
+        await instance.load([
+            variant(1, 'Red', 'M', 4, { priceOverride: 24 }),
+            variant(3, 'Blue', 'L', 2)
+        ]);
+
+        instance.select({ attributes: { color: 'red', size: 'm' }, variantId: null });
+
+        assert.equal(instance.selectedVariantId, 1);
+        assert.equal(selected.length, 1);
+        assert.equal(selected[0].price, 24);
+        assert.equal(selected[0].stock, 4);
+    });
+});
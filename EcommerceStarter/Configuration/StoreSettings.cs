@@ -0,0 +1,32 @@
+namespace EcommerceStarter.Configuration
+{
+    /// <summary>
+    /// The store's own address ("Store" in appsettings.json). Emails sent by the background jobs
+    /// (cart recovery, back in stock) link here, never to the host a request happened to name.
+    /// </summary>
+    public class StoreSettings
+    {
+        /// <summary>
+        /// Public base URL of the storefront, e.g. https://shop.example.com
+        /// </summary>
+        public string PublicUrl { get; set; } = string.Empty;
+
+        public bool HasPublicUrl =>
+            Uri.TryCreate(PublicUrl, UriKind.Absolute, out var uri)
+            && (uri.Scheme == Uri.UriSchemeHttps || uri.Scheme == Uri.UriSchemeHttp);
+
+        /// <summary>
+        /// A site path such as /Cart or /images/stored/5 as a full link to the store. URLs that
+        /// are already absolute (Cloudinary images) are returned as they are.
+        /// </summary>
+        public string? AbsoluteUrl(string? url)
+        {
+            if (string.IsNullOrEmpty(url) || Uri.IsWellFormedUriString(url, UriKind.Absolute))
+            {
+                return url;
+            }
+
+            return $"{PublicUrl.TrimEnd('/')}/{url.TrimStart('/')}";
+        }
+    }
+}
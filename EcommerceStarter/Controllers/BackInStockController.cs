@@ -0,0 +1,70 @@
+using System.ComponentModel.DataAnnotations;
+using System.Security.Claims;
+using Microsoft.AspNetCore.Mvc;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for "Notify me" on out-of-stock variants (Products/Details)
+    /// </summary>
+    [Route("api/back-in-stock")]
+    [ApiController]
+    public class BackInStockController : ControllerBase
+    {
+        private readonly IBackInStockService _backInStockService;
+        private readonly ILogger<BackInStockController> _logger;
+
+        public BackInStockController(IBackInStockService backInStockService, ILogger<BackInStockController> logger)
+        {
+            _backInStockService = backInStockService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Email the shopper once the variant is back in stock. Signed-in customers are emailed
+        /// at their account's address; guests give one.
+        /// POST: /api/back-in-stock
+        /// </summary>
+        [HttpPost("")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Subscribe([FromBody] BackInStockSubscribeRequest request)
+        {
+            var userId = User.FindFirstValue(ClaimTypes.NameIdentifier);
+            var email = userId != null ? User.FindFirstValue(ClaimTypes.Email) ?? User.Identity?.Name : request.Email;
+
+            if (string.IsNullOrWhiteSpace(email) || !new EmailAddressAttribute().IsValid(email) || email.Length > 256)
+            {
+                return BadRequest(new { success = false, message = "Please enter a valid email address." });
+            }
+
+            try
+            {
+                var result = await _backInStockService.SubscribeAsync(request.VariantId, email, userId);
+
+                return result switch
+                {
+                    BackInStockSignupResult.NotAvailable => NotFound(new { success = false, message = "This option is no longer sold." }),
+                    BackInStockSignupResult.InStock => Conflict(new { success = false, message = "Good news - this option is in stock. Refresh the page to add it to your cart." }),
+                    BackInStockSignupResult.AlreadySubscribed => Ok(new { success = true, message = $"You're already on the list - we'll email {email.Trim()} when it's back." }),
+                    _ => Ok(new { success = true, message = $"Thanks! We'll email {email.Trim()} when it's back in stock." })
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adding back-in-stock request for variant {VariantId}", request.VariantId);
+                return StatusCode(StatusCodes.Status500InternalServerError, new { success = false, message = "Your request could not be saved. Please try again." });
+            }
+        }
+    }
+
+    public class BackInStockSubscribeRequest
+    {
+        public int VariantId { get; set; }
+
+        /// <summary>
+        /// Ignored for signed-in customers
+        /// </summary>
+        public string? Email { get; set; }
+    }
+}
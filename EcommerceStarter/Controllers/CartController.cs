@@ -0,0 +1,221 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for client-side cart state (store-sync.js, persistent-storage.js, mini-cart.js)
+    /// </summary>
+    [Route("api/cart")]
+    [ApiController]
+    public class CartController : ControllerBase
+    {
+        private const int MaxQuantity = 999;
+
+        private readonly ICartService _cartService;
+        private readonly ApplicationDbContext _context;
+        private readonly ILogger<CartController> _logger;
+
+        public CartController(ICartService cartService, ApplicationDbContext context, ILogger<CartController> logger)
+        {
+            _cartService = cartService;
+            _context = context;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Lines in the session cart. Guests keep a copy in localStorage (persistent-storage.js)
+        /// so the chosen variants survive the session ending.
+        /// GET: /api/cart
+        /// </summary>
+        [HttpGet("")]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public IActionResult GetCart()
+        {
+            var items = _cartService.GetCart().Select(item => new
+            {
+                productId = item.ProductId,
+                variantId = item.VariantId,
+                name = item.ProductName,
+                price = item.Price,
+                quantity = item.Quantity,
+                imageUrl = item.ImageUrl
+            });
+
+            return Ok(new { count = _cartService.GetCartItemCount(), items });
+        }
+
+        /// <summary>
+        /// Current number of items in the session cart. Pages served from the service worker
+        /// cache can render an old badge, so tabs confirm the count here before broadcasting it.
+        /// GET: /api/cart/count
+        /// </summary>
+        [HttpGet("count")]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public IActionResult GetCount()
+        {
+            return Ok(new { count = _cartService.GetCartItemCount() });
+        }
+
+        /// <summary>
+        /// Cart lines with their variant attributes and current stock, for the mini-cart drawer
+        /// GET: /api/cart/summary
+        /// </summary>
+        [HttpGet("summary")]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> GetSummary()
+        {
+            return Ok(await BuildSummaryAsync(success: true, message: null));
+        }
+
+        /// <summary>
+        /// Change the quantity of a line, capped at the stock of the product or chosen variant.
+        /// A quantity of 0 removes the line.
+        /// POST: /api/cart/items/quantity
+        /// </summary>
+        [HttpPost("items/quantity")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> UpdateQuantity([FromBody] CartLineRequest request)
+        {
+            var item = _cartService.GetCart().FirstOrDefault(c => c.ProductId == request.ProductId);
+            if (item == null)
+            {
+                return NotFound(await BuildSummaryAsync(success: false, message: "This item is no longer in your cart."));
+            }
+
+            if (request.Quantity <= 0)
+            {
+                _cartService.RemoveFromCart(item.ProductId);
+                return Ok(await BuildSummaryAsync(success: true, message: $"{item.ProductName} was removed from your cart."));
+            }
+
+            var stock = (await LoadStockAsync(new[] { item })).GetValueOrDefault(item.ProductId);
+            var quantity = Math.Min(request.Quantity, MaxQuantity);
+            string? message = null;
+
+            if (stock <= 0)
+            {
+                return Ok(await BuildSummaryAsync(success: false, message: $"{item.ProductName} is out of stock."));
+            }
+
+            if (quantity > stock)
+            {
+                quantity = stock;
+                message = $"Only {stock} of {item.ProductName} are available.";
+            }
+
+            try
+            {
+                // The stock stored on the line dates from when it was added - check against today's
+                _cartService.UpdateQuantity(item.ProductId, quantity, stock);
+            }
+            catch (ArgumentException ex)
+            {
+                _logger.LogWarning(ex, "Rejected cart quantity {Quantity} for product {ProductId}", request.Quantity, item.ProductId);
+                return BadRequest(new { success = false, message = "Please choose a valid quantity." });
+            }
+            catch (InvalidOperationException ex)
+            {
+                _logger.LogWarning(ex, "Cart quantity {Quantity} for product {ProductId} exceeds stock", request.Quantity, item.ProductId);
+                return Ok(await BuildSummaryAsync(success: false, message: $"Only {stock} of {item.ProductName} are available."));
+            }
+
+            return Ok(await BuildSummaryAsync(success: true, message: message));
+        }
+
+        /// <summary>
+        /// Remove a line from the cart
+        /// POST: /api/cart/items/delete
+        /// </summary>
+        [HttpPost("items/delete")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> RemoveItem([FromBody] CartLineRequest request)
+        {
+            var item = _cartService.GetCart().FirstOrDefault(c => c.ProductId == request.ProductId);
+            if (item != null)
+            {
+                _cartService.RemoveFromCart(item.ProductId);
+            }
+
+            return Ok(await BuildSummaryAsync(success: true, message: item != null ? $"{item.ProductName} was removed from your cart." : null));
+        }
+
+        private async Task<object> BuildSummaryAsync(bool success, string? message)
+        {
+            var cart = _cartService.GetCart();
+            var variantIds = cart.Where(c => c.VariantId.HasValue).Select(c => c.VariantId!.Value).ToList();
+
+            var attributes = await _context.VariantAttributeValues
+                .Where(av => variantIds.Contains(av.ProductVariantId) && av.VariantAttribute != null)
+                .OrderBy(av => av.VariantAttribute!.DisplayOrder)
+                .Select(av => new { av.ProductVariantId, name = av.VariantAttribute!.Name, value = av.Value })
+                .ToListAsync();
+
+            var stock = await LoadStockAsync(cart);
+
+            var items = cart.Select(item => new
+            {
+                productId = item.ProductId,
+                variantId = item.VariantId,
+                name = item.ProductName,
+                price = item.Price,
+                quantity = item.Quantity,
+                lineTotal = item.Subtotal,
+                imageUrl = item.ImageUrl,
+                url = item.VariantId.HasValue
+                    ? $"/Products/Details/{item.ProductId}?variant={item.VariantId}"
+                    : $"/Products/Details/{item.ProductId}",
+                stock = stock.GetValueOrDefault(item.ProductId),
+                attributes = attributes
+                    .Where(a => a.ProductVariantId == item.VariantId)
+                    .Select(a => new { a.name, a.value })
+            });
+
+            return new
+            {
+                success,
+                message,
+                count = _cartService.GetCartItemCount(),
+                subtotal = _cartService.GetCartTotal(),
+                items
+            };
+        }
+
+        /// <summary>
+        /// Current stock for each cart line, keyed by product: the chosen variant's stock,
+        /// or the product's own stock for products without variants
+        /// </summary>
+        private async Task<Dictionary<int, int>> LoadStockAsync(IEnumerable<CartItem> cart)
+        {
+            var lines = cart.ToList();
+            var productIds = lines.Select(c => c.ProductId).ToList();
+
+            var products = await _context.Products
+                .Include(p => p.Variants)
+                .Where(p => productIds.Contains(p.Id))
+                .ToDictionaryAsync(p => p.Id);
+
+            return lines.ToDictionary(line => line.ProductId, line =>
+            {
+                if (!products.TryGetValue(line.ProductId, out var product)) return 0;
+
+                if (line.VariantId.HasValue)
+                {
+                    var variant = product.Variants.FirstOrDefault(v => v.Id == line.VariantId.Value);
+                    return variant != null && variant.IsAvailable ? variant.StockQuantity : 0;
+                }
+
+                return product.TotalAvailableStock;
+            });
+        }
+    }
+
+    public class CartLineRequest
+    {
+        public int ProductId { get; set; }
+        public int Quantity { get; set; }
+    }
+}
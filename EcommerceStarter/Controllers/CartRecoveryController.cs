@@ -0,0 +1,62 @@
+using System.ComponentModel.DataAnnotations;
+using System.Security.Claims;
+using Microsoft.AspNetCore.Mvc;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for cart abandonment capture on the checkout page (cart-recovery.js)
+    /// </summary>
+    [Route("api/cart-recovery")]
+    [ApiController]
+    public class CartRecoveryController : ControllerBase
+    {
+        private readonly ICartRecoveryService _cartRecoveryService;
+        private readonly ILogger<CartRecoveryController> _logger;
+
+        public CartRecoveryController(ICartRecoveryService cartRecoveryService, ILogger<CartRecoveryController> logger)
+        {
+            _cartRecoveryService = cartRecoveryService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Remember the checkout email and the current cart, so a recovery email can be sent if
+        /// the order is not placed. Only accepted once the shopper has accepted cookies
+        /// (_CookieConsent.cshtml).
+        /// POST: /api/cart-recovery/capture
+        /// </summary>
+        [HttpPost("capture")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Capture([FromBody] CartRecoveryCaptureRequest request)
+        {
+            if (Request.Cookies["cookie_consent"] != "accepted")
+            {
+                return BadRequest(new { success = false, message = "Cookies have not been accepted." });
+            }
+
+            if (string.IsNullOrWhiteSpace(request.Email) || !new EmailAddressAttribute().IsValid(request.Email) || request.Email.Length > 256)
+            {
+                return BadRequest(new { success = false, message = "Please enter a valid email address." });
+            }
+
+            try
+            {
+                var captured = await _cartRecoveryService.CaptureAsync(request.Email, User.FindFirstValue(ClaimTypes.NameIdentifier));
+
+                return Ok(new { success = true, captured });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error capturing abandoned cart");
+                return StatusCode(StatusCodes.Status500InternalServerError, new { success = false, message = "Your cart could not be saved." });
+            }
+        }
+    }
+
+    public class CartRecoveryCaptureRequest
+    {
+        public string? Email { get; set; }
+    }
+}
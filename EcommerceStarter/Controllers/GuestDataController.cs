@@ -0,0 +1,83 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Mvc;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for the localStorage guest cart and wishlist (persistent-storage.js)
+    /// </summary>
+    [Route("api")]
+    [ApiController]
+    public class GuestDataController : ControllerBase
+    {
+        private readonly IGuestDataSyncService _guestDataSyncService;
+        private readonly ILogger<GuestDataController> _logger;
+
+        public GuestDataController(IGuestDataSyncService guestDataSyncService, ILogger<GuestDataController> logger)
+        {
+            _guestDataSyncService = guestDataSyncService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Merges the guest cart and wishlist into the server cart after sign-in or registration.
+        /// The browser only clears its local copies once this returns success.
+        /// POST: /api/sync-guest-data
+        /// </summary>
+        [HttpPost("sync-guest-data")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> SyncGuestData([FromBody] GuestDataSyncRequest request)
+        {
+            try
+            {
+                var result = await _guestDataSyncService.MergeAsync(request, User.FindFirstValue(ClaimTypes.NameIdentifier));
+                return Ok(new
+                {
+                    success = true,
+                    cartCount = result.CartCount,
+                    cartMerged = result.CartMerged,
+                    wishlistMerged = result.WishlistMerged,
+                    wishlistSaved = result.WishlistSaved,
+                    wishlist = result.WishlistProductIds,
+                    savedForLaterSaved = result.SavedForLaterSaved,
+                    notices = result.Notices.Select(n => new { type = n.Type, message = n.Message })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error merging guest cart and wishlist");
+                return StatusCode(StatusCodes.Status500InternalServerError, new { success = false, message = "Your saved cart could not be restored. Please try again." });
+            }
+        }
+
+        /// <summary>
+        /// Checks the saved guest cart against current prices and stock on a new visit, and puts
+        /// the lines the server never confirmed back into the session cart if the session has ended.
+        /// Returns the refreshed snapshot.
+        /// POST: /api/guest-cart/revalidate
+        /// </summary>
+        [HttpPost("guest-cart/revalidate")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> RevalidateGuestCart([FromBody] GuestDataSyncRequest request)
+        {
+            try
+            {
+                var result = await _guestDataSyncService.RevalidateAsync(request.Cart ?? new List<GuestCartLine>());
+                return Ok(new
+                {
+                    success = true,
+                    cartCount = result.CartCount,
+                    restored = result.Restored,
+                    cart = result.Lines,
+                    notices = result.Notices.Select(n => new { type = n.Type, message = n.Message })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error revalidating guest cart");
+                return StatusCode(StatusCodes.Status500InternalServerError, new { success = false, message = "Your saved cart could not be checked. Please try again." });
+            }
+        }
+    }
+}
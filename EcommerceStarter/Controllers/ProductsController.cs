@@ -0,0 +1,187 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using EcommerceStarter.Data;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for client-rendered product lists (wishlist page, recently viewed strip, comparison tray, search suggestions)
+    /// </summary>
+    [Route("api/products")]
+    [ApiController]
+    public class ProductsController : ControllerBase
+    {
+        private const int MaxLookupIds = 100;
+        private const int MaxCompareIds = 4;
+        private const int MaxSearchResults = 12;
+        private const int MaxSearchLength = 100;
+
+        private readonly ApplicationDbContext _context;
+
+        public ProductsController(ApplicationDbContext context)
+        {
+            _context = context;
+        }
+
+        /// <summary>
+        /// Card data for several products at once, in the order the IDs were given.
+        /// Unknown IDs are left out, so callers can tell which saved products were removed.
+        /// GET: /api/products/lookup?ids=1,2,3
+        /// </summary>
+        [HttpGet("lookup")]
+        public async Task<IActionResult> Lookup([FromQuery] string? ids)
+        {
+            var requested = ParseIds(ids, MaxLookupIds);
+            if (requested.Count == 0)
+            {
+                return Ok(new { products = Array.Empty<object>() });
+            }
+
+            var products = await _context.Products
+                .Include(p => p.Variants)
+                .Where(p => requested.Contains(p.Id))
+                .ToListAsync();
+
+            var result = requested
+                .Select(id => products.FirstOrDefault(p => p.Id == id))
+                .Where(p => p != null)
+                .Select(p => new
+                {
+                    id = p!.Id,
+                    name = p.Name,
+                    price = p.Price,
+                    imageUrl = p.ProductImageId.HasValue ? $"/images/stored/{p.ProductImageId.Value}" : p.ImageUrl,
+                    url = $"/Products/Details/{p.Id}",
+                    category = p.Category,
+                    isAvailable = p.IsAvailable,
+                    isComingSoon = p.IsComingSoon,
+                    hasVariants = p.Variants.Count > 0,
+                    stock = p.TotalAvailableStock
+                });
+
+            return Ok(new { products = result });
+        }
+
+        /// <summary>
+        /// Side-by-side details for the comparison tray (compare.js), in the order the IDs were given.
+        /// Each variant attribute lists the values that can be bought right now.
+        /// GET: /api/products/compare?ids=1,2,3
+        /// </summary>
+        [HttpGet("compare")]
+        public async Task<IActionResult> Compare([FromQuery] string? ids)
+        {
+            var requested = ParseIds(ids, MaxCompareIds);
+            if (requested.Count == 0)
+            {
+                return Ok(new { products = Array.Empty<object>() });
+            }
+
+            var products = await _context.Products
+                .Include(p => p.VariantAttributes)
+                .Include(p => p.Variants)
+                    .ThenInclude(v => v.AttributeValues)
+                .Where(p => requested.Contains(p.Id))
+                .ToListAsync();
+
+            var result = requested
+                .Select(id => products.FirstOrDefault(p => p.Id == id))
+                .Where(p => p != null)
+                .Select(p =>
+                {
+                    var inStock = p!.Variants.Where(v => v.IsInStock).ToList();
+                    return new
+                    {
+                        id = p.Id,
+                        name = p.Name,
+                        price = p.Price,
+                        imageUrl = p.ProductImageId.HasValue ? $"/images/stored/{p.ProductImageId.Value}" : p.ImageUrl,
+                        url = $"/Products/Details/{p.Id}",
+                        category = p.Category,
+                        subCategory = p.SubCategory,
+                        summary = ProductText.Summarize(p.Description),
+                        isAvailable = p.IsAvailable,
+                        isComingSoon = p.IsComingSoon,
+                        stock = p.TotalAvailableStock,
+                        attributes = p.VariantAttributes
+                            .OrderBy(a => a.DisplayOrder)
+                            .Select(a => new
+                            {
+                                name = a.Name,
+                                values = a.ValuesList
+                                    .Where(value => inStock.Any(v => v.AttributeValues.Any(av =>
+                                        av.VariantAttributeId == a.Id && string.Equals(av.Value, value, StringComparison.OrdinalIgnoreCase))))
+                                    .ToList()
+                            })
+                    };
+                });
+
+            return Ok(new { products = result });
+        }
+
+        /// <summary>
+        /// Search-as-you-type suggestions for the header search box (enhancements.js), grouped by
+        /// category and subcategory. Finds the same products as Products/Index?search=.
+        /// GET: /api/products/search?q=shirt&amp;limit=8
+        /// </summary>
+        [HttpGet("search")]
+        public async Task<IActionResult> Search([FromQuery] string? q, [FromQuery] int limit = 8)
+        {
+            var search = (q ?? string.Empty).Trim();
+            if (search.Length < 2 || search.Length > MaxSearchLength)
+            {
+                return Ok(new { query = search, total = 0, groups = Array.Empty<object>() });
+            }
+
+            // The first word narrows the query in the database; the rest is checked below
+            var first = ProductSearch.Words(search)[0];
+            var candidates = await _context.Products
+                .Include(p => p.Variants)
+                .Where(p => p.Name.Contains(first) || p.Category.Contains(first) || p.SubCategory.Contains(first))
+                .ToListAsync();
+
+            var matches = candidates
+                .Where(p => p.IsListed && ProductSearch.Matches(p, search))
+                .ToList();
+
+            var products = matches
+                .OrderBy(p => ProductSearch.Rank(p, search))
+                .ThenBy(p => p.Name)
+                .Take(Math.Clamp(limit, 1, MaxSearchResults))
+                .ToList();
+
+            // Groups keep the order of their best match
+            var groups = products
+                .GroupBy(p => new { p.Category, p.SubCategory })
+                .Select(g => new
+                {
+                    category = g.Key.Category,
+                    subCategory = g.Key.SubCategory,
+                    url = $"/Products?category={Uri.EscapeDataString(g.Key.Category)}&subcategory={Uri.EscapeDataString(g.Key.SubCategory)}",
+                    products = g.Select(p => new
+                    {
+                        id = p.Id,
+                        name = p.Name,
+                        price = p.Price,
+                        imageUrl = p.ProductImageId.HasValue ? $"/images/stored/{p.ProductImageId.Value}" : p.ImageUrl,
+                        url = $"/Products/Details/{p.Id}",
+                        isComingSoon = p.IsComingSoon
+                    })
+                });
+
+            return Ok(new { query = search, total = matches.Count, groups });
+        }
+
+        // "1,2,3" - anything that isn't a positive number is ignored
+        private static List<int> ParseIds(string? ids, int max)
+        {
+            return (ids ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(id => int.TryParse(id, out var value) ? value : 0)
+                .Where(id => id > 0)
+                .Distinct()
+                .Take(max)
+                .ToList();
+        }
+    }
+}
@@ -0,0 +1,116 @@
+using System.Security.Claims;
+using EcommerceStarter.Services.Push;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for Web Push subscriptions (order status notifications)
+    /// </summary>
+    [Route("api/push")]
+    [ApiController]
+    public class PushController : ControllerBase
+    {
+        private readonly IWebPushService _webPushService;
+        private readonly IWebHostEnvironment _environment;
+        private readonly ILogger<PushController> _logger;
+
+        public PushController(IWebPushService webPushService, IWebHostEnvironment environment, ILogger<PushController> logger)
+        {
+            _webPushService = webPushService;
+            _environment = environment;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Returns the VAPID public key pwa.js passes to pushManager.subscribe.
+        /// GET: /api/push/vapid-public-key
+        /// </summary>
+        [HttpGet("vapid-public-key")]
+        public async Task<IActionResult> GetVapidPublicKey()
+        {
+            var publicKey = await _webPushService.GetPublicKeyAsync();
+            if (publicKey == null)
+            {
+                return NotFound(new { message = "Push notifications are not configured" });
+            }
+
+            return Ok(new { publicKey });
+        }
+
+        /// <summary>
+        /// Saves the browser's PushSubscription for the signed-in customer.
+        /// POST: /api/push/subscriptions
+        /// </summary>
+        [HttpPost("subscriptions")]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Subscribe([FromBody] PushSubscriptionRequest request)
+        {
+            if (string.IsNullOrWhiteSpace(request.Endpoint)
+                || string.IsNullOrWhiteSpace(request.Keys?.P256dh)
+                || string.IsNullOrWhiteSpace(request.Keys?.Auth))
+            {
+                return BadRequest(new { message = "Subscription endpoint and keys are required" });
+            }
+
+            // Push services are always https. The server posts to this URL, so loopback endpoints are
+            // only allowed in Development, for the local test harness (PushHarnessController)
+            if (!Uri.TryCreate(request.Endpoint, UriKind.Absolute, out var endpoint))
+            {
+                return BadRequest(new { message = "Subscription endpoint must be an https URL" });
+            }
+
+            var allowLoopback = _environment.IsDevelopment();
+            if ((endpoint.IsLoopback && !allowLoopback) || (endpoint.Scheme != Uri.UriSchemeHttps && !(endpoint.IsLoopback && allowLoopback)))
+            {
+                return BadRequest(new { message = "Subscription endpoint must be an https URL" });
+            }
+
+            var userId = User.FindFirstValue(ClaimTypes.NameIdentifier)!;
+            await _webPushService.SaveSubscriptionAsync(
+                userId,
+                request.Endpoint,
+                request.Keys.P256dh,
+                request.Keys.Auth,
+                Request.Headers.UserAgent.ToString());
+
+            _logger.LogInformation("Push subscription saved for user {UserId}", userId);
+            return Ok(new { success = true });
+        }
+
+        /// <summary>
+        /// Removes a subscription when the customer turns notifications off.
+        /// POST: /api/push/subscriptions/delete
+        /// </summary>
+        [HttpPost("subscriptions/delete")]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Unsubscribe([FromBody] PushSubscriptionRequest request)
+        {
+            if (string.IsNullOrWhiteSpace(request.Endpoint))
+            {
+                return BadRequest(new { message = "Subscription endpoint is required" });
+            }
+
+            await _webPushService.RemoveSubscriptionAsync(User.FindFirstValue(ClaimTypes.NameIdentifier)!, request.Endpoint);
+            return Ok(new { success = true });
+        }
+    }
+
+    /// <summary>
+    /// Shape of PushSubscription.toJSON() in the browser
+    /// </summary>
+    public class PushSubscriptionRequest
+    {
+        public string Endpoint { get; set; } = string.Empty;
+        public PushSubscriptionKeys? Keys { get; set; }
+    }
+
+    public class PushSubscriptionKeys
+    {
+        public string P256dh { get; set; } = string.Empty;
+        public string Auth { get; set; } = string.Empty;
+    }
+}
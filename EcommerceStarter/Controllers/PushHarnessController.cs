@@ -0,0 +1,90 @@
+using EcommerceStarter.Services.Push;
+using Microsoft.AspNetCore.Mvc;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// Local Web Push test harness - only available in the Development environment.
+    /// Lets developers exercise VAPID signing and payload encryption without a browser vendor's push service:
+    ///   1. POST /api/push-harness/subscriptions          -> fake browser subscription (endpoint + keys)
+    ///   2. Send to it (Admin > API Configurations > Web Push, or save it via /api/push/subscriptions)
+    ///   3. GET  /api/push-harness/endpoints/{id}         -> verified, decrypted deliveries
+    /// No antiforgery token: the endpoints are called by WebPushService and developer tools, not pages,
+    /// and answer 404 outside Development.
+    /// </summary>
+    [Route("api/push-harness")]
+    [ApiController]
+    public class PushHarnessController : ControllerBase
+    {
+        private readonly PushTestHarness _harness;
+        private readonly IWebHostEnvironment _environment;
+
+        public PushHarnessController(PushTestHarness harness, IWebHostEnvironment environment)
+        {
+            _harness = harness;
+            _environment = environment;
+        }
+
+        /// <summary>
+        /// Create a fake browser subscription in the same shape as PushSubscription.toJSON().
+        /// POST: /api/push-harness/subscriptions
+        /// </summary>
+        [HttpPost("subscriptions")]
+        public IActionResult CreateSubscription()
+        {
+            if (!_environment.IsDevelopment()) return NotFound();
+
+            var subscription = _harness.CreateSubscription($"{Request.Scheme}://{Request.Host}{Request.PathBase}");
+            return Ok(new
+            {
+                endpoint = subscription.Endpoint,
+                keys = new { p256dh = subscription.P256dh, auth = subscription.Auth }
+            });
+        }
+
+        /// <summary>
+        /// The fake push service endpoint. Answers 201 like a real push service when the
+        /// VAPID header verifies and the payload decrypts, otherwise 400/401 with the reason.
+        /// POST: /api/push-harness/endpoints/{id}
+        /// </summary>
+        [HttpPost("endpoints/{id}")]
+        public async Task<IActionResult> Receive(string id)
+        {
+            if (!_environment.IsDevelopment()) return NotFound();
+
+            var subscription = _harness.GetSubscription(id);
+            if (subscription == null) return NotFound();
+
+            using var buffer = new MemoryStream();
+            await Request.Body.CopyToAsync(buffer);
+
+            var delivery = _harness.Receive(
+                subscription,
+                Request.Headers.Authorization.ToString(),
+                Request.Headers.ContentEncoding.ToString(),
+                buffer.ToArray());
+
+            return delivery.Accepted
+                ? StatusCode(delivery.StatusCode)
+                : StatusCode(delivery.StatusCode, new { message = delivery.Error });
+        }
+
+        /// <summary>
+        /// Deliveries received for a harness subscription, newest last.
+        /// GET: /api/push-harness/endpoints/{id}
+        /// </summary>
+        [HttpGet("endpoints/{id}")]
+        public IActionResult GetDeliveries(string id)
+        {
+            if (!_environment.IsDevelopment()) return NotFound();
+
+            var subscription = _harness.GetSubscription(id);
+            if (subscription == null) return NotFound();
+
+            lock (subscription.Deliveries)
+            {
+                return Ok(subscription.Deliveries.ToList());
+            }
+        }
+    }
+}
@@ -0,0 +1,127 @@
+using Microsoft.AspNetCore.Mvc;
+using EcommerceStarter.Services;
+using EcommerceStarter.Services.Analytics;
+using EcommerceStarter.Services.Pwa;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for Progressive Web App client support (pwa.js / sw.js)
+    /// </summary>
+    [Route("api/pwa")]
+    [ApiController]
+    public class PwaController : ControllerBase
+    {
+        private readonly ISiteSettingsService _siteSettingsService;
+        private readonly IVisitorTrackingService _trackingService;
+        private readonly IWebAppManifestService _manifestService;
+
+        public PwaController(
+            ISiteSettingsService siteSettingsService,
+            IVisitorTrackingService trackingService,
+            IWebAppManifestService manifestService)
+        {
+            _siteSettingsService = siteSettingsService;
+            _trackingService = trackingService;
+            _manifestService = manifestService;
+        }
+
+        /// <summary>
+        /// Web app manifest built from the Branding settings.
+        /// _Layout links it with ?v=LastModified so a branding change is picked up immediately.
+        /// GET: /manifest.webmanifest
+        /// </summary>
+        [HttpGet("/manifest.webmanifest")]
+        [ResponseCache(Duration = 3600, Location = ResponseCacheLocation.Any)]
+        public async Task<IActionResult> GetManifest()
+        {
+            var manifest = await _manifestService.GetManifestAsync();
+            return new JsonResult(manifest) { ContentType = "application/manifest+json" };
+        }
+
+        /// <summary>
+        /// App icon rendered from the uploaded app icon or logo.
+        /// GET: /api/pwa/icons/{size}
+        /// </summary>
+        [HttpGet("icons/{size:int}")]
+        [ResponseCache(Duration = 86400, Location = ResponseCacheLocation.Any)]
+        public Task<IActionResult> GetIcon(int size) => IconResultAsync(size, maskable: false);
+
+        /// <summary>
+        /// Maskable app icon (artwork inside the launcher safe zone on a solid background).
+        /// GET: /api/pwa/icons/maskable/{size}
+        /// </summary>
+        [HttpGet("icons/maskable/{size:int}")]
+        [ResponseCache(Duration = 86400, Location = ResponseCacheLocation.Any)]
+        public Task<IActionResult> GetMaskableIcon(int size) => IconResultAsync(size, maskable: true);
+
+        /// <summary>
+        /// Returns the client app release published from Admin > Updates.
+        /// pwa.js polls this so long-lived tabs notice a forced update.
+        /// GET: /api/pwa/version
+        /// </summary>
+        [HttpGet("version")]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> GetVersion()
+        {
+            var settings = await _siteSettingsService.GetSettingsAsync();
+            return Ok(new { release = settings.ClientAppRelease });
+        }
+
+        /// <summary>
+        /// Records an install banner event (shown, dismissed, accepted, installed) for Admin > Analytics.
+        /// Anonymous like the banner itself, so it is kept to same-site pages by the antiforgery token
+        /// (rendered by _Layout) and throttled by RateLimitingMiddleware like every other request.
+        /// POST: /api/pwa/install-events
+        /// </summary>
+        [HttpPost("install-events")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> TrackInstallEvent([FromBody] InstallEventRequest request)
+        {
+            if (!PwaInstallEvents.ClientEvents.TryGetValue(request.Event ?? string.Empty, out var action))
+            {
+                return BadRequest(new { error = "Unknown install event" });
+            }
+
+            // Whitelisted/internal visitors get an unsaved session (Id 0) and are not counted
+            var session = await _trackingService.GetOrCreateSessionAsync(HttpContext);
+            if (session.Id > 0)
+            {
+                var trigger = request.Trigger?.Length > 50 ? request.Trigger[..50] : request.Trigger;
+                await _trackingService.TrackEventAsync(session.Id, PwaInstallEvents.Category, action, trigger);
+            }
+
+            return NoContent();
+        }
+
+        private async Task<IActionResult> IconResultAsync(int size, bool maskable)
+        {
+            var icon = await _manifestService.GetIconAsync(size, maskable);
+            if (icon == null)
+            {
+                return NotFound();
+            }
+
+            // Lets the installability check in pwa.js warn that no raster logo was found
+            if (icon.IsPlaceholder)
+            {
+                Response.Headers["X-Icon-Placeholder"] = "true";
+            }
+
+            return File(icon.Png, "image/png");
+        }
+    }
+
+    public class InstallEventRequest
+    {
+        /// <summary>
+        /// shown, dismissed, accepted or installed
+        /// </summary>
+        public string? Event { get; set; }
+
+        /// <summary>
+        /// What opened the banner: page-views, add-to-cart or order-confirmation
+        /// </summary>
+        public string? Trigger { get; set; }
+    }
+}
@@ -0,0 +1,84 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for signed-in customers' "Recently viewed" list (recently-viewed.js)
+    /// </summary>
+    [Route("api/recently-viewed")]
+    [ApiController]
+    [Authorize]
+    public class RecentlyViewedController : ControllerBase
+    {
+        private readonly IRecentlyViewedService _recentlyViewedService;
+
+        public RecentlyViewedController(IRecentlyViewedService recentlyViewedService)
+        {
+            _recentlyViewedService = recentlyViewedService;
+        }
+
+        private string UserId => User.FindFirstValue(ClaimTypes.NameIdentifier)!;
+
+        /// <summary>
+        /// Product IDs the customer viewed, most recent first.
+        /// GET: /api/recently-viewed
+        /// </summary>
+        [HttpGet("")]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> GetRecentlyViewed()
+        {
+            return Ok(new { productIds = await _recentlyViewedService.GetProductIdsAsync(UserId) });
+        }
+
+        /// <summary>
+        /// POST: /api/recently-viewed/items
+        /// </summary>
+        [HttpPost("items")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> RecordView([FromBody] RecentlyViewedRequest request)
+        {
+            if (!await _recentlyViewedService.RecordAsync(UserId, request.ProductId))
+            {
+                return NotFound(new { message = "This product is no longer available" });
+            }
+
+            return Ok(new { success = true, productIds = await _recentlyViewedService.GetProductIdsAsync(UserId) });
+        }
+
+        /// <summary>
+        /// Adds the products viewed on this device before signing in.
+        /// POST: /api/recently-viewed/merge
+        /// </summary>
+        [HttpPost("merge")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Merge([FromBody] RecentlyViewedMergeRequest request)
+        {
+            await _recentlyViewedService.MergeAsync(UserId, request.Items ?? new List<RecentlyViewedEntry>());
+            return Ok(new { success = true, productIds = await _recentlyViewedService.GetProductIdsAsync(UserId) });
+        }
+
+        /// <summary>
+        /// POST: /api/recently-viewed/clear
+        /// </summary>
+        [HttpPost("clear")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Clear()
+        {
+            await _recentlyViewedService.ClearAsync(UserId);
+            return Ok(new { success = true, productIds = Array.Empty<int>() });
+        }
+    }
+
+    public class RecentlyViewedRequest
+    {
+        public int ProductId { get; set; }
+    }
+
+    public class RecentlyViewedMergeRequest
+    {
+        public List<RecentlyViewedEntry>? Items { get; set; }
+    }
+}
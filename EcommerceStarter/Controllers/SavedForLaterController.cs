@@ -0,0 +1,156 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for "Save for later" on the cart page (saved-for-later.js)
+    /// </summary>
+    [Route("api/saved-for-later")]
+    [ApiController]
+    public class SavedForLaterController : ControllerBase
+    {
+        private readonly ISavedForLaterService _savedForLaterService;
+        private readonly ICartService _cartService;
+        private readonly ILogger<SavedForLaterController> _logger;
+
+        public SavedForLaterController(ISavedForLaterService savedForLaterService, ICartService cartService, ILogger<SavedForLaterController> logger)
+        {
+            _savedForLaterService = savedForLaterService;
+            _cartService = cartService;
+            _logger = logger;
+        }
+
+        private string? UserId => User.FindFirstValue(ClaimTypes.NameIdentifier);
+
+        /// <summary>
+        /// The signed-in customer's saved lines with their current price and stock.
+        /// GET: /api/saved-for-later
+        /// </summary>
+        [HttpGet("")]
+        [Authorize]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> GetSaved()
+        {
+            var lines = await _savedForLaterService.GetLinesAsync(UserId!);
+            return Ok(new { success = true, items = await _savedForLaterService.CheckAsync(lines) });
+        }
+
+        /// <summary>
+        /// A guest's saved lines (kept in localStorage) with their current price and stock.
+        /// POST: /api/saved-for-later/check
+        /// </summary>
+        [HttpPost("check")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Check([FromBody] SavedForLaterCheckRequest request)
+        {
+            var items = await _savedForLaterService.CheckAsync(request.Items ?? new List<SavedForLaterLine>());
+            return Ok(new { success = true, items });
+        }
+
+        /// <summary>
+        /// Moves a line out of the cart. A signed-in customer's line is stored on their account;
+        /// guests get the line back to keep in localStorage.
+        /// POST: /api/saved-for-later/items
+        /// </summary>
+        [HttpPost("items")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Save([FromBody] CartLineRequest request)
+        {
+            var item = _cartService.GetCart().FirstOrDefault(c => c.ProductId == request.ProductId);
+            if (item == null)
+            {
+                return NotFound(new { success = false, message = "This item is no longer in your cart." });
+            }
+
+            var line = SavedForLaterLine.FromCartItem(item);
+            if (UserId != null && !await _savedForLaterService.SaveAsync(UserId, line))
+            {
+                return NotFound(new { success = false, message = "This product is no longer available" });
+            }
+
+            _cartService.RemoveFromCart(item.ProductId);
+
+            return Ok(new
+            {
+                success = true,
+                message = $"{item.ProductName} was saved for later.",
+                line,
+                count = _cartService.GetCartItemCount(),
+                cart = CartLines()
+            });
+        }
+
+        /// <summary>
+        /// Puts a saved line back into the cart. A signed-in customer's line is read from (and
+        /// removed from) their account; guests send the line from localStorage.
+        /// POST: /api/saved-for-later/items/move-to-cart
+        /// </summary>
+        [HttpPost("items/move-to-cart")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> MoveToCart([FromBody] SavedForLaterLine request)
+        {
+            var line = request;
+            if (UserId != null)
+            {
+                var variantId = request.VariantId > 0 ? request.VariantId : null;
+                line = (await _savedForLaterService.GetLinesAsync(UserId))
+                    .FirstOrDefault(l => l.ProductId == request.ProductId && l.VariantId == variantId);
+
+                if (line == null)
+                {
+                    return NotFound(new { success = false, message = "This item is no longer saved for later." });
+                }
+            }
+
+            try
+            {
+                var (success, message) = await _savedForLaterService.MoveToCartAsync(line);
+                if (success && UserId != null)
+                {
+                    await _savedForLaterService.RemoveAsync(UserId, line.ProductId, line.VariantId);
+                }
+
+                return Ok(new { success, message, count = _cartService.GetCartItemCount(), cart = CartLines() });
+            }
+            catch (ArgumentException ex)
+            {
+                _logger.LogWarning(ex, "Rejected saved line for product {ProductId}", line.ProductId);
+                return BadRequest(new { success = false, message = "This item could not be moved to your cart." });
+            }
+        }
+
+        /// <summary>
+        /// POST: /api/saved-for-later/items/delete
+        /// </summary>
+        [HttpPost("items/delete")]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> Remove([FromBody] SavedForLaterLine request)
+        {
+            await _savedForLaterService.RemoveAsync(UserId!, request.ProductId, request.VariantId);
+            return Ok(new { success = true });
+        }
+
+        // Same shape as GET /api/cart, for the guest copy of the cart (persistent-storage.js)
+        private IEnumerable<object> CartLines()
+        {
+            return _cartService.GetCart().Select(item => new
+            {
+                productId = item.ProductId,
+                variantId = item.VariantId,
+                name = item.ProductName,
+                price = item.Price,
+                quantity = item.Quantity,
+                imageUrl = item.ImageUrl
+            });
+        }
+    }
+
+    public class SavedForLaterCheckRequest
+    {
+        public List<SavedForLaterLine>? Items { get; set; }
+    }
+}
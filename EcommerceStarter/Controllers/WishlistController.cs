@@ -0,0 +1,67 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using EcommerceStarter.Services;
+
+namespace EcommerceStarter.Controllers
+{
+    /// <summary>
+    /// API Controller for signed-in customers' wishlists (wishlist.js)
+    /// </summary>
+    [Route("api/wishlist")]
+    [ApiController]
+    [Authorize]
+    public class WishlistController : ControllerBase
+    {
+        private readonly IWishlistService _wishlistService;
+
+        public WishlistController(IWishlistService wishlistService)
+        {
+            _wishlistService = wishlistService;
+        }
+
+        private string UserId => User.FindFirstValue(ClaimTypes.NameIdentifier)!;
+
+        /// <summary>
+        /// Product IDs on the customer's wishlist, most recently saved first.
+        /// GET: /api/wishlist
+        /// </summary>
+        [HttpGet("")]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> GetWishlist()
+        {
+            return Ok(new { productIds = await _wishlistService.GetProductIdsAsync(UserId) });
+        }
+
+        /// <summary>
+        /// POST: /api/wishlist/items
+        /// </summary>
+        [HttpPost("items")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> AddItem([FromBody] WishlistItemRequest request)
+        {
+            if (!await _wishlistService.AddAsync(UserId, request.ProductId))
+            {
+                return NotFound(new { message = "This product is no longer available" });
+            }
+
+            return Ok(new { success = true, productIds = await _wishlistService.GetProductIdsAsync(UserId) });
+        }
+
+        /// <summary>
+        /// POST: /api/wishlist/items/delete
+        /// </summary>
+        [HttpPost("items/delete")]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> RemoveItem([FromBody] WishlistItemRequest request)
+        {
+            await _wishlistService.RemoveAsync(UserId, request.ProductId);
+            return Ok(new { success = true, productIds = await _wishlistService.GetProductIdsAsync(UserId) });
+        }
+    }
+
+    public class WishlistItemRequest
+    {
+        public int ProductId { get; set; }
+    }
+}
@@ -63,6 +63,16 @@ namespace EcommerceStarter.Data
         // Image Storage (database-backed to prevent loss on deployment)
         public DbSet<StoredImage> StoredImages { get; set; }
 
+        // Web Push subscriptions (order status notifications)
+        public DbSet<PushSubscription> PushSubscriptions { get; set; }
+
+        // Customer wishlists (guests keep theirs in localStorage)
+        public DbSet<WishlistItem> WishlistItems { get; set; }
+        public DbSet<SavedForLaterItem> SavedForLaterItems { get; set; }
+        public DbSet<AbandonedCart> AbandonedCarts { get; set; }
+        public DbSet<BackInStockRequest> BackInStockRequests { get; set; }
+        public DbSet<RecentlyViewedProduct> RecentlyViewedProducts { get; set; }
+
         protected override void OnModelCreating(ModelBuilder builder)
         {
             base.OnModelCreating(builder);
@@ -329,6 +339,67 @@ namespace EcommerceStarter.Data
             builder.Entity<ServiceStatusLog>()
                 .Property(ssl => ssl.UptimePercent)
                 .HasPrecision(5, 2);
+
+            // Configure PushSubscription
+            builder.Entity<PushSubscription>()
+                .HasIndex(ps => ps.UserId);
+
+            // Configure WishlistItem - one row per customer and product
+            builder.Entity<WishlistItem>()
+                .HasIndex(w => new { w.UserId, w.ProductId })
+                .IsUnique();
+
+            builder.Entity<WishlistItem>()
+                .HasOne(w => w.Product)
+                .WithMany()
+                .HasForeignKey(w => w.ProductId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Configure SavedForLaterItem - one row per customer, product and variant (enforced by SavedForLaterService)
+            builder.Entity<SavedForLaterItem>()
+                .HasIndex(s => s.UserId);
+
+            builder.Entity<SavedForLaterItem>()
+                .Property(s => s.Price)
+                .HasPrecision(18, 2);
+
+            builder.Entity<SavedForLaterItem>()
+                .HasOne(s => s.Product)
+                .WithMany()
+                .HasForeignKey(s => s.ProductId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Configure AbandonedCart - looked up by email, and by age for the recovery email job
+            builder.Entity<AbandonedCart>()
+                .HasIndex(a => a.Email);
+
+            builder.Entity<AbandonedCart>()
+                .HasIndex(a => a.UpdatedAt);
+
+            builder.Entity<AbandonedCart>()
+                .Property(a => a.Subtotal)
+                .HasPrecision(18, 2);
+
+            // Configure BackInStockRequest - the unsent requests for a variant are looked up on restock
+            builder.Entity<BackInStockRequest>()
+                .HasIndex(r => new { r.ProductVariantId, r.NotifiedAt });
+
+            builder.Entity<BackInStockRequest>()
+                .HasOne(r => r.ProductVariant)
+                .WithMany()
+                .HasForeignKey(r => r.ProductVariantId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Configure RecentlyViewedProduct - one row per customer and product, newest view first
+            builder.Entity<RecentlyViewedProduct>()
+                .HasIndex(r => new { r.UserId, r.ProductId })
+                .IsUnique();
+
+            builder.Entity<RecentlyViewedProduct>()
+                .HasOne(r => r.Product)
+                .WithMany()
+                .HasForeignKey(r => r.ProductId)
+                .OnDelete(DeleteBehavior.Cascade);
         }
     }
 }
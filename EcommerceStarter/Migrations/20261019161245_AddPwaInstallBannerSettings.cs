@@ -0,0 +1,62 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace EcommerceStarter.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddPwaInstallBannerSettings : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "PwaInstallAfterAddToCart",
+                table: "SiteSettings",
+                type: "bit",
+                nullable: false,
+                defaultValue: true);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "PwaInstallAfterOrderConfirmation",
+                table: "SiteSettings",
+                type: "bit",
+                nullable: false,
+                defaultValue: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "PwaInstallDismissCooldownDays",
+                table: "SiteSettings",
+                type: "int",
+                nullable: false,
+                defaultValue: 14);
+
+            migrationBuilder.AddColumn<int>(
+                name: "PwaInstallPageViews",
+                table: "SiteSettings",
+                type: "int",
+                nullable: false,
+                defaultValue: 3);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "PwaInstallAfterAddToCart",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "PwaInstallAfterOrderConfirmation",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "PwaInstallDismissCooldownDays",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "PwaInstallPageViews",
+                table: "SiteSettings");
+        }
+    }
+}
@@ -0,0 +1,120 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace EcommerceStarter.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddWebAppManifestSettings : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<Guid>(
+                name: "AppIconImageId",
+                table: "SiteSettings",
+                type: "uniqueidentifier",
+                nullable: true);
+
+            migrationBuilder.AddColumn<Guid>(
+                name: "AppScreenshotNarrowImageId",
+                table: "SiteSettings",
+                type: "uniqueidentifier",
+                nullable: true);
+
+            migrationBuilder.AddColumn<Guid>(
+                name: "AppScreenshotWideImageId",
+                table: "SiteSettings",
+                type: "uniqueidentifier",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "AppShortName",
+                table: "SiteSettings",
+                type: "nvarchar(30)",
+                maxLength: 30,
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_SiteSettings_AppIconImageId",
+                table: "SiteSettings",
+                column: "AppIconImageId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_SiteSettings_AppScreenshotNarrowImageId",
+                table: "SiteSettings",
+                column: "AppScreenshotNarrowImageId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_SiteSettings_AppScreenshotWideImageId",
+                table: "SiteSettings",
+                column: "AppScreenshotWideImageId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_SiteSettings_StoredImages_AppIconImageId",
+                table: "SiteSettings",
+                column: "AppIconImageId",
+                principalTable: "StoredImages",
+                principalColumn: "Id");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_SiteSettings_StoredImages_AppScreenshotNarrowImageId",
+                table: "SiteSettings",
+                column: "AppScreenshotNarrowImageId",
+                principalTable: "StoredImages",
+                principalColumn: "Id");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_SiteSettings_StoredImages_AppScreenshotWideImageId",
+                table: "SiteSettings",
+                column: "AppScreenshotWideImageId",
+                principalTable: "StoredImages",
+                principalColumn: "Id");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_SiteSettings_StoredImages_AppIconImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropForeignKey(
+                name: "FK_SiteSettings_StoredImages_AppScreenshotNarrowImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropForeignKey(
+                name: "FK_SiteSettings_StoredImages_AppScreenshotWideImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropIndex(
+                name: "IX_SiteSettings_AppIconImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropIndex(
+                name: "IX_SiteSettings_AppScreenshotNarrowImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropIndex(
+                name: "IX_SiteSettings_AppScreenshotWideImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "AppIconImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "AppScreenshotNarrowImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "AppScreenshotWideImageId",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "AppShortName",
+                table: "SiteSettings");
+        }
+    }
+}
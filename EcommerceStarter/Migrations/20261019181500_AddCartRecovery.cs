@@ -0,0 +1,77 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace EcommerceStarter.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddCartRecovery : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "CartRecoveryDelayHours",
+                table: "SiteSettings",
+                type: "int",
+                nullable: false,
+                defaultValue: 4);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "SendCartRecoveryEmails",
+                table: "SiteSettings",
+                type: "bit",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.CreateTable(
+                name: "AbandonedCarts",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    Email = table.Column<string>(type: "nvarchar(256)", maxLength: 256, nullable: false),
+                    UserId = table.Column<string>(type: "nvarchar(450)", maxLength: 450, nullable: true),
+                    CartJson = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    ItemCount = table.Column<int>(type: "int", nullable: false),
+                    Subtotal = table.Column<decimal>(type: "decimal(18,2)", precision: 18, scale: 2, nullable: false),
+                    StoreUrl = table.Column<string>(type: "nvarchar(500)", maxLength: 500, nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    EmailSentAt = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    RecoveredAt = table.Column<DateTime>(type: "datetime2", nullable: true),
+                    CompletedAt = table.Column<DateTime>(type: "datetime2", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AbandonedCarts", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AbandonedCarts_Email",
+                table: "AbandonedCarts",
+                column: "Email");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AbandonedCarts_UpdatedAt",
+                table: "AbandonedCarts",
+                column: "UpdatedAt");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "AbandonedCarts");
+
+            migrationBuilder.DropColumn(
+                name: "CartRecoveryDelayHours",
+                table: "SiteSettings");
+
+            migrationBuilder.DropColumn(
+                name: "SendCartRecoveryEmails",
+                table: "SiteSettings");
+        }
+    }
+}
@@ -0,0 +1,52 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace EcommerceStarter.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddBackInStockRetries : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "StoreUrl",
+                table: "BackInStockRequests");
+
+            migrationBuilder.AddColumn<int>(
+                name: "FailedAttempts",
+                table: "BackInStockRequests",
+                type: "int",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "NextAttemptAt",
+                table: "BackInStockRequests",
+                type: "datetime2",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "FailedAttempts",
+                table: "BackInStockRequests");
+
+            migrationBuilder.DropColumn(
+                name: "NextAttemptAt",
+                table: "BackInStockRequests");
+
+            migrationBuilder.AddColumn<string>(
+                name: "StoreUrl",
+                table: "BackInStockRequests",
+                type: "nvarchar(500)",
+                maxLength: 500,
+                nullable: false,
+                defaultValue: "");
+        }
+    }
+}
@@ -0,0 +1,47 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace EcommerceStarter.Models
+{
+    /// <summary>
+    /// Cart left behind after the shopper entered their email on Checkout/Index (captured by
+    /// cart-recovery.js once cookies are accepted). CartRecoveryEmailService emails a link that
+    /// restores it unless the order is placed first.
+    /// </summary>
+    public class AbandonedCart
+    {
+        [Key]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(256)]
+        public string Email { get; set; } = string.Empty;
+
+        [MaxLength(450)]
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Cart lines as JSON (GuestCartLine), with names and prices at the time of capture
+        /// </summary>
+        [Required]
+        public string CartJson { get; set; } = "[]";
+
+        public int ItemCount { get; set; }
+
+        public decimal Subtotal { get; set; }
+
+        [Required]
+        public DateTime CreatedAt { get; set; }
+
+        [Required]
+        public DateTime UpdatedAt { get; set; }
+
+        public DateTime? EmailSentAt { get; set; }
+
+        public DateTime? RecoveredAt { get; set; }
+
+        /// <summary>
+        /// Set when an order is placed with this email, so no recovery email is sent
+        /// </summary>
+        public DateTime? CompletedAt { get; set; }
+    }
+}
@@ -0,0 +1,42 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace EcommerceStarter.Models
+{
+    /// <summary>
+    /// A shopper's "notify me" for an out-of-stock variant on Products/Details. BackInStockService
+    /// emails them once the variant is in stock again, after which the request is kept as sent.
+    /// </summary>
+    public class BackInStockRequest
+    {
+        [Key]
+        public int Id { get; set; }
+
+        [Required]
+        public int ProductVariantId { get; set; }
+
+        public ProductVariant? ProductVariant { get; set; }
+
+        [Required]
+        [MaxLength(256)]
+        public string Email { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Set when the request came from a signed-in customer (their account email is used)
+        /// </summary>
+        [MaxLength(450)]
+        public string? UserId { get; set; }
+
+        [Required]
+        public DateTime CreatedAt { get; set; }
+
+        public DateTime? NotifiedAt { get; set; }
+
+        /// <summary>
+        /// Emails that could not be sent so far. Each failure pushes NextAttemptAt further out,
+        /// and the request is given up on after BackInStockService.MaxAttempts.
+        /// </summary>
+        public int FailedAttempts { get; set; }
+
+        public DateTime? NextAttemptAt { get; set; }
+    }
+}
@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using EcommerceStarter.Models.Tracking;
 
 namespace EcommerceStarter.Models
 {
@@ -41,6 +42,9 @@ namespace EcommerceStarter.Models
         // Courier/carrier used for this shipment
         public Courier TrackingCourier { get; set; } = Courier.Unknown;
         
+        // Last carrier status seen by TrackingStatusService (used to push only real changes)
+        public TrackingStatusType? LastTrackingStatus { get; set; }
+        
         // Payment information
         public string? PaymentIntentId { get; set; }
         public PaymentStatus PaymentStatus { get; set; } = PaymentStatus.Pending;
@@ -195,6 +195,30 @@ namespace EcommerceStarter.Models
             }
         }
 
+        /// <summary>
+        /// Check if product is shown in the shop (Products/Index and the search API).
+        /// Out of stock products are hidden; products with variants need a variant in stock.
+        /// </summary>
+        [NotMapped]
+        public bool IsListed
+        {
+            get
+            {
+                // Hide Out of Stock products
+                if (InventoryStatus == InventoryStatus.OutOfStock)
+                    return false;
+
+                // If product has variants, check if any variant is in stock
+                if (Variants != null && Variants.Count > 0)
+                {
+                    return Variants.Any(v => v.IsInStock);
+                }
+                
+                // Otherwise, use legacy status (show InStock or ComingSoon, hide OutOfStock)
+                return InventoryStatus == InventoryStatus.InStock || InventoryStatus == InventoryStatus.ComingSoon;
+            }
+        }
+
         /// <summary>
         /// Get the product's effective inventory status based on variants or legacy status.
         /// </summary>
@@ -0,0 +1,50 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace EcommerceStarter.Models
+{
+    /// <summary>
+    /// Browser Web Push subscription for a signed-in customer.
+    /// Created by pwa.js through /api/push/subscriptions and used to send order status notifications.
+    /// </summary>
+    public class PushSubscription
+    {
+        [Key]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(450)]
+        public string UserId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Push service URL issued by the browser vendor (or the local test harness)
+        /// </summary>
+        [Required]
+        [MaxLength(1000)]
+        public string Endpoint { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Browser's P-256 public key (base64url, uncompressed point) used to encrypt payloads
+        /// </summary>
+        [Required]
+        [MaxLength(200)]
+        public string P256dh { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Browser's authentication secret (base64url)
+        /// </summary>
+        [Required]
+        [MaxLength(100)]
+        public string Auth { get; set; } = string.Empty;
+
+        [MaxLength(500)]
+        public string UserAgent { get; set; } = string.Empty;
+
+        [Required]
+        public DateTime CreatedAt { get; set; }
+
+        /// <summary>
+        /// Last time the push service accepted a notification for this subscription
+        /// </summary>
+        public DateTime? LastSentAt { get; set; }
+    }
+}
@@ -0,0 +1,29 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace EcommerceStarter.Models
+{
+    /// <summary>
+    /// Product a signed-in customer has looked at on Products/Details, for the "Recently viewed" strip.
+    /// Guests keep theirs in localStorage (persistent-storage.js) until they sign in.
+    /// </summary>
+    public class RecentlyViewedProduct
+    {
+        [Key]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(450)]
+        public string UserId { get; set; } = string.Empty;
+
+        [Required]
+        public int ProductId { get; set; }
+
+        public Product? Product { get; set; }
+
+        /// <summary>
+        /// Last time the product was viewed - a repeat visit moves it back to the front
+        /// </summary>
+        [Required]
+        public DateTime ViewedAt { get; set; }
+    }
+}
@@ -0,0 +1,40 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace EcommerceStarter.Models
+{
+    /// <summary>
+    /// Cart line a signed-in customer moved out of their cart with "Save for later".
+    /// Guests keep saved lines in localStorage (persistent-storage.js) until they sign in.
+    /// </summary>
+    public class SavedForLaterItem
+    {
+        [Key]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(450)]
+        public string UserId { get; set; } = string.Empty;
+
+        [Required]
+        public int ProductId { get; set; }
+
+        public Product? Product { get; set; }
+
+        /// <summary>
+        /// Chosen variant. Not a foreign key: a variant deleted later is reported
+        /// as no longer available when the list is shown.
+        /// </summary>
+        public int? VariantId { get; set; }
+
+        [Required]
+        public int Quantity { get; set; }
+
+        /// <summary>
+        /// Price when the line was saved, so the cart page can point out price changes
+        /// </summary>
+        public decimal Price { get; set; }
+
+        [Required]
+        public DateTime CreatedAt { get; set; }
+    }
+}
@@ -1,4 +1,4 @@
-using System.ComponentModel.DataAnnotations;
+﻿using System.ComponentModel.DataAnnotations;
 
 namespace EcommerceStarter.Models
 {
@@ -413,6 +413,19 @@ namespace EcommerceStarter.Models
         [Display(Name = "Send Admin Order Notifications")]
         public bool SendAdminOrderNotifications { get; set; } = true;
 
+        /// <summary>
+        /// Email shoppers who entered their email at checkout but did not order (after cookie consent)
+        /// </summary>
+        [Display(Name = "Send Cart Recovery Emails")]
+        public bool SendCartRecoveryEmails { get; set; } = false;
+
+        /// <summary>
+        /// Hours to wait after the cart was last changed before sending the recovery email
+        /// </summary>
+        [Range(1, 72)]
+        [Display(Name = "Cart Recovery Delay (hours)")]
+        public int CartRecoveryDelayHours { get; set; } = 4;
+
         [EmailAddress]
         [StringLength(200)]
         [Display(Name = "Admin Notification Email")]
@@ -445,6 +458,70 @@ namespace EcommerceStarter.Models
         [RegularExpression(@"^/[a-zA-Z0-9/]+$|^$", ErrorMessage = "Must start with / and contain only letters, numbers, and slashes")]
         public string? MeasurementPath { get; set; } = "/metrics";
 
+        // ============================================================
+        // Progressive Web App
+        // ============================================================
+
+        /// <summary>
+        /// Release number published to installed PWA clients. Bumping it from
+        /// Admin > Updates makes every client install a fresh service worker
+        /// and prompt the customer to reload.
+        /// </summary>
+        [Display(Name = "Client App Release")]
+        public int ClientAppRelease { get; set; }
+
+        /// <summary>
+        /// Show the "Install our app" banner once a visitor has viewed this many pages (0 = never)
+        /// </summary>
+        [Range(0, 100)]
+        [Display(Name = "Page Views Before Install Banner")]
+        public int PwaInstallPageViews { get; set; } = 3;
+
+        [Display(Name = "Show Install Banner After Add to Cart")]
+        public bool PwaInstallAfterAddToCart { get; set; } = true;
+
+        [Display(Name = "Show Install Banner After Order Confirmation")]
+        public bool PwaInstallAfterOrderConfirmation { get; set; } = true;
+
+        /// <summary>
+        /// Days to wait before showing the install banner again after a visitor chooses "Not Now"
+        /// </summary>
+        [Range(1, 365)]
+        [Display(Name = "Install Banner Cool-down (days)")]
+        public int PwaInstallDismissCooldownDays { get; set; } = 14;
+
+        /// <summary>
+        /// Short name shown under the installed app icon (falls back to SiteName)
+        /// </summary>
+        [StringLength(30)]
+        [Display(Name = "App Short Name")]
+        public string? AppShortName { get; set; }
+
+        /// <summary>
+        /// Square PNG/JPG (512x512 or larger) the manifest icons are rendered from.
+        /// Falls back to the logo when not uploaded.
+        /// </summary>
+        [Display(Name = "App Icon Image ID (Stored)")]
+        public Guid? AppIconImageId { get; set; }
+
+        public StoredImage? AppIconImage { get; set; }
+
+        /// <summary>
+        /// Landscape screenshot shown in the desktop install dialog
+        /// </summary>
+        [Display(Name = "Desktop Screenshot Image ID (Stored)")]
+        public Guid? AppScreenshotWideImageId { get; set; }
+
+        public StoredImage? AppScreenshotWideImage { get; set; }
+
+        /// <summary>
+        /// Portrait screenshot shown in the mobile install dialog
+        /// </summary>
+        [Display(Name = "Mobile Screenshot Image ID (Stored)")]
+        public Guid? AppScreenshotNarrowImageId { get; set; }
+
+        public StoredImage? AppScreenshotNarrowImage { get; set; }
+
         // ============================================================
         // Metadata
         // ============================================================
@@ -82,6 +82,11 @@ namespace EcommerceStarter.Models
             { "DC", 0.06m },  // District of Columbia - 6%
         };
 
+        /// <summary>
+        /// All state rates, so the cart page can estimate tax while quantities change
+        /// </summary>
+        public static IReadOnlyDictionary<string, decimal> StateRates => StateTaxRates;
+
         /// <summary>
         /// Gets the tax rate for a given state
         /// NOTE: Returns 0 by default unless tax is enabled in site settings
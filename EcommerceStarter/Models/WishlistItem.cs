@@ -0,0 +1,26 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace EcommerceStarter.Models
+{
+    /// <summary>
+    /// Product saved to a signed-in customer's wishlist.
+    /// Guests keep their wishlist in localStorage (persistent-storage.js) until they sign in.
+    /// </summary>
+    public class WishlistItem
+    {
+        [Key]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(450)]
+        public string UserId { get; set; } = string.Empty;
+
+        [Required]
+        public int ProductId { get; set; }
+
+        public Product? Product { get; set; }
+
+        [Required]
+        public DateTime CreatedAt { get; set; }
+    }
+}
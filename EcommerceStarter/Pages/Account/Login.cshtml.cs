@@ -132,6 +132,9 @@ namespace EcommerceStarter.Pages.Account
                             userAgent: userAgent);
                     }
 
+                    // persistent-storage.js merges the guest cart and wishlist on the next page
+                    TempData["SyncGuestData"] = true;
+
                     return LocalRedirect(returnUrl);
                 }
                 else if (result.IsLockedOut)
@@ -139,6 +139,9 @@ namespace EcommerceStarter.Pages.Account
                         {
                             _logger.LogInformation($"Email verification sent to {user.Email}");
                             
+                            // persistent-storage.js merges the guest cart and wishlist on the next page
+                            TempData["SyncGuestData"] = true;
+
                             // Redirect to email confirmation page
                             return RedirectToPage("RegisterConfirmation");
                         }
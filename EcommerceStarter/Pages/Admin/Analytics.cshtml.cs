@@ -25,6 +25,7 @@ namespace EcommerceStarter.Pages.Admin
         public Dictionary<string, int> DeviceBreakdown { get; set; } = new();
         public Dictionary<string, int> BrowserBreakdown { get; set; } = new();
         public List<EcommerceStarter.Models.VisitorTracking.VisitorEvent> RecentEvents { get; set; } = new();
+        public Dictionary<string, int> PwaInstallCounts { get; set; } = new();
 
         [BindProperty(SupportsGet = true)]
         public string DateRange { get; set; } = "7days";
@@ -41,6 +42,7 @@ namespace EcommerceStarter.Pages.Admin
                 DeviceBreakdown = await _trackingService.GetDeviceTypeBreakdownAsync(startDate, endDate);
                 BrowserBreakdown = await _trackingService.GetBrowserBreakdownAsync(startDate, endDate);
                 RecentEvents = await _trackingService.GetRecentEventsAsync(20);
+                PwaInstallCounts = await _trackingService.GetEventCountsAsync(PwaInstallEvents.Category, startDate, endDate);
             }
             catch (Exception ex)
             {
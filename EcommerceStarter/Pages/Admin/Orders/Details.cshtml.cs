@@ -1,6 +1,7 @@
 using EcommerceStarter.Data;
 using EcommerceStarter.Models;
 using EcommerceStarter.Services;
+using EcommerceStarter.Services.Push;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.RazorPages;
@@ -17,6 +18,7 @@ namespace EcommerceStarter.Pages.Admin.Orders
         private readonly IAuditLogService _auditLogService;
         private readonly ICourierService _courierService;
         private readonly IPaymentService _paymentService;
+        private readonly IWebPushService _webPushService;
 
         public DetailsModel(
             ApplicationDbContext context, 
@@ -24,7 +26,8 @@ namespace EcommerceStarter.Pages.Admin.Orders
             IEmailService emailService,
             IAuditLogService auditLogService,
             ICourierService courierService,
-            IPaymentService paymentService)
+            IPaymentService paymentService,
+            IWebPushService webPushService)
         {
             _context = context;
             _logger = logger;
@@ -32,6 +35,7 @@ namespace EcommerceStarter.Pages.Admin.Orders
             _auditLogService = auditLogService;
             _courierService = courierService;
             _paymentService = paymentService;
+            _webPushService = webPushService;
         }
 
         public Order? Order { get; set; }
@@ -159,6 +163,11 @@ namespace EcommerceStarter.Pages.Admin.Orders
                 );
 
                 SuccessMessage = $"Order status updated to {newStatus}";
+
+                if (newStatus != oldStatus)
+                {
+                    await NotifyCustomerOfStatusAsync(order, newStatus);
+                }
             }
             catch (Exception ex)
             {
@@ -430,6 +439,28 @@ namespace EcommerceStarter.Pages.Admin.Orders
             return RedirectToPage(new { id });
         }
 
+        /// <summary>
+        /// Push notification (with a link to the customer's order page) for the status
+        /// changes customers care about. Subscriptions are managed from Orders/Details.
+        /// </summary>
+        private async Task NotifyCustomerOfStatusAsync(Order order, OrderStatus newStatus)
+        {
+            var body = newStatus switch
+            {
+                OrderStatus.Shipped => string.IsNullOrEmpty(order.TrackingNumber)
+                    ? "Your order is on its way!"
+                    : $"Your order is on its way! Tracking: {order.TrackingNumber}",
+                OrderStatus.Delivered => "Your order has been delivered.",
+                OrderStatus.Cancelled => "Your order has been cancelled.",
+                _ => null
+            };
+
+            if (body != null)
+            {
+                await _webPushService.NotifyOrderStatusAsync(order, $"Order {order.OrderNumber} {newStatus}", body);
+            }
+        }
+
         private async Task SendRefundEmailAsync(Order order, decimal refundAmount, string refundReason)
         {
             // Basic refund email - could be enhanced with a dedicated email template
@@ -16,17 +16,20 @@ namespace EcommerceStarter.Pages.Admin.Products
         private readonly ApplicationDbContext _context;
         private readonly IImageUploadService _imageUploadService;
         private readonly IProductImageService _productImageService;
+        private readonly IBackInStockService _backInStockService;
         private readonly ILogger<EditModel> _logger;
 
         public EditModel(
             ApplicationDbContext context,
             IImageUploadService imageUploadService,
             IProductImageService productImageService,
+            IBackInStockService backInStockService,
             ILogger<EditModel> logger)
         {
             _context = context;
             _imageUploadService = imageUploadService;
             _productImageService = productImageService;
+            _backInStockService = backInStockService;
             _logger = logger;
         }
 
@@ -291,24 +294,27 @@ namespace EcommerceStarter.Pages.Admin.Products
         // AJAX endpoint to get variants for a product
         public async Task<IActionResult> OnGetVariantsAsync(int productId)
         {
+            // Shoppers waiting on a back-in-stock email for each variant
+            var waiting = await _backInStockService.GetPendingCountsAsync(productId);
+
             var variants = await _context.ProductVariants
                 .Where(v => v.ProductId == productId)
                 .OrderBy(v => v.DisplayOrder)
-                .Select(v => new
-                {
-                    id = v.Id,
-                    name = v.Name,
-                    sku = v.Sku,
-                    stock = v.StockQuantity,
-                    imageUrl = v.ImageUrl,
-                    priceOverride = v.PriceOverride,
-                    isAvailable = v.IsAvailable,
-                    isFeatured = v.IsFeatured,
-                    displayOrder = v.DisplayOrder
-                })
                 .ToListAsync();
 
-            return new JsonResult(variants);
+            return new JsonResult(variants.Select(v => new
+            {
+                id = v.Id,
+                name = v.Name,
+                sku = v.Sku,
+                stock = v.StockQuantity,
+                imageUrl = v.ImageUrl,
+                priceOverride = v.PriceOverride,
+                isAvailable = v.IsAvailable,
+                isFeatured = v.IsFeatured,
+                displayOrder = v.DisplayOrder,
+                waiting = waiting.GetValueOrDefault(v.Id)
+            }));
         }
 
         // AJAX endpoint to add a variant
@@ -391,6 +397,8 @@ namespace EcommerceStarter.Pages.Admin.Products
                 if (variant == null)
                     return new JsonResult(new { success = false, message = "Variant not found" });
 
+                var wasInStock = variant.IsInStock;
+
                 variant.Name = name.Trim();
                 variant.Sku = sku?.Trim();
                 variant.StockQuantity = Math.Max(0, stock);
@@ -404,7 +412,9 @@ namespace EcommerceStarter.Pages.Admin.Products
 
                 _logger.LogInformation("Variant {VariantId} updated", variantId);
 
-                return new JsonResult(new { success = true, message = "Variant updated successfully!" });
+                var notified = await NotifyIfRestockedAsync(variant, wasInStock);
+
+                return new JsonResult(new { success = true, message = "Variant updated successfully!", notified });
             }
             catch (Exception ex)
             {
@@ -413,6 +423,28 @@ namespace EcommerceStarter.Pages.Admin.Products
             }
         }
 
+        /// <summary>
+        /// Emails the shoppers waiting on a variant that has just come back in stock. A failure
+        /// here does not undo the save - BackInStockEmailService tries again later.
+        /// </summary>
+        private async Task<int> NotifyIfRestockedAsync(ProductVariant variant, bool wasInStock)
+        {
+            if (wasInStock || !variant.IsInStock)
+            {
+                return 0;
+            }
+
+            try
+            {
+                return await _backInStockService.SendDueEmailsAsync(variant.ProductId);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error sending back-in-stock emails for variant {VariantId}", variant.Id);
+                return 0;
+            }
+        }
+
         // AJAX endpoint to delete a variant
         public async Task<IActionResult> OnPostDeleteVariantAsync(int variantId)
         {
@@ -464,6 +496,8 @@ namespace EcommerceStarter.Pages.Admin.Products
                 if (variant == null)
                     return new JsonResult(new { success = false, message = "Variant not found" });
 
+                var wasInStock = variant.IsInStock;
+
                 variant.Name = name.Trim();
                 variant.Sku = sku?.Trim();
                 variant.StockQuantity = Math.Max(0, stock);
@@ -477,7 +511,9 @@ namespace EcommerceStarter.Pages.Admin.Products
 
                 _logger.LogInformation("Variant {VariantId} updated", variantId);
 
-                return new JsonResult(new { success = true, message = "Variant updated successfully!" });
+                var notified = await NotifyIfRestockedAsync(variant, wasInStock);
+
+                return new JsonResult(new { success = true, message = "Variant updated successfully!", notified });
             }
             catch (Exception ex)
             {
@@ -1,5 +1,6 @@
 using EcommerceStarter.Data;
 using EcommerceStarter.Models;
+using EcommerceStarter.Services;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.RazorPages;
@@ -12,13 +13,16 @@ namespace EcommerceStarter.Pages.Admin.Products
     public class VariantMatrixModel : PageModel
     {
         private readonly ApplicationDbContext _context;
+        private readonly IBackInStockService _backInStockService;
         private readonly ILogger<VariantMatrixModel> _logger;
 
         public VariantMatrixModel(
             ApplicationDbContext context,
+            IBackInStockService backInStockService,
             ILogger<VariantMatrixModel> logger)
         {
             _context = context;
+            _backInStockService = backInStockService;
             _logger = logger;
         }
 
@@ -76,7 +80,8 @@ namespace EcommerceStarter.Pages.Admin.Products
         }
 
         /// <summary>
-        /// Create multiple variants from matrix selections
+        /// Create multiple variants from matrix selections. A combination the product already
+        /// has gets the new stock quantity instead of a duplicate variant.
         /// </summary>
         public async Task<IActionResult> OnPostCreateVariantMatrixAsync([FromBody] CreateVariantMatrixRequest request)
         {
@@ -87,12 +92,19 @@ namespace EcommerceStarter.Pages.Admin.Products
 
                 var product = await _context.Products
                     .Include(p => p.Variants)
+                        .ThenInclude(v => v.AttributeValues)
                     .FirstOrDefaultAsync(p => p.Id == request.ProductId);
 
                 if (product == null)
                     return new JsonResult(new { success = false, message = "Product not found" });
 
+                var existingVariants = (product.Variants ?? new List<ProductVariant>())
+                    .Where(v => v.AttributeValues.Any())
+                    .GroupBy(v => CombinationKey(v.AttributeValues.Select(av => (av.VariantAttributeId.ToString(), av.Value))))
+                    .ToDictionary(g => g.Key, g => g.First());
+
                 int variantsCreated = 0;
+                int variantsUpdated = 0;
                 var maxOrder = product.Variants?.Any() == true 
                     ? product.Variants.Max(v => v.DisplayOrder) 
                     : 0;
@@ -101,6 +113,23 @@ namespace EcommerceStarter.Pages.Admin.Products
                 {
                     try
                     {
+                        var key = variantRequest.Attributes?.Count > 0
+                            ? CombinationKey(variantRequest.Attributes.Select(a => (a.AttributeId, a.Value)))
+                            : null;
+
+                        if (key != null && existingVariants.TryGetValue(key, out var existing))
+                        {
+                            existing.StockQuantity = variantRequest.Stock;
+                            existing.UpdatedAt = DateTime.UtcNow;
+                            await _context.SaveChangesAsync();
+
+                            variantsUpdated++;
+                            _logger.LogInformation(
+                                "Variant stock updated: ProductId={ProductId}, Name={VariantName}, Stock={Stock}",
+                                request.ProductId, existing.Name, existing.StockQuantity);
+                            continue;
+                        }
+
                         maxOrder++;
 
                         // Create the variant
@@ -148,11 +177,27 @@ namespace EcommerceStarter.Pages.Admin.Products
                     }
                 }
 
+                // Restocked combinations email the shoppers waiting on them
+                var notified = 0;
+                if (variantsUpdated > 0)
+                {
+                    try
+                    {
+                        notified = await _backInStockService.SendDueEmailsAsync(request.ProductId);
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Error sending back-in-stock emails for product {ProductId}", request.ProductId);
+                    }
+                }
+
                 return new JsonResult(new 
                 { 
                     success = true, 
-                    message = $"{variantsCreated} variants created successfully",
-                    variantsCreated 
+                    message = $"{variantsCreated} variants created, {variantsUpdated} updated",
+                    variantsCreated,
+                    variantsUpdated,
+                    notified
                 });
             }
             catch (Exception ex)
@@ -162,6 +207,14 @@ namespace EcommerceStarter.Pages.Admin.Products
             }
         }
 
+        // Same attribute values in any order, ignoring case
+        private static string CombinationKey(IEnumerable<(string AttributeId, string Value)> attributes)
+        {
+            return string.Join("|", attributes
+                .Select(a => $"{a.AttributeId}={a.Value.Trim().ToLowerInvariant()}")
+                .OrderBy(part => part, StringComparer.Ordinal));
+        }
+
         /// <summary>
         /// Request model for creating variant matrix
         /// </summary>
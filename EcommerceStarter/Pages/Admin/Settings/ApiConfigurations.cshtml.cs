@@ -4,6 +4,7 @@ using EcommerceStarter.Data;
 using EcommerceStarter.Models;
 using EcommerceStarter.Services;
 using EcommerceStarter.Services.AI;
+using EcommerceStarter.Services.Push;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.RazorPages;
@@ -56,12 +57,21 @@ namespace EcommerceStarter.Pages.Admin.Settings
         [BindProperty]
         public EmailConfigInput EmailInput { get; set; } = new();
 
+        [BindProperty]
+        public WebPushConfigInput WebPushInput { get; set; } = new();
+
         // Display models
         public List<ApiConfiguration> StripeConfigurations { get; set; } = new();
         public List<ApiConfiguration> CloudinaryConfigurations { get; set; } = new();
         public List<ApiConfiguration> ShippingConfigurations { get; set; } = new();
         public List<ApiConfiguration> AIConfigurations { get; set; } = new();
         public List<ApiConfiguration> EmailConfigurations { get; set; } = new();
+        public List<ApiConfiguration> WebPushConfigurations { get; set; } = new();
+
+        /// <summary>
+        /// The local push test harness (/api/push-harness) only exists in Development
+        /// </summary>
+        public bool PushHarnessAvailable => HttpContext.RequestServices.GetRequiredService<IWebHostEnvironment>().IsDevelopment();
 
         public List<ApiConfigurationAuditLog> RecentAudits { get; set; } = new();
 
@@ -90,6 +100,7 @@ namespace EcommerceStarter.Pages.Admin.Settings
                     .OrderBy(ac => ac.ApiType)
                     .ToListAsync();
                 EmailConfigurations = await _apiConfigService.GetConfigurationsByTypeAsync("Email", false);
+                WebPushConfigurations = await _apiConfigService.GetConfigurationsByTypeAsync("WebPush", false);
 
                 // Pre-populate form fields with existing configurations (decrypted values)
                 // This allows admins to edit existing configurations
@@ -98,6 +109,7 @@ namespace EcommerceStarter.Pages.Admin.Settings
                 await PrePopulateShippingFormAsync();
                 await PrePopulateAIFormAsync();
                 await PrePopulateEmailFormAsync();
+                await PrePopulateWebPushFormAsync();
 
                 // Load recent audits
                 RecentAudits = await _context.ApiConfigurationAuditLogs
@@ -183,6 +195,27 @@ namespace EcommerceStarter.Pages.Admin.Settings
             }
         }
 
+        private async Task PrePopulateWebPushFormAsync()
+        {
+            var webPushConfig = WebPushConfigurations.FirstOrDefault();
+            if (webPushConfig != null)
+            {
+                var decrypted = await _apiConfigService.GetDecryptedValuesAsync(webPushConfig.Id);
+                WebPushInput = new WebPushConfigInput
+                {
+                    PublicKey = decrypted?["Value1"],
+                    PrivateKey = decrypted?["Value2"],
+                    Subject = decrypted?["Value3"],
+                    Description = webPushConfig.Description
+                };
+            }
+            else
+            {
+                var settings = await _siteSettingsService.GetSettingsAsync();
+                WebPushInput.Subject = $"mailto:{settings.ContactEmail}";
+            }
+        }
+
         private async Task PrePopulateShippingFormAsync()
         {
             var uspsConfig = ShippingConfigurations.FirstOrDefault(c => c.ApiType == "USPS");
@@ -746,6 +779,198 @@ namespace EcommerceStarter.Pages.Admin.Settings
             }
         }
 
+        // Web Push (VAPID) configuration management
+        public async Task<IActionResult> OnPostSaveWebPushAsync()
+        {
+            ActiveTab = "webpush";
+
+            // Password inputs are never re-rendered, so a blank private key means "keep the stored one"
+            if (string.IsNullOrWhiteSpace(WebPushInput.PrivateKey))
+            {
+                var existing = await _apiConfigService.GetConfigurationAsync("WebPush", "WebPush-Main");
+                if (existing != null)
+                {
+                    var decrypted = await _apiConfigService.GetDecryptedValuesAsync(existing.Id);
+                    WebPushInput.PrivateKey = decrypted.GetValueOrDefault("Value2");
+                }
+            }
+
+            var error = ValidateVapidInput(WebPushInput.PublicKey, WebPushInput.PrivateKey, WebPushInput.Subject);
+            if (error != null)
+            {
+                ErrorMessage = error;
+                return RedirectToPage();
+            }
+
+            try
+            {
+                await SaveWebPushConfigurationAsync(WebPushInput.PublicKey!, WebPushInput.PrivateKey!, WebPushInput.Subject!, WebPushInput.Description);
+                SuccessMessage = "Web Push configuration saved successfully!";
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving Web Push configuration");
+                ErrorMessage = $"Error saving Web Push configuration: {ex.Message}";
+            }
+
+            return RedirectToPage();
+        }
+
+        // Generate a fresh VAPID key pair. Existing browser subscriptions were created against
+        // the old public key and would be rejected by push services, so they are removed.
+        public async Task<IActionResult> OnPostGenerateVapidKeysAsync()
+        {
+            ActiveTab = "webpush";
+
+            var subject = WebPushInput.Subject;
+            if (string.IsNullOrWhiteSpace(subject))
+            {
+                var settings = await _siteSettingsService.GetSettingsAsync();
+                subject = $"mailto:{settings.ContactEmail}";
+            }
+
+            try
+            {
+                var (publicKey, privateKey) = WebPushCrypto.GenerateKeyPair();
+                await SaveWebPushConfigurationAsync(publicKey, privateKey, subject, WebPushInput.Description);
+
+                var staleSubscriptions = await _context.PushSubscriptions.ToListAsync();
+                _context.PushSubscriptions.RemoveRange(staleSubscriptions);
+                await _context.SaveChangesAsync();
+
+                SuccessMessage = staleSubscriptions.Count > 0
+                    ? $"New VAPID keys generated. {staleSubscriptions.Count} existing subscription(s) were cleared; customers will be asked to re-enable notifications."
+                    : "New VAPID keys generated.";
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error generating VAPID keys");
+                ErrorMessage = $"Error generating VAPID keys: {ex.Message}";
+            }
+
+            return RedirectToPage();
+        }
+
+        // Send a test notification to the signed-in admin's own subscribed browsers
+        public async Task<IActionResult> OnPostTestWebPushAsync()
+        {
+            try
+            {
+                var webPushService = HttpContext.RequestServices.GetRequiredService<IWebPushService>();
+                var delivered = await webPushService.SendToUserAsync(User.FindFirstValue(ClaimTypes.NameIdentifier)!, new WebPushMessage
+                {
+                    Title = "Test notification",
+                    Body = "Web Push is working for this browser.",
+                    Url = "/Admin/Settings/ApiConfigurations",
+                    Tag = "webpush-test"
+                });
+
+                return new JsonResult(new
+                {
+                    success = delivered > 0,
+                    message = delivered > 0
+                        ? $"Test notification delivered to {delivered} device(s)"
+                        : "No devices received the notification. Enable notifications on an order page in this browser first."
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error sending test push notification");
+                return new JsonResult(new { success = false, message = ex.Message });
+            }
+        }
+
+        // Round trip through the local push test harness: fake subscription -> VAPID-signed,
+        // encrypted request -> harness verifies and decrypts it (Development only)
+        public async Task<IActionResult> OnPostTestWebPushHarnessAsync()
+        {
+            if (!PushHarnessAvailable)
+            {
+                return new JsonResult(new { success = false, message = "The push test harness is only available in Development." });
+            }
+
+            try
+            {
+                var harness = HttpContext.RequestServices.GetRequiredService<PushTestHarness>();
+                var webPushService = HttpContext.RequestServices.GetRequiredService<IWebPushService>();
+
+                var harnessSubscription = harness.CreateSubscription($"{Request.Scheme}://{Request.Host}{Request.PathBase}");
+                var (success, statusCode, error) = await webPushService.SendAsync(new PushSubscription
+                {
+                    Endpoint = harnessSubscription.Endpoint,
+                    P256dh = harnessSubscription.P256dh,
+                    Auth = harnessSubscription.Auth
+                }, new WebPushMessage
+                {
+                    Title = "Harness test",
+                    Body = "Delivered through the local push test harness.",
+                    Url = "/Orders/Index",
+                    Tag = "webpush-harness"
+                });
+
+                var delivery = harnessSubscription.Deliveries.LastOrDefault();
+                return new JsonResult(new
+                {
+                    success,
+                    message = success
+                        ? $"Harness accepted the push ({statusCode}) and decrypted: {delivery?.Payload}"
+                        : $"Harness rejected the push ({statusCode}): {delivery?.Error ?? error}"
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error running push test harness");
+                return new JsonResult(new { success = false, message = ex.Message });
+            }
+        }
+
+        private static string? ValidateVapidInput(string? publicKey, string? privateKey, string? subject)
+        {
+            if (string.IsNullOrWhiteSpace(publicKey) || string.IsNullOrWhiteSpace(privateKey))
+            {
+                return "Enter both VAPID keys, or use Generate Keys.";
+            }
+
+            if (string.IsNullOrWhiteSpace(subject)
+                || !(subject.StartsWith("mailto:", StringComparison.OrdinalIgnoreCase) || subject.StartsWith("https://", StringComparison.OrdinalIgnoreCase)))
+            {
+                return "The VAPID subject must be a mailto: address or an https:// URL.";
+            }
+
+            try
+            {
+                // Signing a throwaway token proves the two keys are a valid P-256 pair
+                WebPushCrypto.CreateVapidAuthorization("https://push.example.com/", subject, publicKey.Trim(), privateKey.Trim(), DateTimeOffset.UtcNow.AddHours(1));
+            }
+            catch (Exception ex) when (ex is FormatException || ex is System.Security.Cryptography.CryptographicException)
+            {
+                return "The VAPID keys are not a valid base64url P-256 key pair.";
+            }
+
+            return null;
+        }
+
+        private async Task SaveWebPushConfigurationAsync(string publicKey, string privateKey, string subject, string? description)
+        {
+            var values = new Dictionary<string, string?>
+            {
+                { "Value1", publicKey.Trim() },
+                { "Value2", privateKey.Trim() },
+                { "Value3", subject.Trim() }
+            };
+
+            await _apiConfigService.SaveConfigurationAsync(
+                "WebPush",
+                "WebPush-Main",
+                values,
+                metadata: JsonSerializer.Serialize(new { }),
+                description: description ?? "VAPID keys for order status push notifications",
+                userId: User.FindFirstValue(ClaimTypes.NameIdentifier),
+                userEmail: User.Identity?.Name,
+                ipAddress: HttpContext.Connection.RemoteIpAddress?.ToString()
+            );
+        }
+
         // Input Models
         public class StripeConfigInput
         {
@@ -785,6 +1010,14 @@ namespace EcommerceStarter.Pages.Admin.Settings
             public string? Description { get; set; }
         }
 
+        public class WebPushConfigInput
+        {
+            public string? PublicKey { get; set; }
+            public string? PrivateKey { get; set; }
+            public string? Subject { get; set; }
+            public string? Description { get; set; }
+        }
+
         public class EmailConfigInput
         {
             public string Provider { get; set; } = "None"; // None | Resend | SMTP
@@ -3,6 +3,7 @@ using EcommerceStarter.Services;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.RazorPages;
+using SixLabors.ImageSharp;
 
 namespace EcommerceStarter.Pages.Admin.Settings
 {
@@ -56,7 +57,10 @@ namespace EcommerceStarter.Pages.Admin.Settings
                     return new JsonResult(new { success = false, message = "Email address is required" });
                 }
 
-                var result = await _emailService.SendTestEmailAsync(request.Email);
+                // "Send as test" from the preview sends the previewed template where one can be sent without an order
+                var result = request.EmailType == "cart"
+                    ? await _emailService.SendCartRecoveryAsync(request.Email, SampleCartLines(), SampleRestoreLink())
+                    : await _emailService.SendTestEmailAsync(request.Email);
 
                 if (result)
                 {
@@ -115,6 +119,8 @@ namespace EcommerceStarter.Pages.Admin.Settings
                         Email = "preview@example.com" 
                     }, settings),
                     
+                    "cart" => await _emailTemplateService.GenerateCartRecovery(SampleCartLines(), SampleRestoreLink(), settings),
+                    
                     _ => await _emailTemplateService.GenerateTestEmail(settings)
                 };
 
@@ -146,6 +152,16 @@ namespace EcommerceStarter.Pages.Admin.Settings
             }
         }
 
+        // Sample abandoned cart for the cart recovery preview and test send
+        private static List<GuestCartLine> SampleCartLines() => new()
+        {
+            new GuestCartLine { Name = "Sample Product", Quantity = 1, Price = 99.99m },
+            new GuestCartLine { Name = "Another Sample Product - Large", Quantity = 2, Price = 24.50m }
+        };
+
+        // Opens the cart without restoring anything - real links carry a signed token
+        private string SampleRestoreLink() => $"{Request.Scheme}://{Request.Host}{Request.PathBase}/Cart";
+
         // AJAX endpoint for instant logo upload
         public async Task<IActionResult> OnPostUploadLogoAsync(IFormFile logoFile)
         {
@@ -292,6 +308,113 @@ namespace EcommerceStarter.Pages.Admin.Settings
             }
         }
 
+        // AJAX endpoint for the app icon the manifest icons are rendered from
+        public async Task<IActionResult> OnPostUploadAppIconAsync(IFormFile appIconFile)
+        {
+            try
+            {
+                if (appIconFile == null)
+                    return new JsonResult(new { success = false, message = "No file selected" });
+
+                var size = await IdentifyRasterImageAsync(appIconFile);
+                if (!_imageUploadService.IsValidImage(appIconFile) || size == null)
+                    return new JsonResult(new { success = false, message = "Invalid file. Use a PNG or JPG (max 5MB)" });
+
+                if (size.Value.Width < 512 || size.Value.Height < 512)
+                    return new JsonResult(new { success = false, message = $"The app icon must be at least 512x512 pixels (this one is {size.Value.Width}x{size.Value.Height})" });
+
+                var imageId = await _storedImageService.SaveLocalImageAsync(
+                    appIconFile, 
+                    "branding", 
+                    "SiteSettings:AppIcon", 
+                    User.Identity?.Name
+                );
+
+                var settings = await _siteSettingsService.GetSettingsAsync();
+                settings.AppIconImageId = imageId;
+                await _siteSettingsService.UpdateSettingsAsync(settings, User.Identity?.Name);
+
+                _logger.LogInformation("App icon uploaded to StoredImages with ID {Id}", imageId);
+
+                var message = size.Value.Width == size.Value.Height
+                    ? "App icon uploaded successfully!"
+                    : "App icon uploaded. It isn't square, so it will be padded to fit.";
+                return new JsonResult(new { success = true, message, url = $"/images/stored/{imageId}" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error uploading app icon");
+                return new JsonResult(new { success = false, message = "Upload failed. Please try again." });
+            }
+        }
+
+        // AJAX endpoint for the desktop (landscape) install dialog screenshot
+        public Task<IActionResult> OnPostUploadAppScreenshotWideAsync(IFormFile appScreenshotWideFile)
+        {
+            return UploadAppScreenshotAsync(appScreenshotWideFile, wide: true);
+        }
+
+        // AJAX endpoint for the mobile (portrait) install dialog screenshot
+        public Task<IActionResult> OnPostUploadAppScreenshotNarrowAsync(IFormFile appScreenshotNarrowFile)
+        {
+            return UploadAppScreenshotAsync(appScreenshotNarrowFile, wide: false);
+        }
+
+        private async Task<IActionResult> UploadAppScreenshotAsync(IFormFile file, bool wide)
+        {
+            try
+            {
+                if (file == null)
+                    return new JsonResult(new { success = false, message = "No file selected" });
+
+                var size = await IdentifyRasterImageAsync(file);
+                if (!_imageUploadService.IsValidImage(file) || size == null)
+                    return new JsonResult(new { success = false, message = "Invalid file. Use a PNG or JPG (max 5MB)" });
+
+                // Browsers ignore wide screenshots that are not landscape and narrow ones that are not portrait
+                if (wide ? size.Value.Width <= size.Value.Height : size.Value.Height <= size.Value.Width)
+                    return new JsonResult(new { success = false, message = wide ? "The desktop screenshot must be landscape" : "The mobile screenshot must be portrait" });
+
+                var imageId = await _storedImageService.SaveLocalImageAsync(
+                    file, 
+                    "branding", 
+                    wide ? "SiteSettings:AppScreenshotWide" : "SiteSettings:AppScreenshotNarrow", 
+                    User.Identity?.Name
+                );
+
+                var settings = await _siteSettingsService.GetSettingsAsync();
+                if (wide)
+                    settings.AppScreenshotWideImageId = imageId;
+                else
+                    settings.AppScreenshotNarrowImageId = imageId;
+                await _siteSettingsService.UpdateSettingsAsync(settings, User.Identity?.Name);
+
+                _logger.LogInformation("App screenshot ({FormFactor}) uploaded to StoredImages with ID {Id}", wide ? "wide" : "narrow", imageId);
+
+                return new JsonResult(new { success = true, message = "Screenshot uploaded successfully!", url = $"/images/stored/{imageId}" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error uploading app screenshot");
+                return new JsonResult(new { success = false, message = "Upload failed. Please try again." });
+            }
+        }
+
+        // Pixel size of a raster upload, or null for SVG and anything else ImageSharp can't read
+        private static async Task<(int Width, int Height)?> IdentifyRasterImageAsync(IFormFile file)
+        {
+            try
+            {
+                using var stream = file.OpenReadStream();
+                var info = await Image.IdentifyAsync(stream);
+                return (info.Width, info.Height);
+            }
+            catch (ImageFormatException)
+            {
+                return null;
+            }
+        }
+
         // AJAX endpoint for instant email logo upload
         public async Task<IActionResult> OnPostUploadEmailLogoAsync(IFormFile emailLogoFile)
         {
@@ -386,6 +509,9 @@ namespace EcommerceStarter.Pages.Admin.Settings
                 Settings.HeroImageId = originalSettings.HeroImageId;
                 Settings.EmailLogoUrl = originalSettings.EmailLogoUrl;
                 Settings.EmailLogoImageId = originalSettings.EmailLogoImageId;
+                Settings.AppIconImageId = originalSettings.AppIconImageId;
+                Settings.AppScreenshotWideImageId = originalSettings.AppScreenshotWideImageId;
+                Settings.AppScreenshotNarrowImageId = originalSettings.AppScreenshotNarrowImageId;
                 
                 var userEmail = User.Identity?.Name;
                 
@@ -536,11 +662,12 @@ namespace EcommerceStarter.Pages.Admin.Settings
     public class TestEmailRequest
     {
         public string? Email { get; set; }
+        public string? EmailType { get; set; } // "cart" sends the cart recovery template, anything else the test email
     }
 
     public class PreviewEmailRequest
     {
-        public string? EmailType { get; set; } // "order", "shipping", "welcome", "test"
+        public string? EmailType { get; set; } // "order", "shipping", "welcome", "cart", "test"
     }
 
     public class UpdateTimezoneRequest
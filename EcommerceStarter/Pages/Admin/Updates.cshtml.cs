@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.RazorPages;
 using System;
 using System.Collections.Generic;
@@ -6,6 +7,7 @@ using System.Linq;
 using System.Threading.Tasks;
 using EcommerceStarter.Data;
 using EcommerceStarter.Pages.Admin;
+using EcommerceStarter.Services;
 using Microsoft.EntityFrameworkCore;
 
 namespace EcommerceStarter.Pages.Admin
@@ -14,15 +16,25 @@ namespace EcommerceStarter.Pages.Admin
     public class UpdatesModel : PageModel
     {
         private readonly ApplicationDbContext _context;
+        private readonly ISiteSettingsService _siteSettingsService;
 
         public List<UpdateHistoryDto>? Updates { get; set; }
         public string? StatusFilter { get; set; }
         public DateTime? FromDate { get; set; }
         public DateTime? ToDate { get; set; }
 
-        public UpdatesModel(ApplicationDbContext context)
+        /// <summary>
+        /// Release number currently published to installed PWA clients
+        /// </summary>
+        public int ClientAppRelease { get; set; }
+
+        [TempData]
+        public string? SuccessMessage { get; set; }
+
+        public UpdatesModel(ApplicationDbContext context, ISiteSettingsService siteSettingsService)
         {
             _context = context;
+            _siteSettingsService = siteSettingsService;
         }
 
         public async Task OnGetAsync(string? statusFilter, DateTime? fromDate, DateTime? toDate)
@@ -31,6 +43,9 @@ namespace EcommerceStarter.Pages.Admin
             FromDate = fromDate;
             ToDate = toDate;
 
+            var settings = await _siteSettingsService.GetSettingsAsync();
+            ClientAppRelease = settings.ClientAppRelease;
+
             var query = _context.UpdateHistories.AsQueryable();
 
             // Apply filters
@@ -64,5 +79,28 @@ namespace EcommerceStarter.Pages.Admin
                 })
                 .ToListAsync();
         }
+
+        /// <summary>
+        /// Bumps the client app release so every installed PWA picks up a new
+        /// service worker and shows the "Reload to update" prompt
+        /// </summary>
+        public async Task<IActionResult> OnPostForceClientUpdateAsync()
+        {
+            var settings = await _context.SiteSettings.FirstOrDefaultAsync();
+            if (settings == null)
+            {
+                return RedirectToPage();
+            }
+
+            settings.ClientAppRelease++;
+            settings.LastModified = DateTime.UtcNow;
+            settings.LastModifiedBy = User.Identity?.Name;
+            await _context.SaveChangesAsync();
+
+            _siteSettingsService.ClearCache();
+
+            SuccessMessage = $"Client app release {settings.ClientAppRelease} published. Customers will be prompted to reload on their next visit.";
+            return RedirectToPage();
+        }
     }
 }
@@ -9,45 +9,85 @@ namespace EcommerceStarter.Pages.Cart
 {
     public class CartModel : PageModel
     {
+        private const int MaxQuantity = 999;
+
         private readonly ICartService _cartService;
         private readonly ApplicationDbContext _context;
+        private readonly ISiteSettingsService _siteSettingsService;
+        private readonly ICartRecoveryService _cartRecoveryService;
 
-        public CartModel(ICartService cartService, ApplicationDbContext context)
+        public CartModel(ICartService cartService, ApplicationDbContext context, ISiteSettingsService siteSettingsService, ICartRecoveryService cartRecoveryService)
         {
             _cartService = cartService;
             _context = context;
+            _siteSettingsService = siteSettingsService;
+            _cartRecoveryService = cartRecoveryService;
         }
 
         public List<CartItem> CartItems { get; set; } = new();
         public decimal Total { get; set; }
         public bool IsAuthenticated { get; set; }
 
+        /// <summary>
+        /// State rates used by Checkout/Index CalculateTax - empty when sales tax is not collected
+        /// </summary>
+        public IReadOnlyDictionary<string, decimal> TaxRatesByState { get; set; } = new Dictionary<string, decimal>();
+
+        /// <summary>
+        /// State to estimate tax for - the shipping state from an earlier checkout, if any
+        /// </summary>
+        public string? TaxState { get; set; }
+
+        public decimal EstimatedTax => TaxState != null && TaxRatesByState.ContainsKey(TaxState)
+            ? TaxRates.CalculateTax(Total, TaxState)
+            : 0m;
+
         [TempData]
         public string? SuccessMessage { get; set; }
 
+        [TempData]
+        public string? WarningMessage { get; set; }
+
         public async Task OnGetAsync()
         {
             await LoadCartAsync();
         }
 
-        public IActionResult OnPostUpdateQuantity(int productId, int quantity)
+        /// <summary>
+        /// "Return to My Cart" link in the cart recovery email (CartRecoveryService)
+        /// </summary>
+        public async Task<IActionResult> OnGetRestoreAsync(string? token)
         {
-            if (quantity <= 0)
+            var result = await _cartRecoveryService.RestoreAsync(token);
+
+            if (result.Success)
             {
-                return OnPostRemoveItem(productId);
+                SuccessMessage = "Welcome back! Your cart has been restored.";
             }
 
-            var cartItems = _cartService.GetCart();
-            var cartItem = cartItems.FirstOrDefault(c => c.ProductId == productId);
-
-            // Validate quantity doesn't exceed available stock
-            if (cartItem != null && cartItem.StockQuantity > 0 && quantity > cartItem.StockQuantity)
+            if (result.Notices.Count > 0)
             {
-                quantity = cartItem.StockQuantity;
+                WarningMessage = string.Join(" ", result.Notices);
+            }
+            else if (!result.Success)
+            {
+                WarningMessage = "This cart link has expired or was already used to place an order.";
             }
 
-            _cartService.UpdateQuantity(productId, quantity);
-            SuccessMessage = "Cart updated!";
+            return RedirectToPage();
+        }
+
+        public IActionResult OnPostUpdateQuantity(int productId, int quantity)
+        {
+            var (success, message) = UpdateCartQuantity(productId, quantity);
+            if (success)
+            {
+                SuccessMessage = message;
+            }
+            else
+            {
+                WarningMessage = message;
+            }
             return RedirectToPage();
         }
 
@@ -58,6 +98,22 @@ namespace EcommerceStarter.Pages.Cart
             return RedirectToPage();
         }
 
+        /// <summary>
+        /// JSON versions of UpdateQuantity / RemoveItem used by the offline cart queue
+        /// (cart-queue.js) when it replays changes made without a connection
+        /// </summary>
+        public IActionResult OnPostUpdateQuantityJson(int productId, int quantity)
+        {
+            var (success, message) = UpdateCartQuantity(productId, quantity);
+            return new JsonResult(new { success, message, cartCount = _cartService.GetCartItemCount() });
+        }
+
+        public IActionResult OnPostRemoveItemJson(int productId)
+        {
+            _cartService.RemoveFromCart(productId);
+            return new JsonResult(new { success = true, message = "Item removed from cart!", cartCount = _cartService.GetCartItemCount() });
+        }
+
         public IActionResult OnPostClearCart()
         {
             _cartService.ClearCart();
@@ -65,30 +121,76 @@ namespace EcommerceStarter.Pages.Cart
             return RedirectToPage();
         }
 
+        // Quantities above the stock on the cart line (or 999) are capped; an item that is no
+        // longer in the cart, or a quantity CartService refuses, is reported as not updated
+        private (bool Success, string Message) UpdateCartQuantity(int productId, int quantity)
+        {
+            if (quantity <= 0)
+            {
+                _cartService.RemoveFromCart(productId);
+                return (true, "Item removed from cart!");
+            }
+
+            var cartItem = _cartService.GetCart().FirstOrDefault(c => c.ProductId == productId);
+            if (cartItem == null)
+            {
+                return (false, "This item is no longer in your cart.");
+            }
+
+            var limit = cartItem.StockQuantity > 0 ? Math.Min(cartItem.StockQuantity, MaxQuantity) : MaxQuantity;
+            var capped = Math.Min(quantity, limit);
+
+            try
+            {
+                _cartService.UpdateQuantity(productId, capped);
+            }
+            catch (Exception ex) when (ex is ArgumentException || ex is InvalidOperationException)
+            {
+                return (false, ex.Message);
+            }
+
+            return capped < quantity
+                ? (true, $"Only {capped} can be ordered - quantity set to {capped}.")
+                : (true, "Cart updated!");
+        }
+
         private async Task LoadCartAsync()
         {
             CartItems = _cartService.GetCart();
-            
+
+            var productIds = CartItems.Select(c => c.ProductId).ToList();
+            var products = await _context.Products
+                .Include(p => p.Variants)
+                .Where(p => productIds.Contains(p.Id))
+                .ToDictionaryAsync(p => p.Id);
+
             // Refresh stock information from database for each cart item
             foreach (var item in CartItems)
             {
-                var product = await _context.Products.FindAsync(item.ProductId);
-                if (product != null)
+                if (products.TryGetValue(item.ProductId, out var product))
                 {
-                    // Update stock quantity from database
-                    item.StockQuantity = product.StockQuantity;
+                    // Update stock quantity from database - the chosen variant's stock when there is one
+                    var variant = item.VariantId.HasValue ? product.Variants.FirstOrDefault(v => v.Id == item.VariantId.Value) : null;
+                    item.StockQuantity = variant != null ? variant.StockQuantity : product.TotalAvailableStock;
                     
                     // Cap quantity if it exceeds current stock
-                    if (product.StockQuantity > 0 && item.Quantity > product.StockQuantity)
+                    if (item.StockQuantity > 0 && item.Quantity > item.StockQuantity)
                     {
-                        item.Quantity = product.StockQuantity;
-                        _cartService.UpdateQuantity(item.ProductId, item.Quantity);
+                        item.Quantity = item.StockQuantity;
+                        _cartService.UpdateQuantity(item.ProductId, item.Quantity, item.StockQuantity);
                     }
                 }
             }
             
             Total = _cartService.GetCartTotal();
             IsAuthenticated = User.Identity?.IsAuthenticated ?? false;
+
+            var settings = await _siteSettingsService.GetSettingsAsync();
+            if (settings.CollectSalesTax)
+            {
+                TaxRatesByState = TaxRates.StateRates;
+                TaxState = HttpContext.Session.GetString("CheckoutState");
+            }
         }
     }
 }
@@ -15,15 +15,18 @@ namespace EcommerceStarter.Pages.Checkout
     {
         private readonly ICartService _cartService;
         private readonly ApplicationDbContext _context;
+        private readonly ISiteSettingsService _siteSettingsService;
         private readonly ILogger<CheckoutModel> _logger;
 
         public CheckoutModel(
             ICartService cartService, 
             ApplicationDbContext context, 
+            ISiteSettingsService siteSettingsService,
             ILogger<CheckoutModel> logger)
         {
             _cartService = cartService;
             _context = context;
+            _siteSettingsService = siteSettingsService;
             _logger = logger;
         }
 
@@ -108,6 +111,26 @@ namespace EcommerceStarter.Pages.Checkout
             return Page();
         }
 
+        /// <summary>
+        /// AJAX handler for the tax estimate shown while the shipping state is typed.
+        /// The cart page estimates with the same TaxRates table (see Cart/Index).
+        /// </summary>
+        public async Task<IActionResult> OnGetCalculateTaxAsync(string? state)
+        {
+            LoadCart();
+
+            var settings = await _siteSettingsService.GetSettingsAsync();
+            var stateCode = state ?? string.Empty;
+            var taxAmount = settings.CollectSalesTax ? TaxRates.CalculateTax(Subtotal, stateCode) : 0m;
+
+            return new JsonResult(new
+            {
+                taxAmount = taxAmount.ToString("F2"),
+                taxRate = settings.CollectSalesTax ? TaxRates.GetTaxRateFormatted(stateCode) : "0%",
+                total = (Subtotal + taxAmount).ToString("F2")
+            });
+        }
+
         public async Task<IActionResult> OnPostAsync()
         {
             LoadCart();
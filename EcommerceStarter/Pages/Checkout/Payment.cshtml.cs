@@ -19,6 +19,7 @@ namespace EcommerceStarter.Pages.Checkout
         private readonly IOrderNumberService _orderNumberService;
         private readonly IEmailService _emailService;
         private readonly ISiteSettingsService _siteSettingsService;
+        private readonly ICartRecoveryService _cartRecoveryService;
 
         public PaymentModel(
             ICartService cartService,
@@ -28,7 +29,8 @@ namespace EcommerceStarter.Pages.Checkout
             IStripeConfigService stripeConfig,
             IOrderNumberService orderNumberService,
             IEmailService emailService,
-            ISiteSettingsService siteSettingsService)
+            ISiteSettingsService siteSettingsService,
+            ICartRecoveryService cartRecoveryService)
         {
             _cartService = cartService;
             _context = context;
@@ -38,6 +40,7 @@ namespace EcommerceStarter.Pages.Checkout
             _orderNumberService = orderNumberService;
             _emailService = emailService;
             _siteSettingsService = siteSettingsService;
+            _cartRecoveryService = cartRecoveryService;
         }
 
         public List<CartItem> CartItems { get; set; } = new();
@@ -394,6 +397,16 @@ namespace EcommerceStarter.Pages.Checkout
                 // Send emails based on site settings
                 await SendOrderEmailsAsync(order);
 
+                // The cart was bought, so no recovery email should go out for it
+                try
+                {
+                    await _cartRecoveryService.MarkCompletedAsync(order.CustomerEmail);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, $"Error closing abandoned carts for order {order.OrderNumber}");
+                }
+
                 // Clear cart and session data
                 _cartService.ClearCart();
                 HttpContext.Session.Remove("CheckoutFullName");
@@ -407,6 +420,9 @@ namespace EcommerceStarter.Pages.Checkout
                 HttpContext.Session.Remove("CheckoutPaymentMethod");
                 HttpContext.Session.Remove("IsGuestCheckout");
 
+                // The confirmation page tells persistent-storage.js to drop the guest cart saved on this device
+                TempData["CheckoutComplete"] = true;
+
                 // Redirect to confirmation
                 return RedirectToPage("/Orders/Confirmation", new { orderId = order.Id });
             }
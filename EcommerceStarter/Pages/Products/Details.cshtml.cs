@@ -23,6 +23,9 @@ namespace EcommerceStarter.Pages.Products
         [TempData]
         public string? SuccessMessage { get; set; }
 
+        [TempData]
+        public string? ErrorMessage { get; set; }
+
         /// <summary>
         /// Gets the product image URL, using encrypted StoredImages if ProductImageId is set,
         /// otherwise falls back to legacy ImageUrl
@@ -59,6 +62,30 @@ namespace EcommerceStarter.Pages.Products
         }
 
         public async Task<IActionResult> OnPostAddToCartAsync(int id, int quantity = 1, int variantId = 0)
+        {
+            var (success, message) = await AddProductToCartAsync(id, quantity, variantId);
+            if (success)
+            {
+                SuccessMessage = message;
+            }
+            else
+            {
+                ErrorMessage = message;
+            }
+            return RedirectToPage(new { id });
+        }
+
+        /// <summary>
+        /// JSON version of AddToCart used by the add-to-cart forms (enhancements.js) and the
+        /// offline cart queue (cart-queue.js), so an add is only reported once the server has accepted it
+        /// </summary>
+        public async Task<IActionResult> OnPostAddToCartJsonAsync(int id, int quantity = 1, int variantId = 0)
+        {
+            var (success, message) = await AddProductToCartAsync(id, quantity, variantId);
+            return new JsonResult(new { success, message, cartCount = _cartService.GetCartItemCount() });
+        }
+
+        private async Task<(bool Success, string Message)> AddProductToCartAsync(int id, int quantity, int variantId)
         {
             var product = await _context.Products
                 .Include(p => p.Variants)
@@ -66,29 +93,42 @@ namespace EcommerceStarter.Pages.Products
 
             if (product == null || !product.IsAvailable || product.IsComingSoon)
             {
-                return RedirectToPage(new { id });
+                return (false, "This product is no longer available");
             }
 
+            if (quantity <= 0)
+            {
+                return (false, "Please choose a quantity");
+            }
+
+            // The session cart keeps one line per product (see CartService.AddToCart)
+            var existing = _cartService.GetCart().FirstOrDefault(c => c.ProductId == product.Id);
+
             // If product has variants, we need to validate the selected variant
             if (product.Variants != null && product.Variants.Count > 0)
             {
                 if (variantId == 0)
                 {
                     // No variant selected
-                    SuccessMessage = "Please select a variant first";
-                    return RedirectToPage(new { id });
+                    return (false, "Please select a variant first");
                 }
 
                 var selectedVariant = product.Variants.FirstOrDefault(v => v.Id == variantId);
                 if (selectedVariant == null || !selectedVariant.IsInStock)
                 {
-                    return RedirectToPage(new { id });
+                    return (false, $"{product.Name} is out of stock in the selected option");
                 }
 
-                // Check if requested quantity exceeds available stock
-                if (quantity > selectedVariant.StockQuantity)
+                if (existing != null && existing.VariantId != variantId)
                 {
-                    quantity = selectedVariant.StockQuantity;
+                    return (false, $"Your cart already has {existing.ProductName}. Remove it from your cart to choose a different option.");
+                }
+
+                var label = $"{product.Name} ({selectedVariant.Name})";
+                var stockError = CheckStock(label, selectedVariant.StockQuantity, quantity, existing);
+                if (stockError != null)
+                {
+                    return (false, stockError);
                 }
 
                 // Use variant-specific price and information
@@ -99,34 +139,100 @@ namespace EcommerceStarter.Pages.Products
                     ProductName = $"{product.Name} - {selectedVariant.Name}",
                     Price = selectedVariant.EffectivePrice,
                     Quantity = quantity,
-                    ImageUrl = selectedVariant.ImageUrl ?? product.ImageUrl
+                    ImageUrl = selectedVariant.ImageUrl ?? product.ImageUrl,
+                    StockQuantity = selectedVariant.StockQuantity
                 };
 
                 _cartService.AddToCart(cartItem);
-                SuccessMessage = $"{product.Name} ({selectedVariant.Name}) (x{quantity}) added to cart!";
+                return (true, $"{label} (x{quantity}) added to cart!");
             }
-            else
+
+            // Legacy: product without variants
+            var legacyStockError = CheckStock(product.Name, product.TotalAvailableStock, quantity, existing);
+            if (legacyStockError != null)
             {
-                // Legacy: product without variants
-                if (quantity > product.TotalAvailableStock)
-                {
-                    quantity = product.TotalAvailableStock;
-                }
+                return (false, legacyStockError);
+            }
 
-                var cartItem = new CartItem
-                {
-                    ProductId = product.Id,
-                    ProductName = product.Name,
-                    Price = product.Price,
-                    Quantity = quantity,
-                    ImageUrl = product.ImageUrl
-                };
+            var legacyItem = new CartItem
+            {
+                ProductId = product.Id,
+                ProductName = product.Name,
+                Price = product.Price,
+                Quantity = quantity,
+                ImageUrl = product.ImageUrl,
+                StockQuantity = product.TotalAvailableStock
+            };
 
-                _cartService.AddToCart(cartItem);
-                SuccessMessage = $"{product.Name} (x{quantity}) added to cart!";
+            _cartService.AddToCart(legacyItem);
+            return (true, $"{product.Name} (x{quantity}) added to cart!");
+        }
+
+        /// <summary>
+        /// Returns a message when the quantity already in the cart plus the requested quantity
+        /// is more than the stock, otherwise null
+        /// </summary>
+        private static string? CheckStock(string label, int stock, int quantity, CartItem? existing)
+        {
+            var inCart = existing?.Quantity ?? 0;
+            var remaining = stock - inCart;
+
+            if (remaining <= 0)
+            {
+                return inCart > 0
+                    ? $"You already have all {stock} available of {label} in your cart"
+                    : $"{label} is out of stock";
             }
 
-            return RedirectToPage(new { id });
+            if (quantity > remaining)
+            {
+                return inCart > 0
+                    ? $"Only {remaining} more of {label} can be added - you already have {inCart} in your cart"
+                    : $"Only {remaining} of {label} left in stock";
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Product summary for the quick-view modal on the shop page (quick-view.js). The variant
+        /// picker in the modal loads the variants from OnGetVariantDataAsync, as this page does.
+        /// </summary>
+        public async Task<IActionResult> OnGetQuickViewAsync(int id)
+        {
+            Product = await _context.Products
+                .Include(p => p.Variants)
+                .FirstOrDefaultAsync(p => p.Id == id);
+
+            if (Product == null)
+            {
+                return new NotFoundObjectResult(new { success = false, message = "This product is no longer available." });
+            }
+
+            // The product image first, then each variant's own image
+            var images = new List<object> { new { url = GetProductImageUrl(), alt = Product.Name } };
+            images.AddRange(Product.Variants
+                .OrderBy(v => v.DisplayOrder)
+                .Where(v => !string.IsNullOrEmpty(v.ImageUrl))
+                .GroupBy(v => v.ImageUrl)
+                .Select(g => new { url = g.Key!, alt = $"{Product.Name} - {g.First().Name}" }));
+
+            return new JsonResult(new
+            {
+                success = true,
+                id = Product.Id,
+                name = Product.Name,
+                price = Product.Price,
+                summary = ProductText.Summarize(Product.Description),
+                url = Url.Page("/Products/Details", new { id = Product.Id }),
+                addToCartUrl = Url.Page("/Products/Details", "AddToCart", new { id = Product.Id }),
+                variantDataUrl = Url.Page("/Products/Details", "VariantData", new { id = Product.Id, productId = Product.Id }),
+                images,
+                hasVariants = Product.Variants.Count > 0,
+                isAvailable = Product.IsAvailable,
+                isComingSoon = Product.IsComingSoon,
+                stock = Product.TotalAvailableStock
+            });
         }
 
         /// <summary>
@@ -165,7 +271,10 @@ namespace EcommerceStarter.Pages.Products
                         name = variant.Name,
                         stock = variant.StockQuantity,
                         isAvailable = variant.IsInStock,
+                        // Sold out but still sold, so a back-in-stock email can be asked for
+                        canNotify = variant.IsAvailable && variant.StockQuantity <= 0,
                         imageUrl = variant.ImageUrl,
+                        images = variant.AdditionalImageList,
                         priceOverride = variant.PriceOverride,
                         attributes = attributes
                     };
@@ -9,6 +9,11 @@ namespace EcommerceStarter.Pages.Products
 {
     public class ProductsModel : PageModel
     {
+        /// <summary>
+        /// Products per page of the grid; further pages are loaded as the shopper scrolls (product-grid.js)
+        /// </summary>
+        public const int PageSize = 12;
+
         private readonly ICartService _cartService;
         private readonly ApplicationDbContext _context;
 
@@ -18,56 +23,217 @@ namespace EcommerceStarter.Pages.Products
             _context = context;
         }
 
+        /// <summary>
+        /// Every page up to Filter.PageNumber, so coming back to /Products?pageNumber=3 shows what was scrolled through
+        /// </summary>
         public List<Product> Products { get; private set; } = new();
+        public int TotalProducts { get; private set; }
+        public int PageNumber { get; private set; } = 1;
+        public bool HasMorePages => PageNumber * PageSize < TotalProducts;
         public string? CurrentCategory { get; private set; }
         public string? CurrentSubCategory { get; private set; }
-        
+        public string? CurrentSearch { get; private set; }
+
+        /// <summary>
+        /// Filters from the query string, as set by the sidebar (product-filters.js)
+        /// </summary>
+        public ProductFilter Filter { get; private set; } = new();
+
+        /// <summary>
+        /// Sidebar choices, taken from every product in the shop so they do not disappear as filters are applied
+        /// </summary>
+        public List<CategoryFacet> CategoryFacets { get; private set; } = new();
+        public List<AttributeFacet> AttributeFacets { get; private set; } = new();
+        public decimal PriceFloor { get; private set; }
+        public decimal PriceCeiling { get; private set; }
+
         [TempData]
         public string? SuccessMessage { get; set; }
 
-        public async Task OnGetAsync(string? category = null, string? subcategory = null)
+        public async Task OnGetAsync(ProductFilter filter)
+        {
+            var matching = await LoadAsync(filter);
+            Products = matching.Take(PageNumber * PageSize).ToList();
+        }
+
+        /// <summary>
+        /// Just the product grid, for the filter sidebar to swap in without reloading the page
+        /// </summary>
+        public async Task<IActionResult> OnGetGridAsync(ProductFilter filter)
+        {
+            var matching = await LoadAsync(filter);
+            Products = matching.Take(PageNumber * PageSize).ToList();
+            return Partial("_ProductGrid", this);
+        }
+
+        /// <summary>
+        /// One page of the grid as JSON, for product-grid.js to append as the shopper scrolls
+        /// </summary>
+        public async Task<IActionResult> OnGetPageJsonAsync(ProductFilter filter)
         {
-            CurrentCategory = category;
-            CurrentSubCategory = subcategory;
+            var matching = await LoadAsync(filter);
+            Products = matching.Skip((PageNumber - 1) * PageSize).Take(PageSize).ToList();
+
+            return new JsonResult(new
+            {
+                pageNumber = PageNumber,
+                total = TotalProducts,
+                hasMore = HasMorePages,
+                nextUrl = HasMorePages ? PageUrl(PageNumber + 1) : null,
+                products = Products.Select(p => new
+                {
+                    id = p.Id,
+                    name = p.Name,
+                    price = p.Price,
+                    imageUrl = p.ImageUrl,
+                    url = Url.Page("/Products/Details", new { id = p.Id }),
+                    category = p.Category,
+                    categoryUrl = Url.Page("/Products/Index", new { category = p.Category }),
+                    subCategory = p.SubCategory,
+                    subCategoryUrl = Url.Page("/Products/Index", new { category = p.Category, subcategory = p.SubCategory }),
+                    isAvailable = p.IsAvailable,
+                    isComingSoon = p.IsComingSoon
+                })
+            });
+        }
+
+        /// <summary>
+        /// This page with the same filters, showing the grid up to the given page
+        /// </summary>
+        public string PageUrl(int pageNumber)
+        {
+            var query = Request.Query
+                .Where(q => !string.Equals(q.Key, "handler", StringComparison.OrdinalIgnoreCase)
+                    && !string.Equals(q.Key, "pageNumber", StringComparison.OrdinalIgnoreCase))
+                .SelectMany(q => q.Value.Select(value => new KeyValuePair<string, string?>(q.Key, value)))
+                .Append(new KeyValuePair<string, string?>("pageNumber", pageNumber.ToString()));
+
+            return Url.Page("/Products/Index") + QueryString.Create(query);
+        }
+
+        /// <summary>
+        /// Applies the filters and returns every matching product in shop order; callers take the page(s) they show
+        /// </summary>
+        private async Task<List<Product>> LoadAsync(ProductFilter filter)
+        {
+            Filter = filter;
+            CurrentCategory = string.IsNullOrEmpty(filter.Category) ? null : filter.Category;
+            CurrentSubCategory = string.IsNullOrEmpty(filter.SubCategory) ? null : filter.SubCategory;
+            CurrentSearch = string.IsNullOrWhiteSpace(filter.Search) ? null : filter.Search.Trim();
 
             var query = _context.Products
                 .Include(p => p.Variants)
+                    .ThenInclude(v => v.AttributeValues)
+                        .ThenInclude(av => av.VariantAttribute)
                 .AsQueryable();
 
-            // Filter products based on variant availability
             // Products with variants: show if ANY variant is in stock
             // Products without variants: use legacy status (InStock or ComingSoon)
             var allProducts = await query.ToListAsync();
-            
-            var availableProducts = allProducts.Where(p => 
-            {
-                // Hide Out of Stock products
-                if (p.InventoryStatus == InventoryStatus.OutOfStock)
-                    return false;
+            var availableProducts = allProducts.Where(p => p.IsListed).ToList();
 
-                // If product has variants, check if any variant is in stock
-                if (p.Variants != null && p.Variants.Count > 0)
-                {
-                    return p.Variants.Any(v => v.IsInStock);
-                }
-                
-                // Otherwise, use legacy status (show InStock or ComingSoon, hide OutOfStock)
-                return p.InventoryStatus == InventoryStatus.InStock || p.InventoryStatus == InventoryStatus.ComingSoon;
-            });
+            BuildFacets(availableProducts);
 
             var productsForCategory = availableProducts.AsQueryable();
 
-            if (!string.IsNullOrEmpty(category))
+            if (CurrentCategory != null)
+            {
+                productsForCategory = productsForCategory.Where(p => p.Category.ToLower() == CurrentCategory.ToLower());
+            }
+
+            if (CurrentSubCategory != null)
+            {
+                productsForCategory = productsForCategory.Where(p => p.SubCategory.ToLower() == CurrentSubCategory.ToLower());
+            }
+
+            // Same fields as the search-as-you-type API (ProductsController.Search)
+            if (CurrentSearch != null)
+            {
+                productsForCategory = productsForCategory.Where(p => ProductSearch.Matches(p, CurrentSearch));
+            }
+
+            var attributes = filter.SelectedAttributes();
+            if (filter.InStock || filter.MinPrice.HasValue || filter.MaxPrice.HasValue || attributes.Count > 0)
             {
-                productsForCategory = productsForCategory.Where(p => p.Category.ToLower() == category.ToLower());
+                productsForCategory = productsForCategory.Where(p => MatchesVariantFilters(p, filter, attributes));
             }
 
-            if (!string.IsNullOrEmpty(subcategory))
+            var matching = productsForCategory.OrderBy(p => p.Category).ThenBy(p => p.Name).ToList();
+
+            TotalProducts = matching.Count;
+            var lastPage = Math.Max(1, (TotalProducts + PageSize - 1) / PageSize);
+            PageNumber = Math.Clamp(filter.PageNumber, 1, lastPage);
+
+            return matching;
+        }
+
+        /// <summary>
+        /// Price, stock and attribute filters have to be met by one purchasable option: a single
+        /// variant (Red and Medium means a red medium), or the product itself when it has no variants
+        /// </summary>
+        private static bool MatchesVariantFilters(Product product, ProductFilter filter, Dictionary<string, HashSet<string>> attributes)
+        {
+            bool PriceMatches(decimal price) =>
+                (!filter.MinPrice.HasValue || price >= filter.MinPrice.Value) &&
+                (!filter.MaxPrice.HasValue || price <= filter.MaxPrice.Value);
+
+            if (product.Variants.Count == 0)
             {
-                productsForCategory = productsForCategory.Where(p => p.SubCategory.ToLower() == subcategory.ToLower());
+                // Attributes only exist on variants
+                return attributes.Count == 0
+                    && (!filter.InStock || (product.IsAvailable && product.TotalAvailableStock > 0))
+                    && PriceMatches(product.Price);
             }
 
-            Products = productsForCategory.OrderBy(p => p.Category).ThenBy(p => p.Name).ToList();
+            return product.Variants.Any(variant =>
+                (!filter.InStock || variant.IsInStock) &&
+                PriceMatches(variant.EffectivePrice) &&
+                attributes.All(selected => variant.AttributeValues.Any(av =>
+                    av.VariantAttribute != null &&
+                    string.Equals(av.VariantAttribute.Name, selected.Key, StringComparison.OrdinalIgnoreCase) &&
+                    selected.Value.Contains(av.Value))));
+        }
+
+        private void BuildFacets(List<Product> products)
+        {
+            CategoryFacets = products
+                .Where(p => !string.IsNullOrEmpty(p.Category))
+                .GroupBy(p => p.Category, StringComparer.OrdinalIgnoreCase)
+                .OrderBy(g => g.Key)
+                .Select(g => new CategoryFacet
+                {
+                    Name = g.First().Category,
+                    Count = g.Count(),
+                    SubCategories = g
+                        .Where(p => !string.IsNullOrEmpty(p.SubCategory))
+                        .GroupBy(p => p.SubCategory, StringComparer.OrdinalIgnoreCase)
+                        .OrderBy(s => s.Key)
+                        .Select(s => new CategoryFacet { Name = s.First().SubCategory, Count = s.Count() })
+                        .ToList()
+                })
+                .ToList();
+
+            // The same attributes (Color, Size, ...) the variant picker on Products/Details offers
+            AttributeFacets = products
+                .SelectMany(p => p.Variants)
+                .SelectMany(v => v.AttributeValues)
+                .Where(av => av.VariantAttribute != null && !string.IsNullOrWhiteSpace(av.Value))
+                .GroupBy(av => av.VariantAttribute!.Name, StringComparer.OrdinalIgnoreCase)
+                .OrderBy(g => g.Min(av => av.VariantAttribute!.DisplayOrder))
+                .ThenBy(g => g.Key)
+                .Select(g => new AttributeFacet
+                {
+                    Name = g.First().VariantAttribute!.Name,
+                    Values = g.Select(av => av.Value).Distinct(StringComparer.OrdinalIgnoreCase).OrderBy(v => v).ToList()
+                })
+                .ToList();
+
+            var prices = products
+                .SelectMany(p => p.Variants.Count > 0 ? p.Variants.Select(v => v.EffectivePrice) : new[] { p.Price })
+                .ToList();
+
+            PriceFloor = prices.Count > 0 ? Math.Floor(prices.Min()) : 0m;
+            PriceCeiling = prices.Count > 0 ? Math.Ceiling(prices.Max()) : 0m;
         }
 
         public async Task<IActionResult> OnPostAddToCartAsync(int productId, int quantity = 1)
@@ -102,4 +268,67 @@ namespace EcommerceStarter.Pages.Products
             return RedirectToPage(new { category = CurrentCategory, subcategory = CurrentSubCategory });
         }
     }
+
+    /// <summary>
+    /// Shop filters as they appear in the query string, e.g.
+    /// /Products?category=Hats&amp;minPrice=10&amp;attr=Color:Red&amp;attr=Size:M&amp;inStock=true
+    /// </summary>
+    public class ProductFilter
+    {
+        public string? Category { get; set; }
+        public string? SubCategory { get; set; }
+        public string? Search { get; set; }
+        public decimal? MinPrice { get; set; }
+        public decimal? MaxPrice { get; set; }
+
+        /// <summary>
+        /// Only products that can be bought now (not Coming Soon, and in stock)
+        /// </summary>
+        public bool InStock { get; set; }
+
+        /// <summary>
+        /// "Name:Value" pairs. Values of the same attribute are alternatives; different attributes must all match.
+        /// </summary>
+        public List<string> Attr { get; set; } = new();
+
+        /// <summary>
+        /// Pages of the grid loaded so far. Not "page", which Razor Pages keeps for the page's own route value.
+        /// </summary>
+        public int PageNumber { get; set; } = 1;
+
+        public Dictionary<string, HashSet<string>> SelectedAttributes()
+        {
+            var selected = new Dictionary<string, HashSet<string>>(StringComparer.OrdinalIgnoreCase);
+            foreach (var pair in Attr)
+            {
+                var separator = pair.IndexOf(':');
+                if (separator <= 0 || separator == pair.Length - 1) continue;
+
+                var name = pair[..separator].Trim();
+                if (!selected.TryGetValue(name, out var values))
+                {
+                    values = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+                    selected[name] = values;
+                }
+                values.Add(pair[(separator + 1)..].Trim());
+            }
+            return selected;
+        }
+
+        public bool IsSelected(string attribute, string value) =>
+            SelectedAttributes().TryGetValue(attribute, out var values) && values.Contains(value);
+    }
+
+    public class CategoryFacet
+    {
+        public string Name { get; set; } = string.Empty;
+        public int Count { get; set; }
+        public List<CategoryFacet> SubCategories { get; set; } = new();
+    }
+
+    public class AttributeFacet
+    {
+        public string Name { get; set; } = string.Empty;
+        public List<string> Values { get; set; } = new();
+    }
 }
@@ -0,0 +1,15 @@
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace EcommerceStarter.Pages.Wishlist
+{
+    /// <summary>
+    /// The list itself is rendered by wishlist.js - guests keep their wishlist in localStorage,
+    /// signed-in customers load theirs from /api/wishlist
+    /// </summary>
+    public class WishlistModel : PageModel
+    {
+        public void OnGet()
+        {
+        }
+    }
+}
@@ -268,6 +268,9 @@ builder.Services.AddHttpClient();
 // Configure Stripe Settings
 builder.Services.Configure<StripeSettings>(builder.Configuration.GetSection("Stripe"));
 
+// Public address of the store, for links in emails sent by the background jobs
+builder.Services.Configure<StoreSettings>(builder.Configuration.GetSection("Store"));
+
 // Configure Cloudinary Settings
 builder.Services.Configure<CloudinaryOptions>(builder.Configuration.GetSection("Cloudinary"));
 builder.Services.AddScoped<ICloudinaryService, CloudinaryService>();
@@ -278,6 +281,12 @@ builder.Services.AddScoped<IProductImageService, ProductImageService>();
 // Register Cart Service
 builder.Services.AddHttpContextAccessor();
 builder.Services.AddScoped<ICartService, CartService>();
+builder.Services.AddScoped<IWishlistService, WishlistService>();
+builder.Services.AddScoped<ISavedForLaterService, SavedForLaterService>();
+builder.Services.AddScoped<IGuestDataSyncService, GuestDataSyncService>();
+builder.Services.AddScoped<ICartRecoveryService, CartRecoveryService>();
+builder.Services.AddScoped<IBackInStockService, BackInStockService>();
+builder.Services.AddScoped<IRecentlyViewedService, RecentlyViewedService>();
 
 // Register Encryption Service (for secure key storage)
 builder.Services.AddSingleton<IEncryptionService, EncryptionService>();
@@ -344,6 +353,7 @@ builder.Services.AddScoped<EcommerceStarter.Services.ApiManagers.UpsApiManager>(
 builder.Services.AddScoped<EcommerceStarter.Services.ApiManagers.FedExApiManager>();
 builder.Services.AddScoped<EcommerceStarter.Services.ApiManagers.AiServicesApiManager>();
 builder.Services.AddScoped<EcommerceStarter.Services.ApiManagers.CloudflareApiManager>();
+builder.Services.AddScoped<EcommerceStarter.Services.ApiManagers.WebPushApiManager>();
 
 // Register Analytics Services
 builder.Services.AddHttpClient<ICloudflareAnalyticsService, CloudflareAnalyticsService>();
@@ -361,6 +371,13 @@ var setupAIBackends = (IServiceProvider provider) =>
 };
 builder.Services.AddSingleton(setupAIBackends);
 
+// Register Web Push Services (order status notifications)
+builder.Services.AddScoped<EcommerceStarter.Services.Push.IWebPushService, EcommerceStarter.Services.Push.WebPushService>();
+builder.Services.AddSingleton<EcommerceStarter.Services.Push.PushTestHarness>();
+
+// Register Web App Manifest (generated from Branding settings)
+builder.Services.AddScoped<EcommerceStarter.Services.Pwa.IWebAppManifestService, EcommerceStarter.Services.Pwa.WebAppManifestService>();
+
 // Register Tracking Services
 builder.Services.AddScoped<ITrackingStatusService, TrackingStatusService>();
 
@@ -376,6 +393,15 @@ builder.Services.AddSingleton<IQueuedEventService, QueuedEventService>();
 // Register Update History Recorder Service (records completed upgrades on startup)
 builder.Services.AddHostedService<UpdateHistoryRecorderService>();
 
+// Register Cart Recovery Email Service (emails shoppers who left checkout without ordering)
+builder.Services.AddHostedService<CartRecoveryEmailService>();
+
+// Register Back-In-Stock Email Service (emails shoppers waiting on a variant that is in stock again)
+builder.Services.AddHostedService<BackInStockEmailService>();
+
+// Register Tracking Refresh Service (pushes carrier updates on shipped orders to customers)
+builder.Services.AddHostedService<TrackingRefreshService>();
+
 // Register Carrier Tracking Providers
 builder.Services.AddScoped<ICarrierTrackingProvider, UspsTrackingProvider>();
 // UPS and FedEx providers will be added later
@@ -56,6 +56,11 @@ namespace EcommerceStarter.Services.Analytics
         /// Get recent events
         /// </summary>
         Task<List<VisitorEvent>> GetRecentEventsAsync(int count = 50);
+        
+        /// <summary>
+        /// Get event counts by action for one event category
+        /// </summary>
+        Task<Dictionary<string, int>> GetEventCountsAsync(string category, DateTime startDate, DateTime endDate);
     }
     
     /// <summary>
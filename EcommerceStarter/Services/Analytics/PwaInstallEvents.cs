@@ -0,0 +1,26 @@
+namespace EcommerceStarter.Services.Analytics
+{
+    /// <summary>
+    /// Visitor event names for the PWA install banner (reported by pwa.js through /api/pwa/install-events)
+    /// </summary>
+    public static class PwaInstallEvents
+    {
+        public const string Category = "PWA Install";
+
+        public const string BannerShown = "Banner Shown";
+        public const string Dismissed = "Dismissed";
+        public const string Accepted = "Accepted";
+        public const string Installed = "Installed";
+
+        /// <summary>
+        /// Maps the event names pwa.js sends to the stored action names
+        /// </summary>
+        public static readonly IReadOnlyDictionary<string, string> ClientEvents = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+        {
+            ["shown"] = BannerShown,
+            ["dismissed"] = Dismissed,
+            ["accepted"] = Accepted,
+            ["installed"] = Installed
+        };
+    }
+}
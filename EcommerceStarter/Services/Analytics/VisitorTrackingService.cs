@@ -435,6 +435,26 @@ namespace EcommerceStarter.Services.Analytics
             }
         }
 
+        /// <summary>
+        /// Get event counts by action for one event category
+        /// </summary>
+        public async Task<Dictionary<string, int>> GetEventCountsAsync(string category, DateTime startDate, DateTime endDate)
+        {
+            try
+            {
+                return await _context.VisitorEvents
+                    .Where(e => e.Category == category && e.Timestamp >= startDate && e.Timestamp <= endDate)
+                    .GroupBy(e => e.Action)
+                    .Select(g => new { Action = g.Key, Count = g.Count() })
+                    .ToDictionaryAsync(x => x.Action, x => x.Count);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting event counts for {Category}", category);
+                return new Dictionary<string, int>();
+            }
+        }
+
         public async Task<List<VisitorSession>> GetRecentSessionsAsync(int count = 50)
         {
             try
@@ -89,4 +89,21 @@ namespace EcommerceStarter.Services.ApiManagers
             return (token, zoneId);
         }
     }
+
+    public class WebPushApiManager
+    {
+        private readonly IApiConfigurationService _configs;
+        public WebPushApiManager(IApiConfigurationService configs) { _configs = configs; }
+        public async Task<(string? PublicKey, string? PrivateKey, string? Subject)> GetVapidKeysAsync()
+        {
+            var list = await _configs.GetConfigurationsByTypeAsync("WebPush");
+            var cfg = list.FirstOrDefault();
+            if (cfg == null) return (null, null, null);
+            var values = await _configs.GetDecryptedValuesAsync(cfg.Id);
+            values.TryGetValue("Value1", out var publicKey);
+            values.TryGetValue("Value2", out var privateKey);
+            values.TryGetValue("Value3", out var subject);
+            return (publicKey, privateKey, subject);
+        }
+    }
 }
@@ -68,6 +68,18 @@ namespace EcommerceStarter.Services
             return result;
         }
 
+        public async Task<bool> SendCartRecoveryAsync(string email, IEnumerable<GuestCartLine> lines, string restoreLink)
+        {
+            // Cart recovery emails often go to guests, who have no customer audit log
+            return await _innerService.SendCartRecoveryAsync(email, lines, restoreLink);
+        }
+
+        public async Task<bool> SendBackInStockAsync(string email, string productName, string? imageUrl, decimal price, string productUrl)
+        {
+            // Back-in-stock requests are often made by guests, who have no customer audit log
+            return await _innerService.SendBackInStockAsync(email, productName, imageUrl, price, productUrl);
+        }
+
         public async Task<bool> SendEmailVerificationAsync(ApplicationUser user, string verificationLink)
         {
             var result = await _innerService.SendEmailVerificationAsync(user, verificationLink);
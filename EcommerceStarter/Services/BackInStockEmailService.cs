@@ -0,0 +1,44 @@
+namespace EcommerceStarter.Services
+{
+    /// <summary>
+    /// Background job that sends the back-in-stock emails (BackInStockService.SendDueEmailsAsync)
+    /// the admin pages leave over: more requests than one run sends, emails that failed (once their
+    /// back-off is over), and variants whose stock came back some other way.
+    /// </summary>
+    public class BackInStockEmailService : BackgroundService
+    {
+        private static readonly TimeSpan Interval = TimeSpan.FromMinutes(10);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<BackInStockEmailService> _logger;
+
+        public BackInStockEmailService(IServiceScopeFactory scopeFactory, ILogger<BackInStockEmailService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            using var timer = new PeriodicTimer(Interval);
+
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var backInStock = scope.ServiceProvider.GetRequiredService<IBackInStockService>();
+                    await backInStock.SendDueEmailsAsync(cancellationToken: stoppingToken);
+                }
+                catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "[BackInStock] Error sending back-in-stock emails");
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,189 @@
+using EcommerceStarter.Configuration;
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+
+namespace EcommerceStarter.Services
+{
+    public interface IBackInStockService
+    {
+        /// <summary>
+        /// Ask to be emailed when an out-of-stock variant is back. Asking again with the same
+        /// email keeps the one request.
+        /// </summary>
+        Task<BackInStockSignupResult> SubscribeAsync(int variantId, string email, string? userId);
+
+        /// <summary>
+        /// Email everyone waiting on a variant that is in stock again - of one product after its
+        /// stock was raised in the admin, or of every product. Requests whose email failed wait
+        /// out their back-off first. Returns the number of emails sent.
+        /// </summary>
+        Task<int> SendDueEmailsAsync(int? productId = null, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Number of unsent requests for each variant of a product, keyed by variant id
+        /// </summary>
+        Task<Dictionary<int, int>> GetPendingCountsAsync(int productId);
+    }
+
+    public enum BackInStockSignupResult
+    {
+        Subscribed,
+        AlreadySubscribed,
+
+        /// <summary>
+        /// The variant can be bought right now, so there is nothing to wait for
+        /// </summary>
+        InStock,
+
+        /// <summary>
+        /// The variant was deleted or switched off in the admin
+        /// </summary>
+        NotAvailable
+    }
+
+    /// <summary>
+    /// "Notify me" for out-of-stock variants on Products/Details (BackInStockController). The
+    /// emails go out when an admin raises a variant's stock (Admin/Products/Edit and VariantMatrix),
+    /// and BackInStockEmailService picks up whatever is left over.
+    /// </summary>
+    public class BackInStockService : IBackInStockService
+    {
+        private const int MaxEmailsPerRun = 50;
+
+        /// <summary>
+        /// Failed sends before a request is given up on
+        /// </summary>
+        public const int MaxAttempts = 5;
+
+        private static readonly TimeSpan FirstRetryDelay = TimeSpan.FromMinutes(30);
+
+        private readonly ApplicationDbContext _context;
+        private readonly IEmailService _emailService;
+        private readonly StoreSettings _storeSettings;
+        private readonly ILogger<BackInStockService> _logger;
+
+        public BackInStockService(ApplicationDbContext context, IEmailService emailService, IOptions<StoreSettings> storeSettings, ILogger<BackInStockService> logger)
+        {
+            _context = context;
+            _emailService = emailService;
+            _storeSettings = storeSettings.Value;
+            _logger = logger;
+        }
+
+        public async Task<BackInStockSignupResult> SubscribeAsync(int variantId, string email, string? userId)
+        {
+            var variant = await _context.ProductVariants.FirstOrDefaultAsync(v => v.Id == variantId);
+            if (variant == null || !variant.IsAvailable)
+            {
+                return BackInStockSignupResult.NotAvailable;
+            }
+
+            if (variant.IsInStock)
+            {
+                return BackInStockSignupResult.InStock;
+            }
+
+            var normalized = email.Trim();
+            var waiting = await _context.BackInStockRequests
+                .AnyAsync(r => r.ProductVariantId == variantId && r.NotifiedAt == null && r.Email == normalized);
+
+            if (waiting)
+            {
+                return BackInStockSignupResult.AlreadySubscribed;
+            }
+
+            _context.BackInStockRequests.Add(new BackInStockRequest
+            {
+                ProductVariantId = variantId,
+                Email = normalized,
+                UserId = userId,
+                CreatedAt = DateTime.UtcNow
+            });
+            await _context.SaveChangesAsync();
+
+            _logger.LogInformation("Back-in-stock request added for variant {VariantId}", variantId);
+            return BackInStockSignupResult.Subscribed;
+        }
+
+        public async Task<int> SendDueEmailsAsync(int? productId = null, CancellationToken cancellationToken = default)
+        {
+            if (!_storeSettings.HasPublicUrl)
+            {
+                _logger.LogWarning("Back-in-stock emails are waiting: Store:PublicUrl is not set, so the product link cannot be built");
+                return 0;
+            }
+
+            var now = DateTime.UtcNow;
+
+            // Requests that keep failing sit out their back-off, so they don't hold up the rest of the batch
+            var query = _context.BackInStockRequests
+                .Include(r => r.ProductVariant)
+                    .ThenInclude(v => v!.Product)
+                .Where(r => r.NotifiedAt == null && r.ProductVariant!.StockQuantity > 0 && r.ProductVariant.IsAvailable)
+                .Where(r => r.FailedAttempts < MaxAttempts && (r.NextAttemptAt == null || r.NextAttemptAt <= now));
+
+            if (productId.HasValue)
+            {
+                query = query.Where(r => r.ProductVariant!.ProductId == productId.Value);
+            }
+
+            var due = await query
+                .OrderBy(r => r.CreatedAt)
+                .Take(MaxEmailsPerRun)
+                .ToListAsync(cancellationToken);
+
+            var sent = 0;
+            foreach (var request in due)
+            {
+                var variant = request.ProductVariant!;
+                var product = variant.Product!;
+
+                // Straight to the variant (?variant= is picked up by the variant picker)
+                var productUrl = _storeSettings.AbsoluteUrl($"/Products/Details/{product.Id}?variant={variant.Id}")!;
+
+                var emailed = await _emailService.SendBackInStockAsync(
+                    request.Email,
+                    $"{product.Name} ({variant.Name})",
+                    _storeSettings.AbsoluteUrl(variant.ImageUrl ?? product.ImageUrl),
+                    variant.EffectivePrice,
+                    productUrl);
+
+                if (emailed)
+                {
+                    request.NotifiedAt = DateTime.UtcNow;
+                    sent++;
+                }
+                else
+                {
+                    // Tried again after 30 minutes, then 1, 2 and 4 hours
+                    request.FailedAttempts++;
+                    request.NextAttemptAt = DateTime.UtcNow + FirstRetryDelay * Math.Pow(2, request.FailedAttempts - 1);
+
+                    if (request.FailedAttempts >= MaxAttempts)
+                    {
+                        _logger.LogWarning("Gave up on back-in-stock request {RequestId} after {Attempts} failed emails", request.Id, request.FailedAttempts);
+                    }
+                }
+
+                await _context.SaveChangesAsync(cancellationToken);
+            }
+
+            if (sent > 0)
+            {
+                _logger.LogInformation("Sent {Count} back-in-stock emails", sent);
+            }
+            return sent;
+        }
+
+        public async Task<Dictionary<int, int>> GetPendingCountsAsync(int productId)
+        {
+            return await _context.BackInStockRequests
+                .Where(r => r.NotifiedAt == null && r.ProductVariant!.ProductId == productId)
+                .GroupBy(r => r.ProductVariantId)
+                .Select(g => new { VariantId = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(g => g.VariantId, g => g.Count);
+        }
+    }
+}
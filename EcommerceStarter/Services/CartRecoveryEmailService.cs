@@ -0,0 +1,49 @@
+namespace EcommerceStarter.Services
+{
+    /// <summary>
+    /// Background job that sends the cart recovery email (CartRecoveryService.SendDueEmailsAsync)
+    /// every few minutes. Nothing is sent unless "Send Cart Recovery Emails" is turned on in Branding
+    /// and Store:PublicUrl is configured.
+    /// </summary>
+    public class CartRecoveryEmailService : BackgroundService
+    {
+        private static readonly TimeSpan Interval = TimeSpan.FromMinutes(10);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<CartRecoveryEmailService> _logger;
+
+        public CartRecoveryEmailService(IServiceScopeFactory scopeFactory, ILogger<CartRecoveryEmailService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            using var timer = new PeriodicTimer(Interval);
+
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var recovery = scope.ServiceProvider.GetRequiredService<ICartRecoveryService>();
+                    var sent = await recovery.SendDueEmailsAsync(stoppingToken);
+
+                    if (sent > 0)
+                    {
+                        _logger.LogInformation("[CartRecovery] Sent {Count} cart recovery emails", sent);
+                    }
+                }
+                catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "[CartRecovery] Error sending cart recovery emails");
+                }
+            }
+        }
+    }
+}
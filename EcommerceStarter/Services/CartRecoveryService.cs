@@ -0,0 +1,305 @@
+using System.Text.Json;
+using EcommerceStarter.Configuration;
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+
+namespace EcommerceStarter.Services
+{
+    public interface ICartRecoveryService
+    {
+        /// <summary>
+        /// Snapshot the session cart for the email the shopper entered at checkout. Called again
+        /// as the cart or email changes; the same session keeps updating one record. Returns false
+        /// when nothing was queued (empty cart, or the address already has enough carts queued).
+        /// </summary>
+        Task<bool> CaptureAsync(string email, string? userId);
+
+        /// <summary>
+        /// The shopper placed an order, so their open carts are not emailed about
+        /// </summary>
+        Task MarkCompletedAsync(string email);
+
+        /// <summary>
+        /// Send the recovery email for carts left longer than the configured delay.
+        /// Returns the number of emails sent.
+        /// </summary>
+        Task<int> SendDueEmailsAsync(CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Put the cart from a recovery email link back into the session cart
+        /// </summary>
+        Task<CartRecoveryRestoreResult> RestoreAsync(string? token);
+    }
+
+    /// <summary>
+    /// Cart abandonment recovery. cart-recovery.js captures the checkout email and the cart once
+    /// cookies are accepted; CartRecoveryEmailService later sends the email, whose link is
+    /// handled by Cart/Index (OnGetRestoreAsync).
+    /// </summary>
+    public class CartRecoveryService : ICartRecoveryService
+    {
+        private const string SessionKey = "CartRecoveryId";
+        private const int MaxEmailsPerRun = 50;
+
+        /// <summary>
+        /// Capture is anonymous, so one address can only be given this many new carts a day,
+        /// however many sessions type it in
+        /// </summary>
+        private const int MaxCartsPerEmailPerDay = 3;
+
+        /// <summary>
+        /// Carts older than this are not emailed, and restore links stop working
+        /// </summary>
+        public static readonly TimeSpan CartLifetime = TimeSpan.FromDays(7);
+
+        private readonly ApplicationDbContext _context;
+        private readonly ICartService _cartService;
+        private readonly IGuestDataSyncService _guestDataSyncService;
+        private readonly IEmailService _emailService;
+        private readonly ISiteSettingsService _siteSettingsService;
+        private readonly IHttpContextAccessor _httpContextAccessor;
+        private readonly StoreSettings _storeSettings;
+        private readonly ITimeLimitedDataProtector _protector;
+        private readonly ILogger<CartRecoveryService> _logger;
+
+        public CartRecoveryService(
+            ApplicationDbContext context,
+            ICartService cartService,
+            IGuestDataSyncService guestDataSyncService,
+            IEmailService emailService,
+            ISiteSettingsService siteSettingsService,
+            IHttpContextAccessor httpContextAccessor,
+            IOptions<StoreSettings> storeSettings,
+            IDataProtectionProvider dataProtectionProvider,
+            ILogger<CartRecoveryService> logger)
+        {
+            _context = context;
+            _cartService = cartService;
+            _guestDataSyncService = guestDataSyncService;
+            _emailService = emailService;
+            _siteSettingsService = siteSettingsService;
+            _httpContextAccessor = httpContextAccessor;
+            _storeSettings = storeSettings.Value;
+            _protector = dataProtectionProvider.CreateProtector("CartRecovery.Restore").ToTimeLimitedDataProtector();
+            _logger = logger;
+        }
+
+        public async Task<bool> CaptureAsync(string email, string? userId)
+        {
+            var cart = _cartService.GetCart();
+            if (cart.Count == 0)
+            {
+                return false;
+            }
+
+            var session = _httpContextAccessor.HttpContext?.Session;
+            var recoveryId = session?.GetInt32(SessionKey);
+            var now = DateTime.UtcNow;
+            var normalized = email.Trim();
+
+            var record = recoveryId.HasValue
+                ? await _context.AbandonedCarts.FirstOrDefaultAsync(a => a.Id == recoveryId.Value && a.CompletedAt == null && a.EmailSentAt == null)
+                : null;
+
+            // The session's own cart keeps updating; a new cart (or a new address on it) counts
+            // towards the address's daily limit
+            if (record == null || record.Email != normalized)
+            {
+                var since = now.AddDays(-1);
+                var ownId = record?.Id ?? 0;
+                var recentCarts = await _context.AbandonedCarts
+                    .CountAsync(a => a.Email == normalized && a.CreatedAt > since && a.Id != ownId);
+
+                if (recentCarts >= MaxCartsPerEmailPerDay)
+                {
+                    _logger.LogWarning("Cart recovery capture skipped: {Count} carts already queued today for one address", recentCarts);
+                    return false;
+                }
+            }
+
+            if (record == null)
+            {
+                record = new AbandonedCart { CreatedAt = now };
+                _context.AbandonedCarts.Add(record);
+            }
+
+            record.Email = normalized;
+            record.UserId = userId;
+            record.CartJson = JsonSerializer.Serialize(cart.Select(item => GuestCartLine.FromCartItem(item)).ToList());
+            record.ItemCount = _cartService.GetCartItemCount();
+            record.Subtotal = _cartService.GetCartTotal();
+            record.UpdatedAt = now;
+
+            await _context.SaveChangesAsync();
+            session?.SetInt32(SessionKey, record.Id);
+
+            return true;
+        }
+
+        public async Task MarkCompletedAsync(string email)
+        {
+            var session = _httpContextAccessor.HttpContext?.Session;
+            var recoveryId = session?.GetInt32(SessionKey);
+            var normalized = email?.Trim() ?? string.Empty;
+
+            // The session's own record is closed too, in case a different email was used to order
+            var open = await _context.AbandonedCarts
+                .Where(a => a.CompletedAt == null && (a.Email == normalized || a.Id == recoveryId))
+                .ToListAsync();
+
+            var now = DateTime.UtcNow;
+            foreach (var cart in open)
+            {
+                cart.CompletedAt = now;
+            }
+
+            if (open.Count > 0)
+            {
+                await _context.SaveChangesAsync();
+            }
+
+            session?.Remove(SessionKey);
+        }
+
+        public async Task<int> SendDueEmailsAsync(CancellationToken cancellationToken = default)
+        {
+            var settings = await _siteSettingsService.GetSettingsAsync();
+            if (!settings.EnableEmailNotifications || !settings.SendCartRecoveryEmails || !await _emailService.IsConfiguredAsync())
+            {
+                return 0;
+            }
+
+            if (!_storeSettings.HasPublicUrl)
+            {
+                _logger.LogWarning("Cart recovery emails are on, but Store:PublicUrl is not set, so the restore link cannot be built");
+                return 0;
+            }
+
+            var now = DateTime.UtcNow;
+            var dueBefore = now.AddHours(-settings.CartRecoveryDelayHours);
+            var oldest = now - CartLifetime;
+
+            var due = await _context.AbandonedCarts
+                .Where(a => a.EmailSentAt == null && a.CompletedAt == null && a.UpdatedAt <= dueBefore && a.UpdatedAt > oldest)
+                .OrderBy(a => a.UpdatedAt)
+                .Take(MaxEmailsPerRun)
+                .ToListAsync(cancellationToken);
+
+            var sent = 0;
+            foreach (var cart in due)
+            {
+                // One recovery email per address within the cart lifetime, however many carts were left
+                var alreadyEmailed = await _context.AbandonedCarts
+                    .AnyAsync(a => a.Email == cart.Email && a.EmailSentAt > oldest, cancellationToken);
+
+                if (alreadyEmailed)
+                {
+                    cart.CompletedAt = now;
+                    continue;
+                }
+
+                var lines = ReadLines(cart).Select(line =>
+                {
+                    line.ImageUrl = _storeSettings.AbsoluteUrl(line.ImageUrl);
+                    return line;
+                }).ToList();
+
+                if (lines.Count == 0)
+                {
+                    cart.CompletedAt = now;
+                    continue;
+                }
+
+                if (await _emailService.SendCartRecoveryAsync(cart.Email, lines, CreateRestoreLink(cart)))
+                {
+                    cart.EmailSentAt = DateTime.UtcNow;
+                    sent++;
+                }
+
+                // Save as we go, so a failure later in the batch does not resend these
+                await _context.SaveChangesAsync(cancellationToken);
+            }
+
+            await _context.SaveChangesAsync(cancellationToken);
+            return sent;
+        }
+
+        public async Task<CartRecoveryRestoreResult> RestoreAsync(string? token)
+        {
+            var result = new CartRecoveryRestoreResult();
+
+            int id;
+            try
+            {
+                if (string.IsNullOrEmpty(token) || !int.TryParse(_protector.Unprotect(token), out id))
+                {
+                    return result;
+                }
+            }
+            catch (System.Security.Cryptography.CryptographicException)
+            {
+                // Tampered with, or older than the cart lifetime
+                return result;
+            }
+
+            var cart = await _context.AbandonedCarts.FirstOrDefaultAsync(a => a.Id == id);
+            if (cart == null || cart.CompletedAt != null)
+            {
+                return result;
+            }
+
+            // Synced lines top the cart up to the saved quantity, so opening the link twice does not double it
+            var lines = ReadLines(cart);
+            lines.ForEach(line => line.Synced = true);
+
+            var merge = await _guestDataSyncService.MergeAsync(new GuestDataSyncRequest { Cart = lines }, null);
+
+            cart.RecoveredAt ??= DateTime.UtcNow;
+            await _context.SaveChangesAsync();
+            _httpContextAccessor.HttpContext?.Session.SetInt32(SessionKey, cart.Id);
+
+            result.Success = merge.CartCount > 0;
+            result.Notices.AddRange(merge.Notices.Select(n => n.Message));
+
+            _logger.LogInformation("Restored abandoned cart {CartId}: {Lines} lines merged", cart.Id, merge.CartMerged);
+            return result;
+        }
+
+        // Signed so it cannot be guessed, and expires with the cart
+        private string CreateRestoreLink(AbandonedCart cart)
+        {
+            var token = _protector.Protect(cart.Id.ToString(), cart.UpdatedAt.Add(CartLifetime));
+            return _storeSettings.AbsoluteUrl($"/Cart?handler=Restore&token={Uri.EscapeDataString(token)}")!;
+        }
+
+        private List<GuestCartLine> ReadLines(AbandonedCart cart)
+        {
+            try
+            {
+                return JsonSerializer.Deserialize<List<GuestCartLine>>(cart.CartJson) ?? new List<GuestCartLine>();
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "Abandoned cart {CartId} could not be read", cart.Id);
+                return new List<GuestCartLine>();
+            }
+        }
+    }
+
+    public class CartRecoveryRestoreResult
+    {
+        /// <summary>
+        /// False when the link is invalid or expired, the order was already placed, or nothing
+        /// in the cart can still be bought
+        /// </summary>
+        public bool Success { get; set; }
+
+        /// <summary>
+        /// Items that were dropped or reduced because of stock or catalog changes
+        /// </summary>
+        public List<string> Notices { get; } = new();
+    }
+}
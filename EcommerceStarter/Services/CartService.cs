@@ -7,7 +7,11 @@ namespace EcommerceStarter.Services
     {
         List<CartItem> GetCart();
         void AddToCart(CartItem item);
-        void UpdateQuantity(int productId, int quantity);
+        /// <summary>
+        /// Change a line's quantity. Pass the current stock when the caller has just loaded it, so
+        /// the check is made against it rather than the stock stored when the line was added.
+        /// </summary>
+        void UpdateQuantity(int productId, int quantity, int? stockQuantity = null);
         void RemoveFromCart(int productId);
         void ClearCart();
         int GetCartItemCount();
@@ -126,7 +130,7 @@ namespace EcommerceStarter.Services
             SaveCart(cart);
         }
 
-        public void UpdateQuantity(int productId, int quantity)
+        public void UpdateQuantity(int productId, int quantity, int? stockQuantity = null)
         {
             if (Session == null) return;
 
@@ -158,6 +162,11 @@ namespace EcommerceStarter.Services
                 }
                 else
                 {
+                    if (stockQuantity.HasValue)
+                    {
+                        item.StockQuantity = stockQuantity.Value;
+                    }
+
                     // Validate quantity doesn't exceed available stock
                     if (item.StockQuantity > 0 && quantity > item.StockQuantity)
                     {
@@ -61,6 +61,8 @@ namespace EcommerceStarter.Services
         public Task<bool> SendOrderConfirmationAsync(Order order) => Task.FromResult(false);
         public Task<bool> SendShippingNotificationAsync(Order order, string trackingNumber = "") => Task.FromResult(false);
         public Task<bool> SendPasswordResetAsync(string email, string resetLink) => Task.FromResult(false);
+        public Task<bool> SendCartRecoveryAsync(string email, IEnumerable<GuestCartLine> lines, string restoreLink) => Task.FromResult(false);
+        public Task<bool> SendBackInStockAsync(string email, string productName, string? imageUrl, decimal price, string productUrl) => Task.FromResult(false);
         public Task<bool> SendEmailVerificationAsync(ApplicationUser user, string verificationLink) => Task.FromResult(false);
         public Task<bool> SendWelcomeEmailAsync(ApplicationUser user) => Task.FromResult(false);
         public Task<bool> SendAdminOrderNotificationAsync(Order order) => Task.FromResult(false);
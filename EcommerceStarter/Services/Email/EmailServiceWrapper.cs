@@ -60,6 +60,18 @@ namespace EcommerceStarter.Services
             return await service.SendPasswordResetAsync(email, resetLink);
         }
 
+        public async Task<bool> SendCartRecoveryAsync(string email, IEnumerable<GuestCartLine> lines, string restoreLink)
+        {
+            var service = await GetServiceAsync();
+            return await service.SendCartRecoveryAsync(email, lines, restoreLink);
+        }
+
+        public async Task<bool> SendBackInStockAsync(string email, string productName, string? imageUrl, decimal price, string productUrl)
+        {
+            var service = await GetServiceAsync();
+            return await service.SendBackInStockAsync(email, productName, imageUrl, price, productUrl);
+        }
+
         public async Task<bool> SendEmailVerificationAsync(ApplicationUser user, string verificationLink)
         {
             var service = await GetServiceAsync();
@@ -1,3 +1,4 @@
+using System.Net;
 using EcommerceStarter.Models;
 using Microsoft.AspNetCore.Http;
 
@@ -315,6 +316,138 @@ namespace EcommerceStarter.Services
 </html>";
         }
 
+        public async Task<string> GenerateCartRecovery(IEnumerable<GuestCartLine> lines, string restoreUrl, SiteSettings settings)
+        {
+            var logoUrl = await GetEmailLogoUrlAsync(settings);
+            var cartLines = lines.ToList();
+            var itemsHtml = string.Join("", cartLines.Select(line => $@"
+                <tr>
+                    <td style=""padding: 12px; border-bottom: 1px solid #e5e7eb; width: 64px;"">{(string.IsNullOrEmpty(line.ImageUrl) ? "" : $"<img src='{WebUtility.HtmlEncode(line.ImageUrl)}' alt='' width='56' style='border-radius: 6px; display: block;'>")}</td>
+                    <td style=""padding: 12px; border-bottom: 1px solid #e5e7eb;"">{WebUtility.HtmlEncode(line.Name ?? "Product")}</td>
+                    <td style=""padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;"">{line.Quantity}</td>
+                    <td style=""padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right; font-weight: 600;"">{(line.Price.HasValue ? $"${line.Price.Value * line.Quantity:F2}" : "")}</td>
+                </tr>
+            "));
+            var subtotal = cartLines.Sum(line => (line.Price ?? 0m) * line.Quantity);
+
+            return $@"
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset=""utf-8"">
+    <meta name=""viewport"" content=""width=device-width, initial-scale=1.0"">
+    <title>Your Cart Is Waiting</title>
+</head>
+<body style=""margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f3f4f6;"">
+    <table role=""presentation"" style=""width: 100%; border-collapse: collapse;"">
+        <tr>
+            <td style=""padding: 40px 0; text-align: center;"">
+                <table role=""presentation"" style=""max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);"">
+                    <tr>
+                        <td style=""background: linear-gradient(135deg, {settings.EmailHeaderColor}, {settings.PrimaryDark}); padding: 32px; text-align: center; border-radius: 12px 12px 0 0;"">
+                            {(string.IsNullOrEmpty(logoUrl) ? "" : $"<img src='{logoUrl}' alt='{settings.SiteName}' style='max-height: 60px; margin-bottom: 16px;'>")}
+                            <h1 style=""color: white; margin: 0; font-size: 28px;"">Your Cart Is Waiting</h1>
+                            <p style=""color: rgba(255, 255, 255, 0.9); margin: 8px 0 0 0; font-size: 16px;"">We saved the items you left behind</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style=""padding: 32px;"">
+                            <p style=""font-size: 16px; color: #374151; margin: 0 0 24px 0;"">You started checking out at {settings.SiteName} but didn't finish. Your cart is still here whenever you're ready.</p>
+                            
+                            <table style=""width: 100%; border-collapse: collapse; margin-bottom: 16px;"">
+                                <thead>
+                                    <tr style=""background: #f9fafb;"">
+                                        <th style=""padding: 12px;""></th>
+                                        <th style=""padding: 12px; text-align: left; font-size: 14px; color: #6b7280; font-weight: 600;"">Product</th>
+                                        <th style=""padding: 12px; text-align: center; font-size: 14px; color: #6b7280; font-weight: 600;"">Qty</th>
+                                        <th style=""padding: 12px; text-align: right; font-size: 14px; color: #6b7280; font-weight: 600;"">Total</th>
+                                    </tr>
+                                </thead>
+                                <tbody>{itemsHtml}</tbody>
+                            </table>
+                            
+                            <p style=""text-align: right; margin: 0 0 8px 0; color: #6b7280;"">Subtotal: <strong style=""color: {settings.PrimaryColor}; font-size: 18px;"">${subtotal:F2}</strong></p>
+                            <p style=""text-align: right; margin: 0; font-size: 13px; color: #9ca3af;"">Prices and stock are checked again when you return.</p>
+                            
+                            <div style=""text-align: center; margin: 32px 0;"">
+                                <a href=""{restoreUrl}"" style=""display: inline-block; background: linear-gradient(135deg, {settings.EmailButtonColor}, {settings.PrimaryDark}); color: white; padding: 16px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;"">Return to My Cart</a>
+                            </div>
+                            
+                            <p style=""font-size: 14px; color: #6b7280; margin: 24px 0 0 0;"">This link works for 7 days. If the button doesn't work, copy and paste this link:<br><a href=""{restoreUrl}"" style=""color: {settings.PrimaryColor}; word-break: break-all;"">{restoreUrl}</a></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style=""background: #f9fafb; padding: 24px; text-align: center; border-radius: 0 0 12px 12px; border-top: 1px solid #e5e7eb;"">
+                            <p style=""margin: 0 0 12px 0; font-size: 14px; color: #6b7280;"">{settings.EmailFooterText}</p>
+                            <p style=""margin: 0; font-size: 12px; color: #9ca3af;"">&copy; {DateTime.Now.Year} {settings.CompanyName}. All rights reserved.</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>";
+        }
+
+        public async Task<string> GenerateBackInStock(string productName, string? imageUrl, decimal price, string productUrl, SiteSettings settings)
+        {
+            var logoUrl = await GetEmailLogoUrlAsync(settings);
+            var name = WebUtility.HtmlEncode(productName);
+
+            return $@"
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset=""utf-8"">
+    <meta name=""viewport"" content=""width=device-width, initial-scale=1.0"">
+    <title>Back In Stock</title>
+</head>
+<body style=""margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f3f4f6;"">
+    <table role=""presentation"" style=""width: 100%; border-collapse: collapse;"">
+        <tr>
+            <td style=""padding: 40px 0; text-align: center;"">
+                <table role=""presentation"" style=""max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);"">
+                    <tr>
+                        <td style=""background: linear-gradient(135deg, {settings.EmailHeaderColor}, {settings.PrimaryDark}); padding: 32px; text-align: center; border-radius: 12px 12px 0 0;"">
+                            {(string.IsNullOrEmpty(logoUrl) ? "" : $"<img src='{logoUrl}' alt='{settings.SiteName}' style='max-height: 60px; margin-bottom: 16px;'>")}
+                            <h1 style=""color: white; margin: 0; font-size: 28px;"">It's Back In Stock</h1>
+                            <p style=""color: rgba(255, 255, 255, 0.9); margin: 8px 0 0 0; font-size: 16px;"">The item you asked about is available again</p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style=""padding: 32px;"">
+                            <p style=""font-size: 16px; color: #374151; margin: 0 0 24px 0;"">Good news - {name} is back in stock at {settings.SiteName}. Stock is limited, so it may sell out again.</p>
+                            
+                            <table style=""width: 100%; border-collapse: collapse; margin-bottom: 16px;"">
+                                <tr>
+                                    <td style=""padding: 12px; border-bottom: 1px solid #e5e7eb; width: 96px;"">{(string.IsNullOrEmpty(imageUrl) ? "" : $"<img src='{WebUtility.HtmlEncode(imageUrl)}' alt='' width='88' style='border-radius: 6px; display: block;'>")}</td>
+                                    <td style=""padding: 12px; border-bottom: 1px solid #e5e7eb; font-size: 16px; color: #374151;"">{name}</td>
+                                    <td style=""padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right; font-weight: 600; color: {settings.PrimaryColor};"">${price:F2}</td>
+                                </tr>
+                            </table>
+                            
+                            <div style=""text-align: center; margin: 32px 0;"">
+                                <a href=""{productUrl}"" style=""display: inline-block; background: linear-gradient(135deg, {settings.EmailButtonColor}, {settings.PrimaryDark}); color: white; padding: 16px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;"">Shop Now</a>
+                            </div>
+                            
+                            <p style=""font-size: 14px; color: #6b7280; margin: 24px 0 0 0;"">You're receiving this because you asked us to let you know when this item was available. We only send it once.<br>If the button doesn't work, copy and paste this link:<br><a href=""{productUrl}"" style=""color: {settings.PrimaryColor}; word-break: break-all;"">{productUrl}</a></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style=""background: #f9fafb; padding: 24px; text-align: center; border-radius: 0 0 12px 12px; border-top: 1px solid #e5e7eb;"">
+                            <p style=""margin: 0 0 12px 0; font-size: 14px; color: #6b7280;"">{settings.EmailFooterText}</p>
+                            <p style=""margin: 0; font-size: 12px; color: #9ca3af;"">&copy; {DateTime.Now.Year} {settings.CompanyName}. All rights reserved.</p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>";
+        }
+
         public async Task<string> GenerateWelcomeEmail(ApplicationUser user, SiteSettings settings)
         {
             var logoUrl = await GetEmailLogoUrlAsync(settings);
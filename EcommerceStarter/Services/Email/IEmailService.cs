@@ -38,6 +38,16 @@ namespace EcommerceStarter.Services
         /// </summary>
         Task<bool> SendAdminOrderNotificationAsync(Order order);
 
+        /// <summary>
+        /// Send cart recovery email with a link that restores the abandoned cart
+        /// </summary>
+        Task<bool> SendCartRecoveryAsync(string email, IEnumerable<GuestCartLine> lines, string restoreLink);
+
+        /// <summary>
+        /// Send back-in-stock email for a variant the shopper asked to hear about
+        /// </summary>
+        Task<bool> SendBackInStockAsync(string email, string productName, string? imageUrl, decimal price, string productUrl);
+
         /// <summary>
         /// Send test email to verify configuration
         /// </summary>
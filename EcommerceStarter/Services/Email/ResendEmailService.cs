@@ -230,6 +230,78 @@ namespace EcommerceStarter.Services
             }
         }
 
+        public async Task<bool> SendCartRecoveryAsync(string email, IEnumerable<GuestCartLine> lines, string restoreLink)
+        {
+            try
+            {
+                var settings = await _siteSettingsService.GetSettingsAsync();
+                
+                if (!settings.EnableEmailNotifications)
+                {
+                    _logger.LogInformation("Email notifications are disabled");
+                    return false;
+                }
+
+                var htmlContent = await _templateService.GenerateCartRecovery(lines, restoreLink, settings);
+                var subject = $"You left something in your cart at {settings.SiteName}";
+
+                var result = await SendEmailViaResendAsync(
+                    settings.EmailFromAddress,
+                    email,
+                    subject,
+                    htmlContent
+                );
+                
+                if (result)
+                {
+                    _logger.LogInformation($"Cart recovery email sent via Resend to {email}");
+                }
+
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error sending cart recovery email via Resend to {email}");
+                return false;
+            }
+        }
+
+        public async Task<bool> SendBackInStockAsync(string email, string productName, string? imageUrl, decimal price, string productUrl)
+        {
+            try
+            {
+                var settings = await _siteSettingsService.GetSettingsAsync();
+                
+                if (!settings.EnableEmailNotifications)
+                {
+                    _logger.LogInformation("Email notifications are disabled");
+                    return false;
+                }
+
+                var htmlContent = await _templateService.GenerateBackInStock(productName, imageUrl, price, productUrl, settings);
+                var subject = $"{productName} is back in stock at {settings.SiteName}";
+
+                var result = await SendEmailViaResendAsync(
+                    settings.EmailFromAddress,
+                    email,
+                    subject,
+                    htmlContent
+                );
+                
+                if (result)
+                {
+                    _logger.LogInformation($"Back-in-stock email sent via Resend to {email}");
+                }
+
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error sending back-in-stock email via Resend to {email}");
+                return false;
+            }
+        }
+
         public async Task<bool> SendEmailVerificationAsync(ApplicationUser user, string verificationLink)
         {
             try
@@ -0,0 +1,366 @@
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace EcommerceStarter.Services
+{
+    public interface IGuestDataSyncService
+    {
+        /// <summary>
+        /// userId is null right after registration (the account is not signed in until the
+        /// email is confirmed); the wishlist and saved-for-later lines are then left in
+        /// localStorage for the first sign-in
+        /// </summary>
+        Task<GuestDataSyncResult> MergeAsync(GuestDataSyncRequest request, string? userId);
+        Task<GuestCartRevalidationResult> RevalidateAsync(List<GuestCartLine> lines);
+    }
+
+    /// <summary>
+    /// Merges the cart and wishlist a shopper built in localStorage (persistent-storage.js)
+    /// into the server cart when they sign in or register, and revalidates the saved guest
+    /// cart on their next visit. Every line is re-validated against the catalog: quantities
+    /// are capped at the stock of the selected variant, and removed or unavailable products
+    /// are reported back instead of being added.
+    /// </summary>
+    public class GuestDataSyncService : IGuestDataSyncService
+    {
+        private const int MaxLinesPerSync = 100;
+        private const int MaxQuantity = 999;
+
+        private readonly ApplicationDbContext _context;
+        private readonly ICartService _cartService;
+        private readonly IWishlistService _wishlistService;
+        private readonly ISavedForLaterService _savedForLaterService;
+        private readonly ILogger<GuestDataSyncService> _logger;
+
+        public GuestDataSyncService(
+            ApplicationDbContext context,
+            ICartService cartService,
+            IWishlistService wishlistService,
+            ISavedForLaterService savedForLaterService,
+            ILogger<GuestDataSyncService> logger)
+        {
+            _context = context;
+            _cartService = cartService;
+            _wishlistService = wishlistService;
+            _savedForLaterService = savedForLaterService;
+            _logger = logger;
+        }
+
+        public async Task<GuestDataSyncResult> MergeAsync(GuestDataSyncRequest request, string? userId)
+        {
+            var result = new GuestDataSyncResult();
+
+            var lines = NormalizeLines(request.Cart);
+
+            var wishlist = userId == null ? new List<int>() : (request.Wishlist ?? new List<int>())
+                .Where(id => id > 0)
+                .Distinct()
+                .Take(MaxLinesPerSync)
+                .ToList();
+
+            var products = await LoadProductsAsync(lines.Select(l => l.ProductId).Concat(wishlist));
+
+            foreach (var line in lines)
+            {
+                MergeCartLine(line, products.GetValueOrDefault(line.ProductId), result);
+            }
+
+            if (userId != null)
+            {
+                foreach (var productId in wishlist)
+                {
+                    if (products.ContainsKey(productId) && await _wishlistService.AddAsync(userId, productId))
+                    {
+                        result.WishlistMerged++;
+                    }
+                    else
+                    {
+                        result.Notices.Add(GuestDataSyncNotice.Warning("An item on your wishlist is no longer sold and was removed."));
+                    }
+                }
+
+                result.WishlistSaved = true;
+                result.WishlistProductIds = await _wishlistService.GetProductIdsAsync(userId);
+
+                // Lines saved for later on this device join the ones on the account; products
+                // that no longer exist are dropped, other changes are shown on the cart page
+                foreach (var line in (request.SavedForLater ?? new List<SavedForLaterLine>()).Take(MaxLinesPerSync))
+                {
+                    await _savedForLaterService.SaveAsync(userId, line);
+                }
+                result.SavedForLaterSaved = true;
+            }
+
+            result.CartCount = _cartService.GetCartItemCount();
+
+            _logger.LogInformation(
+                "Merged guest data: {CartLines} of {RequestedLines} cart lines, {WishlistItems} wishlist items",
+                result.CartMerged, lines.Count, result.WishlistMerged);
+
+            return result;
+        }
+
+        public async Task<GuestCartRevalidationResult> RevalidateAsync(List<GuestCartLine> lines)
+        {
+            var result = new GuestCartRevalidationResult();
+            var normalized = NormalizeLines(lines);
+            var products = await LoadProductsAsync(normalized.Select(l => l.ProductId));
+
+            // An empty session cart means the session ended since the last visit. Synced lines were
+            // in that cart - it may have been bought or emptied - so only lines the server never
+            // confirmed are put back, and the synced ones drop out of the saved copy
+            var restore = _cartService.GetCartItemCount() == 0;
+
+            foreach (var line in normalized)
+            {
+                if (restore && line.Synced) continue;
+
+                var resolved = ResolveLine(line, products.GetValueOrDefault(line.ProductId), result.Notices);
+                if (resolved == null) continue;
+
+                var current = resolved.ToCartItem(Math.Min(line.Quantity, MaxQuantity));
+                if (current.Quantity < line.Quantity)
+                {
+                    result.Notices.Add(GuestDataSyncNotice.Info($"Only {resolved.Stock} of {resolved.Label} are available, so the quantity in your cart was reduced."));
+                }
+
+                if (line.Price.HasValue && line.Price.Value != current.Price)
+                {
+                    var direction = current.Price < line.Price.Value ? "dropped" : "went up";
+                    result.Notices.Add(GuestDataSyncNotice.Info($"The price of {resolved.Label} {direction} from ${line.Price.Value:F2} to ${current.Price:F2}."));
+                }
+
+                if (restore)
+                {
+                    _cartService.AddToCart(current);
+                    result.Restored = true;
+                }
+
+                result.Lines.Add(GuestCartLine.FromCartItem(current, line.Synced));
+            }
+
+            result.CartCount = _cartService.GetCartItemCount();
+            return result;
+        }
+
+        private void MergeCartLine(GuestCartLine line, Product? product, GuestDataSyncResult result)
+        {
+            var resolved = ResolveLine(line, product, result.Notices);
+            if (resolved == null) return;
+
+            var label = resolved.Label;
+            var stock = resolved.Stock;
+
+            // The session cart keeps one line per product (see CartService.AddToCart)
+            var existing = _cartService.GetCart().FirstOrDefault(c => c.ProductId == resolved.Product.Id);
+            if (existing != null && existing.VariantId != resolved.Variant?.Id)
+            {
+                result.Notices.Add(GuestDataSyncNotice.Info($"Your cart already has {existing.ProductName}, so {label} from this device was not added."));
+                return;
+            }
+
+            // Synced lines are a copy of this session's cart, so they are not counted twice
+            var currentQuantity = existing?.Quantity ?? 0;
+            var requested = line.Synced ? Math.Max(currentQuantity, line.Quantity) : currentQuantity + line.Quantity;
+            var merged = Math.Min(requested, Math.Min(stock, MaxQuantity));
+            var toAdd = merged - currentQuantity;
+
+            if (toAdd <= 0)
+            {
+                if (requested > currentQuantity)
+                {
+                    result.Notices.Add(GuestDataSyncNotice.Info($"Your cart already has all {stock} available of {label}."));
+                }
+                return;
+            }
+
+            _cartService.AddToCart(resolved.ToCartItem(toAdd));
+            result.CartMerged++;
+
+            if (merged < requested)
+            {
+                result.Notices.Add(GuestDataSyncNotice.Info($"Only {stock} of {label} are available, so your cart quantity was reduced to {merged}."));
+            }
+        }
+
+        /// <summary>
+        /// Check a guest cart line against the catalog. Returns null (and adds a notice)
+        /// when the product, or the variant the shopper chose, can no longer be bought.
+        /// </summary>
+        private static ResolvedLine? ResolveLine(GuestCartLine line, Product? product, List<GuestDataSyncNotice> notices)
+        {
+            var label = product?.Name ?? line.Name ?? "An item in your cart";
+
+            if (product == null)
+            {
+                notices.Add(GuestDataSyncNotice.Warning($"{label} is no longer sold and was removed from your cart."));
+                return null;
+            }
+
+            if (!product.IsAvailable || product.IsComingSoon)
+            {
+                notices.Add(GuestDataSyncNotice.Warning($"{label} is out of stock and was removed from your cart."));
+                return null;
+            }
+
+            if (product.Variants.Count == 0)
+            {
+                return new ResolvedLine(product, null, label, product.TotalAvailableStock);
+            }
+
+            if (!line.VariantId.HasValue)
+            {
+                notices.Add(GuestDataSyncNotice.Warning($"Please choose an option for {label} and add it to your cart again."));
+                return null;
+            }
+
+            var variant = product.Variants.FirstOrDefault(v => v.Id == line.VariantId.Value);
+            if (variant == null || !variant.IsInStock)
+            {
+                var option = variant != null ? $"{product.Name} ({variant.Name})" : $"The option you chose for {label}";
+                notices.Add(GuestDataSyncNotice.Warning($"{option} is out of stock and was removed from your cart."));
+                return null;
+            }
+
+            return new ResolvedLine(product, variant, $"{product.Name} ({variant.Name})", variant.StockQuantity);
+        }
+
+        // The same product can appear more than once if the guest cart was edited in several tabs
+        private static List<GuestCartLine> NormalizeLines(List<GuestCartLine>? lines)
+        {
+            return (lines ?? new List<GuestCartLine>())
+                .Where(l => l.ProductId > 0 && l.Quantity > 0)
+                .GroupBy(l => new { l.ProductId, VariantId = l.VariantId > 0 ? l.VariantId : null })
+                .Select(g => new GuestCartLine
+                {
+                    ProductId = g.Key.ProductId,
+                    VariantId = g.Key.VariantId,
+                    Quantity = g.Sum(l => l.Quantity),
+                    Name = g.Select(l => l.Name).FirstOrDefault(n => !string.IsNullOrWhiteSpace(n)),
+                    Price = g.Select(l => l.Price).FirstOrDefault(p => p.HasValue),
+                    Synced = g.All(l => l.Synced)
+                })
+                .Take(MaxLinesPerSync)
+                .ToList();
+        }
+
+        private Task<Dictionary<int, Product>> LoadProductsAsync(IEnumerable<int> ids)
+        {
+            var productIds = ids.Distinct().ToList();
+            return _context.Products
+                .Include(p => p.Variants)
+                .Where(p => productIds.Contains(p.Id))
+                .ToDictionaryAsync(p => p.Id);
+        }
+
+        private record ResolvedLine(Product Product, ProductVariant? Variant, string Label, int Stock)
+        {
+            // Same name, price and image as Products/Details AddToCart, capped at the variant's stock
+            public CartItem ToCartItem(int quantity) => new()
+            {
+                ProductId = Product.Id,
+                VariantId = Variant?.Id,
+                ProductName = Variant != null ? $"{Product.Name} - {Variant.Name}" : Product.Name,
+                Price = Variant?.EffectivePrice ?? Product.Price,
+                Quantity = Math.Min(quantity, Stock),
+                ImageUrl = Variant?.ImageUrl ?? Product.ImageUrl,
+                StockQuantity = Stock
+            };
+        }
+    }
+
+    public class GuestDataSyncRequest
+    {
+        public List<GuestCartLine>? Cart { get; set; }
+        public List<int>? Wishlist { get; set; }
+        public List<SavedForLaterLine>? SavedForLater { get; set; }
+    }
+
+    /// <summary>
+    /// One entry of the localStorage guest cart, keyed by product and variant
+    /// </summary>
+    public class GuestCartLine
+    {
+        public int ProductId { get; set; }
+        public int? VariantId { get; set; }
+        public int Quantity { get; set; }
+
+        /// <summary>
+        /// Name saved when the item was added - only used to describe products that no longer exist
+        /// </summary>
+        public string? Name { get; set; }
+
+        /// <summary>
+        /// Price when the item was added, so a later visit can point out price changes
+        /// </summary>
+        public decimal? Price { get; set; }
+
+        public string? ImageUrl { get; set; }
+
+        /// <summary>
+        /// True when the entry is a copy of a line already in the session cart
+        /// </summary>
+        public bool Synced { get; set; }
+
+        public static GuestCartLine FromCartItem(CartItem item, bool synced = true) => new()
+        {
+            ProductId = item.ProductId,
+            VariantId = item.VariantId,
+            Quantity = item.Quantity,
+            Name = item.ProductName,
+            Price = item.Price,
+            ImageUrl = item.ImageUrl,
+            Synced = synced
+        };
+    }
+
+    public class GuestDataSyncResult
+    {
+        public int CartMerged { get; set; }
+        public int WishlistMerged { get; set; }
+        public int CartCount { get; set; }
+
+        /// <summary>
+        /// True when the wishlist was stored on the account, so the local copy can be cleared
+        /// </summary>
+        public bool WishlistSaved { get; set; }
+
+        public List<int> WishlistProductIds { get; set; } = new();
+
+        /// <summary>
+        /// True when the lines saved for later were stored on the account, so the local copy can be cleared
+        /// </summary>
+        public bool SavedForLaterSaved { get; set; }
+
+        public List<GuestDataSyncNotice> Notices { get; } = new();
+    }
+
+    public class GuestCartRevalidationResult
+    {
+        /// <summary>
+        /// The guest cart with current names and prices, without lines that can no longer be bought
+        /// </summary>
+        public List<GuestCartLine> Lines { get; } = new();
+
+        /// <summary>
+        /// True when the lines were put back into an empty (expired) session cart
+        /// </summary>
+        public bool Restored { get; set; }
+
+        public int CartCount { get; set; }
+        public List<GuestDataSyncNotice> Notices { get; } = new();
+    }
+
+    /// <summary>
+    /// Message shown to the shopper with ToastManager (type is "info" or "warning")
+    /// </summary>
+    public class GuestDataSyncNotice
+    {
+        public string Type { get; set; } = "info";
+        public string Message { get; set; } = string.Empty;
+
+        public static GuestDataSyncNotice Info(string message) => new() { Type = "info", Message = message };
+        public static GuestDataSyncNotice Warning(string message) => new() { Type = "warning", Message = message };
+    }
+}
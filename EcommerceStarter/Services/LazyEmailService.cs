@@ -41,6 +41,8 @@ namespace EcommerceStarter.Services
         public async Task<bool> SendOrderConfirmationAsync(Order order) => await (await GetInnerAsync()).SendOrderConfirmationAsync(order);
         public async Task<bool> SendShippingNotificationAsync(Order order, string trackingNumber = "") => await (await GetInnerAsync()).SendShippingNotificationAsync(order, trackingNumber);
         public async Task<bool> SendPasswordResetAsync(string email, string resetLink) => await (await GetInnerAsync()).SendPasswordResetAsync(email, resetLink);
+        public async Task<bool> SendCartRecoveryAsync(string email, IEnumerable<GuestCartLine> lines, string restoreLink) => await (await GetInnerAsync()).SendCartRecoveryAsync(email, lines, restoreLink);
+        public async Task<bool> SendBackInStockAsync(string email, string productName, string? imageUrl, decimal price, string productUrl) => await (await GetInnerAsync()).SendBackInStockAsync(email, productName, imageUrl, price, productUrl);
         public async Task<bool> SendEmailVerificationAsync(ApplicationUser user, string verificationLink) => await (await GetInnerAsync()).SendEmailVerificationAsync(user, verificationLink);
         public async Task<bool> SendWelcomeEmailAsync(ApplicationUser user) => await (await GetInnerAsync()).SendWelcomeEmailAsync(user);
         public async Task<bool> SendAdminOrderNotificationAsync(Order order) => await (await GetInnerAsync()).SendAdminOrderNotificationAsync(order);
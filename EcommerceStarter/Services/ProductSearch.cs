@@ -0,0 +1,36 @@
+using EcommerceStarter.Models;
+
+namespace EcommerceStarter.Services
+{
+    /// <summary>
+    /// Product text search shared by the shop page (Products/Index?search=) and the
+    /// search-as-you-type API (ProductsController.Search), so both find the same products.
+    /// Every word of the search has to appear in the name, category or subcategory.
+    /// </summary>
+    public static class ProductSearch
+    {
+        public static string[] Words(string search) =>
+            search.Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+
+        public static bool Matches(Product product, string search)
+        {
+            var words = Words(search);
+            return words.Length > 0 && words.All(word =>
+                product.Name.Contains(word, StringComparison.OrdinalIgnoreCase) ||
+                product.Category.Contains(word, StringComparison.OrdinalIgnoreCase) ||
+                product.SubCategory.Contains(word, StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Lower is better: names starting with the search, then names with a word starting
+        /// with it, then everything else
+        /// </summary>
+        public static int Rank(Product product, string search)
+        {
+            if (product.Name.StartsWith(search, StringComparison.OrdinalIgnoreCase))
+                return 0;
+
+            return product.Name.Contains(" " + search, StringComparison.OrdinalIgnoreCase) ? 1 : 2;
+        }
+    }
+}
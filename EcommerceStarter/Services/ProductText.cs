@@ -0,0 +1,20 @@
+using System.Net;
+using System.Text.RegularExpressions;
+
+namespace EcommerceStarter.Services
+{
+    /// <summary>
+    /// Product descriptions are HTML from the admin editor. The quick-view modal
+    /// (Products/Details QuickView) and the comparison table (ProductsController.Compare) show
+    /// them as a short line of plain text instead; the full HTML is only shown on Products/Details.
+    /// </summary>
+    public static class ProductText
+    {
+        public static string Summarize(string? html, int maxLength = 240)
+        {
+            var text = WebUtility.HtmlDecode(Regex.Replace(html ?? string.Empty, "<[^>]+>", " "));
+            text = Regex.Replace(text, @"\s+", " ").Trim();
+            return text.Length <= maxLength ? text : text[..maxLength].TrimEnd() + "...";
+        }
+    }
+}
@@ -0,0 +1,43 @@
+using EcommerceStarter.Models;
+
+namespace EcommerceStarter.Services.Push
+{
+    /// <summary>
+    /// Sends Web Push notifications to customers' browsers using the VAPID keys
+    /// stored in API Configurations (ApiType "WebPush")
+    /// </summary>
+    public interface IWebPushService
+    {
+        /// <summary>
+        /// Public VAPID key (base64url) handed to pushManager.subscribe, or null when Web Push is not configured
+        /// </summary>
+        Task<string?> GetPublicKeyAsync();
+
+        /// <summary>
+        /// Store (or refresh) a browser subscription for a signed-in customer
+        /// </summary>
+        Task SaveSubscriptionAsync(string userId, string endpoint, string p256dh, string auth, string? userAgent);
+
+        /// <summary>
+        /// Remove a browser subscription (customer turned notifications off)
+        /// </summary>
+        Task RemoveSubscriptionAsync(string userId, string endpoint);
+
+        /// <summary>
+        /// Encrypt and deliver a message to one subscription.
+        /// Subscriptions the push service reports as gone (404/410) are deleted.
+        /// </summary>
+        Task<(bool Success, int StatusCode, string? Error)> SendAsync(PushSubscription subscription, WebPushMessage message);
+
+        /// <summary>
+        /// Deliver a message to every subscription of a customer. Returns how many were accepted.
+        /// </summary>
+        Task<int> SendToUserAsync(string userId, WebPushMessage message);
+
+        /// <summary>
+        /// Notify the order's customer with a deep link to Orders/Details. Guest orders are skipped.
+        /// Never throws - order updates must not fail because a push could not be sent.
+        /// </summary>
+        Task NotifyOrderStatusAsync(Order order, string title, string body);
+    }
+}
@@ -0,0 +1,118 @@
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.WebUtilities;
+
+namespace EcommerceStarter.Services.Push
+{
+    /// <summary>
+    /// Local stand-in for a browser vendor's push service (development only).
+    /// It issues fake browser subscriptions whose endpoint points back at /api/push-harness,
+    /// then checks each delivery the way a real push service and browser would:
+    /// VAPID JWT signature, audience and expiry, aes128gcm encoding, and payload decryption.
+    /// Registered as a singleton so subscriptions survive between requests.
+    /// </summary>
+    public class PushTestHarness
+    {
+        private const int MaxDeliveriesPerSubscription = 20;
+
+        private readonly ConcurrentDictionary<string, HarnessSubscription> _subscriptions = new();
+
+        public HarnessSubscription CreateSubscription(string baseUrl)
+        {
+            var (publicKey, privateKey) = WebPushCrypto.GenerateKeyPair();
+            var id = Guid.NewGuid().ToString("N");
+
+            var subscription = new HarnessSubscription
+            {
+                Id = id,
+                Endpoint = $"{baseUrl.TrimEnd('/')}/api/push-harness/endpoints/{id}",
+                P256dh = publicKey,
+                Auth = WebEncoders.Base64UrlEncode(RandomNumberGenerator.GetBytes(16)),
+                PrivateKey = privateKey
+            };
+
+            _subscriptions[id] = subscription;
+            return subscription;
+        }
+
+        public HarnessSubscription? GetSubscription(string id)
+        {
+            return _subscriptions.TryGetValue(id, out var subscription) ? subscription : null;
+        }
+
+        /// <summary>
+        /// Accept (or reject) a push request addressed to one of the harness endpoints
+        /// </summary>
+        public HarnessDelivery Receive(HarnessSubscription subscription, string? authorization, string? contentEncoding, byte[] body)
+        {
+            var delivery = new HarnessDelivery { ReceivedAt = DateTime.UtcNow };
+
+            var vapidError = WebPushCrypto.VerifyVapidAuthorization(authorization, subscription.Endpoint, DateTimeOffset.UtcNow);
+            if (vapidError != null)
+            {
+                delivery.StatusCode = StatusCodes.Status401Unauthorized;
+                delivery.Error = vapidError;
+            }
+            else if (!string.Equals(contentEncoding, "aes128gcm", StringComparison.OrdinalIgnoreCase))
+            {
+                delivery.StatusCode = StatusCodes.Status400BadRequest;
+                delivery.Error = $"Content-Encoding must be aes128gcm (was '{contentEncoding}')";
+            }
+            else
+            {
+                try
+                {
+                    var plaintext = WebPushCrypto.Decrypt(subscription.P256dh, subscription.PrivateKey, subscription.Auth, body);
+                    delivery.Payload = Encoding.UTF8.GetString(plaintext);
+                    delivery.StatusCode = StatusCodes.Status201Created;
+                }
+                catch (CryptographicException ex)
+                {
+                    delivery.StatusCode = StatusCodes.Status400BadRequest;
+                    delivery.Error = $"Payload could not be decrypted: {ex.Message}";
+                }
+            }
+
+            lock (subscription.Deliveries)
+            {
+                subscription.Deliveries.Add(delivery);
+                if (subscription.Deliveries.Count > MaxDeliveriesPerSubscription)
+                {
+                    subscription.Deliveries.RemoveAt(0);
+                }
+            }
+
+            return delivery;
+        }
+    }
+
+    public class HarnessSubscription
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Endpoint { get; set; } = string.Empty;
+        public string P256dh { get; set; } = string.Empty;
+        public string Auth { get; set; } = string.Empty;
+
+        /// <summary>
+        /// The fake browser's private key - never leaves the harness
+        /// </summary>
+        public string PrivateKey { get; set; } = string.Empty;
+
+        public List<HarnessDelivery> Deliveries { get; } = new();
+    }
+
+    public class HarnessDelivery
+    {
+        public DateTime ReceivedAt { get; set; }
+
+        /// <summary>
+        /// Status a real push service would answer with: 201 accepted, 401 bad VAPID credentials, 400 bad payload
+        /// </summary>
+        public int StatusCode { get; set; }
+
+        public bool Accepted => StatusCode == StatusCodes.Status201Created;
+        public string? Payload { get; set; }
+        public string? Error { get; set; }
+    }
+}
@@ -0,0 +1,280 @@
+using System.Buffers.Binary;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Microsoft.AspNetCore.WebUtilities;
+
+namespace EcommerceStarter.Services.Push
+{
+    /// <summary>
+    /// Web Push message encryption (RFC 8291, aes128gcm) and VAPID signing (RFC 8292)
+    /// implemented on the framework's P-256, HKDF and AES-GCM primitives.
+    /// The Decrypt / Verify methods are the receiving side and are used by PushTestHarness.
+    /// </summary>
+    public static class WebPushCrypto
+    {
+        private const int RecordSize = 4096;
+        private const int SaltLength = 16;
+        private const int PublicKeyLength = 65;
+        private const int TagLength = 16;
+
+        /// <summary>
+        /// Generate a P-256 key pair. Returns the uncompressed public point and the private scalar, base64url encoded.
+        /// Used for VAPID keys and for the test harness' fake browser subscriptions.
+        /// </summary>
+        public static (string PublicKey, string PrivateKey) GenerateKeyPair()
+        {
+            using var key = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+            var parameters = key.ExportParameters(includePrivateParameters: true);
+            return (WebEncoders.Base64UrlEncode(ToUncompressedPoint(parameters.Q)), WebEncoders.Base64UrlEncode(parameters.D!));
+        }
+
+        /// <summary>
+        /// Encrypt a payload for a subscription (single aes128gcm record)
+        /// </summary>
+        public static byte[] Encrypt(string p256dh, string auth, byte[] plaintext)
+        {
+            if (plaintext.Length > RecordSize - TagLength - 1)
+            {
+                throw new ArgumentException("Push payload is too large", nameof(plaintext));
+            }
+
+            var userAgentPublicKey = WebEncoders.Base64UrlDecode(p256dh);
+            var authSecret = WebEncoders.Base64UrlDecode(auth);
+
+            using var serverKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+            var serverPublicKey = ToUncompressedPoint(serverKey.ExportParameters(false).Q);
+
+            using var userAgentKey = ImportPublicKey(userAgentPublicKey);
+            var sharedSecret = serverKey.DeriveRawSecretAgreement(userAgentKey.PublicKey);
+
+            var salt = RandomNumberGenerator.GetBytes(SaltLength);
+            var (contentKey, nonce) = DeriveContentKeys(sharedSecret, authSecret, userAgentPublicKey, serverPublicKey, salt);
+
+            // Single record: plaintext followed by the 0x02 "last record" delimiter, no extra padding
+            var padded = new byte[plaintext.Length + 1];
+            plaintext.CopyTo(padded, 0);
+            padded[^1] = 0x02;
+
+            var ciphertext = new byte[padded.Length];
+            var tag = new byte[TagLength];
+            using (var aes = new AesGcm(contentKey, TagLength))
+            {
+                aes.Encrypt(nonce, padded, ciphertext, tag);
+            }
+
+            // Header: salt (16) | record size (4) | key id length (1) | key id (server public key)
+            var body = new byte[SaltLength + 4 + 1 + PublicKeyLength + ciphertext.Length + TagLength];
+            salt.CopyTo(body, 0);
+            BinaryPrimitives.WriteUInt32BigEndian(body.AsSpan(SaltLength, 4), RecordSize);
+            body[SaltLength + 4] = PublicKeyLength;
+            serverPublicKey.CopyTo(body, SaltLength + 5);
+            ciphertext.CopyTo(body, SaltLength + 5 + PublicKeyLength);
+            tag.CopyTo(body, SaltLength + 5 + PublicKeyLength + ciphertext.Length);
+            return body;
+        }
+
+        /// <summary>
+        /// Decrypt an aes128gcm push body with the subscription's private key (test harness side)
+        /// </summary>
+        public static byte[] Decrypt(string p256dh, string privateKey, string auth, byte[] body)
+        {
+            if (body.Length < SaltLength + 5 + TagLength)
+            {
+                throw new CryptographicException("Push body is too short");
+            }
+
+            var salt = body.AsSpan(0, SaltLength).ToArray();
+            var keyIdLength = body[SaltLength + 4];
+            var serverPublicKey = body.AsSpan(SaltLength + 5, keyIdLength).ToArray();
+            var record = body.AsSpan(SaltLength + 5 + keyIdLength);
+
+            var userAgentPublicKey = WebEncoders.Base64UrlDecode(p256dh);
+            using var userAgentKey = ImportPrivateKey(userAgentPublicKey, WebEncoders.Base64UrlDecode(privateKey));
+            using var serverKey = ImportPublicKey(serverPublicKey);
+            var sharedSecret = userAgentKey.DeriveRawSecretAgreement(serverKey.PublicKey);
+
+            var (contentKey, nonce) = DeriveContentKeys(sharedSecret, WebEncoders.Base64UrlDecode(auth), userAgentPublicKey, serverPublicKey, salt);
+
+            var ciphertext = record[..^TagLength];
+            var padded = new byte[ciphertext.Length];
+            using (var aes = new AesGcm(contentKey, TagLength))
+            {
+                aes.Decrypt(nonce, ciphertext, record[^TagLength..], padded);
+            }
+
+            // Strip padding: trailing zeros, then the record delimiter
+            var end = padded.Length - 1;
+            while (end >= 0 && padded[end] == 0x00) end--;
+            if (end < 0 || padded[end] != 0x02)
+            {
+                throw new CryptographicException("Invalid push record padding");
+            }
+            return padded[..end];
+        }
+
+        /// <summary>
+        /// Build the "Authorization: vapid t=..., k=..." header value for a push endpoint
+        /// </summary>
+        public static string CreateVapidAuthorization(string endpoint, string subject, string publicKey, string privateKey, DateTimeOffset expires)
+        {
+            var header = WebEncoders.Base64UrlEncode(JsonSerializer.SerializeToUtf8Bytes(new { typ = "JWT", alg = "ES256" }));
+            var claims = WebEncoders.Base64UrlEncode(JsonSerializer.SerializeToUtf8Bytes(new
+            {
+                aud = GetAudience(endpoint),
+                exp = expires.ToUnixTimeSeconds(),
+                sub = subject
+            }));
+
+            var signingInput = $"{header}.{claims}";
+            using var signer = ECDsa.Create(new ECParameters
+            {
+                Curve = ECCurve.NamedCurves.nistP256,
+                Q = FromUncompressedPoint(WebEncoders.Base64UrlDecode(publicKey)),
+                D = WebEncoders.Base64UrlDecode(privateKey)
+            });
+
+            // ECDsa.SignData produces the IEEE P1363 (r|s) form that ES256 expects
+            var signature = signer.SignData(Encoding.ASCII.GetBytes(signingInput), HashAlgorithmName.SHA256);
+            return $"vapid t={signingInput}.{WebEncoders.Base64UrlEncode(signature)}, k={publicKey}";
+        }
+
+        /// <summary>
+        /// Verify a VAPID Authorization header the way a push service would.
+        /// Returns null when valid, otherwise the reason it was rejected.
+        /// </summary>
+        public static string? VerifyVapidAuthorization(string? authorization, string endpoint, DateTimeOffset now)
+        {
+            if (string.IsNullOrEmpty(authorization) || !authorization.StartsWith("vapid ", StringComparison.OrdinalIgnoreCase))
+            {
+                return "Missing vapid Authorization header";
+            }
+
+            var parts = authorization[6..]
+                .Split(',', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries)
+                .Select(p => p.Split('=', 2))
+                .Where(p => p.Length == 2)
+                .ToDictionary(p => p[0], p => p[1]);
+
+            if (!parts.TryGetValue("t", out var token) || !parts.TryGetValue("k", out var key))
+            {
+                return "Authorization header must contain t and k";
+            }
+
+            var segments = token.Split('.');
+            if (segments.Length != 3)
+            {
+                return "Malformed JWT";
+            }
+
+            try
+            {
+                using var verifier = ECDsa.Create(new ECParameters
+                {
+                    Curve = ECCurve.NamedCurves.nistP256,
+                    Q = FromUncompressedPoint(WebEncoders.Base64UrlDecode(key))
+                });
+
+                var signingInput = Encoding.ASCII.GetBytes($"{segments[0]}.{segments[1]}");
+                if (!verifier.VerifyData(signingInput, WebEncoders.Base64UrlDecode(segments[2]), HashAlgorithmName.SHA256))
+                {
+                    return "JWT signature does not match the VAPID public key";
+                }
+
+                using var claims = JsonDocument.Parse(WebEncoders.Base64UrlDecode(segments[1]));
+                var root = claims.RootElement;
+
+                if (!root.TryGetProperty("aud", out var aud) || aud.GetString() != GetAudience(endpoint))
+                {
+                    return "JWT aud does not match the push endpoint origin";
+                }
+
+                if (!root.TryGetProperty("exp", out var exp))
+                {
+                    return "JWT exp is missing";
+                }
+
+                var expires = DateTimeOffset.FromUnixTimeSeconds(exp.GetInt64());
+                if (expires <= now || expires > now.AddHours(24))
+                {
+                    return "JWT exp must be in the future and no more than 24 hours away";
+                }
+
+                if (!root.TryGetProperty("sub", out var sub) || string.IsNullOrEmpty(sub.GetString()))
+                {
+                    return "JWT sub (contact mailto: or https: URL) is missing";
+                }
+            }
+            catch (Exception ex) when (ex is FormatException || ex is CryptographicException || ex is JsonException)
+            {
+                return $"Invalid VAPID credentials: {ex.Message}";
+            }
+
+            return null;
+        }
+
+        private static (byte[] ContentKey, byte[] Nonce) DeriveContentKeys(
+            byte[] sharedSecret, byte[] authSecret, byte[] userAgentPublicKey, byte[] serverPublicKey, byte[] salt)
+        {
+            // IKM = HKDF(auth_secret, ecdh_secret, "WebPush: info" || 0x00 || ua_public || as_public, 32)
+            var keyInfo = Concat(Encoding.ASCII.GetBytes("WebPush: info\0"), userAgentPublicKey, serverPublicKey);
+            var ikm = HKDF.DeriveKey(HashAlgorithmName.SHA256, sharedSecret, 32, authSecret, keyInfo);
+
+            var prk = HKDF.Extract(HashAlgorithmName.SHA256, ikm, salt);
+            var contentKey = HKDF.Expand(HashAlgorithmName.SHA256, prk, 16, Encoding.ASCII.GetBytes("Content-Encoding: aes128gcm\0"));
+            var nonce = HKDF.Expand(HashAlgorithmName.SHA256, prk, 12, Encoding.ASCII.GetBytes("Content-Encoding: nonce\0"));
+            return (contentKey, nonce);
+        }
+
+        private static string GetAudience(string endpoint)
+        {
+            var uri = new Uri(endpoint);
+            return uri.GetLeftPart(UriPartial.Authority);
+        }
+
+        private static ECDiffieHellman ImportPublicKey(byte[] point)
+        {
+            return ECDiffieHellman.Create(new ECParameters
+            {
+                Curve = ECCurve.NamedCurves.nistP256,
+                Q = FromUncompressedPoint(point)
+            });
+        }
+
+        private static ECDiffieHellman ImportPrivateKey(byte[] point, byte[] d)
+        {
+            return ECDiffieHellman.Create(new ECParameters
+            {
+                Curve = ECCurve.NamedCurves.nistP256,
+                Q = FromUncompressedPoint(point),
+                D = d
+            });
+        }
+
+        private static byte[] ToUncompressedPoint(ECPoint q)
+        {
+            return Concat(new byte[] { 0x04 }, q.X!, q.Y!);
+        }
+
+        private static ECPoint FromUncompressedPoint(byte[] point)
+        {
+            if (point.Length != PublicKeyLength || point[0] != 0x04)
+            {
+                throw new CryptographicException("Expected an uncompressed P-256 public key");
+            }
+            return new ECPoint { X = point[1..33], Y = point[33..] };
+        }
+
+        private static byte[] Concat(params byte[][] parts)
+        {
+            var result = new byte[parts.Sum(p => p.Length)];
+            var offset = 0;
+            foreach (var part in parts)
+            {
+                part.CopyTo(result, offset);
+                offset += part.Length;
+            }
+            return result;
+        }
+    }
+}
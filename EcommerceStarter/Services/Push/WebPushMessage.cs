@@ -0,0 +1,21 @@
+namespace EcommerceStarter.Services.Push
+{
+    /// <summary>
+    /// Notification payload delivered to the service worker's push handler (sw.js)
+    /// </summary>
+    public class WebPushMessage
+    {
+        public string Title { get; set; } = string.Empty;
+        public string Body { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Relative URL opened when the notification is clicked (e.g. /Orders/Details/42)
+        /// </summary>
+        public string Url { get; set; } = "/";
+
+        /// <summary>
+        /// Notifications with the same tag replace each other on the device
+        /// </summary>
+        public string? Tag { get; set; }
+    }
+}
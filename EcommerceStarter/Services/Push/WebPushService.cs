@@ -0,0 +1,192 @@
+using System.Net;
+using System.Net.Http.Headers;
+using System.Text.Json;
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using EcommerceStarter.Services.ApiManagers;
+using Microsoft.EntityFrameworkCore;
+
+namespace EcommerceStarter.Services.Push
+{
+    public class WebPushService : IWebPushService
+    {
+        private readonly ApplicationDbContext _context;
+        private readonly WebPushApiManager _apiManager;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly ILogger<WebPushService> _logger;
+
+        // How long push services should keep trying to deliver an order update
+        private static readonly TimeSpan MessageTimeToLive = TimeSpan.FromDays(1);
+
+        private static readonly JsonSerializerOptions PayloadJsonOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+        };
+
+        public WebPushService(
+            ApplicationDbContext context,
+            WebPushApiManager apiManager,
+            IHttpClientFactory httpClientFactory,
+            ILogger<WebPushService> logger)
+        {
+            _context = context;
+            _apiManager = apiManager;
+            _httpClientFactory = httpClientFactory;
+            _logger = logger;
+        }
+
+        public async Task<string?> GetPublicKeyAsync()
+        {
+            var (publicKey, privateKey, _) = await _apiManager.GetVapidKeysAsync();
+            return string.IsNullOrEmpty(publicKey) || string.IsNullOrEmpty(privateKey) ? null : publicKey;
+        }
+
+        public async Task SaveSubscriptionAsync(string userId, string endpoint, string p256dh, string auth, string? userAgent)
+        {
+            var subscription = await _context.PushSubscriptions
+                .FirstOrDefaultAsync(s => s.Endpoint == endpoint);
+
+            if (subscription == null)
+            {
+                subscription = new PushSubscription
+                {
+                    Endpoint = endpoint,
+                    CreatedAt = DateTime.UtcNow
+                };
+                _context.PushSubscriptions.Add(subscription);
+            }
+
+            // Browsers can rotate keys for the same endpoint, and a shared device can change hands
+            subscription.UserId = userId;
+            subscription.P256dh = p256dh;
+            subscription.Auth = auth;
+            subscription.UserAgent = userAgent?.Length > 500 ? userAgent[..500] : userAgent ?? string.Empty;
+
+            await _context.SaveChangesAsync();
+        }
+
+        public async Task RemoveSubscriptionAsync(string userId, string endpoint)
+        {
+            var subscription = await _context.PushSubscriptions
+                .FirstOrDefaultAsync(s => s.Endpoint == endpoint && s.UserId == userId);
+
+            if (subscription != null)
+            {
+                _context.PushSubscriptions.Remove(subscription);
+                await _context.SaveChangesAsync();
+            }
+        }
+
+        public async Task<(bool Success, int StatusCode, string? Error)> SendAsync(PushSubscription subscription, WebPushMessage message)
+        {
+            var (publicKey, privateKey, subject) = await _apiManager.GetVapidKeysAsync();
+            if (string.IsNullOrEmpty(publicKey) || string.IsNullOrEmpty(privateKey))
+            {
+                return (false, 0, "Web Push VAPID keys are not configured");
+            }
+
+            try
+            {
+                var payload = JsonSerializer.SerializeToUtf8Bytes(message, PayloadJsonOptions);
+                var body = WebPushCrypto.Encrypt(subscription.P256dh, subscription.Auth, payload);
+
+                using var request = new HttpRequestMessage(HttpMethod.Post, subscription.Endpoint)
+                {
+                    Content = new ByteArrayContent(body)
+                };
+                request.Content.Headers.ContentType = new MediaTypeHeaderValue("application/octet-stream");
+                request.Content.Headers.ContentEncoding.Add("aes128gcm");
+                request.Headers.TryAddWithoutValidation("TTL", ((int)MessageTimeToLive.TotalSeconds).ToString());
+                request.Headers.TryAddWithoutValidation("Urgency", "normal");
+                request.Headers.TryAddWithoutValidation("Authorization", WebPushCrypto.CreateVapidAuthorization(
+                    subscription.Endpoint,
+                    string.IsNullOrEmpty(subject) ? "mailto:admin@localhost" : subject,
+                    publicKey,
+                    privateKey,
+                    DateTimeOffset.UtcNow.AddHours(12)));
+
+                var client = _httpClientFactory.CreateClient();
+                using var response = await client.SendAsync(request);
+                var statusCode = (int)response.StatusCode;
+
+                if (response.IsSuccessStatusCode)
+                {
+                    if (subscription.Id > 0)
+                    {
+                        subscription.LastSentAt = DateTime.UtcNow;
+                        await _context.SaveChangesAsync();
+                    }
+                    return (true, statusCode, null);
+                }
+
+                var error = await response.Content.ReadAsStringAsync();
+
+                // The browser unsubscribed or the subscription expired - stop sending to it
+                if (response.StatusCode == HttpStatusCode.NotFound || response.StatusCode == HttpStatusCode.Gone)
+                {
+                    if (subscription.Id > 0)
+                    {
+                        _context.PushSubscriptions.Remove(subscription);
+                        await _context.SaveChangesAsync();
+                    }
+                    _logger.LogInformation("Removed expired push subscription {SubscriptionId}", subscription.Id);
+                }
+                else
+                {
+                    _logger.LogWarning("Push service rejected notification with {StatusCode}: {Error}", statusCode, error);
+                }
+
+                return (false, statusCode, string.IsNullOrEmpty(error) ? response.ReasonPhrase : error);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error sending push notification to subscription {SubscriptionId}", subscription.Id);
+                return (false, 0, ex.Message);
+            }
+        }
+
+        public async Task<int> SendToUserAsync(string userId, WebPushMessage message)
+        {
+            var subscriptions = await _context.PushSubscriptions
+                .Where(s => s.UserId == userId)
+                .ToListAsync();
+
+            var delivered = 0;
+            foreach (var subscription in subscriptions)
+            {
+                var (success, _, _) = await SendAsync(subscription, message);
+                if (success) delivered++;
+            }
+
+            return delivered;
+        }
+
+        public async Task NotifyOrderStatusAsync(Order order, string title, string body)
+        {
+            if (string.IsNullOrEmpty(order.UserId))
+            {
+                return;
+            }
+
+            try
+            {
+                var delivered = await SendToUserAsync(order.UserId, new WebPushMessage
+                {
+                    Title = title,
+                    Body = body,
+                    Url = $"/Orders/Details/{order.Id}",
+                    Tag = $"order-{order.Id}"
+                });
+
+                if (delivered > 0)
+                {
+                    _logger.LogInformation("Order #{OrderId} push notification delivered to {Count} device(s)", order.Id, delivered);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error sending push notification for order #{OrderId}", order.Id);
+            }
+        }
+    }
+}
@@ -0,0 +1,19 @@
+namespace EcommerceStarter.Services.Pwa
+{
+    /// <summary>
+    /// Builds the web app manifest and its icons from the Branding settings
+    /// </summary>
+    public interface IWebAppManifestService
+    {
+        /// <summary>
+        /// Manifest for the current SiteSettings. Cached until the settings change.
+        /// </summary>
+        Task<WebAppManifest> GetManifestAsync();
+
+        /// <summary>
+        /// Render an app icon as PNG from the uploaded app icon (or the logo).
+        /// Returns null for sizes the manifest does not list.
+        /// </summary>
+        Task<AppIcon?> GetIconAsync(int size, bool maskable);
+    }
+}
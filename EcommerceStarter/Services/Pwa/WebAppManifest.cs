@@ -0,0 +1,108 @@
+using System.Text.Json.Serialization;
+
+namespace EcommerceStarter.Services.Pwa
+{
+    /// <summary>
+    /// Web app manifest (https://www.w3.org/TR/appmanifest/) served at /manifest.webmanifest
+    /// </summary>
+    public class WebAppManifest
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; } = "/";
+
+        [JsonPropertyName("name")]
+        public string Name { get; set; } = string.Empty;
+
+        [JsonPropertyName("short_name")]
+        public string ShortName { get; set; } = string.Empty;
+
+        [JsonPropertyName("description")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Description { get; set; }
+
+        [JsonPropertyName("start_url")]
+        public string StartUrl { get; set; } = "/";
+
+        [JsonPropertyName("scope")]
+        public string Scope { get; set; } = "/";
+
+        [JsonPropertyName("display")]
+        public string Display { get; set; } = "standalone";
+
+        [JsonPropertyName("theme_color")]
+        public string ThemeColor { get; set; } = string.Empty;
+
+        [JsonPropertyName("background_color")]
+        public string BackgroundColor { get; set; } = string.Empty;
+
+        [JsonPropertyName("categories")]
+        public List<string> Categories { get; set; } = new() { "shopping" };
+
+        [JsonPropertyName("icons")]
+        public List<ManifestImage> Icons { get; set; } = new();
+
+        [JsonPropertyName("shortcuts")]
+        public List<ManifestShortcut> Shortcuts { get; set; } = new();
+
+        [JsonPropertyName("screenshots")]
+        public List<ManifestImage> Screenshots { get; set; } = new();
+    }
+
+    public class ManifestImage
+    {
+        [JsonPropertyName("src")]
+        public string Src { get; set; } = string.Empty;
+
+        [JsonPropertyName("sizes")]
+        public string Sizes { get; set; } = string.Empty;
+
+        [JsonPropertyName("type")]
+        public string Type { get; set; } = "image/png";
+
+        /// <summary>
+        /// Icons only: "any" or "maskable"
+        /// </summary>
+        [JsonPropertyName("purpose")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Purpose { get; set; }
+
+        /// <summary>
+        /// Screenshots only: "wide" (desktop) or "narrow" (mobile)
+        /// </summary>
+        [JsonPropertyName("form_factor")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? FormFactor { get; set; }
+
+        [JsonPropertyName("label")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string? Label { get; set; }
+    }
+
+    public class ManifestShortcut
+    {
+        [JsonPropertyName("name")]
+        public string Name { get; set; } = string.Empty;
+
+        [JsonPropertyName("short_name")]
+        public string ShortName { get; set; } = string.Empty;
+
+        [JsonPropertyName("description")]
+        public string Description { get; set; } = string.Empty;
+
+        [JsonPropertyName("url")]
+        public string Url { get; set; } = string.Empty;
+
+        [JsonPropertyName("icons")]
+        public List<ManifestImage> Icons { get; set; } = new();
+    }
+
+    /// <summary>
+    /// A rendered PNG app icon. IsPlaceholder is set when no raster logo or app icon
+    /// was available and a plain theme-colored square was generated instead.
+    /// </summary>
+    public class AppIcon
+    {
+        public byte[] Png { get; set; } = Array.Empty<byte>();
+        public bool IsPlaceholder { get; set; }
+    }
+}
@@ -0,0 +1,285 @@
+using EcommerceStarter.Models;
+using Microsoft.Extensions.Caching.Memory;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+using SixLabors.ImageSharp.Processing;
+
+namespace EcommerceStarter.Services.Pwa
+{
+    public class WebAppManifestService : IWebAppManifestService
+    {
+        public static readonly int[] IconSizes = { 48, 72, 96, 128, 144, 192, 256, 384, 512 };
+        public static readonly int[] MaskableIconSizes = { 192, 512 };
+
+        private const string BackgroundColor = "#ffffff";
+        private const int ShortNameLength = 12;
+
+        // Launchers crop maskable icons to a circle 80% of the icon wide; keeping the artwork
+        // inside 60% leaves room for the corners of a square logo
+        private const float MaskableContentScale = 0.6f;
+
+        private static readonly TimeSpan CacheDuration = TimeSpan.FromHours(1);
+
+        private readonly ISiteSettingsService _siteSettingsService;
+        private readonly IStoredImageService _storedImageService;
+        private readonly IWebHostEnvironment _environment;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly IMemoryCache _cache;
+        private readonly ILogger<WebAppManifestService> _logger;
+
+        public WebAppManifestService(
+            ISiteSettingsService siteSettingsService,
+            IStoredImageService storedImageService,
+            IWebHostEnvironment environment,
+            IHttpClientFactory httpClientFactory,
+            IMemoryCache cache,
+            ILogger<WebAppManifestService> logger)
+        {
+            _siteSettingsService = siteSettingsService;
+            _storedImageService = storedImageService;
+            _environment = environment;
+            _httpClientFactory = httpClientFactory;
+            _cache = cache;
+            _logger = logger;
+        }
+
+        public async Task<WebAppManifest> GetManifestAsync()
+        {
+            var settings = await _siteSettingsService.GetSettingsAsync();
+            var version = settings.LastModified.Ticks;
+
+            var manifest = await _cache.GetOrCreateAsync($"pwa_manifest:{version}", async entry =>
+            {
+                entry.AbsoluteExpirationRelativeToNow = CacheDuration;
+                return await BuildManifestAsync(settings, version);
+            });
+
+            return manifest!;
+        }
+
+        public async Task<AppIcon?> GetIconAsync(int size, bool maskable)
+        {
+            if (!(maskable ? MaskableIconSizes : IconSizes).Contains(size))
+            {
+                return null;
+            }
+
+            var settings = await _siteSettingsService.GetSettingsAsync();
+            var cacheKey = $"pwa_icon:{settings.LastModified.Ticks}:{size}:{(maskable ? "maskable" : "any")}";
+
+            return await _cache.GetOrCreateAsync(cacheKey, async entry =>
+            {
+                entry.AbsoluteExpirationRelativeToNow = CacheDuration;
+
+                using var source = await LoadIconSourceAsync(settings);
+                return await RenderIconAsync(source, size, maskable, ParseColor(settings.PrimaryColor));
+            });
+        }
+
+        private async Task<WebAppManifest> BuildManifestAsync(SiteSettings settings, long version)
+        {
+            var manifest = new WebAppManifest
+            {
+                Name = settings.SiteName,
+                ShortName = GetShortName(settings),
+                Description = !string.IsNullOrWhiteSpace(settings.SiteTagline) ? settings.SiteTagline : settings.MetaDescription,
+                ThemeColor = settings.PrimaryColor,
+                BackgroundColor = BackgroundColor
+            };
+
+            manifest.Icons.AddRange(IconSizes.Select(size => Icon(size, "any", version)));
+            manifest.Icons.AddRange(MaskableIconSizes.Select(size => Icon(size, "maskable", version)));
+
+            var shortcutIcon = Icon(96, "any", version);
+            manifest.Shortcuts.Add(new ManifestShortcut
+            {
+                Name = "Shopping Cart",
+                ShortName = "Cart",
+                Description = "View the items in your cart",
+                Url = "/Cart",
+                Icons = { shortcutIcon }
+            });
+            manifest.Shortcuts.Add(new ManifestShortcut
+            {
+                Name = "My Orders",
+                ShortName = "Orders",
+                Description = "Track your orders",
+                Url = "/Orders",
+                Icons = { shortcutIcon }
+            });
+
+            var wide = await ScreenshotAsync(settings.AppScreenshotWideImageId, "wide", $"{settings.SiteName} on desktop");
+            if (wide != null) manifest.Screenshots.Add(wide);
+
+            var narrow = await ScreenshotAsync(settings.AppScreenshotNarrowImageId, "narrow", $"{settings.SiteName} on mobile");
+            if (narrow != null) manifest.Screenshots.Add(narrow);
+
+            return manifest;
+        }
+
+        private static ManifestImage Icon(int size, string purpose, long version)
+        {
+            var path = purpose == "maskable" ? $"/api/pwa/icons/maskable/{size}" : $"/api/pwa/icons/{size}";
+            return new ManifestImage
+            {
+                Src = $"{path}?v={version}",
+                Sizes = $"{size}x{size}",
+                Type = "image/png",
+                Purpose = purpose
+            };
+        }
+
+        private static string GetShortName(SiteSettings settings)
+        {
+            if (!string.IsNullOrWhiteSpace(settings.AppShortName))
+            {
+                return settings.AppShortName.Trim();
+            }
+
+            var name = settings.SiteName.Trim();
+            return name.Length <= ShortNameLength ? name : name[..ShortNameLength].TrimEnd();
+        }
+
+        private async Task<ManifestImage?> ScreenshotAsync(Guid? imageId, string formFactor, string label)
+        {
+            if (!imageId.HasValue)
+            {
+                return null;
+            }
+
+            var bytes = await LoadStoredImageBytesAsync(imageId.Value);
+            if (bytes == null)
+            {
+                return null;
+            }
+
+            try
+            {
+                var info = Image.Identify(bytes);
+                var format = Image.DetectFormat(bytes);
+                return new ManifestImage
+                {
+                    Src = $"/images/stored/{imageId.Value}",
+                    Sizes = $"{info.Width}x{info.Height}",
+                    Type = format.DefaultMimeType,
+                    FormFactor = formFactor,
+                    Label = label
+                };
+            }
+            catch (ImageFormatException ex)
+            {
+                _logger.LogWarning(ex, "Screenshot {ImageId} is not a readable image", imageId);
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// First raster image among the app icon, the logo image and the logo URL.
+        /// SVG logos cannot be rasterized here, so they are skipped.
+        /// </summary>
+        private async Task<Image?> LoadIconSourceAsync(SiteSettings settings)
+        {
+            var candidates = new List<Func<Task<byte[]?>>>();
+
+            if (settings.AppIconImageId.HasValue)
+            {
+                var id = settings.AppIconImageId.Value;
+                candidates.Add(() => LoadStoredImageBytesAsync(id));
+            }
+
+            if (settings.LogoImageId.HasValue)
+            {
+                var id = settings.LogoImageId.Value;
+                candidates.Add(() => LoadStoredImageBytesAsync(id));
+            }
+            else if (!string.IsNullOrEmpty(settings.LogoUrl))
+            {
+                var url = settings.LogoUrl;
+                candidates.Add(() => Task.FromResult(LoadWebRootBytes(url)));
+            }
+
+            foreach (var candidate in candidates)
+            {
+                var bytes = await candidate();
+                if (bytes == null) continue;
+
+                try
+                {
+                    return Image.Load(bytes);
+                }
+                catch (ImageFormatException)
+                {
+                    // Not a raster format ImageSharp understands (e.g. SVG) - try the next source
+                }
+            }
+
+            return null;
+        }
+
+        private async Task<byte[]?> LoadStoredImageBytesAsync(Guid id)
+        {
+            try
+            {
+                var image = await _storedImageService.GetImageAsync(id);
+                if (image == null) return null;
+
+                var data = await _storedImageService.GetDecryptedDataAsync(id);
+
+                if (image.StorageType == "cloudinary")
+                {
+                    return await _httpClientFactory.CreateClient().GetByteArrayAsync(data);
+                }
+
+                // Format: data:image/png;base64,iVBORw0KG...
+                var comma = data.IndexOf(',');
+                return data.StartsWith("data:") && comma > 0 ? Convert.FromBase64String(data[(comma + 1)..]) : null;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not load stored image {ImageId} for the web app manifest", id);
+                return null;
+            }
+        }
+
+        private byte[]? LoadWebRootBytes(string url)
+        {
+            if (!url.StartsWith("/")) return null;
+
+            var file = _environment.WebRootFileProvider.GetFileInfo(url.Split('?')[0]);
+            if (!file.Exists) return null;
+
+            using var stream = file.CreateReadStream();
+            using var memoryStream = new MemoryStream();
+            stream.CopyTo(memoryStream);
+            return memoryStream.ToArray();
+        }
+
+        private static async Task<AppIcon> RenderIconAsync(Image? source, int size, bool maskable, Color themeColor)
+        {
+            var background = source == null ? themeColor : maskable ? Color.ParseHex(BackgroundColor) : Color.Transparent;
+            using var canvas = new Image<Rgba32>(size, size, background.ToPixel<Rgba32>());
+
+            if (source != null)
+            {
+                var contentSize = maskable ? (int)(size * MaskableContentScale) : size;
+                using var content = source.Clone(x => x.Resize(new ResizeOptions
+                {
+                    Size = new Size(contentSize, contentSize),
+                    Mode = ResizeMode.Max
+                }));
+
+                var position = new Point((size - content.Width) / 2, (size - content.Height) / 2);
+                canvas.Mutate(x => x.DrawImage(content, position, 1f));
+            }
+
+            using var output = new MemoryStream();
+            await canvas.SaveAsPngAsync(output);
+            return new AppIcon { Png = output.ToArray(), IsPlaceholder = source == null };
+        }
+
+        private static Color ParseColor(string? hex)
+        {
+            return !string.IsNullOrEmpty(hex) && Color.TryParseHex(hex, out var color) ? color : Color.ParseHex("#6c757d");
+        }
+    }
+}
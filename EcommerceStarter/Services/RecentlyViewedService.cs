@@ -0,0 +1,182 @@
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace EcommerceStarter.Services
+{
+    public interface IRecentlyViewedService
+    {
+        /// <summary>
+        /// Product IDs the customer viewed, most recent first
+        /// </summary>
+        Task<List<int>> GetProductIdsAsync(string userId);
+
+        /// <summary>
+        /// Returns false when the product does not exist
+        /// </summary>
+        Task<bool> RecordAsync(string userId, int productId);
+
+        /// <summary>
+        /// Adds the views a guest made on this device before signing in, keeping the later of two views
+        /// </summary>
+        Task MergeAsync(string userId, IEnumerable<RecentlyViewedEntry> entries);
+
+        Task ClearAsync(string userId);
+    }
+
+    /// <summary>
+    /// Server-side "Recently viewed" list for signed-in customers (guests use localStorage, see
+    /// persistent-storage.js). Only the newest MaxItems products are kept.
+    /// </summary>
+    public class RecentlyViewedService : IRecentlyViewedService
+    {
+        public const int MaxItems = 20;
+
+        private readonly ApplicationDbContext _context;
+
+        public RecentlyViewedService(ApplicationDbContext context)
+        {
+            _context = context;
+        }
+
+        public async Task<List<int>> GetProductIdsAsync(string userId)
+        {
+            return await _context.RecentlyViewedProducts
+                .Where(r => r.UserId == userId)
+                .OrderByDescending(r => r.ViewedAt)
+                .Select(r => r.ProductId)
+                .Take(MaxItems)
+                .ToListAsync();
+        }
+
+        public async Task<bool> RecordAsync(string userId, int productId)
+        {
+            if (!await _context.Products.AnyAsync(p => p.Id == productId))
+            {
+                return false;
+            }
+
+            var now = DateTime.UtcNow;
+            var item = await _context.RecentlyViewedProducts
+                .FirstOrDefaultAsync(r => r.UserId == userId && r.ProductId == productId);
+
+            if (item != null)
+            {
+                item.ViewedAt = now;
+                await _context.SaveChangesAsync();
+                return true;
+            }
+
+            item = new RecentlyViewedProduct
+            {
+                UserId = userId,
+                ProductId = productId,
+                ViewedAt = now
+            };
+            _context.RecentlyViewedProducts.Add(item);
+
+            try
+            {
+                await _context.SaveChangesAsync();
+            }
+            catch (DbUpdateException)
+            {
+                _context.Entry(item).State = EntityState.Detached;
+
+                // Viewed in another tab at the same time - the unique index kept one row
+                if (!await _context.RecentlyViewedProducts.AnyAsync(r => r.UserId == userId && r.ProductId == productId))
+                {
+                    throw;
+                }
+            }
+
+            await TrimAsync(userId);
+            return true;
+        }
+
+        public async Task MergeAsync(string userId, IEnumerable<RecentlyViewedEntry> entries)
+        {
+            var latest = entries
+                .Where(e => e.ProductId > 0)
+                .GroupBy(e => e.ProductId)
+                .ToDictionary(g => g.Key, g => g.Max(e => e.ViewedAt ?? DateTime.UtcNow));
+
+            if (latest.Count == 0)
+            {
+                return;
+            }
+
+            var ids = latest.Keys.ToList();
+            var known = await _context.Products
+                .Where(p => ids.Contains(p.Id))
+                .Select(p => p.Id)
+                .ToListAsync();
+
+            var existing = await _context.RecentlyViewedProducts
+                .Where(r => r.UserId == userId && ids.Contains(r.ProductId))
+                .ToListAsync();
+
+            foreach (var productId in known)
+            {
+                // A view time from the browser can't be later than now
+                var viewedAt = latest[productId] > DateTime.UtcNow ? DateTime.UtcNow : latest[productId];
+                var item = existing.FirstOrDefault(r => r.ProductId == productId);
+
+                if (item == null)
+                {
+                    _context.RecentlyViewedProducts.Add(new RecentlyViewedProduct
+                    {
+                        UserId = userId,
+                        ProductId = productId,
+                        ViewedAt = viewedAt
+                    });
+                }
+                else if (viewedAt > item.ViewedAt)
+                {
+                    item.ViewedAt = viewedAt;
+                }
+            }
+
+            await _context.SaveChangesAsync();
+            await TrimAsync(userId);
+        }
+
+        public async Task ClearAsync(string userId)
+        {
+            var items = await _context.RecentlyViewedProducts
+                .Where(r => r.UserId == userId)
+                .ToListAsync();
+
+            if (items.Count > 0)
+            {
+                _context.RecentlyViewedProducts.RemoveRange(items);
+                await _context.SaveChangesAsync();
+            }
+        }
+
+        private async Task TrimAsync(string userId)
+        {
+            var stale = await _context.RecentlyViewedProducts
+                .Where(r => r.UserId == userId)
+                .OrderByDescending(r => r.ViewedAt)
+                .Skip(MaxItems)
+                .ToListAsync();
+
+            if (stale.Count > 0)
+            {
+                _context.RecentlyViewedProducts.RemoveRange(stale);
+                await _context.SaveChangesAsync();
+            }
+        }
+    }
+
+    /// <summary>
+    /// One product from the guest's list in localStorage
+    /// </summary>
+    public class RecentlyViewedEntry
+    {
+        public int ProductId { get; set; }
+
+        public DateTime? ViewedAt { get; set; }
+    }
+}
@@ -0,0 +1,296 @@
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace EcommerceStarter.Services
+{
+    public interface ISavedForLaterService
+    {
+        Task<List<SavedForLaterLine>> GetLinesAsync(string userId);
+
+        /// <summary>
+        /// Adds the line to the customer's list, adding to the quantity of an existing line for
+        /// the same product and variant. Returns false when the product does not exist.
+        /// </summary>
+        Task<bool> SaveAsync(string userId, SavedForLaterLine line);
+
+        Task RemoveAsync(string userId, int productId, int? variantId);
+
+        /// <summary>
+        /// Current price, stock and availability of each saved line
+        /// </summary>
+        Task<List<SavedForLaterCheck>> CheckAsync(IEnumerable<SavedForLaterLine> lines);
+
+        /// <summary>
+        /// Puts a saved line back into the session cart, capped at the stock that is left
+        /// </summary>
+        Task<(bool Success, string Message)> MoveToCartAsync(SavedForLaterLine line);
+    }
+
+    /// <summary>
+    /// "Save for later" on the cart page. Signed-in customers' lines are stored here; guests keep
+    /// theirs in localStorage (persistent-storage.js) and send them along to be checked. Saved
+    /// lines are checked against the catalog every time they are shown, since prices and stock
+    /// can change while they wait.
+    /// </summary>
+    public class SavedForLaterService : ISavedForLaterService
+    {
+        private const int MaxLines = 100;
+        private const int MaxQuantity = 999;
+
+        private readonly ApplicationDbContext _context;
+        private readonly ICartService _cartService;
+
+        public SavedForLaterService(ApplicationDbContext context, ICartService cartService)
+        {
+            _context = context;
+            _cartService = cartService;
+        }
+
+        public async Task<List<SavedForLaterLine>> GetLinesAsync(string userId)
+        {
+            return await _context.SavedForLaterItems
+                .Where(s => s.UserId == userId)
+                .OrderByDescending(s => s.CreatedAt)
+                .Select(s => new SavedForLaterLine
+                {
+                    ProductId = s.ProductId,
+                    VariantId = s.VariantId,
+                    Quantity = s.Quantity,
+                    Price = s.Price
+                })
+                .ToListAsync();
+        }
+
+        public async Task<bool> SaveAsync(string userId, SavedForLaterLine line)
+        {
+            if (line.Quantity <= 0 || !await _context.Products.AnyAsync(p => p.Id == line.ProductId))
+            {
+                return false;
+            }
+
+            var variantId = line.VariantId > 0 ? line.VariantId : null;
+            var existing = await _context.SavedForLaterItems
+                .FirstOrDefaultAsync(s => s.UserId == userId && s.ProductId == line.ProductId && s.VariantId == variantId);
+
+            if (existing != null)
+            {
+                existing.Quantity = Math.Min(existing.Quantity + line.Quantity, MaxQuantity);
+                existing.Price = line.Price ?? existing.Price;
+                existing.CreatedAt = DateTime.UtcNow;
+            }
+            else
+            {
+                _context.SavedForLaterItems.Add(new SavedForLaterItem
+                {
+                    UserId = userId,
+                    ProductId = line.ProductId,
+                    VariantId = variantId,
+                    Quantity = Math.Min(line.Quantity, MaxQuantity),
+                    Price = line.Price ?? 0m,
+                    CreatedAt = DateTime.UtcNow
+                });
+            }
+
+            await _context.SaveChangesAsync();
+            return true;
+        }
+
+        public async Task RemoveAsync(string userId, int productId, int? variantId)
+        {
+            variantId = variantId > 0 ? variantId : null;
+            var items = await _context.SavedForLaterItems
+                .Where(s => s.UserId == userId && s.ProductId == productId && s.VariantId == variantId)
+                .ToListAsync();
+
+            if (items.Count > 0)
+            {
+                _context.SavedForLaterItems.RemoveRange(items);
+                await _context.SaveChangesAsync();
+            }
+        }
+
+        public async Task<List<SavedForLaterCheck>> CheckAsync(IEnumerable<SavedForLaterLine> lines)
+        {
+            var requested = lines.Where(l => l.ProductId > 0).Take(MaxLines).ToList();
+            var products = await LoadProductsAsync(requested.Select(l => l.ProductId));
+
+            return requested.Select(line => Check(line, products.GetValueOrDefault(line.ProductId))).ToList();
+        }
+
+        public async Task<(bool Success, string Message)> MoveToCartAsync(SavedForLaterLine line)
+        {
+            var products = await LoadProductsAsync(new[] { line.ProductId });
+            var product = products.GetValueOrDefault(line.ProductId);
+            var check = Check(line, product);
+
+            if (product == null || !check.CanMoveToCart)
+            {
+                return (false, check.Message ?? "This item can no longer be added to your cart.");
+            }
+
+            var variant = line.VariantId.HasValue ? product.Variants.FirstOrDefault(v => v.Id == line.VariantId.Value) : null;
+
+            // The session cart keeps one line per product (see CartService.AddToCart)
+            var existing = _cartService.GetCart().FirstOrDefault(c => c.ProductId == product.Id);
+            if (existing != null && existing.VariantId != variant?.Id)
+            {
+                return (false, $"Your cart already has {existing.ProductName}. Remove it from your cart to move {check.Name} back.");
+            }
+
+            var available = Math.Min(check.Stock, MaxQuantity) - (existing?.Quantity ?? 0);
+            if (available <= 0)
+            {
+                return (false, $"Your cart already has all {check.Stock} available of {check.Name}.");
+            }
+
+            var quantity = Math.Min(Math.Max(line.Quantity, 1), available);
+            _cartService.AddToCart(new CartItem
+            {
+                ProductId = product.Id,
+                VariantId = variant?.Id,
+                ProductName = variant != null ? $"{product.Name} - {variant.Name}" : product.Name,
+                Price = check.Price,
+                Quantity = quantity,
+                ImageUrl = check.ImageUrl ?? product.ImageUrl,
+                StockQuantity = check.Stock
+            });
+
+            return quantity < line.Quantity
+                ? (true, $"Only {quantity} of {check.Name} could be moved back to your cart.")
+                : (true, $"{check.Name} was moved back to your cart.");
+        }
+
+        private static SavedForLaterCheck Check(SavedForLaterLine line, Product? product)
+        {
+            var check = new SavedForLaterCheck
+            {
+                ProductId = line.ProductId,
+                VariantId = line.VariantId > 0 ? line.VariantId : null,
+                Quantity = line.Quantity,
+                SavedPrice = line.Price,
+                Name = product?.Name ?? line.Name ?? "An item you saved"
+            };
+
+            if (product == null)
+            {
+                check.Exists = false;
+                check.Message = "This item is no longer sold.";
+                return check;
+            }
+
+            check.Url = $"/Products/Details/{product.Id}";
+            check.Price = product.Price;
+            check.ImageUrl = product.ImageUrl;
+
+            ProductVariant? variant = null;
+            if (product.Variants.Count > 0)
+            {
+                variant = check.VariantId.HasValue ? product.Variants.FirstOrDefault(v => v.Id == check.VariantId.Value) : null;
+                if (variant == null)
+                {
+                    check.Message = "The option you chose is no longer available. Please choose another one.";
+                    return check;
+                }
+
+                check.Url = $"/Products/Details/{product.Id}?variant={variant.Id}";
+                check.Name = $"{product.Name} ({variant.Name})";
+                check.Price = variant.EffectivePrice;
+                check.ImageUrl = variant.ImageUrl ?? product.ImageUrl;
+            }
+
+            if (!product.IsAvailable || product.IsComingSoon || (variant != null && !variant.IsInStock))
+            {
+                check.Message = "Out of stock";
+                return check;
+            }
+
+            check.Stock = variant?.StockQuantity ?? product.TotalAvailableStock;
+            if (check.Stock <= 0)
+            {
+                check.Message = "Out of stock";
+                return check;
+            }
+
+            check.CanMoveToCart = true;
+
+            if (check.Stock < line.Quantity)
+            {
+                check.Message = $"Only {check.Stock} left in stock.";
+            }
+            else if (line.Price.HasValue && line.Price.Value != check.Price)
+            {
+                var direction = check.Price < line.Price.Value ? "dropped" : "went up";
+                check.Message = $"The price {direction} from ${line.Price.Value:F2} since you saved it.";
+            }
+
+            return check;
+        }
+
+        private Task<Dictionary<int, Product>> LoadProductsAsync(IEnumerable<int> ids)
+        {
+            var productIds = ids.Distinct().ToList();
+            return _context.Products
+                .Include(p => p.Variants)
+                .Where(p => productIds.Contains(p.Id))
+                .ToDictionaryAsync(p => p.Id);
+        }
+    }
+
+    /// <summary>
+    /// A saved line as stored for signed-in customers, or as kept in localStorage by guests
+    /// </summary>
+    public class SavedForLaterLine
+    {
+        public int ProductId { get; set; }
+        public int? VariantId { get; set; }
+        public int Quantity { get; set; }
+
+        /// <summary>
+        /// Price when the line was saved
+        /// </summary>
+        public decimal? Price { get; set; }
+
+        /// <summary>
+        /// Name saved with a guest line - only used to describe products that no longer exist
+        /// </summary>
+        public string? Name { get; set; }
+
+        public static SavedForLaterLine FromCartItem(CartItem item) => new()
+        {
+            ProductId = item.ProductId,
+            VariantId = item.VariantId,
+            Quantity = item.Quantity,
+            Price = item.Price,
+            Name = item.ProductName
+        };
+    }
+
+    /// <summary>
+    /// A saved line as shown under the cart, with the current price and stock
+    /// </summary>
+    public class SavedForLaterCheck
+    {
+        public int ProductId { get; set; }
+        public int? VariantId { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string? Url { get; set; }
+        public string? ImageUrl { get; set; }
+        public int Quantity { get; set; }
+        public decimal Price { get; set; }
+        public decimal? SavedPrice { get; set; }
+        public int Stock { get; set; }
+
+        /// <summary>
+        /// False when the product was deleted from the catalog, so the line can be dropped
+        /// </summary>
+        public bool Exists { get; set; } = true;
+
+        public bool CanMoveToCart { get; set; }
+
+        /// <summary>
+        /// Stock, availability or price change to show next to the line
+        /// </summary>
+        public string? Message { get; set; }
+    }
+}
@@ -187,6 +187,8 @@ namespace EcommerceStarter.Services
                     existingSettings.SendOrderConfirmationEmails = settings.SendOrderConfirmationEmails;
                     existingSettings.SendShippingNotificationEmails = settings.SendShippingNotificationEmails;
                     existingSettings.SendAdminOrderNotifications = settings.SendAdminOrderNotifications;
+                    existingSettings.SendCartRecoveryEmails = settings.SendCartRecoveryEmails;
+                    existingSettings.CartRecoveryDelayHours = settings.CartRecoveryDelayHours;
                     existingSettings.AdminNotificationEmail = settings.AdminNotificationEmail;
 
                     existingSettings.EmailLogoUrl = settings.EmailLogoUrl;
@@ -209,6 +211,18 @@ namespace EcommerceStarter.Services
                     existingSettings.GoogleAnalyticsMeasurementId = settings.GoogleAnalyticsMeasurementId;
                     existingSettings.MeasurementPath = settings.MeasurementPath ?? "/metrics";
 
+                    // Progressive Web App install banner
+                    existingSettings.PwaInstallPageViews = settings.PwaInstallPageViews;
+                    existingSettings.PwaInstallAfterAddToCart = settings.PwaInstallAfterAddToCart;
+                    existingSettings.PwaInstallAfterOrderConfirmation = settings.PwaInstallAfterOrderConfirmation;
+                    existingSettings.PwaInstallDismissCooldownDays = settings.PwaInstallDismissCooldownDays;
+
+                    // Web app manifest
+                    existingSettings.AppShortName = settings.AppShortName;
+                    existingSettings.AppIconImageId = settings.AppIconImageId;
+                    existingSettings.AppScreenshotWideImageId = settings.AppScreenshotWideImageId;
+                    existingSettings.AppScreenshotNarrowImageId = settings.AppScreenshotNarrowImageId;
+
                     // Metadata
                     existingSettings.LastModified = DateTime.UtcNow;
                     existingSettings.LastModifiedBy = modifiedBy;
@@ -29,5 +29,12 @@ namespace EcommerceStarter.Services.Tracking
         /// Check if a specific courier is enabled and configured
         /// </summary>
         Task<bool> IsEnabledAsync(Courier courier);
+
+        /// <summary>
+        /// Refresh the carrier status of every shipped order that has not been delivered yet,
+        /// pushing a notification to customers whose order moved on. Returns how many tracking
+        /// numbers were checked.
+        /// </summary>
+        Task<int> RefreshShippedOrdersAsync(CancellationToken cancellationToken = default);
     }
 }
@@ -0,0 +1,44 @@
+namespace EcommerceStarter.Services.Tracking
+{
+    /// <summary>
+    /// Background job that asks the carriers for news on shipped orders
+    /// (TrackingStatusService.RefreshShippedOrdersAsync), so customers get a push notification
+    /// when their parcel is picked up, out for delivery or delivered.
+    /// </summary>
+    public class TrackingRefreshService : BackgroundService
+    {
+        private static readonly TimeSpan Interval = TimeSpan.FromMinutes(30);
+
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<TrackingRefreshService> _logger;
+
+        public TrackingRefreshService(IServiceScopeFactory scopeFactory, ILogger<TrackingRefreshService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            using var timer = new PeriodicTimer(Interval);
+
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var tracking = scope.ServiceProvider.GetRequiredService<ITrackingStatusService>();
+                    await tracking.RefreshShippedOrdersAsync(stoppingToken);
+                }
+                catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "[Tracking] Error refreshing carrier status for shipped orders");
+                }
+            }
+        }
+    }
+}
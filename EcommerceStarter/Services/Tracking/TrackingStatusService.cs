@@ -1,5 +1,8 @@
+using EcommerceStarter.Data;
 using EcommerceStarter.Models;
 using EcommerceStarter.Models.Tracking;
+using EcommerceStarter.Services.Push;
+using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Caching.Memory;
 
 namespace EcommerceStarter.Services.Tracking
@@ -12,6 +15,8 @@ namespace EcommerceStarter.Services.Tracking
     {
         private readonly IMemoryCache _cache;
         private readonly IEnumerable<ICarrierTrackingProvider> _providers;
+        private readonly ApplicationDbContext _context;
+        private readonly IWebPushService _webPushService;
         private readonly ILogger<TrackingStatusService> _logger;
 
         // Cache settings
@@ -20,10 +25,14 @@ namespace EcommerceStarter.Services.Tracking
         public TrackingStatusService(
             IMemoryCache cache,
             IEnumerable<ICarrierTrackingProvider> providers,
+            ApplicationDbContext context,
+            IWebPushService webPushService,
             ILogger<TrackingStatusService> logger)
         {
             _cache = cache;
             _providers = providers;
+            _context = context;
+            _webPushService = webPushService;
             _logger = logger;
         }
 
@@ -66,6 +75,8 @@ namespace EcommerceStarter.Services.Tracking
                     courier,
                     trackingNumber,
                     _cacheDuration.TotalMinutes);
+
+                await NotifyOnStatusChangeAsync(courier, trackingNumber, status);
             }
 
             return status;
@@ -120,6 +131,47 @@ namespace EcommerceStarter.Services.Tracking
             }
         }
 
+        public async Task<int> RefreshShippedOrdersAsync(CancellationToken cancellationToken = default)
+        {
+            var shipments = await _context.Orders
+                .Where(o => o.Status == OrderStatus.Shipped
+                    && o.TrackingNumber != null
+                    && o.TrackingNumber != ""
+                    && o.TrackingCourier != Courier.Unknown
+                    && (o.LastTrackingStatus == null
+                        || (o.LastTrackingStatus != TrackingStatusType.Delivered && o.LastTrackingStatus != TrackingStatusType.Returned)))
+                .Select(o => new { o.TrackingCourier, o.TrackingNumber })
+                .Distinct()
+                .ToListAsync(cancellationToken);
+
+            var checkedCount = 0;
+
+            foreach (var courierShipments in shipments.GroupBy(s => s.TrackingCourier))
+            {
+                // Couriers without a configured provider are skipped once rather than per order
+                if (!await IsEnabledAsync(courierShipments.Key))
+                {
+                    continue;
+                }
+
+                foreach (var shipment in courierShipments)
+                {
+                    cancellationToken.ThrowIfCancellationRequested();
+
+                    // Change notifications are sent from GetTrackingStatusAsync
+                    await RefreshTrackingStatusAsync(shipment.TrackingCourier, shipment.TrackingNumber!);
+                    checkedCount++;
+                }
+            }
+
+            if (checkedCount > 0)
+            {
+                _logger.LogInformation("Refreshed carrier status for {Count} shipped tracking number(s)", checkedCount);
+            }
+
+            return checkedCount;
+        }
+
         private async Task<TrackingStatus?> FetchFromProviderAsync(Courier courier, string trackingNumber)
         {
             try
@@ -168,6 +220,79 @@ namespace EcommerceStarter.Services.Tracking
             }
         }
 
+        /// <summary>
+        /// Push a notification to customers whose order just moved to a new carrier status.
+        /// The last status seen is stored on the order so each change is only pushed once.
+        /// </summary>
+        private async Task NotifyOnStatusChangeAsync(Courier courier, string trackingNumber, TrackingStatus status)
+        {
+            if (status.StatusType == TrackingStatusType.Unknown)
+            {
+                return;
+            }
+
+            try
+            {
+                var changedOrders = await _context.Orders
+                    .Where(o => o.TrackingNumber == trackingNumber
+                        && o.TrackingCourier == courier
+                        && (o.LastTrackingStatus == null || o.LastTrackingStatus != status.StatusType))
+                    .ToListAsync();
+
+                if (changedOrders.Count == 0)
+                {
+                    return;
+                }
+
+                foreach (var order in changedOrders)
+                {
+                    order.LastTrackingStatus = status.StatusType;
+                }
+                await _context.SaveChangesAsync();
+
+                var location = string.Join(", ", new[] { status.City, status.State }.Where(part => !string.IsNullOrEmpty(part)));
+                var body = string.IsNullOrEmpty(location) ? status.CurrentStatus : $"{status.CurrentStatus} - {location}";
+
+                foreach (var order in changedOrders)
+                {
+                    await _webPushService.NotifyOrderStatusAsync(
+                        order,
+                        $"Order {order.OrderNumber}: {GetStatusHeadline(status.StatusType)}",
+                        body);
+                }
+
+                _logger.LogInformation(
+                    "Tracking status for {Courier} {TrackingNumber} changed to {StatusType}; notified {Count} order(s)",
+                    courier,
+                    trackingNumber,
+                    status.StatusType,
+                    changedOrders.Count);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(
+                    ex,
+                    "Error sending tracking update notifications for {Courier} {TrackingNumber}",
+                    courier,
+                    trackingNumber);
+            }
+        }
+
+        private static string GetStatusHeadline(TrackingStatusType statusType)
+        {
+            return statusType switch
+            {
+                TrackingStatusType.Pending => "Shipping label created",
+                TrackingStatusType.PickedUp => "Picked up by the carrier",
+                TrackingStatusType.InTransit => "In transit",
+                TrackingStatusType.OutForDelivery => "Out for delivery",
+                TrackingStatusType.Delivered => "Delivered",
+                TrackingStatusType.Exception => "Delivery problem",
+                TrackingStatusType.Returned => "Returned to sender",
+                _ => "Tracking updated"
+            };
+        }
+
         private string GetCacheKey(Courier courier, string trackingNumber)
         {
             return $"tracking_{courier}_{trackingNumber}";
@@ -0,0 +1,90 @@
+using EcommerceStarter.Data;
+using EcommerceStarter.Models;
+using Microsoft.EntityFrameworkCore;
+
+namespace EcommerceStarter.Services
+{
+    public interface IWishlistService
+    {
+        Task<List<int>> GetProductIdsAsync(string userId);
+
+        /// <summary>
+        /// Returns false when the product does not exist
+        /// </summary>
+        Task<bool> AddAsync(string userId, int productId);
+
+        Task RemoveAsync(string userId, int productId);
+    }
+
+    /// <summary>
+    /// Server-side wishlist for signed-in customers (guests use localStorage, see persistent-storage.js)
+    /// </summary>
+    public class WishlistService : IWishlistService
+    {
+        private readonly ApplicationDbContext _context;
+
+        public WishlistService(ApplicationDbContext context)
+        {
+            _context = context;
+        }
+
+        public async Task<List<int>> GetProductIdsAsync(string userId)
+        {
+            return await _context.WishlistItems
+                .Where(w => w.UserId == userId)
+                .OrderByDescending(w => w.CreatedAt)
+                .Select(w => w.ProductId)
+                .ToListAsync();
+        }
+
+        public async Task<bool> AddAsync(string userId, int productId)
+        {
+            if (!await _context.Products.AnyAsync(p => p.Id == productId))
+            {
+                return false;
+            }
+
+            if (await _context.WishlistItems.AnyAsync(w => w.UserId == userId && w.ProductId == productId))
+            {
+                return true;
+            }
+
+            var item = new WishlistItem
+            {
+                UserId = userId,
+                ProductId = productId,
+                CreatedAt = DateTime.UtcNow
+            };
+            _context.WishlistItems.Add(item);
+
+            try
+            {
+                await _context.SaveChangesAsync();
+            }
+            catch (DbUpdateException)
+            {
+                _context.Entry(item).State = EntityState.Detached;
+
+                // Saved from another tab at the same time - the unique index kept one row
+                if (!await _context.WishlistItems.AnyAsync(w => w.UserId == userId && w.ProductId == productId))
+                {
+                    throw;
+                }
+            }
+
+            return true;
+        }
+
+        public async Task RemoveAsync(string userId, int productId)
+        {
+            var item = await _context.WishlistItems
+                .FirstOrDefaultAsync(w => w.UserId == userId && w.ProductId == productId);
+
+            if (item != null)
+            {
+                _context.WishlistItems.Remove(item);
+                await _context.SaveChangesAsync();
+            }
+        }
+    }
+}
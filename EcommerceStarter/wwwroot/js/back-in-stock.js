@@ -0,0 +1,72 @@
+﻿// @ts-check
+// "Notify me" form for sold-out variants on Products/Details
+//
+// The variant picker hands over the sold-out variant that was pressed (onUnavailable) and the
+// form asks BackInStockController to email the shopper once it is back. Signed-in customers are
+// emailed at their account's address, so their form has no email field.
+//
+// An ES module like variant-picker.js; Products/Details imports it. Requests go through
+// window.Http (http.js, loaded by _Layout).
+
+/**
+ * element - the card in Products/Details ([data-back-in-stock]), hidden until show()
+ */
+export function createBackInStockForm(element) {
+    const form = element.querySelector('form');
+    const email = form.querySelector('input[name="email"]');
+    const submit = form.querySelector('button[type="submit"]');
+    const status = element.querySelector('[data-back-in-stock-status]');
+    let variant = null;
+
+    function setStatus(message, className) {
+        status.textContent = message;
+        status.className = `small mt-2 ${className}`;
+    }
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!variant) return;
+        if (email && !email.checkValidity()) {
+            email.reportValidity();
+            return;
+        }
+
+        const requested = variant;
+        submit.disabled = true;
+        setStatus('Saving...', 'text-muted');
+
+        Http.post('/api/back-in-stock', { variantId: requested.id, email: email ? email.value.trim() : null }, {
+            headers: Http.jsonHeaders(form)
+        })
+            .then(res => res.json().then(data => ({ ok: res.ok, data })))
+            .then(({ ok, data }) => {
+                // Another variant was picked while this one was saving
+                if (variant !== requested) return;
+                setStatus(data.message || 'Your request could not be saved. Please try again.', ok ? 'text-success' : 'text-danger');
+            })
+            .catch(() => {
+                if (variant !== requested) return;
+                setStatus('Your request could not be saved. Please try again.', 'text-danger');
+            })
+            .finally(() => {
+                submit.disabled = false;
+            });
+    });
+
+    return {
+        /**
+         * Offers the email for this variant ({ id, name })
+         */
+        show(next) {
+            variant = next;
+            element.querySelector('[data-back-in-stock-name]').textContent = next.name;
+            setStatus('', '');
+            element.hidden = false;
+        },
+
+        hide() {
+            variant = null;
+            element.hidden = true;
+        }
+    };
+}
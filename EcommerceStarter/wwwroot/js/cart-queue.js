@@ -0,0 +1,123 @@
+﻿// @ts-check
+// Offline cart mutation queue (IndexedDB) - shared by the page and the service worker
+//
+// Cart add/update/remove forms submitted without a connection are stored here and
+// replayed in order against the JSON version of their page handler (AddToCartJson,
+// UpdateQuantityJson, RemoveItemJson). sw.js replays on the Background Sync event;
+// enhancements.js replays on 'online' in browsers without Background Sync.
+(function(scope) {
+    const DB_NAME = 'ecommerce-offline';
+    const DB_VERSION = 1;
+    const STORE = 'cartMutations';
+    const SYNC_TAG = 'cart-sync';
+    const LOCK_NAME = 'cart-queue-replay';
+
+    function openDb() {
+        return new Promise((resolve, reject) => {
+            const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run one request against the store and resolve with its result once the transaction commits
+    function withStore(mode, action) {
+        return openDb().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = action(tx.objectStore(STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(request ? request.result : undefined);
+            };
+            tx.onerror = () => {
+                db.close();
+                reject(tx.error);
+            };
+        }));
+    }
+
+    // Page handlers are posted as ?handler=AddToCart; the queue replays ?handler=AddToCartJson
+    function toJsonHandlerUrl(action) {
+        const url = new URL(action, scope.location.origin);
+        const handler = url.searchParams.get('handler');
+        if (handler && !handler.endsWith('Json')) {
+            url.searchParams.set('handler', handler + 'Json');
+        }
+        return url.pathname + url.search;
+    }
+
+    function kindOf(handler) {
+        if (/AddToCart/i.test(handler)) return 'add';
+        if (/RemoveItem/i.test(handler)) return 'remove';
+        return 'update';
+    }
+
+    // Only one tab (or the worker) may replay at a time, otherwise an add could be applied twice
+    function withReplayLock(callback) {
+        const locks = scope.navigator && scope.navigator.locks;
+        return locks ? locks.request(LOCK_NAME, callback) : callback();
+    }
+
+    async function replayEntry(entry) {
+        // A network failure throws here and leaves the entry queued for the next attempt
+        const response = await fetch(entry.url, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: entry.body
+        });
+
+        let data = null;
+        if (response.ok) {
+            data = await response.json().catch(() => null);
+        }
+
+        return {
+            kind: entry.kind,
+            success: !!(data && data.success),
+            message: data && data.message ? data.message : '',
+            cartCount: data && typeof data.cartCount === 'number' ? data.cartCount : null
+        };
+    }
+
+    scope.CartQueue = {
+        SYNC_TAG,
+
+        // Queue a submitted cart form; the antiforgery token travels in the serialized body
+        enqueue(form) {
+            const action = form.getAttribute('action') || scope.location.href;
+            const url = toJsonHandlerUrl(action);
+            const entry = {
+                url,
+                kind: kindOf(new URL(url, scope.location.origin).searchParams.get('handler') || ''),
+                body: new URLSearchParams(/** @type {any} */ (new FormData(form))).toString(),
+                queuedAt: new Date().toISOString()
+            };
+            return withStore('readwrite', store => store.add(entry));
+        },
+
+        count() {
+            return withStore('readonly', store => store.count());
+        },
+
+        // Replay every queued change in order. Resolves with one result per change the server
+        // answered (accepted or rejected); rejects if the connection drops so the rest stay queued.
+        replay() {
+            return withReplayLock(async () => {
+                const entries = await withStore('readonly', store => store.getAll());
+                const results = [];
+
+                for (const entry of entries) {
+                    const result = await replayEntry(entry);
+                    await withStore('readwrite', store => store.delete(entry.id));
+                    results.push(result);
+                }
+
+                return results;
+            });
+        }
+    };
+})(self);
@@ -0,0 +1,59 @@
+﻿// @ts-check
+// Cart abandonment capture on the checkout page (Pages/Checkout/Index.cshtml)
+//
+// Once the shopper has accepted cookies (_CookieConsent.cshtml), the email they enter is sent with
+// the session cart to CartRecoveryController. If no order follows, CartRecoveryEmailService emails
+// them a link that restores the cart. Nothing is sent before consent, and failures stay silent:
+// checkout works the same without it.
+(function() {
+    const CONSENT_KEY = 'cookie_consent';
+    const DEBOUNCE_MS = 800;
+
+    let input = null;
+    let timer = null;
+    let lastCaptured = null;
+
+    function consentGiven() {
+        try {
+            return localStorage.getItem(CONSENT_KEY) === 'accepted';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function capture() {
+        clearTimeout(timer);
+
+        const email = input.value.trim();
+        if (!email || !input.checkValidity() || email === lastCaptured || !consentGiven()) return;
+
+        lastCaptured = email;
+        Http.post('/api/cart-recovery/capture', { email })
+            .then(res => {
+                // Try again on the next change
+                if (!res.ok && lastCaptured === email) lastCaptured = null;
+            })
+            .catch(() => {
+                if (lastCaptured === email) lastCaptured = null;
+            });
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        input = document.querySelector('[data-cart-recovery-email]');
+        if (!input || !window.fetch) return;
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(capture, DEBOUNCE_MS);
+        });
+        input.addEventListener('change', capture);
+
+        // Accepting cookies while on this page captures the email already entered
+        document.addEventListener('cookie-consent:changed', (/** @type {CustomEvent} */ e) => {
+            if (e.detail && e.detail.consent === 'accepted') capture();
+        });
+
+        // Signed-in customers' email is filled in already
+        capture();
+    });
+})();
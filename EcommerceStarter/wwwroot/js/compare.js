@@ -0,0 +1,257 @@
+﻿// @ts-check
+// Product comparison tray (Pages/Shared/_CompareTray.cshtml)
+//
+// Any checkbox with data-compare-toggle="<productId>" (the "Compare" box on product cards) adds
+// the product to a tray docked at the foot of the screen, up to compareList.max products. The
+// list lives in localStorage (persistent-storage.js), so the tray is there on every page and in
+// every tab (StoreSync). "Compare" opens a table from /api/products/compare with the price,
+// categories, variant attributes in stock, stock and description side by side; rows where the
+// products differ are highlighted.
+(function() {
+    let tray = null;
+    let modal = null;
+    let bsModal = null;
+    let compared = [];
+
+    const { createElement, fetchJson } = Http;
+
+    function part(root, name) {
+        return root.querySelector(`[data-compare-${name}]`);
+    }
+
+    function entries() {
+        return window.compareList ? compareList.get() : [];
+    }
+
+    // Boxes on the page follow the list - cards rendered later are synced on products:updated
+    function syncCheckboxes(list) {
+        const picked = new Set(list.map(entry => String(entry.productId)));
+        document.querySelectorAll('[data-compare-toggle]').forEach((/** @type {HTMLInputElement} */ box) => {
+            box.checked = picked.has(box.dataset.compareToggle);
+        });
+    }
+
+    function renderTray(list) {
+        syncCheckboxes(list);
+
+        tray.hidden = list.length === 0;
+        document.body.classList.toggle('compare-tray-open', list.length > 0);
+        part(tray, 'count').textContent = `Compare ${list.length} of ${compareList.max}`;
+
+        part(tray, 'items').replaceChildren(...list.map(entry => {
+            const item = createElement('li', 'compare-tray-item');
+
+            const image = createElement('img');
+            image.src = entry.imageUrl || '/images/placeholder.jpg';
+            image.alt = '';
+
+            const remove = createElement('button', 'btn-close btn-close-white');
+            remove.type = 'button';
+            remove.setAttribute('aria-label', `Remove ${entry.name || 'this product'} from the comparison`);
+            remove.addEventListener('click', () => removeProduct(entry.productId));
+
+            item.append(image, createElement('span', 'compare-tray-name', entry.name || ''), remove);
+            return item;
+        }));
+
+        const open = part(tray, 'open');
+        open.disabled = list.length < 2;
+        open.title = list.length < 2 ? 'Pick at least two products to compare' : '';
+    }
+
+    function removeProduct(productId) {
+        const list = compareList.remove(productId);
+        renderTray(list);
+
+        compared = compared.filter(product => product.id !== productId);
+        if (modal.classList.contains('show')) {
+            if (compared.length === 0) {
+                bsModal.hide();
+            } else {
+                renderTable(compared);
+            }
+        }
+    }
+
+    // Rows: label, then one cell per product. A cell is { text } or { node, value } - value is
+    // what is compared when the cell is a node
+    function addRow(table, label, cells) {
+        const row = createElement('tr');
+        const values = cells.map(cell => (cell.value !== undefined ? cell.value : cell.text || '').trim().toLowerCase());
+        if (cells.length > 1 && values.some(value => value !== values[0])) {
+            row.classList.add('table-warning');
+        }
+
+        const heading = createElement('th', null, label);
+        heading.scope = 'row';
+        row.appendChild(heading);
+
+        cells.forEach(cell => {
+            const td = createElement('td');
+            if (cell.node) {
+                td.appendChild(cell.node);
+            } else {
+                td.textContent = cell.text || '—';
+            }
+            row.appendChild(td);
+        });
+
+        table.appendChild(row);
+    }
+
+    function availability(product) {
+        if (product.isComingSoon) {
+            return createElement('span', 'badge bg-info', 'Coming Soon');
+        }
+        if (!product.isAvailable) {
+            return createElement('span', 'badge bg-danger', 'Out of Stock');
+        }
+        return createElement('span', 'badge bg-success', `In Stock (${product.stock} available)`);
+    }
+
+    function productHeading(product) {
+        const cell = createElement('th', 'compare-product');
+        cell.scope = 'col';
+
+        const link = createElement('a', 'text-decoration-none text-reset');
+        link.href = product.url;
+
+        const image = createElement('img', 'compare-product-image');
+        image.src = product.imageUrl || '/images/placeholder.jpg';
+        image.alt = '';
+
+        link.append(image, createElement('span', 'd-block mt-2', product.name));
+
+        const remove = createElement('button', 'btn btn-link btn-sm text-danger p-0 mt-1');
+        remove.type = 'button';
+        remove.append(createElement('i', 'bi bi-x-circle'), ' Remove');
+        remove.setAttribute('aria-label', `Remove ${product.name} from the comparison`);
+        remove.addEventListener('click', () => removeProduct(product.id));
+
+        cell.append(link, remove);
+        return cell;
+    }
+
+    function renderTable(products) {
+        const table = part(modal, 'table');
+        table.replaceChildren();
+
+        const head = createElement('thead');
+        const headRow = createElement('tr');
+        headRow.append(createElement('td'), ...products.map(productHeading));
+        head.appendChild(headRow);
+
+        const body = createElement('tbody');
+        addRow(body, 'Price', products.map(p => ({ text: `$${Number(p.price).toFixed(2)}` })));
+        addRow(body, 'Category', products.map(p => ({ text: p.category })));
+        addRow(body, 'Subcategory', products.map(p => ({ text: p.subCategory })));
+
+        // Every attribute any of the products has, in the order they first appear
+        const names = [];
+        products.forEach(p => (p.attributes || []).forEach(attribute => {
+            if (!names.some(name => name.toLowerCase() === attribute.name.toLowerCase())) names.push(attribute.name);
+        }));
+        names.forEach(name => {
+            addRow(body, name, products.map(p => {
+                const attribute = (p.attributes || []).find(a => a.name.toLowerCase() === name.toLowerCase());
+                return { text: attribute ? attribute.values.join(', ') : '' };
+            }));
+        });
+
+        addRow(body, 'Stock', products.map(p => ({
+            node: availability(p),
+            value: p.isComingSoon ? 'coming soon' : p.isAvailable ? String(p.stock) : 'out of stock'
+        })));
+        // A plain-text summary - the description itself is HTML from the admin editor
+        addRow(body, 'Description', products.map(p => ({
+            node: createElement('div', 'compare-description small', p.summary || ''),
+            value: p.summary || ''
+        })));
+
+        table.append(head, body);
+    }
+
+    function openComparison() {
+        const list = entries();
+        if (list.length < 2) return;
+
+        part(modal, 'loading').hidden = false;
+        part(modal, 'error').hidden = true;
+        part(modal, 'content').hidden = true;
+        bsModal.show();
+
+        fetchJson(`/api/products/compare?ids=${list.map(entry => entry.productId).join(',')}`)
+            .then(data => {
+                compared = data.products || [];
+
+                // Products deleted from the catalog leave the tray
+                const found = new Set(compared.map(p => p.id));
+                list.filter(entry => !found.has(entry.productId)).forEach(entry => compareList.remove(entry.productId));
+                renderTray(entries());
+
+                renderTable(compared);
+                part(modal, 'loading').hidden = true;
+                part(modal, 'content').hidden = false;
+            })
+            .catch(() => {
+                part(modal, 'loading').hidden = true;
+                part(modal, 'error').hidden = false;
+            });
+    }
+
+    function toggle(box) {
+        const productId = parseInt(box.dataset.compareToggle, 10);
+        if (!productId) return;
+
+        if (!box.checked) {
+            renderTray(compareList.remove(productId));
+            return;
+        }
+
+        if (compareList.isFull() && !compareList.has(productId)) {
+            box.checked = false;
+            if (window.ToastManager) {
+                ToastManager.warning(`You can compare up to ${compareList.max} products. Remove one from the tray first.`, 'Compare');
+            }
+            return;
+        }
+
+        renderTray(compareList.add({
+            productId,
+            name: box.dataset.compareName,
+            imageUrl: box.dataset.compareImage
+        }));
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        tray = document.querySelector('[data-compare-tray]');
+        modal = document.querySelector('[data-compare-modal]');
+        if (!tray || !modal || !window.compareList || !window.fetch || !window.bootstrap || !bootstrap.Modal) return;
+
+        bsModal = bootstrap.Modal.getOrCreateInstance(modal);
+
+        document.addEventListener('change', (e) => {
+            const box = /** @type {HTMLInputElement} */ (e.target);
+            if (box.matches('[data-compare-toggle]')) toggle(box);
+        });
+
+        part(tray, 'open').addEventListener('click', openComparison);
+        part(tray, 'clear').addEventListener('click', () => {
+            compareList.clear();
+            renderTray([]);
+        });
+
+        modal.addEventListener('hidden.bs.modal', () => {
+            compared = [];
+        });
+
+        // Grids swapped in by product-filters.js
+        document.addEventListener('products:updated', () => syncCheckboxes(entries()));
+
+        if (window.StoreSync) {
+            StoreSync.subscribe('compare', ({ items }) => renderTray(items || []));
+        }
+
+        renderTray(entries());
+    });
+})();
@@ -2,7 +2,7 @@
 
 /**
  * Preview an email template without sending
- * @param {string} emailType - Type of email: 'order', 'shipping', 'welcome', or 'test'
+ * @param {string} emailType - Type of email: 'order', 'shipping', 'welcome', 'cart', or 'test'
  */
 async function previewEmail(emailType) {
     const modal = new bootstrap.Modal(document.getElementById('emailPreviewModal'));
@@ -14,6 +14,7 @@ async function previewEmail(emailType) {
         'order': 'Order Confirmation Email',
         'shipping': 'Shipping Notification Email',
         'welcome': 'Welcome Email',
+        'cart': 'Cart Recovery Email',
         'test': 'Test Email'
     };
     previewTitle.textContent = titles[emailType] || 'Email Preview';
@@ -65,14 +66,15 @@ async function sendPreviewAsTest() {
     }
     
     // Send test email
-    await sendTestEmail(email);
+    await sendTestEmail(email, emailType);
 }
 
 /**
  * Send a test email
  * @param {string} email - Email address to send to (optional)
+ * @param {string} emailType - Previewed template to send: 'cart' sends the cart recovery email (optional)
  */
-async function sendTestEmail(email) {
+async function sendTestEmail(email, emailType) {
     let emailAddress = email;
     
     if (!emailAddress) {
@@ -107,7 +109,7 @@ async function sendTestEmail(email) {
         const response = await fetch('?handler=TestEmail', {
             method: 'POST',
             headers: headers,
-            body: JSON.stringify({ email: emailAddress })
+            body: JSON.stringify({ email: emailAddress, emailType: emailType || 'test' })
         });
         
         const result = await response.json();
@@ -176,6 +176,23 @@ const ToastManager = {
     
     info(message, title = '') {
         return this.show(message, title, 'info');
+    },
+
+    // Persistent toast with a single action button (e.g. "Reload to update")
+    action(message, title, actionLabel, onAction, type = 'info') {
+        const toast = this.show(message, title, type, 0);
+
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'btn btn-sm btn-primary toast-action';
+        actionBtn.textContent = actionLabel;
+        actionBtn.addEventListener('click', () => {
+            this.hide(toast);
+            onAction();
+        });
+
+        toast.querySelector('.toast-content').appendChild(actionBtn);
+        return toast;
     }
 };
 
@@ -186,7 +203,6 @@ function initStickyNav() {
     const navbar = document.querySelector('.navbar');
     if (!navbar) return;
     
-    let lastScroll = 0;
     const navbarHeight = navbar.offsetHeight;
     
     window.addEventListener('scroll', () => {
@@ -199,8 +215,6 @@ function initStickyNav() {
             navbar.classList.remove('navbar-sticky');
             document.body.classList.remove('has-sticky-nav');
         }
-        
-        lastScroll = currentScroll;
     });
 }
 
@@ -208,7 +222,7 @@ function initStickyNav() {
 // CART BADGE BOUNCE ANIMATION
 // ========================================
 function animateCartBadge() {
-    const cartBadge = document.querySelector('.nav-link .badge');
+    const cartBadge = document.querySelector('.cart-link .cart-badge');
     if (!cartBadge) return;
     
     cartBadge.classList.add('bounce');
@@ -217,24 +231,216 @@ function animateCartBadge() {
     }, 600);
 }
 
-// Override add to cart to show toast and animate badge
+// ========================================
+// ADD TO CART WITHOUT RELOADING
+// ========================================
+// Add-to-cart forms post to the JSON version of their handler (AddToCartJson). The toast and
+// badge updates only happen once the server has accepted the add, using its cart count.
+// Offline submits are left to CartSyncManager, which queues them.
 function enhanceAddToCart() {
-    // Listen for successful add to cart
-    const addToCartForms = document.querySelectorAll('form[action*="AddToCart"]');
-    
-    addToCartForms.forEach(form => {
-        form.addEventListener('submit', function(e) {
-            // Don't prevent default - let form submit
-            // But show feedback after a short delay
-            setTimeout(() => {
-                animateCartBadge();
-                updateFloatingCart(); // Update floating cart widget
-                ToastManager.success('Item added to your cart', 'Added to Cart');
-            }, 100);
-        });
+    document.addEventListener('submit', (e) => {
+        const form = e.target;
+        const action = form.getAttribute && form.getAttribute('action');
+        if (!action || !/handler=AddToCart(&|$)/i.test(action)) return;
+        if (e.defaultPrevented || !navigator.onLine || !window.fetch) return;
+
+        e.preventDefault();
+        submitAddToCart(form, action.replace(/handler=AddToCart/i, 'handler=AddToCartJson'));
     });
 }
 
+function submitAddToCart(form, url) {
+    const button = form.querySelector('button[type="submit"]');
+    if (button && button.disabled) return;
+    if (button) button.disabled = true;
+
+    // The form carries its own antiforgery token; the header covers forms rendered without one
+    fetch(url, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'RequestVerificationToken': Http.antiforgeryToken(form)
+        },
+        body: new URLSearchParams(new FormData(form)).toString()
+    })
+        .then(response => response.ok
+            ? response.json()
+            : Promise.reject(new Error(`Add to cart failed (${response.status})`)))
+        .then(data => {
+            if (!data || !data.success) {
+                ToastManager.error(data && data.message ? data.message : 'This item could not be added to your cart.', 'Not Added');
+                return;
+            }
+
+            CartSyncManager.setCartCount(data.cartCount);
+            animateCartBadge();
+            ToastManager.success(data.message || 'Item added to your cart', 'Added to Cart');
+            document.dispatchEvent(new CustomEvent('cart:added', { detail: data }));
+        })
+        .catch(() => {
+            // Connection dropped mid-request: queue it like any other offline change
+            if (!navigator.onLine && window.CartQueue) {
+                CartSyncManager.queue(form);
+                return;
+            }
+            ToastManager.error('Something went wrong adding this item to your cart. Please try again.', 'Not Added');
+        })
+        .finally(() => {
+            if (button) button.disabled = false;
+        });
+}
+
+// ========================================
+// OFFLINE CART QUEUE (Background Sync)
+// ========================================
+// Cart forms submitted without a connection are stored by cart-queue.js and replayed
+// by the service worker's sync event, or on 'online' where Background Sync is missing.
+// Toasts are only shown once the server has answered the replayed request.
+const CartSyncManager = {
+    formSelector: 'form[action*="AddToCart"], form[action*="UpdateQuantity"], form[action*="RemoveItem"]',
+
+    successTitles: {
+        add: 'Added to Cart',
+        update: 'Cart Updated',
+        remove: 'Item Removed'
+    },
+
+    init() {
+        if (!window.CartQueue || !('indexedDB' in window)) return;
+
+        // Delegated, so cart forms rendered later (quick view, product grid pages) are queued too.
+        // Registered ahead of enhanceAddToCart, which leaves prevented submits alone.
+        document.addEventListener('submit', (e) => {
+            const form = e.target;
+            if (!form.matches || !form.matches(this.formSelector)) return;
+
+            // Online submits post normally (add to cart goes through enhanceAddToCart)
+            if (navigator.onLine || e.defaultPrevented) return;
+
+            e.preventDefault();
+            this.queue(form);
+        });
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'CART_SYNC_RESULT') {
+                    this.handleResults(event.data.results);
+                }
+            });
+        }
+
+        window.addEventListener('online', () => this.requestSync());
+
+        // Pick up anything left over from an earlier visit
+        this.refreshPendingState().then(pending => {
+            if (pending > 0 && navigator.onLine) this.requestSync();
+        });
+    },
+
+    queue(form) {
+        CartQueue.enqueue(form)
+            .then(() => {
+                this.refreshPendingState();
+                animateCartBadge();
+                this.requestSync();
+            })
+            .catch(() => {
+                ToastManager.error('This change could not be saved while offline. Please try again once you are reconnected.', 'Cart Not Updated');
+            });
+    },
+
+    // Prefer Background Sync so the replay survives closing the tab; otherwise replay here
+    requestSync() {
+        const registered = 'serviceWorker' in navigator && 'SyncManager' in window
+            ? navigator.serviceWorker.getRegistration().then(registration => {
+                if (!registration || !registration.active) throw new Error('No active service worker');
+                return registration.sync.register(CartQueue.SYNC_TAG);
+            })
+            : Promise.reject(new Error('Background Sync unsupported'));
+
+        registered.catch(() => {
+            // Still offline - the 'online' listener will try again
+            if (!navigator.onLine) return;
+
+            CartQueue.replay()
+                .then(results => this.handleResults(results))
+                .catch(() => this.refreshPendingState());
+        });
+    },
+
+    handleResults(results) {
+        if (!results || results.length === 0) return;
+
+        // Every open tab hears the service worker; only the visible one speaks up
+        if (document.visibilityState === 'visible') {
+            results.forEach(result => {
+                if (result.success) {
+                    ToastManager.success(result.message || 'Your cart has been updated', this.successTitles[result.kind]);
+                } else {
+                    ToastManager.error(result.message || 'A cart change made while offline could not be applied.', 'Cart Not Updated');
+                }
+            });
+
+            // Cart totals are rendered on the server, so offer a refresh rather than reloading under the toasts
+            if (/^\/Cart(\/Index)?\/?$/i.test(window.location.pathname)) {
+                ToastManager.action('Your cart changed while you were offline.', 'Cart Synced', 'Refresh cart', () => window.location.reload());
+            }
+        }
+
+        const counted = results.filter(result => result.cartCount !== null);
+        if (counted.length > 0) {
+            this.setCartCount(counted[counted.length - 1].cartCount);
+        }
+
+        this.refreshPendingState();
+    },
+
+    // Update this tab and tell the others (store-sync.js)
+    setCartCount(count) {
+        this.renderCartCount(count);
+        if (window.StoreSync) {
+            StoreSync.cartChanged(count);
+        }
+    },
+
+    renderCartCount(count) {
+        const cartLink = document.querySelector('.cart-link');
+        if (!cartLink) return;
+
+        let badge = cartLink.querySelector('.cart-badge');
+        if (count > 0) {
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'cart-badge';
+                cartLink.appendChild(badge);
+            }
+            badge.textContent = count;
+        } else if (badge) {
+            badge.remove();
+        }
+
+        updateFloatingCart();
+    },
+
+    refreshPendingState() {
+        return CartQueue.count()
+            .then(pending => {
+                const cartLink = document.querySelector('.cart-link');
+                if (cartLink) {
+                    cartLink.classList.toggle('cart-pending-sync', pending > 0);
+                    if (pending > 0) {
+                        cartLink.setAttribute('title', `${pending} cart ${pending === 1 ? 'change' : 'changes'} waiting to sync`);
+                    } else {
+                        cartLink.removeAttribute('title');
+                    }
+                }
+                return pending;
+            })
+            .catch(() => 0);
+    }
+};
+
 // ========================================
 // SMOOTH SCROLL FOR ANCHOR LINKS
 // ========================================
@@ -370,21 +576,255 @@ function enhanceQuantityInputs() {
     
     quantityInputs.forEach(input => {
         input.addEventListener('change', function() {
-            const min = parseInt(this.min) || 1;
-            const max = parseInt(this.max) || 999;
-            let value = parseInt(this.value);
-            
-            if (value < min) {
-                this.value = min;
-                ToastManager.warning(`Minimum quantity is ${min}`, 'Quantity Updated');
-            } else if (value > max) {
-                this.value = max;
-                ToastManager.warning(`Maximum available quantity is ${max}`, 'Quantity Limited');
-            }
+            clampQuantityInput(this);
         });
     });
+
+    // Quantities on the cart page are saved as they are edited
+    CartEditor.init();
+}
+
+// Keep a quantity within min/max (on the cart page max is the stock of the chosen variant)
+function clampQuantityInput(input) {
+    const min = parseInt(input.min) || 1;
+    const max = parseInt(input.max) || 999;
+    let value = parseInt(input.value);
+    
+    if (value < min) {
+        input.value = min;
+        ToastManager.warning(`Minimum quantity is ${min}`, 'Quantity Updated');
+    } else if (value > max) {
+        input.value = max;
+        ToastManager.warning(`Maximum available quantity is ${max}`, 'Quantity Limited');
+    }
 }
 
+// ========================================
+// CART PAGE EDITING
+// ========================================
+// Quantity changes on Cart/Index are saved with fetch (CartController) once typing pauses.
+// Line totals, the subtotal and the estimated tax follow each keystroke; tax uses the same
+// state rates as Checkout/Index CalculateTax, rendered into data-tax-rates. A rejected or
+// failed update puts the last saved quantity back.
+const CartEditor = {
+    debounceMs: 600,
+    taxStateKey: 'cart_tax_state',
+    editor: null,
+    lines: [],
+    taxRates: {},
+
+    init() {
+        this.editor = document.querySelector('[data-cart-editor]');
+        if (!this.editor || !window.fetch) return;
+
+        try {
+            this.taxRates = JSON.parse(this.editor.dataset.taxRates || '{}');
+        } catch (e) {
+            this.taxRates = {};
+        }
+
+        this.editor.querySelectorAll('[data-cart-line]').forEach(line => this.initLine(line));
+
+        const stateSelect = this.editor.querySelector('[data-cart-tax-state]');
+        if (stateSelect) {
+            // Without a checkout state on the session, use the state picked on an earlier visit
+            const remembered = localStorage.getItem(this.taxStateKey);
+            if (!stateSelect.value && remembered && this.taxRates[remembered] !== undefined) {
+                stateSelect.value = remembered;
+            }
+            stateSelect.addEventListener('change', () => {
+                localStorage.setItem(this.taxStateKey, stateSelect.value);
+                this.renderTotals();
+            });
+        }
+
+        this.renderTotals();
+    },
+
+    initLine(line) {
+        const input = line.querySelector('[data-cart-quantity]');
+        if (!input) return;
+
+        const state = {
+            line,
+            input,
+            productId: parseInt(input.dataset.productId, 10),
+            priceCents: Math.round(parseFloat(input.dataset.price) * 100),
+            committed: parseInt(input.value, 10),
+            timer: null,
+            saving: false,
+            dirty: false
+        };
+        this.lines.push(state);
+
+        // Saving happens automatically, so the no-script Update button is not needed
+        const updateButton = line.querySelector('[data-cart-update-button]');
+        if (updateButton) updateButton.hidden = true;
+
+        input.addEventListener('input', () => {
+            this.renderLine(state, this.pendingQuantity(state));
+            this.renderTotals();
+            this.schedule(state, this.debounceMs);
+        });
+        input.addEventListener('change', () => this.schedule(state, this.debounceMs));
+
+        // Enter saves straight away; offline submits are left to CartSyncManager's queue
+        input.form.addEventListener('submit', (e) => {
+            if (!navigator.onLine) return;
+            e.preventDefault();
+            this.schedule(state, 0);
+        });
+    },
+
+    // The quantity being typed, limited to what can be ordered
+    pendingQuantity(state) {
+        const value = parseInt(state.input.value, 10);
+        if (isNaN(value)) return state.committed;
+
+        const min = parseInt(state.input.min) || 1;
+        const max = parseInt(state.input.max) || 999;
+        return Math.min(Math.max(value, min), max);
+    },
+
+    schedule(state, delay) {
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => this.save(state), delay);
+    },
+
+    save(state) {
+        state.timer = null;
+
+        // One request per line at a time; the latest value is sent when it returns
+        if (state.saving) {
+            state.dirty = true;
+            return;
+        }
+
+        if (isNaN(parseInt(state.input.value, 10))) {
+            this.rollback(state);
+            return;
+        }
+
+        clampQuantityInput(state.input);
+        const quantity = parseInt(state.input.value, 10);
+        this.renderLine(state, quantity);
+        this.renderTotals();
+
+        if (quantity === state.committed) return;
+
+        if (!navigator.onLine) {
+            state.input.form.requestSubmit();
+            return;
+        }
+
+        state.saving = true;
+        state.line.setAttribute('aria-busy', 'true');
+
+        Http.post('/api/cart/items/quantity', { productId: state.productId, quantity })
+            .then(response => Http.readJson(response, data => data.success && data.items))
+            .then(data => {
+                this.apply(state, data);
+                if (data.message) {
+                    ToastManager.warning(data.message, 'Quantity Limited');
+                }
+            })
+            .catch(err => {
+                this.rollback(state);
+                ToastManager.error(err.serverMessage || 'Your cart could not be updated. Please check your connection and try again.', 'Cart Not Updated');
+            })
+            .finally(() => {
+                state.saving = false;
+                state.line.removeAttribute('aria-busy');
+                if (state.dirty) {
+                    state.dirty = false;
+                    this.schedule(state, 0);
+                }
+            });
+    },
+
+    apply(state, cart) {
+        const item = cart.items.find(i => i.productId === state.productId);
+        if (item) {
+            state.committed = item.quantity;
+            if (item.stock > 0) state.input.max = item.stock;
+
+            // Leave a newer edit alone - it is sent once this request has finished
+            if (!state.dirty) state.input.value = item.quantity;
+        }
+
+        this.renderLine(state, this.pendingQuantity(state));
+        this.renderTotals();
+
+        CartSyncManager.setCartCount(cart.count);
+        document.dispatchEvent(new CustomEvent('cart:changed', { detail: { items: cart.items } }));
+    },
+
+    // "Save for later" (saved-for-later.js) takes a line out of the cart
+    removeLine(line) {
+        const state = this.lines.find(s => s.line === line);
+        if (state) {
+            clearTimeout(state.timer);
+            this.lines = this.lines.filter(s => s !== state);
+        }
+
+        line.remove();
+        if (this.editor) this.renderTotals();
+    },
+
+    rollback(state) {
+        state.input.value = state.committed;
+        this.renderLine(state, state.committed);
+        this.renderTotals();
+    },
+
+    renderLine(state, quantity) {
+        const total = state.line.querySelector('[data-cart-line-total]');
+        if (total) total.textContent = this.formatCents(state.priceCents * quantity);
+
+        // Same rule as the server render: only when the stock is known (max below 999)
+        const limited = state.line.querySelector('[data-cart-limited]');
+        const max = parseInt(state.input.max) || 999;
+        if (limited) limited.hidden = !(max < 999 && quantity >= max);
+    },
+
+    renderTotals() {
+        let count = 0;
+        let subtotalCents = 0;
+        this.lines.forEach(state => {
+            const quantity = this.pendingQuantity(state);
+            count += quantity;
+            subtotalCents += state.priceCents * quantity;
+        });
+
+        const stateSelect = this.editor.querySelector('[data-cart-tax-state]');
+        const rate = stateSelect && this.taxRates[stateSelect.value] ? this.taxRates[stateSelect.value] : 0;
+        const taxCents = this.roundHalfEven(subtotalCents * rate);
+
+        this.setText('[data-cart-item-count]', String(count));
+        this.setText('[data-cart-subtotal]', this.formatCents(subtotalCents));
+        this.setText('[data-cart-tax]', this.formatCents(taxCents));
+        this.setText('[data-cart-total]', this.formatCents(subtotalCents + taxCents));
+    },
+
+    // Math.Round in TaxRates.CalculateTax rounds halves to even
+    roundHalfEven(value) {
+        const floor = Math.floor(value);
+        if (Math.abs(value - floor - 0.5) < 1e-9) {
+            return floor % 2 === 0 ? floor : floor + 1;
+        }
+        return Math.round(value);
+    },
+
+    formatCents(cents) {
+        return `$${(cents / 100).toFixed(2)}`;
+    },
+
+    setText(selector, text) {
+        const element = this.editor.querySelector(selector);
+        if (element) element.textContent = text;
+    }
+};
+
 // ========================================
 // BACK TO TOP BUTTON
 // ========================================
@@ -438,9 +878,11 @@ function enhanceSearch() {
     searchInputs.forEach(input => {
         // Add clear button
         const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
         clearBtn.className = 'btn btn-sm btn-link position-absolute end-0 top-50 translate-middle-y';
-        clearBtn.innerHTML = '<i class="bi bi-x"></i>';
-        clearBtn.style.display = 'none';
+        clearBtn.innerHTML = '<i class="bi bi-x" aria-hidden="true"></i>';
+        clearBtn.setAttribute('aria-label', 'Clear search');
+        clearBtn.style.display = input.value ? 'block' : 'none';
         
         input.parentElement.style.position = 'relative';
         input.parentElement.appendChild(clearBtn);
@@ -454,10 +896,411 @@ function enhanceSearch() {
             input.value = '';
             clearBtn.style.display = 'none';
             input.focus();
+            // Let the suggestions follow the cleared value
+            input.dispatchEvent(new Event('input', { bubbles: true }));
         });
+
+        if (input.dataset.searchSuggest && window.fetch && window.AbortController) {
+            SearchSuggest.attach(input);
+        }
     });
 }
 
+// ========================================
+// SEARCH SUGGESTIONS (typeahead)
+// ========================================
+// A search input with data-search-suggest="<url>" gets a dropdown of matching products from
+// ProductsController.Search, grouped by category and subcategory. It follows the ARIA combobox
+// pattern: focus stays in the input, arrow keys move aria-activedescendant through the options,
+// Enter opens the active option (or submits the search form) and Escape closes the list.
+// With an empty input the list shows the recent searches kept in localStorage.
+const SearchSuggest = {
+    debounceMs: 200,
+    minLength: 2,
+    limit: 8,
+    recentKey: 'recent_searches',
+    maxRecent: 5,
+    count: 0,
+
+    attach(input) {
+        const form = input.closest('form');
+        const id = `search-suggest-${++this.count}`;
+
+        const listbox = document.createElement('div');
+        listbox.id = `${id}-list`;
+        listbox.className = 'search-suggest';
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('aria-label', 'Search suggestions');
+        listbox.hidden = true;
+
+        const status = document.createElement('div');
+        status.className = 'visually-hidden';
+        status.setAttribute('role', 'status');
+
+        input.parentElement.append(listbox, status);
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('autocomplete', 'off');
+
+        const state = {
+            input, form, listbox, status, id,
+            url: input.dataset.searchSuggest,
+            options: [],
+            active: -1,
+            timer: null,
+            controller: null,
+            query: null
+        };
+
+        input.addEventListener('input', () => this.schedule(state));
+        input.addEventListener('focus', () => {
+            if (!input.value.trim()) this.showRecent(state);
+        });
+        input.addEventListener('keydown', (e) => this.onKeyDown(state, e));
+
+        // Wait for a click on an option to land before closing
+        input.addEventListener('blur', () => setTimeout(() => {
+            if (!state.listbox.contains(document.activeElement)) this.close(state);
+        }, 150));
+
+        // Keep focus in the input while an option is clicked
+        listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(state, state.options.indexOf(option));
+        });
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                const term = input.value.trim();
+                if (!term) {
+                    e.preventDefault();
+                    return;
+                }
+                this.remember(term);
+            });
+        }
+    },
+
+    schedule(state) {
+        clearTimeout(state.timer);
+        const term = state.input.value.trim();
+
+        if (!term) {
+            this.abort(state);
+            this.showRecent(state);
+            return;
+        }
+
+        if (term.length < this.minLength) {
+            this.abort(state);
+            this.close(state);
+            return;
+        }
+
+        state.timer = setTimeout(() => this.fetch(state, term), this.debounceMs);
+    },
+
+    abort(state) {
+        if (state.controller) {
+            state.controller.abort();
+            state.controller = null;
+        }
+    },
+
+    fetch(state, term) {
+        // Only the latest request may render; older ones are cancelled
+        this.abort(state);
+        const controller = new AbortController();
+        state.controller = controller;
+
+        const url = `${state.url}?q=${encodeURIComponent(term)}&limit=${this.limit}`;
+        fetch(url, { credentials: 'same-origin', signal: controller.signal })
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`Search failed (${res.status})`)))
+            .then(data => {
+                if (state.controller !== controller) return;
+                state.controller = null;
+                this.renderResults(state, term, data);
+            })
+            .catch(err => {
+                if (err.name === 'AbortError') return;
+                if (state.controller === controller) state.controller = null;
+                this.close(state);
+            });
+    },
+
+    createOption(state, className) {
+        const option = Http.createElement('div', `search-suggest-option ${className || ''}`.trim());
+        option.id = `${state.id}-option-${state.options.length}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        state.options.push(option);
+        return option;
+    },
+
+    createGroup(state, label) {
+        const group = Http.createElement('div', 'search-suggest-group');
+        group.setAttribute('role', 'group');
+        const heading = Http.createElement('div', 'search-suggest-heading', label);
+        heading.id = `${state.id}-group-${state.listbox.children.length}`;
+        heading.setAttribute('role', 'presentation');
+        group.setAttribute('aria-labelledby', heading.id);
+        group.appendChild(heading);
+        return group;
+    },
+
+    // Wrap each searched word in <mark>, building text nodes so product names are never parsed as HTML
+    highlight(text, term) {
+        const fragment = document.createDocumentFragment();
+        const words = term.split(/\s+/).filter(Boolean).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (words.length === 0) {
+            fragment.append(text);
+            return fragment;
+        }
+
+        const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+        text.split(pattern).forEach((part, i) => {
+            if (!part) return;
+            // split() with a capture group puts the matches at odd indexes
+            fragment.append(i % 2 === 1 ? Http.createElement('mark', null, part) : part);
+        });
+        return fragment;
+    },
+
+    renderResults(state, term, data) {
+        this.reset(state);
+        state.query = term;
+        const groups = data.groups || [];
+
+        groups.forEach(group => {
+            const label = group.subCategory ? `${group.category} / ${group.subCategory}` : group.category;
+            const element = this.createGroup(state, label);
+
+            group.products.forEach(product => {
+                const option = this.createOption(state, 'search-suggest-product');
+                option.dataset.url = product.url;
+
+                const thumb = Http.createElement('img', 'search-suggest-thumb');
+                thumb.src = product.imageUrl || '/images/placeholder.jpg';
+                thumb.alt = '';
+                thumb.loading = 'lazy';
+
+                const name = Http.createElement('span', 'search-suggest-name');
+                name.appendChild(this.highlight(product.name, term));
+
+                const price = Http.createElement('span', 'search-suggest-price',
+                    product.isComingSoon ? 'Coming soon' : `$${Number(product.price).toFixed(2)}`);
+
+                option.append(thumb, name, price);
+                element.appendChild(option);
+            });
+
+            state.listbox.appendChild(element);
+        });
+
+        if (groups.length === 0) {
+            const empty = Http.createElement('div', 'search-suggest-empty', `No products match "${term}"`);
+            state.listbox.appendChild(empty);
+        } else {
+            const all = this.createOption(state, 'search-suggest-all');
+            all.dataset.search = term;
+            all.textContent = `See all ${data.total} results for "${term}"`;
+            state.listbox.appendChild(all);
+        }
+
+        const shown = state.options.length - (groups.length > 0 ? 1 : 0);
+        state.status.textContent = shown === 0
+            ? 'No suggestions.'
+            : `${shown} suggestion${shown === 1 ? '' : 's'} available. Use the up and down arrows to review.`;
+        this.open(state);
+    },
+
+    showRecent(state) {
+        const recent = this.getRecent();
+        this.reset(state);
+        state.query = null;
+        if (recent.length === 0) {
+            this.close(state);
+            return;
+        }
+
+        const group = this.createGroup(state, 'Recent searches');
+        recent.forEach(term => {
+            const option = this.createOption(state, 'search-suggest-recent');
+            option.dataset.search = term;
+            const icon = Http.createElement('i', 'bi bi-clock-history');
+            icon.setAttribute('aria-hidden', 'true');
+            option.append(icon, term);
+            group.appendChild(option);
+        });
+
+        const clear = this.createOption(state, 'search-suggest-clear');
+        clear.dataset.action = 'clear-recent';
+        clear.textContent = 'Clear recent searches';
+        group.appendChild(clear);
+
+        state.listbox.appendChild(group);
+        state.status.textContent = `${recent.length} recent search${recent.length === 1 ? '' : 'es'} available.`;
+        this.open(state);
+    },
+
+    reset(state) {
+        state.listbox.replaceChildren();
+        state.options = [];
+        state.active = -1;
+        state.input.removeAttribute('aria-activedescendant');
+    },
+
+    open(state) {
+        state.listbox.hidden = false;
+        state.input.setAttribute('aria-expanded', 'true');
+    },
+
+    close(state) {
+        clearTimeout(state.timer);
+        state.listbox.hidden = true;
+        state.input.setAttribute('aria-expanded', 'false');
+        state.input.removeAttribute('aria-activedescendant');
+        state.active = -1;
+        state.options.forEach(option => option.setAttribute('aria-selected', 'false'));
+    },
+
+    isOpen(state) {
+        return !state.listbox.hidden;
+    },
+
+    setActive(state, index) {
+        if (state.active >= 0 && state.options[state.active]) {
+            state.options[state.active].setAttribute('aria-selected', 'false');
+        }
+
+        state.active = index;
+        const option = state.options[index];
+        if (!option) {
+            state.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        option.setAttribute('aria-selected', 'true');
+        state.input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    },
+
+    onKeyDown(state, e) {
+        const count = state.options.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!this.isOpen(state)) {
+                    this.reopen(state);
+                    return;
+                }
+                if (count > 0) this.setActive(state, state.active + 1 >= count ? 0 : state.active + 1);
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!this.isOpen(state)) {
+                    this.reopen(state);
+                    return;
+                }
+                if (count > 0) this.setActive(state, state.active <= 0 ? count - 1 : state.active - 1);
+                break;
+
+            case 'Enter':
+                // Without an active option the form submits as usual
+                if (this.isOpen(state) && state.active >= 0) {
+                    e.preventDefault();
+                    this.choose(state, state.active);
+                }
+                break;
+
+            case 'Escape':
+                if (this.isOpen(state)) {
+                    e.preventDefault();
+                    this.close(state);
+                } else if (state.input.value) {
+                    e.preventDefault();
+                    state.input.value = '';
+                    state.input.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+                break;
+
+            case 'Tab':
+                this.close(state);
+                break;
+        }
+    },
+
+    // Alt+ArrowDown or an arrow key on a closed list shows it again
+    reopen(state) {
+        const term = state.input.value.trim();
+        if (!term) {
+            this.showRecent(state);
+        } else if (state.query === term && state.options.length > 0) {
+            this.open(state);
+        } else if (term.length >= this.minLength) {
+            this.fetch(state, term);
+        }
+    },
+
+    choose(state, index) {
+        const option = state.options[index];
+        if (!option) return;
+
+        if (option.dataset.action === 'clear-recent') {
+            this.clearRecent();
+            this.close(state);
+            this.reset(state);
+            state.status.textContent = 'Recent searches cleared.';
+            return;
+        }
+
+        if (option.dataset.url) {
+            if (state.query) this.remember(state.query);
+            window.location.href = option.dataset.url;
+            return;
+        }
+
+        // A recent search or "see all results" runs the search on the shop page
+        state.input.value = option.dataset.search;
+        this.close(state);
+        if (state.form) {
+            state.form.requestSubmit ? state.form.requestSubmit() : state.form.submit();
+        }
+    },
+
+    getRecent() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.recentKey) || '[]');
+            return Array.isArray(stored) ? stored.filter(term => typeof term === 'string') : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    remember(term) {
+        const recent = this.getRecent().filter(t => t.toLowerCase() !== term.toLowerCase());
+        recent.unshift(term);
+        try {
+            localStorage.setItem(this.recentKey, JSON.stringify(recent.slice(0, this.maxRecent)));
+        } catch (e) {
+            // Storage full or disabled - recent searches are a convenience only
+        }
+    },
+
+    clearRecent() {
+        try {
+            localStorage.removeItem(this.recentKey);
+        } catch (e) {
+            // Storage disabled
+        }
+    }
+};
+
 // ========================================
 // FLOATING CART WIDGET (Mobile)
 // ========================================
@@ -511,10 +1354,11 @@ const FloatingCartWidget = {
     
     updateBadge() {
         const badge = document.querySelector('.floating-cart-badge');
-        const navBadge = document.querySelector('.nav-link .badge');
+        const navBadge = document.querySelector('.cart-link .cart-badge');
         
-        if (badge && navBadge) {
-            const count = navBadge.textContent.trim();
+        if (badge) {
+            // The layout only renders the nav badge when the cart has items
+            const count = navBadge ? navBadge.textContent.trim() : '0';
             badge.textContent = count;
             badge.style.display = count > 0 ? 'flex' : 'none';
         }
@@ -598,7 +1442,8 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize core features
     initStickyNav();
     FloatingCartWidget.init(); // Initialize floating cart widget for mobile
-    enhanceAddToCart();
+    CartSyncManager.init(); // Queue cart changes made offline and replay them when reconnected
+    enhanceAddToCart(); // Add to cart with fetch instead of a full page post
     initSmoothScroll();
     initAlertAutoDismiss();
     initBackToTop();
@@ -634,3 +1479,6 @@ window.ToastManager = ToastManager;
 window.SkeletonLoader = SkeletonLoader;
 window.ThemeManager = ThemeManager;
 window.FloatingCartWidget = FloatingCartWidget;
+window.CartSyncManager = CartSyncManager;
+window.CartEditor = CartEditor;
+window.SearchSuggest = SearchSuggest;
@@ -0,0 +1,86 @@
+﻿// @ts-check
+// Shared helpers for the storefront scripts: the antiforgery token, JSON requests to the API
+// controllers and page handlers, and building elements
+//
+// Loaded by _Layout ahead of every other script and exposed as window.Http. The token is the
+// one _Layout renders with @Html.AntiForgeryToken(); the endpoints these scripts post to are
+// [ValidateAntiForgeryToken] and read it from the RequestVerificationToken header. Text put
+// into elements (product names, messages from the server) is only ever set as text.
+(function() {
+    const TOKEN_SELECTOR = 'input[name="__RequestVerificationToken"]';
+
+    /**
+     * The antiforgery token of scope (a form that renders its own), otherwise the page's
+     */
+    function antiforgeryToken(scope) {
+        const token = (scope && scope.querySelector(TOKEN_SELECTOR)) || document.querySelector(TOKEN_SELECTOR);
+        return token ? token.value : '';
+    }
+
+    /**
+     * Headers for a JSON POST to an endpoint that validates the antiforgery token
+     */
+    function jsonHeaders(scope) {
+        return {
+            'Content-Type': 'application/json',
+            'RequestVerificationToken': antiforgeryToken(scope)
+        };
+    }
+
+    /**
+     * POST body as JSON with the antiforgery token. Resolves with the response, whatever its
+     * status; options are passed on to fetch (e.g. keepalive)
+     */
+    function post(url, body, options) {
+        return fetch(url, Object.assign({
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: jsonHeaders(),
+            body: JSON.stringify(body || {})
+        }, options));
+    }
+
+    /**
+     * Request answered with JSON, never from the HTTP cache. Rejects unless the status is 2xx.
+     */
+    function fetchJson(url, options) {
+        return fetch(url, Object.assign({ credentials: 'same-origin', cache: 'no-store' }, options))
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`Request failed (${res.status})`)));
+    }
+
+    /**
+     * post, answered with JSON. Rejects unless the status is 2xx.
+     */
+    function postJson(url, body) {
+        return fetchJson(url, {
+            method: 'POST',
+            headers: jsonHeaders(),
+            body: JSON.stringify(body || {})
+        });
+    }
+
+    /**
+     * The JSON body of a response, error statuses included (the cart APIs explain a 400 or 404
+     * in the body). Rejects when there is no body or accept(data) is false; the server's
+     * message, if any, is on the error as serverMessage.
+     */
+    function readJson(res, accept) {
+        return res.json().catch(() => null).then(data => {
+            if (!data || (accept && !accept(data))) {
+                const error = /** @type {Error & { serverMessage?: string }} */ (new Error(`Request failed (${res.status})`));
+                error.serverMessage = data && data.message;
+                return Promise.reject(error);
+            }
+            return data;
+        });
+    }
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    window.Http = { antiforgeryToken, jsonHeaders, post, fetchJson, postJson, readJson, createElement };
+})();
@@ -0,0 +1,237 @@
+﻿// @ts-check
+// Mini-cart drawer (Pages/Shared/_MiniCart.cshtml)
+//
+// The navbar cart link and the floating cart widget open a Bootstrap offcanvas instead of
+// navigating to /Cart. The offcanvas traps focus and closes on Esc; focus goes back to the
+// link that opened it. Lines are loaded from /api/cart/summary and changed through
+// /api/cart/items/quantity and /api/cart/items/delete (CartController), which answer with
+// the whole cart again, so the drawer always shows what the server holds.
+(function() {
+    const TRIGGER_SELECTOR = '.cart-link, .floating-cart-widget';
+
+    let drawer = null;
+    let offcanvas = null;
+    let opener = null;
+    let busy = false;
+
+    const { createElement } = Http;
+
+    function formatPrice(value) {
+        return `$${Number(value).toFixed(2)}`;
+    }
+
+    function part(name) {
+        return drawer.querySelector(`[data-mini-cart-${name}]`);
+    }
+
+    function announce(message) {
+        part('status').textContent = message;
+    }
+
+    function iconButton(icon, label, className) {
+        const button = createElement('button', className);
+        button.type = 'button';
+        button.setAttribute('aria-label', label);
+        const glyph = createElement('i', `bi ${icon}`);
+        glyph.setAttribute('aria-hidden', 'true');
+        button.appendChild(glyph);
+        return button;
+    }
+
+    // The cart page and checkout show the full cart already, so their links keep navigating
+    function drawerAllowed() {
+        return !/^\/(Cart|Checkout)(\/|$)/i.test(window.location.pathname);
+    }
+
+    function renderLine(item) {
+        const line = createElement('li', 'mini-cart-item');
+        line.dataset.productId = item.productId;
+
+        const thumbLink = createElement('a', 'mini-cart-thumb');
+        thumbLink.href = item.url;
+        thumbLink.tabIndex = -1;
+        thumbLink.setAttribute('aria-hidden', 'true');
+        const thumb = createElement('img');
+        thumb.src = item.imageUrl || '/images/placeholder.jpg';
+        thumb.alt = '';
+        thumb.loading = 'lazy';
+        thumbLink.appendChild(thumb);
+
+        const details = createElement('div', 'mini-cart-details');
+        const name = createElement('a', 'mini-cart-name', item.name);
+        name.href = item.url;
+        details.appendChild(name);
+
+        if (item.attributes && item.attributes.length > 0) {
+            const attributes = createElement('dl', 'mini-cart-attributes');
+            item.attributes.forEach(attribute => {
+                attributes.append(createElement('dt', null, attribute.name), createElement('dd', null, attribute.value));
+            });
+            details.appendChild(attributes);
+        }
+
+        details.appendChild(createElement('div', 'small text-muted', `${formatPrice(item.price)} each`));
+
+        const controls = createElement('div', 'mini-cart-controls');
+        const stepper = createElement('div', 'mini-cart-stepper');
+        stepper.setAttribute('role', 'group');
+        stepper.setAttribute('aria-label', `Quantity of ${item.name}`);
+
+        const decrease = iconButton('bi-dash', `Decrease quantity of ${item.name}`, 'btn btn-sm btn-outline-secondary');
+        decrease.disabled = item.quantity <= 1;
+        decrease.addEventListener('click', () => changeQuantity(item, item.quantity - 1));
+
+        const quantity = createElement('span', 'mini-cart-quantity', String(item.quantity));
+        quantity.setAttribute('aria-label', `${item.quantity} in cart`);
+
+        const increase = iconButton('bi-plus', `Increase quantity of ${item.name}`, 'btn btn-sm btn-outline-secondary');
+        increase.disabled = item.quantity >= item.stock;
+        if (increase.disabled) {
+            increase.title = item.stock > 0 ? `Only ${item.stock} available` : 'Out of stock';
+        }
+        increase.addEventListener('click', () => changeQuantity(item, item.quantity + 1));
+
+        stepper.append(decrease, quantity, increase);
+
+        const remove = iconButton('bi-trash', `Remove ${item.name} from your cart`, 'btn btn-sm btn-link text-danger mini-cart-remove');
+        remove.addEventListener('click', () => removeLine(item));
+
+        controls.append(stepper, remove);
+        details.appendChild(controls);
+
+        const total = createElement('div', 'mini-cart-line-total fw-bold', formatPrice(item.lineTotal));
+
+        line.append(thumbLink, details, total);
+        return line;
+    }
+
+    function render(cart) {
+        part('loading').hidden = true;
+        part('error').hidden = true;
+
+        const items = cart.items || [];
+        part('items').replaceChildren(...items.map(renderLine));
+        part('empty').hidden = items.length > 0;
+        part('footer').hidden = items.length === 0;
+        part('subtotal').textContent = formatPrice(cart.subtotal || 0);
+    }
+
+    function load() {
+        if (part('items').children.length === 0) {
+            part('loading').hidden = false;
+        }
+
+        return Http.fetchJson('/api/cart/summary')
+            .then(render)
+            .catch(() => {
+                part('loading').hidden = true;
+                part('error').hidden = false;
+            });
+    }
+
+    // Every change answers with the whole cart; the badge, other tabs and the guest copy follow it
+    function post(url, body, focusProductId) {
+        if (busy) return Promise.resolve();
+        busy = true;
+        part('items').setAttribute('aria-busy', 'true');
+        drawer.querySelectorAll('.mini-cart-item button').forEach(button => { button.disabled = true; });
+
+        return Http.post(url, body)
+            .then(res => Http.readJson(res, data => data.items))
+            .then(data => {
+                render(data);
+                applyCount(data);
+
+                if (!data.success) {
+                    ToastManager.error(data.message || 'Your cart could not be updated.', 'Cart Not Updated');
+                } else if (data.message) {
+                    announce(data.message);
+                }
+
+                restoreFocus(focusProductId);
+                return data;
+            })
+            .catch(err => {
+                ToastManager.error(err.serverMessage || 'Your cart could not be updated. Please check your connection and try again.', 'Cart Not Updated');
+                return load();
+            })
+            .finally(() => {
+                busy = false;
+                part('items').removeAttribute('aria-busy');
+            });
+    }
+
+    function applyCount(cart) {
+        if (window.CartSyncManager) {
+            CartSyncManager.setCartCount(cart.count);
+        }
+        document.dispatchEvent(new CustomEvent('cart:changed', { detail: { items: cart.items } }));
+    }
+
+    // Re-rendering replaces the buttons, so put focus back on the same line (or the drawer)
+    function restoreFocus(productId) {
+        const line = productId ? drawer.querySelector(`.mini-cart-item[data-product-id="${productId}"]`) : null;
+        const target = line ? line.querySelector('.mini-cart-stepper button:not(:disabled)') : null;
+        (target || drawer.querySelector('.btn-close')).focus();
+    }
+
+    function changeQuantity(item, quantity) {
+        post('/api/cart/items/quantity', { productId: item.productId, quantity }, item.productId)
+            .then(data => {
+                const line = data && (data.items || []).find(i => i.productId === item.productId);
+                if (line) announce(`${line.name}: quantity ${line.quantity}`);
+                if (data && data.success && data.message) {
+                    ToastManager.warning(data.message, 'Quantity Limited');
+                }
+            });
+    }
+
+    function removeLine(item) {
+        post('/api/cart/items/delete', { productId: item.productId }, null);
+    }
+
+    function open(trigger) {
+        opener = trigger;
+        offcanvas.show();
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        drawer = document.querySelector('[data-mini-cart]');
+        if (!drawer || !window.bootstrap || !bootstrap.Offcanvas) return;
+
+        offcanvas = bootstrap.Offcanvas.getOrCreateInstance(drawer);
+
+        // The floating widget is created by enhancements.js, so listen at the document
+        document.addEventListener('click', (e) => {
+            const trigger = /** @type {Element} */ (e.target).closest(TRIGGER_SELECTOR);
+            if (!trigger || !drawerAllowed()) return;
+            if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+            e.preventDefault();
+            open(trigger);
+        });
+
+        document.querySelectorAll(TRIGGER_SELECTOR).forEach(trigger => {
+            trigger.setAttribute('aria-controls', 'miniCart');
+            trigger.setAttribute('aria-haspopup', 'dialog');
+        });
+
+        drawer.addEventListener('show.bs.offcanvas', load);
+        drawer.addEventListener('hidden.bs.offcanvas', () => {
+            if (opener && document.contains(opener)) opener.focus();
+            opener = null;
+        });
+
+        // Another tab changed the cart while the drawer is open
+        if (window.StoreSync) {
+            StoreSync.subscribe('cart', () => {
+                if (drawer.classList.contains('show') && !busy) load();
+            });
+        }
+    });
+
+    window.MiniCart = {
+        open: () => offcanvas && drawerAllowed() && open(document.activeElement),
+        refresh: () => drawer && load()
+    };
+})();
@@ -1,51 +1,135 @@
-﻿// Persistent cart and wishlist for guests using localStorage
+﻿// Persistent cart and wishlist for guests using localStorage, and the comparison tray for everyone
 (function() {
     const CART_KEY = 'guest_cart';
     const WISHLIST_KEY = 'guest_wishlist';
+    const SAVED_FOR_LATER_KEY = 'guest_saved_for_later';
+    const RECENTLY_VIEWED_KEY = 'guest_recently_viewed';
+    const RECENTLY_VIEWED_MAX = 20;
+    const COMPARE_KEY = 'compare_products';
+    const COMPARE_MAX = 4;
+
+    // Rendered by _Layout: sync-guest-data is set for the first page after login or registration,
+    // checkout-complete for Orders/Confirmation right after an order is placed
+    const storageScript = document.currentScript;
+    const storageData = storageScript ? storageScript.dataset : {};
+    const isAuthenticated = storageData.authenticated === 'true';
+    const syncRequested = storageData.syncGuestData === 'true';
+    const checkoutComplete = storageData.checkoutComplete === 'true';
     
-    // Cart management
+    // Cart management. Entries are keyed by product and variant and keep a snapshot of the
+    // name, price and image at the time of adding:
+    // { productId, variantId, quantity, name, price, imageUrl, addedAt, synced }
+    // For guests the session cart on the server is the working cart and this is its saved
+    // copy (synced: true). Lines the server has not confirmed yet (synced: false) are put back
+    // into a new session on the next visit; synced lines end with the session they were in.
+    function sameLine(item, productId, variantId) {
+        return item.productId === productId && (item.variantId || null) === (variantId || null);
+    }
+
     window.guestCart = {
         get: function() {
             try {
-                return JSON.parse(localStorage.getItem(CART_KEY) || '[]');
+                const cart = JSON.parse(localStorage.getItem(CART_KEY) || '[]');
+                // Entries saved before variants were tracked have no variantId
+                return cart.map(item => Object.assign({ variantId: null }, item));
             } catch { return []; }
         },
+
+        save: function(cart) {
+            localStorage.setItem(CART_KEY, JSON.stringify(cart));
+            this.updateBadge();
+            return cart;
+        },
         
-        add: function(productId, quantity = 1) {
+        add: function(productId, quantity = 1, details = {}) {
             const cart = this.get();
-            const existing = cart.find(item => item.productId === productId);
+            const variantId = details.variantId || null;
+            const existing = cart.find(item => sameLine(item, productId, variantId));
             
             if (existing) {
                 existing.quantity += quantity;
             } else {
-                cart.push({ productId, quantity, addedAt: new Date().toISOString() });
+                cart.push({
+                    productId,
+                    variantId,
+                    quantity,
+                    name: details.name || null,
+                    price: typeof details.price === 'number' ? details.price : null,
+                    imageUrl: details.imageUrl || null,
+                    addedAt: new Date().toISOString(),
+                    synced: false
+                });
             }
             
-            localStorage.setItem(CART_KEY, JSON.stringify(cart));
-            this.updateBadge();
-            return cart;
+            return this.save(cart);
         },
         
-        remove: function(productId) {
-            let cart = this.get();
-            cart = cart.filter(item => item.productId !== productId);
-            localStorage.setItem(CART_KEY, JSON.stringify(cart));
-            this.updateBadge();
-            return cart;
+        remove: function(productId, variantId = null) {
+            const cart = this.get().filter(item => !sameLine(item, productId, variantId));
+            return this.save(cart);
         },
         
-        update: function(productId, quantity) {
+        update: function(productId, quantity, variantId = null) {
             const cart = this.get();
-            const item = cart.find(item => item.productId === productId);
+            const item = cart.find(item => sameLine(item, productId, variantId));
             
             if (item) {
                 item.quantity = quantity;
-                localStorage.setItem(CART_KEY, JSON.stringify(cart));
-                this.updateBadge();
+                this.save(cart);
             }
             
             return cart;
         },
+
+        // Replace the saved copy with the session cart, keeping when each line was first added
+        replace: function(lines) {
+            const previous = this.get();
+            const cart = lines.map(line => {
+                const earlier = previous.find(item => sameLine(item, line.productId, line.variantId));
+                return {
+                    productId: line.productId,
+                    variantId: line.variantId || null,
+                    quantity: line.quantity,
+                    name: line.name,
+                    price: line.price,
+                    imageUrl: line.imageUrl,
+                    addedAt: earlier ? earlier.addedAt : new Date().toISOString(),
+                    synced: true
+                };
+            });
+            return this.save(cart);
+        },
+
+        syncFromServer: function() {
+            return Http.fetchJson('/api/cart')
+                .then(data => this.replace(data.items || []));
+        },
+
+        // First page of a new visit: check saved prices and stock, and restore the lines the
+        // server never confirmed into the session cart if the session has ended in the meantime
+        revalidate: function() {
+            const cart = this.get();
+            if (cart.length === 0) return Promise.resolve(null);
+
+            return Http.post('/api/guest-cart/revalidate', { cart })
+            .then(res => res.ok ? res.json() : null)
+            .then(data => {
+                if (!data || !data.success) throw new Error('Guest cart revalidation failed');
+
+                showSyncNotices(data);
+                if (data.restored) {
+                    if (window.CartSyncManager) {
+                        CartSyncManager.setCartCount(data.cartCount);
+                    }
+                    if (window.ToastManager && data.cart.length > 0) {
+                        ToastManager.success('The items from your last visit are back in your cart.', 'Cart Restored');
+                    }
+                }
+
+                // A live session is the source of truth; a restored one now matches data.cart
+                return data.restored ? this.replace(data.cart) : this.syncFromServer();
+            });
+        },
         
         clear: function() {
             localStorage.removeItem(CART_KEY);
@@ -57,7 +141,9 @@
         },
         
         updateBadge: function() {
-            const badge = document.querySelector('.cart-badge, .badge');
+            // Signed-in shoppers' badge is rendered from the server cart
+            if (isAuthenticated) return;
+            const badge = document.querySelector('.cart-link .cart-badge');
             if (badge) badge.textContent = this.count();
         }
     };
@@ -95,29 +181,266 @@
         }
     };
     
-    // Sync with server for logged-in users
+    // Lines moved out of the cart with "Save for later" (saved-for-later.js). Same entries as
+    // the cart: { productId, variantId, quantity, name, price, savedAt } - price is the price
+    // when saved, so the cart page can point out changes
+    window.guestSavedForLater = {
+        get: function() {
+            try {
+                return JSON.parse(localStorage.getItem(SAVED_FOR_LATER_KEY) || '[]');
+            } catch { return []; }
+        },
+
+        save: function(lines) {
+            localStorage.setItem(SAVED_FOR_LATER_KEY, JSON.stringify(lines));
+            return lines;
+        },
+
+        // Saving the same product and variant again adds to the saved quantity
+        add: function(line) {
+            const lines = this.get();
+            const existing = lines.find(item => sameLine(item, line.productId, line.variantId));
+
+            if (existing) {
+                existing.quantity += line.quantity;
+                existing.price = line.price;
+            } else {
+                lines.unshift({
+                    productId: line.productId,
+                    variantId: line.variantId || null,
+                    quantity: line.quantity,
+                    name: line.name || null,
+                    price: typeof line.price === 'number' ? line.price : null,
+                    savedAt: new Date().toISOString()
+                });
+            }
+
+            return this.save(lines);
+        },
+
+        remove: function(productId, variantId = null) {
+            return this.save(this.get().filter(item => !sameLine(item, productId, variantId)));
+        },
+
+        clear: function() {
+            localStorage.removeItem(SAVED_FOR_LATER_KEY);
+        }
+    };
+    
+    // Products opened on Products/Details, newest first: { productId, viewedAt }. Written by
+    // recently-viewed.js, and only once cookies are accepted
+    window.guestRecentlyViewed = {
+        get: function() {
+            try {
+                return JSON.parse(localStorage.getItem(RECENTLY_VIEWED_KEY) || '[]');
+            } catch { return []; }
+        },
+
+        // Viewing a product again moves it back to the front
+        add: function(productId) {
+            const entries = [{ productId, viewedAt: new Date().toISOString() }]
+                .concat(this.get().filter(entry => entry.productId !== productId))
+                .slice(0, RECENTLY_VIEWED_MAX);
+            localStorage.setItem(RECENTLY_VIEWED_KEY, JSON.stringify(entries));
+            return entries;
+        },
+
+        remove: function(productId) {
+            const entries = this.get().filter(entry => entry.productId !== productId);
+            localStorage.setItem(RECENTLY_VIEWED_KEY, JSON.stringify(entries));
+            return entries;
+        },
+
+        clear: function() {
+            localStorage.removeItem(RECENTLY_VIEWED_KEY);
+        }
+    };
+    
+    // Products picked for the comparison tray (compare.js): { productId, name, imageUrl }, in the
+    // order they were picked. Kept on this device for everyone, signed in or not.
+    window.compareList = {
+        max: COMPARE_MAX,
+
+        get: function() {
+            try {
+                return JSON.parse(localStorage.getItem(COMPARE_KEY) || '[]');
+            } catch { return []; }
+        },
+
+        save: function(entries) {
+            localStorage.setItem(COMPARE_KEY, JSON.stringify(entries));
+            return entries;
+        },
+
+        // A full tray is left as it is - check isFull() first
+        add: function(product) {
+            const entries = this.get();
+            if (entries.some(entry => entry.productId === product.productId) || entries.length >= COMPARE_MAX) {
+                return entries;
+            }
+
+            entries.push({
+                productId: product.productId,
+                name: product.name || null,
+                imageUrl: product.imageUrl || null
+            });
+            return this.save(entries);
+        },
+
+        remove: function(productId) {
+            return this.save(this.get().filter(entry => entry.productId !== productId));
+        },
+
+        has: function(productId) {
+            return this.get().some(entry => entry.productId === productId);
+        },
+
+        isFull: function() {
+            return this.get().length >= COMPARE_MAX;
+        },
+
+        clear: function() {
+            localStorage.removeItem(COMPARE_KEY);
+        }
+    };
+    
+    // Merge the guest cart and wishlist into the server cart (GuestDataController).
+    // Local copies are only cleared once the server confirms the merge, so a failed
+    // request is simply retried on the next page.
+    let syncInProgress = null;
+
+    function showSyncNotices(data) {
+        if (!window.ToastManager) return;
+
+        (data.notices || []).forEach(notice => {
+            if (notice.type === 'warning') {
+                ToastManager.warning(notice.message, 'Cart Updated');
+            } else {
+                ToastManager.info(notice.message);
+            }
+        });
+
+        if (data.cartMerged > 0) {
+            ToastManager.success('Items you added before signing in are now in your cart.', 'Cart Restored');
+        }
+    }
+
     window.syncGuestDataWithServer = function() {
         const cart = window.guestCart.get();
         const wishlist = window.guestWishlist.get();
-        
-        if (cart.length > 0 || wishlist.length > 0) {
-            fetch('/api/sync-guest-data', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ cart, wishlist })
-            })
-            .then(res => res.json())
-            .then(data => {
-                if (data.success) {
-                    window.guestCart.clear();
-                    window.guestWishlist.clear();
-                }
-            });
+        const savedForLater = window.guestSavedForLater.get();
+
+        if (cart.length === 0 && wishlist.length === 0 && savedForLater.length === 0) {
+            return Promise.resolve(null);
         }
+        if (syncInProgress) {
+            return syncInProgress;
+        }
+
+        syncInProgress = Http.post('/api/sync-guest-data', { cart, wishlist, savedForLater })
+        .then(res => res.ok ? res.json() : null)
+        .then(data => {
+            if (!data || !data.success) {
+                throw new Error('Guest data sync failed');
+            }
+
+            window.guestCart.clear();
+
+            // Right after registration the account is not signed in yet, so the wishlist
+            // and saved lines stay on this device until the first sign-in
+            if (data.wishlistSaved) {
+                window.guestWishlist.clear();
+                if (window.StoreSync) {
+                    StoreSync.wishlistChanged(data.wishlist || []);
+                }
+            }
+            if (data.savedForLaterSaved) {
+                window.guestSavedForLater.clear();
+            }
+
+            if (window.CartSyncManager) {
+                CartSyncManager.setCartCount(data.cartCount);
+            }
+            showSyncNotices(data);
+            return data;
+        })
+        .finally(() => {
+            syncInProgress = null;
+        });
+
+        return syncInProgress;
     };
-    
-    // Initialize badge on load
+
+    // Guests: cart forms post and redirect, so refresh the saved copy on the page after one
+    const CART_DIRTY_KEY = 'guest_cart_dirty';
+
+    // The saved cart is revalidated once per visit. A visit spans every tab and ends after
+    // VISIT_GAP_MS without a page view, so the last page view is kept in localStorage
+    const CART_LAST_SEEN_KEY = 'guest_cart_last_seen';
+    const VISIT_GAP_MS = 30 * 60 * 1000;
+
+    document.addEventListener('submit', function(e) {
+        const action = e.target.getAttribute && e.target.getAttribute('action');
+        if (!isAuthenticated && action && /handler=(AddToCart|UpdateQuantity|RemoveItem|ClearCart)/i.test(action)) {
+            sessionStorage.setItem(CART_DIRTY_KEY, 'true');
+        }
+    }, true);
+
+    // Add to cart with fetch (enhancements.js) stays on the page, so refresh the copy now
+    document.addEventListener('cart:added', function() {
+        if (isAuthenticated) return;
+        window.guestCart.syncFromServer()
+            .then(() => sessionStorage.removeItem(CART_DIRTY_KEY))
+            .catch(() => {});
+    });
+
+    // The mini-cart drawer (mini-cart.js) answers every change with the whole session cart
+    document.addEventListener('cart:changed', function(e) {
+        if (isAuthenticated || !e.detail || !e.detail.items) return;
+        window.guestCart.replace(e.detail.items);
+        sessionStorage.removeItem(CART_DIRTY_KEY);
+    });
+
+    function refreshGuestCart() {
+        let firstPageOfVisit = false;
+        let dirty = false;
+        try {
+            const sinceLastPage = Date.now() - parseInt(localStorage.getItem(CART_LAST_SEEN_KEY), 10);
+            firstPageOfVisit = isNaN(sinceLastPage) || sinceLastPage > VISIT_GAP_MS;
+            dirty = sessionStorage.getItem(CART_DIRTY_KEY) === 'true';
+            localStorage.setItem(CART_LAST_SEEN_KEY, String(Date.now()));
+        } catch (e) {
+            return;
+        }
+
+        const refresh = firstPageOfVisit ? window.guestCart.revalidate() : dirty ? window.guestCart.syncFromServer() : null;
+        if (!refresh) return;
+
+        // Offline or failed: try again on the next page
+        refresh
+            .then(() => sessionStorage.removeItem(CART_DIRTY_KEY))
+            .catch(() => {
+                if (firstPageOfVisit) localStorage.removeItem(CART_LAST_SEEN_KEY);
+            });
+    }
+
+    // Right after login or registration, and on any later signed-in page while local data remains
     document.addEventListener('DOMContentLoaded', function() {
-        window.guestCart.updateBadge();
+        // The cart saved on this device was just bought
+        if (checkoutComplete) {
+            window.guestCart.clear();
+            sessionStorage.removeItem(CART_DIRTY_KEY);
+        }
+
+        if (!syncRequested && !isAuthenticated) {
+            refreshGuestCart();
+            return;
+        }
+
+        window.syncGuestDataWithServer().catch(() => {
+            if (syncRequested && window.ToastManager) {
+                ToastManager.error('Items saved on this device could not be added to your cart yet.', 'Cart Not Restored');
+            }
+        });
     });
 })();
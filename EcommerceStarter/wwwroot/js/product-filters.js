@@ -0,0 +1,209 @@
+﻿// @ts-check
+// Filter sidebar on the shop page (Pages/Products/Index.cshtml)
+//
+// The sidebar is an ordinary GET form, so it works without JavaScript. Here every change is
+// applied straight away: the grid is fetched from the page's Grid handler (_ProductGrid.cshtml)
+// while skeleton cards stand in for it, and the filters are written to the query string so
+// the result can be bookmarked, shared and reached again with Back and Forward.
+(function() {
+    const DEBOUNCE_MS = 300;
+
+    let form = null;
+    let results = null;
+    let timer = null;
+    let controller = null;
+
+    function announce(message) {
+        const status = document.querySelector('[data-product-status]');
+        if (status) status.textContent = message;
+    }
+
+    function formatPrice(value) {
+        return `$${Number(value).toFixed(0)}`;
+    }
+
+    function priceInputs() {
+        return {
+            min: form.querySelector('input[name="minPrice"]'),
+            max: form.querySelector('input[name="maxPrice"]')
+        };
+    }
+
+    // Defaults are left out so an unfiltered shop stays at a plain /Products
+    function queryString() {
+        const params = new URLSearchParams();
+        const { min, max } = priceInputs();
+
+        new FormData(form).forEach((value, name) => {
+            if (value === '') return;
+            if (min && name === 'minPrice' && Number(value) <= Number(min.min)) return;
+            if (max && name === 'maxPrice' && Number(value) >= Number(max.max)) return;
+            params.append(name, /** @type {string} */ (value));
+        });
+
+        return params.toString();
+    }
+
+    // Puts the form back the way the URL describes it (first load is rendered by the server)
+    function applyQuery(search) {
+        const params = new URLSearchParams(search);
+        const { min, max } = priceInputs();
+
+        form.querySelectorAll('input[type="radio"], input[type="checkbox"]').forEach(input => {
+            const values = params.getAll(input.name);
+            input.checked = input.value === '' ? values.length === 0 : values.some(v => v.toLowerCase() === input.value.toLowerCase());
+        });
+
+        const searchInput = form.querySelector('input[name="search"]');
+        if (searchInput) searchInput.value = params.get('search') || '';
+
+        if (min) min.value = params.get('minPrice') || min.min;
+        if (max) max.value = params.get('maxPrice') || max.max;
+        updatePriceOutputs();
+    }
+
+    function updatePriceOutputs() {
+        const { min, max } = priceInputs();
+        if (!min || !max) return;
+
+        form.querySelector('[data-price-output="min"]').textContent = formatPrice(min.value);
+        form.querySelector('[data-price-output="max"]').textContent = formatPrice(max.value);
+        min.setAttribute('aria-valuetext', formatPrice(min.value));
+        max.setAttribute('aria-valuetext', formatPrice(max.value));
+    }
+
+    // The two handles can't cross - whichever one moved pushes the other along
+    function keepPricesInOrder(changed) {
+        const { min, max } = priceInputs();
+        if (!min || !max || Number(min.value) <= Number(max.value)) return;
+
+        if (changed === min) {
+            max.value = min.value;
+        } else {
+            min.value = max.value;
+        }
+    }
+
+    // A subcategory belongs to one category, so picking either keeps the other in step
+    function keepCategoriesInStep(changed) {
+        if (changed.name === 'subcategory' && changed.checked) {
+            const parent = Array.from(form.querySelectorAll('input[name="category"]'))
+                .find(input => input.value === changed.dataset.category);
+            if (parent) parent.checked = true;
+        } else if (changed.name === 'category') {
+            form.querySelectorAll('input[name="subcategory"]').forEach(input => {
+                if (input.dataset.category !== changed.value) input.checked = false;
+            });
+        }
+    }
+
+    function showLoading() {
+        results.setAttribute('aria-busy', 'true');
+        if (window.SkeletonLoader) {
+            const grid = document.createElement('div');
+            grid.className = 'product-grid-loading';
+            SkeletonLoader.show(grid, 6, 'product-card');
+            results.replaceChildren(grid);
+        }
+    }
+
+    function load(query, push) {
+        if (controller) controller.abort();
+        controller = new AbortController();
+
+        const url = new URL(form.dataset.gridUrl, window.location.origin);
+        new URLSearchParams(query).forEach((value, name) => url.searchParams.append(name, value));
+
+        if (push) {
+            const address = query ? `${window.location.pathname}?${query}` : window.location.pathname;
+            history.pushState({ productFilters: true }, '', address);
+        }
+
+        showLoading();
+
+        return fetch(url, { credentials: 'same-origin', cache: 'no-store', signal: controller.signal })
+            .then(res => res.ok ? res.text() : Promise.reject(new Error(`Products could not be loaded (${res.status})`)))
+            .then(html => {
+                results.innerHTML = html;
+                results.removeAttribute('aria-busy');
+
+                const count = results.querySelector('[data-product-count]');
+                const total = count ? parseInt(count.dataset.productCount, 10) : 0;
+                announce(total === 1 ? '1 product found' : `${total} products found`);
+
+                // Hearts in the new grid start empty
+                if (window.Wishlist && window.StoreSync) {
+                    Wishlist.getIds().then(ids => StoreSync.renderWishlist(ids)).catch(() => {});
+                }
+
+                // product-grid.js watches the new grid for scrolling to its end
+                document.dispatchEvent(new CustomEvent('products:updated'));
+            })
+            .catch(err => {
+                if (err.name === 'AbortError') return;
+
+                // Fall back to a full page load, which the server handles on its own
+                window.location.href = query ? `${window.location.pathname}?${query}` : window.location.pathname;
+            });
+    }
+
+    function scheduleLoad() {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const query = queryString();
+            if (query !== window.location.search.replace(/^\?/, '')) {
+                load(query, true);
+            }
+        }, DEBOUNCE_MS);
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        form = document.querySelector('[data-product-filters]');
+        results = document.querySelector('[data-product-results]');
+        if (!form || !results || !window.fetch || !window.history.pushState) return;
+
+        const submit = /** @type {HTMLElement} */ (form.querySelector('[data-filter-submit]'));
+        if (submit) submit.hidden = true;
+
+        form.addEventListener('input', (e) => {
+            const input = /** @type {HTMLInputElement} */ (e.target);
+            if (input.type === 'range') {
+                keepPricesInOrder(input);
+                updatePriceOutputs();
+            }
+        });
+
+        form.addEventListener('change', (e) => {
+            keepCategoriesInStep(e.target);
+            scheduleLoad();
+        });
+
+        // Enter in a field still submits - apply it the same way
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            clearTimeout(timer);
+            load(queryString(), true);
+        });
+
+        const reset = /** @type {HTMLAnchorElement} */ (form.querySelector('[data-filter-reset]'));
+        if (reset) {
+            reset.addEventListener('click', (/** @type {MouseEvent} */ e) => {
+                if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+                e.preventDefault();
+
+                const search = new URL(reset.href, window.location.origin).search;
+                applyQuery(search);
+                clearTimeout(timer);
+                load(queryString(), true);
+            });
+        }
+
+        window.addEventListener('popstate', () => {
+            clearTimeout(timer);
+            applyQuery(window.location.search);
+            load(window.location.search.replace(/^\?/, ''), false);
+        });
+
+        updatePriceOutputs();
+    });
+})();
@@ -0,0 +1,246 @@
+﻿// @ts-check
+// Image gallery on Products/Details
+//
+// The main image and its thumbnails follow the variant picker; the page decides which images
+// to show, and the product's own image stands in when there are none. The images either side
+// of the one shown are preloaded so stepping through them doesn't wait on the network. The
+// main image opens a lightbox that zooms with the buttons, the +/- keys, a double-click or a
+// pinch, and steps through the images with the arrow keys, the buttons or a swipe.
+//
+// An ES module like variant-picker.js; Products/Details imports it. Elements are made with
+// window.Http (http.js, loaded by _Layout).
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const SWIPE_DISTANCE = 50;
+
+function preload(url) {
+    if (!url) return;
+    const image = new Image();
+    image.src = url;
+}
+
+/**
+ * options.main - the main <img>
+ * options.opener - element that opens the lightbox (usually wraps the main image)
+ * options.thumbs - container for the thumbnail buttons
+ * options.lightbox - the lightbox modal (Pages/Products/_ImageLightbox.cshtml)
+ * options.fallback - [{ url, alt }] shown when there are no variant images
+ */
+export function createGallery(options) {
+    const { createElement } = Http;
+    let images = options.fallback.slice();
+    let index = 0;
+
+    function preloadNeighbours() {
+        if (images.length < 2) return;
+        preload(images[(index + 1) % images.length].url);
+        preload(images[(index - 1 + images.length) % images.length].url);
+    }
+
+    function renderThumbs() {
+        const thumbs = options.thumbs;
+        thumbs.hidden = images.length < 2;
+        thumbs.replaceChildren(...(images.length < 2 ? [] : images.map((image, i) => {
+            const thumb = createElement('button', 'product-gallery-thumb');
+            thumb.type = 'button';
+            thumb.setAttribute('aria-label', `Show image ${i + 1} of ${images.length}`);
+            thumb.setAttribute('aria-pressed', i === index ? 'true' : 'false');
+
+            const preview = createElement('img');
+            preview.src = image.url;
+            preview.alt = '';
+            preview.loading = 'lazy';
+            thumb.appendChild(preview);
+
+            thumb.addEventListener('click', () => showIndex(i));
+            return thumb;
+        })));
+    }
+
+    function showIndex(i) {
+        index = (i + images.length) % images.length;
+        const image = images[index];
+
+        options.main.src = image.url;
+        options.main.alt = image.alt;
+        options.thumbs.querySelectorAll('button').forEach((thumb, t) => {
+            thumb.setAttribute('aria-pressed', t === index ? 'true' : 'false');
+        });
+
+        preloadNeighbours();
+        lightbox.update();
+    }
+
+    const lightbox = createLightbox(options.lightbox, {
+        current: () => images[index],
+        position: () => ({ index, count: images.length }),
+        step: (delta) => showIndex(index + delta)
+    });
+
+    if (options.opener) {
+        options.opener.addEventListener('click', () => lightbox.open(options.opener));
+    }
+
+    return {
+        /**
+         * Shows these images from the first; none means the product's own image
+         */
+        show(next) {
+            const list = next && next.length > 0 ? next : options.fallback;
+            const same = list.length === images.length && list.every((image, i) => image.url === images[i].url);
+            if (same) return;
+
+            images = list.slice();
+            index = 0;
+            renderThumbs();
+            showIndex(0);
+        }
+    };
+}
+
+// Zoom and pan are a CSS transform on the lightbox image; pointer events cover mouse, pen
+// and touch alike, so a pinch is just two pointers down at once
+function createLightbox(element, gallery) {
+    if (!element || !window.bootstrap || !bootstrap.Modal) {
+        return { open() {}, update() {} };
+    }
+
+    const modal = bootstrap.Modal.getOrCreateInstance(element);
+    const stage = element.querySelector('[data-lightbox-stage]');
+    const image = element.querySelector('[data-lightbox-image]');
+    const counter = element.querySelector('[data-lightbox-counter]');
+    const previous = element.querySelector('[data-lightbox-previous]');
+    const next = element.querySelector('[data-lightbox-next]');
+
+    const pointers = new Map();
+    let scale = 1;
+    let offsetX = 0;
+    let offsetY = 0;
+    let gesture = null;
+    let lastTap = 0;
+    let opener = null;
+
+    function apply() {
+        image.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
+        stage.classList.toggle('is-zoomed', scale > 1);
+    }
+
+    function zoomTo(value) {
+        scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, value));
+        if (scale === 1) {
+            offsetX = 0;
+            offsetY = 0;
+        }
+        apply();
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    function update() {
+        const current = gallery.current();
+        const { index, count } = gallery.position();
+        if (!current) return;
+
+        image.src = current.url;
+        image.alt = current.alt;
+        counter.textContent = count > 1 ? `${index + 1} / ${count}` : '';
+        previous.hidden = count < 2;
+        next.hidden = count < 2;
+        zoomTo(1);
+    }
+
+    stage.addEventListener('pointerdown', (e) => {
+        stage.setPointerCapture(e.pointerId);
+        stage.classList.add('is-gesturing');
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (pointers.size === 2) {
+            const [a, b] = Array.from(pointers.values());
+            gesture = { type: 'pinch', distance: distance(a, b), scale };
+        } else if (pointers.size === 1) {
+            gesture = { type: scale > 1 ? 'pan' : 'swipe', x: e.clientX, y: e.clientY, offsetX, offsetY };
+        }
+    });
+
+    stage.addEventListener('pointermove', (e) => {
+        if (!pointers.has(e.pointerId) || !gesture) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            const [a, b] = Array.from(pointers.values());
+            zoomTo(gesture.scale * distance(a, b) / gesture.distance);
+        } else if (gesture.type === 'pan') {
+            offsetX = gesture.offsetX + (e.clientX - gesture.x);
+            offsetY = gesture.offsetY + (e.clientY - gesture.y);
+            apply();
+        }
+    });
+
+    function endPointer(e) {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.delete(e.pointerId);
+        stage.classList.toggle('is-gesturing', pointers.size > 0);
+
+        if (gesture && gesture.type !== 'pinch' && e.type === 'pointerup') {
+            const dx = e.clientX - gesture.x;
+            const dy = e.clientY - gesture.y;
+
+            if (gesture.type === 'swipe' && Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                gallery.step(dx < 0 ? 1 : -1);
+            } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10 && e.pointerType !== 'mouse') {
+                // Double tap - mice get dblclick instead
+                const now = Date.now();
+                if (now - lastTap < 300) zoomTo(scale > 1 ? 1 : 2);
+                lastTap = now;
+            }
+        }
+
+        // The finger left on the glass after a pinch carries on as a pan
+        gesture = pointers.size === 1 && scale > 1
+            ? Object.assign({ type: 'pan', offsetX, offsetY }, Array.from(pointers.values())[0])
+            : null;
+    }
+
+    stage.addEventListener('pointerup', endPointer);
+    stage.addEventListener('pointercancel', endPointer);
+    stage.addEventListener('dblclick', () => zoomTo(scale > 1 ? 1 : 2));
+
+    element.querySelector('[data-lightbox-zoom-in]').addEventListener('click', () => zoomTo(scale + 1));
+    element.querySelector('[data-lightbox-zoom-out]').addEventListener('click', () => zoomTo(scale - 1));
+    previous.addEventListener('click', () => gallery.step(-1));
+    next.addEventListener('click', () => gallery.step(1));
+
+    element.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowRight') {
+            gallery.step(1);
+        } else if (e.key === 'ArrowLeft') {
+            gallery.step(-1);
+        } else if (e.key === '+' || e.key === '=') {
+            zoomTo(scale + 1);
+        } else if (e.key === '-') {
+            zoomTo(scale - 1);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+
+    element.addEventListener('hidden.bs.modal', () => {
+        pointers.clear();
+        gesture = null;
+        if (opener && document.contains(opener)) opener.focus();
+        opener = null;
+    });
+
+    return {
+        open(trigger) {
+            opener = trigger;
+            update();
+            modal.show();
+        },
+        update
+    };
+}
@@ -0,0 +1,246 @@
+﻿// @ts-check
+// More products for the shop grid (Pages/Products/_ProductGrid.cshtml)
+//
+// The grid starts with one page of products and a "Load more products" link to the same
+// filters one page further on. Here that link is followed as soon as it scrolls near the
+// viewport (an IntersectionObserver, as initLazyLoading in enhancements.js uses): the next page
+// comes from the page's PageJson handler and its cards are appended, with skeleton cards
+// standing in while it loads. The URL keeps how many pages are shown (history.replaceState),
+// and the scroll position is kept for the way back from a product's page.
+(function() {
+    const SCROLL_KEY = 'products_scroll';
+
+    let results = null;
+    let observer = null;
+    let loading = false;
+
+    const { createElement } = Http;
+
+    function announce(message) {
+        const status = document.querySelector('[data-product-status]');
+        if (status) status.textContent = message;
+    }
+
+    function link(href, className, text) {
+        const anchor = createElement('a', className, text);
+        anchor.href = href;
+        return anchor;
+    }
+
+    // Same card as _ProductGrid.cshtml
+    function renderCard(product) {
+        const column = createElement('div', 'col-xl-4 col-md-6 col-sm-12');
+        const card = createElement('div', 'card h-100 d-flex flex-column');
+
+        const heart = createElement('button', 'wishlist-toggle wishlist-toggle-overlay');
+        heart.type = 'button';
+        heart.dataset.wishlistToggle = product.id;
+        heart.setAttribute('aria-pressed', 'false');
+        heart.setAttribute('aria-label', `Save ${product.name} to your wishlist`);
+        heart.append(createElement('i', 'bi bi-heart wishlist-icon-off'), createElement('i', 'bi bi-heart-fill wishlist-icon-on'));
+        heart.querySelectorAll('i').forEach(icon => icon.setAttribute('aria-hidden', 'true'));
+
+        const imageLink = link(product.url, 'text-decoration-none');
+        const image = createElement('img', 'card-img-top product-card-img');
+        image.src = product.imageUrl || '';
+        image.alt = product.name;
+        image.loading = 'lazy';
+        image.style.height = '200px';
+        image.style.objectFit = 'cover';
+        imageLink.appendChild(image);
+
+        const body = createElement('div', 'card-body d-flex flex-column flex-grow-1');
+
+        const titleLink = link(product.url, 'text-decoration-none text-dark');
+        titleLink.appendChild(createElement('h5', 'card-title', product.name));
+
+        const price = createElement('p', 'card-text');
+        price.appendChild(createElement('strong', 'text-primary fs-5', `$${Number(product.price).toFixed(2)}`));
+
+        const categories = createElement('small', 'text-muted');
+        categories.append(link(product.categoryUrl, null, product.category), ' - ', link(product.subCategoryUrl, null, product.subCategory));
+        const categoryLine = createElement('p', 'card-text');
+        categoryLine.appendChild(categories);
+
+        const actions = createElement('div', 'mt-auto pt-3');
+        if (product.isAvailable || product.isComingSoon) {
+            const badgeRow = createElement('div', 'd-flex align-items-center mb-3');
+            badgeRow.appendChild(product.isAvailable
+                ? createElement('span', 'badge bg-success', 'In Stock')
+                : createElement('span', 'badge bg-info', 'Coming Soon'));
+
+            const view = link(product.url, product.isAvailable ? 'btn btn-primary btn-sm w-100' : 'btn btn-outline-secondary btn-sm w-100');
+            view.append(createElement('i', 'bi bi-eye'), ' View Details');
+            actions.append(badgeRow, view);
+
+            if (product.isAvailable) {
+                const quickView = link(product.url, 'btn btn-outline-primary btn-sm w-100 mt-2');
+                quickView.dataset.quickView = product.id;
+                quickView.setAttribute('aria-haspopup', 'dialog');
+                quickView.setAttribute('aria-label', `Quick view of ${product.name}`);
+                quickView.append(createElement('i', 'bi bi-lightning'), ' Quick view');
+                actions.appendChild(quickView);
+            }
+        } else {
+            actions.appendChild(createElement('span', 'badge bg-danger', 'Out of Stock'));
+        }
+
+        // Ticked already if the product is in the comparison tray (compare.js)
+        const compare = createElement('div', 'form-check mt-2');
+        const compareBox = createElement('input', 'form-check-input');
+        compareBox.type = 'checkbox';
+        compareBox.id = `compare-${product.id}`;
+        compareBox.dataset.compareToggle = product.id;
+        compareBox.dataset.compareName = product.name;
+        compareBox.dataset.compareImage = product.imageUrl || '';
+        compareBox.checked = !!window.compareList && compareList.has(product.id);
+        const compareLabel = createElement('label', 'form-check-label small', 'Compare');
+        compareLabel.htmlFor = compareBox.id;
+        compare.append(compareBox, compareLabel);
+        actions.appendChild(compare);
+
+        body.append(titleLink, price, categoryLine, actions);
+        card.append(heart, imageLink, body);
+        column.appendChild(card);
+        return column;
+    }
+
+    function loadNext(focusNew) {
+        const more = results.querySelector('[data-product-more]');
+        if (!more || loading) return;
+
+        const next = more.querySelector('[data-load-more]');
+        const list = results.querySelector('[data-product-list]');
+        const firstNew = list.children.length;
+
+        loading = true;
+        next.classList.add('disabled');
+        next.setAttribute('aria-disabled', 'true');
+        results.setAttribute('aria-busy', 'true');
+
+        const placeholders = createElement('div', 'product-grid-loading mt-4');
+        if (window.SkeletonLoader) {
+            SkeletonLoader.show(placeholders, 3, 'product-card');
+        }
+        more.before(placeholders);
+
+        const url = new URL(next.href, window.location.origin);
+        url.searchParams.set('handler', 'PageJson');
+        let loaded = false;
+
+        return Http.fetchJson(url)
+            .then(data => {
+                list.append(...(data.products || []).map(renderCard));
+
+                // Coming back to this URL renders every page shown so far
+                history.replaceState(history.state, '', next.href);
+
+                loaded = true;
+                if (data.hasMore) {
+                    next.href = data.nextUrl;
+                    more.dataset.pageNumber = data.pageNumber;
+                } else {
+                    stopWatching();
+                    more.remove();
+                }
+
+                announce(`Showing ${list.children.length} of ${data.total} products`);
+
+                if (window.Wishlist && window.StoreSync) {
+                    Wishlist.getIds().then(ids => StoreSync.renderWishlist(ids)).catch(() => {});
+                }
+
+                // Someone who pressed the link carries on from the first new product
+                const added = list.children[firstNew];
+                if (focusNew && added) {
+                    added.querySelector('.card-body a').focus();
+                }
+            })
+            .catch(() => {
+                // The link stays, so the shopper can try again
+                stopWatching();
+                if (window.ToastManager) {
+                    ToastManager.error('More products could not be loaded. Please try again.');
+                }
+            })
+            .finally(() => {
+                loading = false;
+                placeholders.remove();
+                next.classList.remove('disabled');
+                next.removeAttribute('aria-disabled');
+                results.removeAttribute('aria-busy');
+                if (loaded) watch();
+            });
+    }
+
+    function stopWatching() {
+        if (observer) observer.disconnect();
+    }
+
+    // Observing again reports straight away if the link is still in view after a short page
+    function watch() {
+        const more = results.querySelector('[data-product-more]');
+        if (!observer || !more) return;
+
+        observer.disconnect();
+        observer.observe(more);
+    }
+
+    function rememberScroll() {
+        try {
+            sessionStorage.setItem(SCROLL_KEY, JSON.stringify({
+                url: window.location.pathname + window.location.search,
+                y: window.scrollY
+            }));
+        } catch (e) {
+            // Storage unavailable (private mode) - the shopper starts at the top
+        }
+    }
+
+    function restoreScroll() {
+        const navigation = /** @type {PerformanceNavigationTiming} */ (performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null);
+        if (!navigation || (navigation.type !== 'back_forward' && navigation.type !== 'reload')) return;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(SCROLL_KEY));
+        } catch (e) {
+            return;
+        }
+
+        if (saved && saved.url === window.location.pathname + window.location.search) {
+            window.scrollTo(0, saved.y);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        results = document.querySelector('[data-product-results]');
+        if (!results || !window.fetch) return;
+
+        // The grid is already as long as it was (every page in the URL is rendered), so the
+        // position saved on the way out can be put back here instead of by the browser
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+        restoreScroll();
+        window.addEventListener('pagehide', rememberScroll);
+
+        // The link is replaced along with the grid when filters change (product-filters.js)
+        results.addEventListener('click', (/** @type {MouseEvent} */ e) => {
+            const next = /** @type {Element} */ (e.target).closest('[data-load-more]');
+            if (!next || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+            e.preventDefault();
+            loadNext(true);
+        });
+
+        if ('IntersectionObserver' in window) {
+            observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) loadNext(false);
+            }, { rootMargin: '0px 0px 400px 0px' });
+
+            watch();
+            document.addEventListener('products:updated', watch);
+        }
+    });
+})();
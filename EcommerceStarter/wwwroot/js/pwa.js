@@ -1,36 +1,351 @@
 ﻿// PWA installation prompt and service worker registration
 (function() {
     let deferredPrompt;
-    const INSTALL_DISMISSED_KEY = 'pwa_install_dismissed';
-    
+
+    // Versioned app shell URLs rendered by _Layout (same ?v= hashes as asp-append-version)
+    // and the client release an admin can bump from Admin > Updates
+    const pwaScript = document.currentScript;
+    const appShell = pwaScript && pwaScript.dataset.appShell ? pwaScript.dataset.appShell : '';
+    let clientRelease = pwaScript && pwaScript.dataset.clientRelease ? pwaScript.dataset.clientRelease : '0';
+
+    // Install banner rules from Admin > Branding > App (SiteSettings)
+    const pwaData = pwaScript ? pwaScript.dataset : {};
+    const cooldownDays = parseInt(pwaData.installCooldownDays, 10);
+    const installConfig = {
+        pageViews: parseInt(pwaData.installPageViews, 10) || 0,
+        afterAddToCart: pwaData.installAfterAddToCart === 'true',
+        afterOrderConfirmation: pwaData.installAfterOrderConfirmation === 'true',
+        // 0 is a real setting (ask again straight away), so only a missing value falls back
+        cooldownDays: isNaN(cooldownDays) ? 14 : cooldownDays
+    };
+
+    const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+    // The shell list and release are part of the script URL, so a deploy that changes
+    // any hash - or a forced release - installs a fresh worker and cache
+    function serviceWorkerUrl() {
+        return '/sw.js?release=' + encodeURIComponent(clientRelease) + '&shell=' + encodeURIComponent(appShell);
+    }
+
     // Register service worker
     if ('serviceWorker' in navigator) {
+        // Reload every open tab once an accepted update takes control - but not when
+        // the very first worker claims the page
+        let currentController = navigator.serviceWorker.controller;
+        let reloading = false;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            const replaced = !!currentController;
+            currentController = navigator.serviceWorker.controller;
+            if (!replaced || reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
         window.addEventListener('load', () => {
-            navigator.serviceWorker.register('/sw.js')
+            navigator.serviceWorker.register(serviceWorkerUrl(), { scope: '/' })
                 .then(registration => {
+                    watchForUpdates(registration);
+                    scheduleUpdateChecks(registration);
                 })
-                .catch(err => {
+                .catch(() => {
+                    // Registration is best-effort - the site works without a service worker
                 });
         });
     }
+
+    // Prompt when a new worker finishes installing while an older one still controls the page
+    function watchForUpdates(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptForUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    promptForUpdate(worker);
+                }
+            });
+        });
+    }
+
+    function promptForUpdate(worker) {
+        // Only one prompt per page, even if several update checks find the same worker
+        if (document.querySelector('.pwa-update-toast')) return;
+
+        const message = 'A new version of the store is available.';
+        const onReload = () => worker.postMessage({ type: 'SKIP_WAITING' });
+
+        if (window.ToastManager) {
+            const toast = ToastManager.action(message, 'Update Available', 'Reload to update', onReload);
+            toast.classList.add('pwa-update-toast');
+        } else if (confirm(message + ' Reload now?')) {
+            onReload();
+        }
+    }
+
+    // Long-lived tabs and installed apps: re-check on focus and hourly, and pick up
+    // a release forced from Admin > Updates by re-registering under the new URL
+    function scheduleUpdateChecks(registration) {
+        const check = () => {
+            registration.update().catch(() => {});
+
+            fetch('/api/pwa/version', { cache: 'no-store' })
+                .then(res => res.ok ? res.json() : null)
+                .then(data => {
+                    if (!data || String(data.release) === clientRelease) return;
+                    clientRelease = String(data.release);
+                    return navigator.serviceWorker.register(serviceWorkerUrl(), { scope: '/' });
+                })
+                .catch(() => {});
+        };
+
+        setInterval(check, UPDATE_CHECK_INTERVAL);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') check();
+        });
+    }
     
-    // Handle PWA install prompt
+    // Web Push - order status notifications. Elements marked data-push-subscribe turn
+    // notifications on or off for this browser; the server keeps one row per subscription
+    // (see PushController) and pushes when an order ships or its tracking status changes.
+    const pushSupported = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+    function base64UrlToUint8Array(value) {
+        const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = atob(base64);
+        return Uint8Array.from(raw, c => c.charCodeAt(0));
+    }
+
+    function sameKey(buffer, publicKey) {
+        if (!buffer) return false;
+        const current = new Uint8Array(buffer);
+        const expected = base64UrlToUint8Array(publicKey);
+        return current.length === expected.length && current.every((b, i) => b === expected[i]);
+    }
+
+    function getPushPublicKey() {
+        return fetch('/api/push/vapid-public-key', { cache: 'no-store' })
+            .then(res => res.ok ? res.json() : null)
+            .then(data => data ? data.publicKey : null);
+    }
+
+    function postSubscription(url, subscription) {
+        return Http.post(url, subscription.toJSON()).then(res => {
+            if (!res.ok) throw new Error('Your notification settings could not be saved. Please try again.');
+        });
+    }
+
+    async function subscribeToPush(publicKey) {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Notifications are blocked for this site. You can allow them in your browser settings.');
+        }
+
+        const registration = await navigator.serviceWorker.ready;
+        let subscription = await registration.pushManager.getSubscription();
+
+        // Subscriptions made before an admin generated new VAPID keys are rejected by push services
+        if (subscription && !sameKey(subscription.options.applicationServerKey, publicKey)) {
+            await subscription.unsubscribe();
+            subscription = null;
+        }
+
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: base64UrlToUint8Array(publicKey)
+            });
+        }
+
+        await postSubscription('/api/push/subscriptions', subscription);
+    }
+
+    async function unsubscribeFromPush() {
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription();
+        if (!subscription) return;
+
+        await postSubscription('/api/push/subscriptions/delete', subscription);
+        await subscription.unsubscribe();
+    }
+
+    function setPushButtonState(button, subscribed) {
+        button.dataset.pushSubscribed = subscribed ? 'true' : 'false';
+        button.innerHTML = subscribed
+            ? '<i class="bi bi-bell-slash"></i> Turn off notifications'
+            : '<i class="bi bi-bell"></i> Notify me about this order';
+
+        const card = button.closest('[data-push-card]');
+        const status = card ? card.querySelector('[data-push-status]') : null;
+        if (status) {
+            status.textContent = subscribed
+                ? 'Notifications are on for this device. We\'ll let you know when your order ships and when it\'s delivered.'
+                : 'Get a notification on this device when your order ships and when it\'s delivered.';
+        }
+    }
+
+    function initPushButtons() {
+        const buttons = document.querySelectorAll('[data-push-subscribe]');
+        if (!buttons.length || !pushSupported || Notification.permission === 'denied') return;
+
+        // Stay hidden until the store has VAPID keys configured and the worker is ready
+        getPushPublicKey()
+            .then(publicKey => {
+                if (!publicKey) return;
+                return navigator.serviceWorker.ready
+                    .then(registration => registration.pushManager.getSubscription())
+                    .then(subscription => {
+                        const subscribed = !!subscription && sameKey(subscription.options.applicationServerKey, publicKey);
+                        buttons.forEach(button => wirePushButton(button, publicKey, subscribed));
+                    });
+            })
+            .catch(() => {});
+    }
+
+    function wirePushButton(button, publicKey, subscribed) {
+        setPushButtonState(button, subscribed);
+
+        const card = button.closest('[data-push-card]');
+        if (card) card.classList.remove('d-none');
+
+        button.addEventListener('click', () => {
+            const turnOff = button.dataset.pushSubscribed === 'true';
+            button.disabled = true;
+
+            (turnOff ? unsubscribeFromPush() : subscribeToPush(publicKey))
+                .then(() => {
+                    document.querySelectorAll('[data-push-subscribe]').forEach(b => setPushButtonState(b, !turnOff));
+                    if (window.ToastManager) {
+                        ToastManager.success(turnOff ? 'Notifications turned off.' : 'You\'ll be notified about your order.');
+                    }
+                })
+                .catch(err => {
+                    if (window.ToastManager) {
+                        ToastManager.error(err.message);
+                    }
+                })
+                .finally(() => {
+                    button.disabled = false;
+                });
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPushButtons);
+    } else {
+        initPushButtons();
+    }
+
+    // Install banner. Shown only when the browser offers installation (beforeinstallprompt)
+    // and one of the configured triggers has fired: N page views, an add to cart, or the
+    // order confirmation page. "Not Now" starts a cool-down rather than hiding it for good.
+    const INSTALL_DISMISSED_AT_KEY = 'pwa_install_dismissed_at';
+    const INSTALL_PAGE_VIEWS_KEY = 'pwa_install_page_views';
+    const INSTALL_PENDING_KEY = 'pwa_install_pending';
+    const LEGACY_DISMISSED_KEY = 'pwa_install_dismissed';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    let installTrigger = null;
+
+    function readStorage(storage, key) {
+        try {
+            return storage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writeStorage(storage, key, value) {
+        try {
+            if (value === null) {
+                storage.removeItem(key);
+            } else {
+                storage.setItem(key, value);
+            }
+        } catch (e) {
+            // Private browsing / storage disabled - the banner just behaves as a first visit
+        }
+    }
+
+    function isCoolingDown() {
+        // The old permanent flag becomes the start of a cool-down
+        if (readStorage(localStorage, LEGACY_DISMISSED_KEY) === 'true') {
+            writeStorage(localStorage, INSTALL_DISMISSED_AT_KEY, String(Date.now()));
+            writeStorage(localStorage, LEGACY_DISMISSED_KEY, null);
+        }
+
+        const dismissedAt = parseInt(readStorage(localStorage, INSTALL_DISMISSED_AT_KEY), 10);
+        return !isNaN(dismissedAt) && Date.now() - dismissedAt < installConfig.cooldownDays * DAY_MS;
+    }
+
+    function reportInstallEvent(event, trigger) {
+        Http.post('/api/pwa/install-events', { event, trigger }, { keepalive: true }).catch(() => {});
+    }
+
+    function requestInstallBanner(trigger) {
+        installTrigger = installTrigger || trigger;
+        maybeShowInstallBanner();
+    }
+
+    function maybeShowInstallBanner() {
+        if (!deferredPrompt || !installTrigger) return;
+        if (document.querySelector('.pwa-install-banner') || isCoolingDown()) return;
+        showInstallBanner();
+    }
+
+    // Evaluate the triggers once per page load, strongest signal first
+    function evaluateInstallTriggers() {
+        const pageViews = (parseInt(readStorage(localStorage, INSTALL_PAGE_VIEWS_KEY), 10) || 0) + 1;
+        writeStorage(localStorage, INSTALL_PAGE_VIEWS_KEY, String(pageViews));
+
+        const pending = readStorage(sessionStorage, INSTALL_PENDING_KEY);
+        writeStorage(sessionStorage, INSTALL_PENDING_KEY, null);
+
+        if (installConfig.afterOrderConfirmation && document.querySelector('[data-pwa-install-trigger="order-confirmation"]')) {
+            requestInstallBanner('order-confirmation');
+        } else if (installConfig.afterAddToCart && pending === 'add-to-cart') {
+            requestInstallBanner('add-to-cart');
+        } else if (installConfig.pageViews > 0 && pageViews >= installConfig.pageViews) {
+            requestInstallBanner('page-views');
+        }
+    }
+
+    // Add to cart posts and redirects when it cannot use fetch, so remember it for the next page
+    document.addEventListener('submit', (e) => {
+        const action = e.target.getAttribute && e.target.getAttribute('action');
+        if (installConfig.afterAddToCart && action && /handler=AddToCart/i.test(action)) {
+            writeStorage(sessionStorage, INSTALL_PENDING_KEY, 'add-to-cart');
+        }
+    }, true);
+
+    // Added with fetch (enhancements.js) - the page stays, so the banner can follow straight away
+    document.addEventListener('cart:added', () => {
+        if (!installConfig.afterAddToCart) return;
+        writeStorage(sessionStorage, INSTALL_PENDING_KEY, null);
+        requestInstallBanner('add-to-cart');
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', evaluateInstallTriggers);
+    } else {
+        evaluateInstallTriggers();
+    }
+
     window.addEventListener('beforeinstallprompt', (e) => {
         e.preventDefault();
         deferredPrompt = e;
-        
-        // Don't show if user previously dismissed
-        if (localStorage.getItem(INSTALL_DISMISSED_KEY) === 'true') {
-            return;
-        }
-        
-        // Show install banner after 2 minutes (less intrusive)
-        setTimeout(() => showInstallBanner(), 120000);
+        maybeShowInstallBanner();
     });
-    
+
     function showInstallBanner() {
         const banner = document.createElement('div');
         banner.className = 'pwa-install-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-label', 'Install our app');
         banner.innerHTML = `
             <div class="pwa-install-content">
                 <div class="pwa-install-icon">
@@ -41,39 +356,228 @@
                     <p>Get quick access and offline browsing</p>
                 </div>
                 <div class="pwa-install-actions">
-                    <button class="btn btn-primary btn-sm" onclick="installPWA()">Install</button>
-                    <button class="btn btn-link btn-sm" onclick="dismissPWA()">Not Now</button>
+                    <button type="button" class="btn btn-primary btn-sm" data-pwa-install>Install</button>
+                    <button type="button" class="btn btn-link btn-sm" data-pwa-dismiss>Not Now</button>
                 </div>
             </div>
         `;
-        
+
+        banner.querySelector('[data-pwa-install]').addEventListener('click', installApp);
+        banner.querySelector('[data-pwa-dismiss]').addEventListener('click', () => {
+            hideInstallBanner();
+            dismissInstall();
+        });
+
         document.body.appendChild(banner);
         setTimeout(() => banner.classList.add('show'), 100);
+        reportInstallEvent('shown', installTrigger);
     }
-    
-    window.installPWA = function() {
-        const banner = document.querySelector('.pwa-install-banner');
-        if (banner) banner.remove();
-        
-        if (deferredPrompt) {
-            deferredPrompt.prompt();
-            deferredPrompt.userChoice.then((choiceResult) => {
-                deferredPrompt = null;
-            });
-        }
-    };
-    
-    window.dismissPWA = function() {
+
+    function hideInstallBanner() {
         const banner = document.querySelector('.pwa-install-banner');
         if (banner) {
             banner.classList.remove('show');
             setTimeout(() => banner.remove(), 300);
         }
-        localStorage.setItem(INSTALL_DISMISSED_KEY, 'true');
-    };
-    
-    // Handle successful installation
+    }
+
+    function dismissInstall() {
+        writeStorage(localStorage, INSTALL_DISMISSED_AT_KEY, String(Date.now()));
+        reportInstallEvent('dismissed', installTrigger);
+    }
+
+    function installApp() {
+        hideInstallBanner();
+        if (!deferredPrompt) return;
+
+        const prompt = deferredPrompt;
+        deferredPrompt = null;
+        prompt.prompt();
+        prompt.userChoice.then((choiceResult) => {
+            if (choiceResult.outcome === 'accepted') {
+                reportInstallEvent('accepted', installTrigger);
+            } else {
+                dismissInstall();
+            }
+        });
+    }
+
+    // Counts every install, including ones started from the browser menu
     window.addEventListener('appinstalled', () => {
         deferredPrompt = null;
+        hideInstallBanner();
+        writeStorage(localStorage, INSTALL_PAGE_VIEWS_KEY, null);
+        reportInstallEvent('installed', installTrigger || 'browser');
     });
+
+    window.PwaInstall = {
+        // For pages that add to cart without a form post
+        trigger(reason) {
+            if (reason === 'add-to-cart' && !installConfig.afterAddToCart) return;
+            requestInstallBanner(reason);
+        }
+    };
+
+    // Installability check. Runs the same tests browsers apply before offering to install
+    // (manifest fields, 192/512 icons, service worker) plus the richer install dialog
+    // extras. Admin > Branding > App renders the result into [data-pwa-installability].
+    function loadIcon(src) {
+        return fetch(src, { cache: 'no-store' }).then(res => {
+            if (!res.ok) throw new Error('HTTP ' + res.status);
+            const placeholder = res.headers.get('X-Icon-Placeholder') === 'true';
+            return res.blob().then(blob => createImageBitmap(blob)).then(bitmap => {
+                const size = { width: bitmap.width, height: bitmap.height, placeholder };
+                bitmap.close();
+                return size;
+            });
+        });
+    }
+
+    function hasPurpose(image, purpose) {
+        return (image.purpose || 'any').split(/\s+/).includes(purpose);
+    }
+
+    async function checkIcons(manifest, problems, warnings) {
+        const icons = Array.isArray(manifest.icons) ? manifest.icons : [];
+        let placeholder = false;
+
+        for (const size of [192, 512]) {
+            const icon = icons.find(i => hasPurpose(i, 'any') && (i.sizes || '').split(/\s+/).includes(size + 'x' + size));
+            if (!icon) {
+                problems.push('The manifest has no ' + size + 'x' + size + ' icon.');
+                continue;
+            }
+
+            try {
+                const loaded = await loadIcon(new URL(icon.src, document.baseURI).href);
+                if (loaded.width !== size || loaded.height !== size) {
+                    problems.push('The ' + size + 'x' + size + ' icon is actually ' + loaded.width + 'x' + loaded.height + '.');
+                }
+                placeholder = placeholder || loaded.placeholder;
+            } catch (err) {
+                problems.push('The ' + size + 'x' + size + ' icon could not be loaded (' + err.message + ').');
+            }
+        }
+
+        if (placeholder) {
+            warnings.push('No raster logo or app icon was found, so a plain placeholder icon is used. Upload an app icon.');
+        }
+        if (!icons.some(i => hasPurpose(i, 'maskable'))) {
+            warnings.push('There is no maskable icon, so Android may shrink the icon onto a white circle.');
+        }
+    }
+
+    async function checkInstallability() {
+        const problems = [];
+        const warnings = [];
+
+        if (!window.isSecureContext) {
+            problems.push('The site is not served over HTTPS.');
+        }
+
+        const link = document.querySelector('link[rel="manifest"]');
+        let manifest = null;
+        if (!link) {
+            problems.push('The page has no <link rel="manifest">.');
+        } else {
+            try {
+                const res = await fetch(link.href, { cache: 'no-store' });
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                manifest = await res.json();
+            } catch (err) {
+                problems.push('The manifest could not be loaded or parsed (' + err.message + ').');
+            }
+        }
+
+        if (manifest) {
+            if (!manifest.name && !manifest.short_name) {
+                problems.push('The manifest has no name or short_name.');
+            }
+            if (manifest.short_name && manifest.short_name.length > 12) {
+                warnings.push('The short name "' + manifest.short_name + '" may be cut off under the home screen icon.');
+            }
+            if (!manifest.start_url) {
+                problems.push('The manifest has no start_url.');
+            }
+            if (!['standalone', 'fullscreen', 'minimal-ui'].includes(manifest.display)) {
+                problems.push('display must be standalone, fullscreen or minimal-ui (is "' + (manifest.display || '') + '").');
+            }
+
+            await checkIcons(manifest, problems, warnings);
+
+            const screenshots = Array.isArray(manifest.screenshots) ? manifest.screenshots : [];
+            if (!screenshots.some(s => s.form_factor === 'wide')) {
+                warnings.push('No desktop screenshot - desktop browsers show a plain install dialog.');
+            }
+            if (!screenshots.some(s => s.form_factor === 'narrow')) {
+                warnings.push('No mobile screenshot - mobile browsers show a plain install dialog.');
+            }
+            if (!Array.isArray(manifest.shortcuts) || !manifest.shortcuts.length) {
+                warnings.push('The manifest has no shortcuts.');
+            }
+        }
+
+        if (!('serviceWorker' in navigator)) {
+            problems.push('This browser does not support service workers.');
+        } else {
+            const registration = await navigator.serviceWorker.getRegistration('/');
+            if (!registration) {
+                problems.push('No service worker is registered for this site.');
+            } else if (!registration.active) {
+                warnings.push('The service worker is still installing. Run the check again in a moment.');
+            }
+        }
+
+        return { installable: problems.length === 0, problems, warnings };
+    }
+
+    function renderInstallability(container, result) {
+        container.textContent = '';
+
+        const summary = document.createElement('div');
+        summary.className = 'alert mb-2 ' + (result.installable ? 'alert-success' : 'alert-danger');
+        summary.textContent = result.installable
+            ? 'The store meets the requirements for installation.'
+            : 'Browsers will not offer to install the store until these problems are fixed.';
+        container.appendChild(summary);
+
+        const items = result.problems.map(text => ({ text, icon: 'bi-x-circle-fill text-danger' }))
+            .concat(result.warnings.map(text => ({ text, icon: 'bi-exclamation-circle-fill text-warning' })));
+        if (!items.length) return;
+
+        const list = document.createElement('ul');
+        list.className = 'list-unstyled mb-0';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = 'mb-1';
+            const icon = document.createElement('i');
+            icon.className = 'bi ' + item.icon + ' me-2';
+            li.appendChild(icon);
+            li.appendChild(document.createTextNode(item.text));
+            list.appendChild(li);
+        });
+        container.appendChild(list);
+    }
+
+    function runInstallabilityCheck() {
+        const container = document.querySelector('[data-pwa-installability]');
+        if (!container) return;
+
+        checkInstallability()
+            .then(result => renderInstallability(container, result))
+            .catch(err => renderInstallability(container, { installable: false, problems: ['The check failed: ' + err.message], warnings: [] }));
+    }
+
+    // Wait for load so the service worker registration above has been made
+    window.addEventListener('load', () => {
+        if (!document.querySelector('[data-pwa-installability]')) return;
+
+        const runButton = document.querySelector('[data-pwa-installability-run]');
+        if (runButton) runButton.addEventListener('click', runInstallabilityCheck);
+        runInstallabilityCheck();
+    });
+
+    window.PwaInstallability = {
+        check: checkInstallability
+    };
 })();
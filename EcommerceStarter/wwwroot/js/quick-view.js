@@ -0,0 +1,212 @@
+﻿// @ts-check
+// Quick view on the shop grid (Pages/Products/_QuickView.cshtml)
+//
+// The "Quick view" link on a product card opens a Bootstrap modal instead of the product's
+// page: its images, the variant picker (variant-picker.js, imported the first time the modal
+// opens) and an add-to-cart form, which enhanceAddToCart in enhancements.js posts like any
+// other. Without JavaScript the link is just a link to Products/Details.
+(function() {
+    const quickViewScript = document.currentScript;
+    const pickerUrl = quickViewScript ? quickViewScript.dataset.variantPicker : null;
+
+    let pickerModule = null;
+    let modal = null;
+    let bsModal = null;
+    let opener = null;
+    let product = null;
+    let requestId = 0;
+
+    const { createElement } = Http;
+
+    function part(name) {
+        return modal.querySelector(`[data-quick-view-${name}]`);
+    }
+
+    function formatPrice(value) {
+        return `$${Number(value).toFixed(2)}`;
+    }
+
+    function showImage(url, alt) {
+        const image = part('image');
+        image.src = url || '/images/placeholder.jpg';
+        image.alt = alt || '';
+
+        part('thumbs').querySelectorAll('button').forEach(thumb => {
+            thumb.setAttribute('aria-pressed', thumb.dataset.imageUrl === url ? 'true' : 'false');
+        });
+    }
+
+    function renderThumbs(images) {
+        const thumbs = part('thumbs');
+        thumbs.replaceChildren();
+        thumbs.hidden = images.length < 2;
+        if (images.length < 2) return;
+
+        images.forEach((image, index) => {
+            const thumb = createElement('button', 'quick-view-thumb');
+            thumb.type = 'button';
+            thumb.dataset.imageUrl = image.url;
+            thumb.setAttribute('aria-label', `Show image ${index + 1} of ${images.length}`);
+
+            const preview = createElement('img');
+            preview.src = image.url;
+            preview.alt = '';
+            preview.loading = 'lazy';
+            thumb.appendChild(preview);
+
+            thumb.addEventListener('click', () => showImage(image.url, image.alt));
+            thumbs.appendChild(thumb);
+        });
+    }
+
+    function setAvailability(text, className) {
+        const availability = part('availability');
+        availability.replaceChildren(createElement('span', `badge ${className}`, text));
+    }
+
+    function setStock(stock) {
+        const button = part('form').querySelector('button[type="submit"]');
+        if (stock > 0) {
+            pickerModule.fillQuantities(part('form').querySelector('select[name="quantity"]'), stock);
+            button.disabled = false;
+        } else {
+            part('form').querySelector('select[name="quantity"]').replaceChildren();
+            button.disabled = true;
+        }
+    }
+
+    function render(data) {
+        product = data;
+
+        part('title').textContent = data.name;
+        part('price').textContent = formatPrice(data.price);
+        part('summary').textContent = data.summary || '';
+        part('details').href = data.url;
+
+        renderThumbs(data.images || []);
+        const first = (data.images || [])[0];
+        showImage(first && first.url, first ? first.alt : data.name);
+
+        const form = part('form');
+        form.action = data.addToCartUrl;
+        part('variant').value = '';
+        form.hidden = !data.isAvailable;
+        part('picker').hidden = !data.hasVariants || !data.isAvailable;
+        part('attributes').replaceChildren();
+        part('variants').replaceChildren();
+
+        if (data.isComingSoon) {
+            setAvailability('Coming Soon', 'bg-info');
+        } else if (!data.isAvailable) {
+            setAvailability('Out of Stock', 'bg-danger');
+        } else if (data.hasVariants) {
+            setAvailability('Choose an option to see availability', 'bg-secondary');
+            setStock(0);
+        } else {
+            setAvailability(`In Stock (${data.stock} available)`, 'bg-success');
+            setStock(data.stock);
+        }
+
+        part('loading').hidden = true;
+        part('content').hidden = false;
+
+        if (data.hasVariants && data.isAvailable) {
+            return createPicker(data.price).load(data.variantDataUrl);
+        }
+        return Promise.resolve();
+    }
+
+    // Variant prices fall back to the price of the product being shown
+    function createPicker(basePrice) {
+        return pickerModule.createVariantPicker({
+            attributes: part('attributes'),
+            variants: part('variants'),
+            basePrice,
+
+            onSelect(variant) {
+                part('variant').value = variant.id;
+                part('price').textContent = formatPrice(variant.price);
+                setAvailability(`In Stock (${variant.stock} available)`, 'bg-success');
+                setStock(variant.stock);
+                if (variant.imageUrl) {
+                    showImage(variant.imageUrl, `${product.name} - ${variant.name}`);
+                }
+            },
+
+            onClear() {
+                part('variant').value = '';
+                part('price').textContent = formatPrice(basePrice);
+                setAvailability('Choose an option to see availability', 'bg-secondary');
+                setStock(0);
+            }
+        });
+    }
+
+    function load(productId) {
+        const current = ++requestId;
+
+        part('title').textContent = 'Quick view';
+        part('loading').hidden = false;
+        part('error').hidden = true;
+        part('content').hidden = true;
+
+        const request = Http.fetchJson(`/Products/Details/${productId}?handler=QuickView`);
+
+        return Promise.all([request, importPicker()])
+            .then(([data]) => {
+                // A slow answer for a product that was closed in the meantime
+                if (current !== requestId) return;
+                return render(data);
+            })
+            .catch(() => {
+                if (current !== requestId) return;
+                part('loading').hidden = true;
+                part('error').hidden = false;
+            });
+    }
+
+    function importPicker() {
+        if (!pickerModule) {
+            return import(pickerUrl).then(module => {
+                pickerModule = module;
+                return module;
+            });
+        }
+        return Promise.resolve(pickerModule);
+    }
+
+    function open(trigger) {
+        opener = trigger;
+        load(parseInt(trigger.dataset.quickView, 10));
+        bsModal.show();
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        modal = document.querySelector('[data-quick-view-modal]');
+        if (!modal || !pickerUrl || !window.bootstrap || !bootstrap.Modal) return;
+
+        bsModal = bootstrap.Modal.getOrCreateInstance(modal);
+
+        // Cards appended by product-grid.js and swapped in by product-filters.js have links too
+        document.addEventListener('click', (e) => {
+            const trigger = /** @type {Element} */ (e.target).closest('[data-quick-view]');
+            if (!trigger) return;
+            if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+            e.preventDefault();
+            open(trigger);
+        });
+
+        modal.addEventListener('hidden.bs.modal', () => {
+            requestId++;
+            product = null;
+            if (opener && document.contains(opener)) opener.focus();
+            opener = null;
+        });
+
+        // Added from the modal - the toast and badge are handled by enhanceAddToCart
+        document.addEventListener('cart:added', () => {
+            if (modal.classList.contains('show')) bsModal.hide();
+        });
+    });
+})();
@@ -0,0 +1,232 @@
+﻿// @ts-check
+// "Recently viewed" strip (Pages/Shared/_RecentlyViewed.cshtml)
+//
+// Products/Details records the product being looked at. Guests keep the list in localStorage
+// (persistent-storage.js) and signed-in customers keep it on their account
+// (RecentlyViewedController); a guest's list is added to the account on the first page after
+// signing in. The strips on the home page, the cart and the foot of Products/Details show the list
+// with current prices and stock from one /api/products/lookup request. Nothing is recorded or
+// shown until cookies are accepted (_CookieConsent.cshtml), and declining them clears the list
+// kept on this device.
+(function() {
+    const CONSENT_KEY = 'cookie_consent';
+    const MAX_SHOWN = 12;
+    const LOW_STOCK = 5;
+
+    const recentlyViewedScript = document.currentScript;
+    const isAuthenticated = !!recentlyViewedScript && recentlyViewedScript.dataset.authenticated === 'true';
+
+    const { createElement, fetchJson, postJson } = Http;
+
+    let merged = null;
+
+    function consentGiven() {
+        try {
+            return localStorage.getItem(CONSENT_KEY) === 'accepted';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function guestEntries() {
+        return window.guestRecentlyViewed ? guestRecentlyViewed.get() : [];
+    }
+
+    // Signed in: a list left on this device from before signing in is added to the account once.
+    // If that fails the local copy stays, and the next page tries again.
+    function mergeGuestList() {
+        if (!merged) {
+            const entries = guestEntries();
+            merged = entries.length === 0
+                ? Promise.resolve()
+                : postJson('/api/recently-viewed/merge', { items: entries })
+                    .then(() => guestRecentlyViewed.clear())
+                    .catch(() => {});
+        }
+        return merged;
+    }
+
+    const RecentlyViewed = {
+        getIds() {
+            if (isAuthenticated) {
+                return mergeGuestList()
+                    .then(() => fetchJson('/api/recently-viewed'))
+                    .then(data => data.productIds || []);
+            }
+            return Promise.resolve(guestEntries().map(entry => entry.productId));
+        },
+
+        // Resolves with the whole list, the recorded product first
+        record(productId) {
+            if (!consentGiven()) {
+                return this.getIds();
+            }
+            if (isAuthenticated) {
+                return mergeGuestList()
+                    .then(() => postJson('/api/recently-viewed/items', { productId }))
+                    .then(data => data.productIds || []);
+            }
+            return Promise.resolve(guestRecentlyViewed.add(productId).map(entry => entry.productId));
+        },
+
+        clear() {
+            if (isAuthenticated) {
+                return postJson('/api/recently-viewed/clear').then(() => []);
+            }
+            guestRecentlyViewed.clear();
+            return Promise.resolve([]);
+        }
+    };
+
+    function stockBadge(product) {
+        if (product.isComingSoon) {
+            return createElement('span', 'badge bg-info', 'Coming Soon');
+        }
+        if (!product.isAvailable) {
+            return createElement('span', 'badge bg-danger', 'Out of Stock');
+        }
+        if (product.stock <= LOW_STOCK) {
+            return createElement('span', 'badge bg-warning text-dark', `Only ${product.stock} left`);
+        }
+        return createElement('span', 'badge bg-success', 'In Stock');
+    }
+
+    function renderCard(product) {
+        const item = createElement('div', 'recently-viewed-item');
+        item.setAttribute('role', 'listitem');
+
+        const link = createElement('a', 'card h-100 text-decoration-none text-reset');
+        link.href = product.url;
+
+        const image = createElement('img', 'card-img-top');
+        image.src = product.imageUrl || '/images/placeholder.jpg';
+        image.alt = '';
+        image.loading = 'lazy';
+
+        const badge = stockBadge(product);
+        badge.classList.add('align-self-start');
+
+        const body = createElement('div', 'card-body d-flex flex-column');
+        body.append(
+            createElement('span', 'fw-semibold text-truncate', product.name),
+            createElement('strong', 'text-primary my-1', `$${Number(product.price).toFixed(2)}`),
+            badge);
+
+        link.append(image, body);
+        item.appendChild(link);
+        return item;
+    }
+
+    function updateScrollButtons(strip) {
+        const track = strip.querySelector('[data-recently-viewed-items]');
+        const atStart = track.scrollLeft <= 0;
+        const atEnd = track.scrollLeft + track.clientWidth >= track.scrollWidth - 1;
+
+        strip.querySelectorAll('[data-recently-viewed-scroll]').forEach(button => {
+            button.hidden = atStart && atEnd;
+            button.disabled = button.dataset.recentlyViewedScroll === '-1' ? atStart : atEnd;
+        });
+    }
+
+    function currentProductId(strip) {
+        return parseInt(strip.dataset.recentlyViewedCurrent, 10) || null;
+    }
+
+    function renderStrip(strip, productIds) {
+        const current = currentProductId(strip);
+        const ids = productIds.filter(id => id !== current).slice(0, MAX_SHOWN);
+
+        if (ids.length === 0) {
+            strip.hidden = true;
+            return Promise.resolve();
+        }
+
+        return fetchJson(`/api/products/lookup?ids=${ids.join(',')}`)
+            .then(data => {
+                const products = data.products || [];
+
+                // Products deleted from the catalog drop off a guest's list (accounts lose them with the product)
+                if (!isAuthenticated) {
+                    const found = new Set(products.map(p => p.id));
+                    ids.filter(id => !found.has(id)).forEach(id => guestRecentlyViewed.remove(id));
+                }
+
+                const track = strip.querySelector('[data-recently-viewed-items]');
+                track.replaceChildren(...products.map(renderCard));
+                strip.hidden = products.length === 0;
+                updateScrollButtons(strip);
+            });
+    }
+
+    function hideStrips(strips) {
+        strips.forEach(strip => {
+            strip.hidden = true;
+            strip.querySelector('[data-recently-viewed-items]').replaceChildren();
+        });
+    }
+
+    function start(strips) {
+        if (!consentGiven()) return;
+
+        const recorded = strips.map(currentProductId).find(id => id);
+        (recorded ? RecentlyViewed.record(recorded) : RecentlyViewed.getIds())
+            .then(ids => Promise.all(strips.map(strip => renderStrip(strip, ids))))
+            .catch(() => hideStrips(strips));
+    }
+
+    function initStrip(strip, strips) {
+        const track = strip.querySelector('[data-recently-viewed-items]');
+
+        strip.querySelectorAll('[data-recently-viewed-scroll]').forEach(button => {
+            button.addEventListener('click', () => {
+                const direction = parseInt(button.dataset.recentlyViewedScroll, 10);
+                track.scrollBy({ left: direction * track.clientWidth * 0.8 });
+            });
+        });
+        track.addEventListener('scroll', () => updateScrollButtons(strip), { passive: true });
+
+        const clear = strip.querySelector('[data-recently-viewed-clear]');
+        if (clear) {
+            clear.addEventListener('click', () => {
+                clear.disabled = true;
+                RecentlyViewed.clear()
+                    .then(() => hideStrips(strips))
+                    .catch(() => {
+                        if (window.ToastManager) {
+                            ToastManager.error('Your viewing history could not be cleared. Please try again.');
+                        }
+                    })
+                    .finally(() => {
+                        clear.disabled = false;
+                    });
+            });
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        const strips = Array.from(document.querySelectorAll('[data-recently-viewed]'));
+        if (!window.fetch) return;
+
+        strips.forEach(strip => initStrip(strip, strips));
+        window.addEventListener('resize', () => strips.forEach(updateScrollButtons));
+
+        // Signed in: bring over a guest list even on pages without a strip
+        if (isAuthenticated && strips.length === 0 && consentGiven()) {
+            mergeGuestList();
+        }
+
+        start(strips);
+
+        document.addEventListener('cookie-consent:changed', (/** @type {CustomEvent} */ e) => {
+            const consent = e.detail && e.detail.consent;
+            if (consent === 'accepted') {
+                start(strips);
+            } else if (consent === 'declined') {
+                if (window.guestRecentlyViewed) guestRecentlyViewed.clear();
+                hideStrips(strips);
+            }
+        });
+    });
+
+    window.RecentlyViewed = RecentlyViewed;
+})();
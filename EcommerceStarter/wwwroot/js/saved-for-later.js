@@ -0,0 +1,241 @@
+﻿// @ts-check
+// Save for later on the cart page (Pages/Cart/Index.cshtml)
+//
+// "Save for later" takes a line out of the cart and lists it under the cart. Signed-in
+// customers' lines are kept on their account (SavedForLaterController); guests keep theirs in
+// localStorage (persistent-storage.js) until they sign in. The list is checked against current
+// prices and stock every time it is shown.
+(function() {
+    const savedScript = document.currentScript;
+    const isAuthenticated = !!savedScript && savedScript.dataset.authenticated === 'true';
+
+    const { createElement } = Http;
+
+    let section = null;
+    let items = [];
+
+    function postJson(url, body) {
+        return Http.post(url, body).then(res => Http.readJson(res, data => data.success));
+    }
+
+    function formatPrice(value) {
+        return `$${Number(value).toFixed(2)}`;
+    }
+
+    function part(name) {
+        return section.querySelector(`[data-saved-for-later-${name}]`);
+    }
+
+    // Outside the section, which is hidden once the last saved item is gone
+    function announce(message) {
+        const status = document.querySelector('[data-saved-for-later-status]');
+        if (status) status.textContent = message;
+    }
+
+    function icon(name) {
+        const glyph = createElement('i', `bi ${name}`);
+        glyph.setAttribute('aria-hidden', 'true');
+        return glyph;
+    }
+
+    // The session cart answers every change; the badge, other tabs and the guest copy follow it
+    function applyCart(data) {
+        if (window.CartSyncManager) {
+            CartSyncManager.setCartCount(data.count);
+        }
+        document.dispatchEvent(new CustomEvent('cart:changed', { detail: { items: data.cart || [] } }));
+    }
+
+    function renderItem(item) {
+        const row = createElement('div', 'row align-items-center border-bottom py-3 saved-item');
+
+        const imageColumn = createElement('div', 'col-md-2');
+        if (item.imageUrl) {
+            const image = createElement('img', 'img-fluid rounded');
+            image.src = item.imageUrl;
+            image.alt = item.name;
+            image.loading = 'lazy';
+            imageColumn.appendChild(image);
+        }
+
+        const details = createElement('div', 'col-md-6');
+        const title = createElement('h6', 'mb-0');
+        if (item.url) {
+            const link = createElement('a', 'text-decoration-none text-dark', item.name);
+            link.href = item.url;
+            title.appendChild(link);
+        } else {
+            title.textContent = item.name;
+        }
+        details.appendChild(title);
+
+        const price = createElement('small', 'text-muted');
+        if (item.savedPrice !== null && item.savedPrice !== undefined && item.savedPrice !== item.price) {
+            const was = createElement('del', 'me-1', formatPrice(item.savedPrice));
+            was.setAttribute('aria-label', `was ${formatPrice(item.savedPrice)}`);
+            price.appendChild(was);
+        }
+        price.append(`${formatPrice(item.price)} each · Qty ${item.quantity}`);
+        details.appendChild(price);
+
+        if (item.message) {
+            details.appendChild(createElement('div', item.canMoveToCart ? 'small text-info mt-1' : 'small text-warning mt-1', item.message));
+        }
+
+        const actions = createElement('div', 'col-md-4 mt-2 mt-md-0 saved-item-actions');
+        if (item.canMoveToCart) {
+            const move = createElement('button', 'btn btn-sm btn-outline-primary');
+            move.type = 'button';
+            move.append(icon('bi-cart-plus'), ' Move to cart');
+            move.setAttribute('aria-label', `Move ${item.name} back to your cart`);
+            move.addEventListener('click', () => moveToCart(item, move));
+            actions.appendChild(move);
+        } else if (item.url) {
+            const view = createElement('a', 'btn btn-sm btn-outline-secondary');
+            view.href = item.url;
+            view.append(icon('bi-sliders'), ' View options');
+            actions.appendChild(view);
+        }
+
+        const remove = createElement('button', 'btn btn-sm btn-link text-danger');
+        remove.type = 'button';
+        remove.append(icon('bi-trash'), ' Remove');
+        remove.setAttribute('aria-label', `Remove ${item.name} from your saved items`);
+        remove.addEventListener('click', () => removeItem(item, remove));
+        actions.appendChild(remove);
+
+        row.append(imageColumn, details, actions);
+        return row;
+    }
+
+    function render() {
+        section.hidden = items.length === 0 && part('error').hidden;
+        part('count').textContent = String(items.length);
+        part('card').hidden = items.length === 0;
+        part('items').replaceChildren(...items.map(renderItem));
+    }
+
+    function load() {
+        let request;
+        if (isAuthenticated) {
+            request = Http.fetchJson('/api/saved-for-later');
+        } else {
+            const lines = window.guestSavedForLater ? guestSavedForLater.get() : [];
+            if (lines.length === 0) {
+                request = Promise.resolve({ items: [] });
+            } else {
+                request = postJson('/api/saved-for-later/check', { items: lines });
+            }
+        }
+
+        return request
+            .then(data => {
+                const checked = data.items || [];
+
+                // Products that were deleted from the catalog are dropped from the guest list
+                if (!isAuthenticated) {
+                    checked.filter(item => !item.exists).forEach(item => guestSavedForLater.remove(item.productId, item.variantId));
+                }
+
+                part('error').hidden = true;
+                items = checked.filter(item => item.exists);
+                render();
+            })
+            .catch(() => {
+                part('error').hidden = false;
+                section.hidden = false;
+            });
+    }
+
+    function saveForLater(button) {
+        const productId = parseInt(button.dataset.saveForLater, 10);
+        const cartLine = button.closest('[data-cart-line]');
+        button.disabled = true;
+
+        postJson('/api/saved-for-later/items', { productId })
+            .then(data => {
+                if (!isAuthenticated) {
+                    guestSavedForLater.add(data.line);
+                }
+                applyCart(data);
+
+                // The empty cart view is rendered by the server
+                if (data.count === 0) {
+                    window.location.reload();
+                    return;
+                }
+
+                if (cartLine && window.CartEditor) {
+                    CartEditor.removeLine(cartLine);
+                } else if (cartLine) {
+                    cartLine.remove();
+                }
+
+                ToastManager.success(data.message, 'Saved for Later');
+                announce(data.message);
+                return load();
+            })
+            .catch(err => {
+                button.disabled = false;
+                ToastManager.error(err.serverMessage || 'This item could not be saved for later. Please try again.', 'Not Saved');
+            });
+    }
+
+    function moveToCart(item, button) {
+        button.disabled = true;
+
+        postJson('/api/saved-for-later/items/move-to-cart', {
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: item.quantity,
+            price: item.savedPrice
+        })
+            .then(data => {
+                if (!isAuthenticated) {
+                    guestSavedForLater.remove(item.productId, item.variantId);
+                }
+                applyCart(data);
+
+                // Cart lines are rendered by the server, so show the page again with the new line
+                window.location.reload();
+            })
+            .catch(err => {
+                button.disabled = false;
+                ToastManager.error(err.serverMessage || 'This item could not be moved to your cart. Please try again.', 'Not Moved');
+            });
+    }
+
+    function removeItem(item, button) {
+        button.disabled = true;
+
+        const removed = isAuthenticated
+            ? postJson('/api/saved-for-later/items/delete', { productId: item.productId, variantId: item.variantId })
+            : Promise.resolve(guestSavedForLater.remove(item.productId, item.variantId));
+
+        removed
+            .then(() => {
+                items = items.filter(i => i !== item);
+                render();
+                announce(`${item.name} was removed from your saved items.`);
+                if (items.length > 0) {
+                    part('items').querySelector('button, a').focus();
+                }
+            })
+            .catch(err => {
+                button.disabled = false;
+                ToastManager.error(err.serverMessage || 'This item could not be removed. Please try again.');
+            });
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        section = document.querySelector('[data-saved-for-later]');
+        if (!section || !window.fetch) return;
+
+        document.querySelectorAll('[data-save-for-later]').forEach((/** @type {HTMLButtonElement} */ button) => {
+            button.hidden = false;
+            button.addEventListener('click', () => saveForLater(button));
+        });
+
+        load();
+    });
+})();
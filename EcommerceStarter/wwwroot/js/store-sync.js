@@ -0,0 +1,185 @@
+﻿// @ts-check
+// Cross-tab store sync - cart badge, floating cart badge, wishlist hearts, the comparison tray
+// and the cart page
+//
+// Tabs tell each other about changes over a BroadcastChannel. Browsers without one fall
+// back to the storage event, which every other tab of the origin receives when a
+// localStorage key is written. The guest cart, wishlist and comparison list
+// (persistent-storage.js) live in localStorage already, so their own storage events are
+// picked up directly.
+(function() {
+    const CHANNEL_NAME = 'store-sync';
+    const MESSAGE_KEY = 'store_sync_message';
+    const CART_COUNT_KEY = 'store_cart_count';
+    const GUEST_CART_KEY = 'guest_cart';
+    const GUEST_WISHLIST_KEY = 'guest_wishlist';
+    const COMPARE_KEY = 'compare_products';
+
+    const tabId = Math.random().toString(36).slice(2);
+    const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+    const subscribers = {};
+
+    function deliver(message) {
+        if (!message || message.tabId === tabId) return;
+        (subscribers[message.type] || []).forEach(handler => {
+            try {
+                handler(message.detail || {});
+            } catch (e) {
+                // One broken subscriber must not stop the others
+            }
+        });
+    }
+
+    function readJson(value, fallback) {
+        try {
+            return value ? JSON.parse(value) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function writeStorage(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        } catch (e) {
+            // Storage disabled - other tabs catch up on their next page load
+        }
+    }
+
+    if (channel) {
+        channel.addEventListener('message', (event) => deliver(event.data));
+    }
+
+    window.addEventListener('storage', (event) => {
+        if (event.key === MESSAGE_KEY && !channel) {
+            deliver(readJson(event.newValue, null));
+        } else if (event.key === GUEST_CART_KEY) {
+            deliver({ type: 'guest-cart', detail: { items: readJson(event.newValue, []) } });
+        } else if (event.key === GUEST_WISHLIST_KEY) {
+            deliver({ type: 'wishlist', detail: { productIds: readJson(event.newValue, []) } });
+        } else if (event.key === COMPARE_KEY) {
+            deliver({ type: 'compare', detail: { items: readJson(event.newValue, []) } });
+        }
+    });
+
+    const StoreSync = {
+        // Tell the other tabs; the sending tab has already updated itself
+        publish(type, detail) {
+            const message = { type, detail, tabId, sentAt: Date.now() };
+            if (channel) {
+                channel.postMessage(message);
+            } else {
+                // Writing then removing the key still fires the storage event in other tabs
+                writeStorage(MESSAGE_KEY, JSON.stringify(message));
+                writeStorage(MESSAGE_KEY, null);
+            }
+        },
+
+        subscribe(type, handler) {
+            (subscribers[type] = subscribers[type] || []).push(handler);
+        },
+
+        // Server cart count changed in this tab (queue replay, guest data merge, cart edits)
+        cartChanged(count) {
+            writeStorage(CART_COUNT_KEY, String(count));
+            this.publish('cart', { count });
+        },
+
+        wishlistChanged(productIds) {
+            applyWishlistState(productIds);
+            this.publish('wishlist', { productIds });
+        },
+
+        // Initial render of the hearts on this page (wishlist.js), without telling other tabs
+        renderWishlist(productIds) {
+            applyWishlistState(productIds);
+        }
+    };
+
+    // Hearts are any element with data-wishlist-toggle="<productId>"
+    function applyWishlistState(productIds) {
+        const saved = new Set((productIds || []).map(String));
+        document.querySelectorAll('[data-wishlist-toggle]').forEach((/** @type {HTMLElement} */ toggle) => {
+            const active = saved.has(toggle.dataset.wishlistToggle);
+            toggle.classList.toggle('active', active);
+            toggle.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+    }
+
+    // The cart page is rendered on the server, so a change from another tab makes it stale.
+    // A hidden tab reloads when it is shown again; a visible one offers a refresh.
+    let cartPageStale = false;
+
+    function isCartPage() {
+        return /^\/Cart(\/Index)?\/?$/i.test(window.location.pathname);
+    }
+
+    function markCartPageStale() {
+        if (!isCartPage()) return;
+
+        if (document.visibilityState === 'hidden') {
+            cartPageStale = true;
+        } else if (window.ToastManager && !document.querySelector('.cart-stale-toast')) {
+            const toast = ToastManager.action('Your cart was changed in another tab.', 'Cart Updated', 'Refresh cart', () => window.location.reload());
+            toast.classList.add('cart-stale-toast');
+        }
+    }
+
+    document.addEventListener('visibilitychange', () => {
+        if (cartPageStale && document.visibilityState === 'visible') {
+            window.location.reload();
+        }
+    });
+
+    StoreSync.subscribe('cart', ({ count }) => {
+        if (window.CartSyncManager) {
+            CartSyncManager.renderCartCount(count);
+        }
+        markCartPageStale();
+    });
+
+    StoreSync.subscribe('guest-cart', () => {
+        if (window.guestCart) {
+            guestCart.updateBadge();
+        }
+    });
+
+    StoreSync.subscribe('wishlist', ({ productIds }) => applyWishlistState(productIds));
+
+    // A page rendered after a cart form post carries the new count in its badge. When it
+    // differs from the last count the tabs agreed on, confirm it with the server (this page
+    // may have come from the service worker cache) and pass it on.
+    function shareRenderedCartCount() {
+        const cartLink = document.querySelector('.cart-link');
+        if (!cartLink) return;
+
+        const badge = cartLink.querySelector('.cart-badge');
+        const rendered = badge ? parseInt(badge.textContent, 10) || 0 : 0;
+        let known = null;
+        try {
+            known = localStorage.getItem(CART_COUNT_KEY);
+        } catch (e) {
+            return;
+        }
+        if (known === String(rendered)) return;
+
+        fetch('/api/cart/count', { credentials: 'same-origin', cache: 'no-store' })
+            .then(res => res.ok ? res.json() : null)
+            .then(data => {
+                if (!data || typeof data.count !== 'number') return;
+                if (data.count !== rendered && window.CartSyncManager) {
+                    CartSyncManager.renderCartCount(data.count);
+                }
+                StoreSync.cartChanged(data.count);
+            })
+            .catch(() => {});
+    }
+
+    document.addEventListener('DOMContentLoaded', shareRenderedCartCount);
+
+    window.StoreSync = StoreSync;
+})();
@@ -0,0 +1,436 @@
+﻿// @ts-check
+// Variant picker for Products/Details and the quick-view modal (Pages/Products/_QuickView.cshtml)
+//
+// Attribute buttons (Color, Size, ...) narrow the variants down, and values that no variant
+// matching the other choices offers are disabled. Products whose variants have no attributes
+// get a plain list of variant buttons instead. What picking a variant changes on the page
+// (price, stock, image, quantity) is up to the page, through onSelect and onClear. A page that
+// passes onUnavailable keeps sold-out variants pressable, to offer a back-in-stock email.
+//
+// A choice can be put in a query string and read back (selectionQuery and
+// selectionFromQuery): variant=12 once a variant is picked, otherwise attr=Color:Blue for each
+// chosen value, the same form the shop's filters use. Products/Details keeps its URL that way.
+//
+// This is an ES module and leaves nothing on window: Products/Details imports it, and
+// quick-view.js loads it with import(). Attribute values and variant names are typed in
+// Admin/Products/Edit, so they are only ever written to the page as text.
+
+const MAX_LISTED_QUANTITY = 20;
+
+/**
+ * A variant's own price when it has one, otherwise the product's (ProductVariant.EffectivePrice)
+ */
+export function variantPrice(variant, basePrice) {
+    return variant.priceOverride !== null && variant.priceOverride !== undefined
+        ? Number(variant.priceOverride)
+        : Number(basePrice);
+}
+
+/**
+ * Whether the variant can be bought (ProductVariant.IsInStock)
+ */
+export function isInStock(variant) {
+    return variant.stock > 0 && variant.isAvailable !== false;
+}
+
+function attributeValue(variant, attributeName) {
+    const found = (variant.attributes || []).find(a => a.attributeName === attributeName);
+    return found ? found.value : undefined;
+}
+
+/**
+ * Attribute names used by any variant, sorted
+ */
+export function attributeNames(variants) {
+    const names = new Set();
+    variants.forEach(v => (v.attributes || []).forEach(a => {
+        if (a.attributeName) names.add(a.attributeName);
+    }));
+    return Array.from(names).sort();
+}
+
+/**
+ * Every value of one attribute across the variants, sorted
+ */
+export function attributeValues(variants, attributeName) {
+    const values = new Set();
+    variants.forEach(v => {
+        const value = attributeValue(v, attributeName);
+        if (value !== undefined) values.add(value);
+    });
+    return Array.from(values).sort();
+}
+
+/**
+ * Variants that have every selected attribute value ({ Color: 'Red', Size: 'M' })
+ */
+export function matchingVariants(variants, selected) {
+    return variants.filter(v => Object.entries(selected).every(([name, value]) => attributeValue(v, name) === value));
+}
+
+/**
+ * Whether choosing this value would still leave an in-stock variant, given the values
+ * already chosen for the other attributes
+ */
+export function canSelectAttributeValue(variants, selected, attributeName, value) {
+    const choice = Object.assign({}, selected, { [attributeName]: value });
+    return matchingVariants(variants, choice).some(isInStock);
+}
+
+/**
+ * A variant's images: its own image first, then the additional ones
+ */
+export function imagesOf(variant) {
+    const urls = [variant.imageUrl].concat(variant.images || []).filter(Boolean);
+    return Array.from(new Set(urls));
+}
+
+/**
+ * The choice ({ attributes, variantId }) written into a query string; anything else in
+ * search is kept. Returns '?...', or '' when nothing is left.
+ */
+export function selectionQuery(selection, search) {
+    const params = new URLSearchParams(search);
+    params.delete('variant');
+    params.delete('attr');
+
+    if (selection.variantId !== null && selection.variantId !== undefined) {
+        params.set('variant', selection.variantId);
+    } else {
+        Object.keys(selection.attributes || {}).sort().forEach(name => {
+            params.append('attr', `${name}:${selection.attributes[name]}`);
+        });
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * The choice a query string describes (see selectionQuery); values that don't make sense
+ * are left out
+ */
+export function selectionFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const attributes = {};
+
+    params.getAll('attr').forEach(pair => {
+        const separator = pair.indexOf(':');
+        if (separator > 0 && separator < pair.length - 1) {
+            attributes[pair.slice(0, separator)] = pair.slice(separator + 1);
+        }
+    });
+
+    const variantId = parseInt(params.get('variant'), 10);
+    return { attributes, variantId: Number.isNaN(variantId) ? null : variantId };
+}
+
+/**
+ * Quantities offered for a variant: 1-20, then "All" when there are more
+ */
+export function quantityOptions(stock) {
+    const options = [];
+    for (let i = 1; i <= Math.min(stock, MAX_LISTED_QUANTITY); i++) {
+        options.push({ value: i, label: String(i) });
+    }
+    if (stock > MAX_LISTED_QUANTITY) {
+        options.push({ value: stock, label: `All ${stock}` });
+    }
+    return options;
+}
+
+export function fillQuantities(select, stock) {
+    const doc = select.ownerDocument;
+    select.replaceChildren(...quantityOptions(stock).map(option => {
+        const element = doc.createElement('option');
+        element.value = String(option.value);
+        element.textContent = option.label;
+        return element;
+    }));
+    select.selectedIndex = 0;
+}
+
+/**
+ * Fetch a product's variants (DetailsModel.OnGetVariantDataAsync). Resolves to [] when they
+ * can't be loaded, so the picker is simply empty.
+ */
+export function loadVariants(url, fetchImpl) {
+    return (fetchImpl || fetch)(url, { credentials: 'same-origin' })
+        .then(res => {
+            const contentType = res.headers.get('content-type') || '';
+            return res.ok && contentType.includes('application/json') ? res.json() : null;
+        })
+        .then(result => (result && result.success && result.data) || [])
+        .catch(() => []);
+}
+
+/**
+ * Draws the picker into options.attributes and options.variants:
+ *   basePrice - the product's price, for variants without their own
+ *   onSelect(variant) - { id, name, price, stock, imageUrl } once a variant is picked
+ *   onClear() - when there is no variant picked (again)
+ *   onAttributesChange({ attributes, variants }) - the chosen attribute values and the variants
+ *     that have them, whenever a value is picked or let go (and once the variants are loaded)
+ *   onChange({ attributes, variantId }) - after the shopper picks or lets go of something
+ *     (not after load or select)
+ *   onUnavailable({ id, name }) - a sold-out variant the shopper can ask to hear about
+ *     (canNotify in the variant data) was pressed, or linked to through select
+ */
+export function createVariantPicker(options) {
+    const attributesContainer = options.attributes;
+    const variantsContainer = options.variants;
+    const doc = variantsContainer.ownerDocument;
+
+    let variants = [];
+    let selectedAttributes = {};
+    let selectedVariant = null;
+
+    function createElement(tag, className, text) {
+        const element = doc.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    function renderAttributes(names) {
+        attributesContainer.replaceChildren(...names.map((name, index) => {
+            const group = createElement('div', 'mb-3');
+            const label = createElement('div', 'form-label fw-bold', name);
+            label.id = `${variantsContainer.id || 'variant'}-attribute-${index}`;
+
+            const buttons = createElement('div', 'attribute-buttons d-flex gap-2 flex-wrap');
+            buttons.setAttribute('role', 'group');
+            buttons.setAttribute('aria-labelledby', label.id);
+
+            attributeValues(variants, name).forEach(value => {
+                const isSelected = selectedAttributes[name] === value;
+                const isAvailable = canSelectAttributeValue(variants, selectedAttributes, name, value);
+
+                const button = createElement('button', `btn btn-sm attribute-btn ${isSelected ? 'btn-primary active' : 'btn-outline-secondary'}`, value);
+                button.type = 'button';
+                button.title = isAvailable ? value : `${value} - out of stock`;
+                button.dataset.attrName = name;
+                button.dataset.attrValue = value;
+                button.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+                button.disabled = !isAvailable && !isSelected;
+                button.addEventListener('click', () => selectAttribute(name, value));
+                buttons.appendChild(button);
+            });
+
+            group.append(label, buttons);
+            return group;
+        }));
+    }
+
+    function canNotify(variant) {
+        return Boolean(options.onUnavailable) && !isInStock(variant) && variant.canNotify === true;
+    }
+
+    function notifyUnavailable(variant) {
+        options.onUnavailable({ id: variant.id, name: variant.name });
+    }
+
+    function renderVariantButton(variant) {
+        const inStock = isInStock(variant);
+        const notify = canNotify(variant);
+        const price = variantPrice(variant, options.basePrice);
+
+        const button = createElement('button', `btn variant-option variant-btn ${inStock ? 'btn-outline-primary' : 'btn-outline-danger'}`);
+        button.type = 'button';
+        button.dataset.variantId = variant.id;
+        button.disabled = !inStock && !notify;
+        if (notify) {
+            button.classList.add('variant-option-notify');
+            button.title = `${variant.name} - out of stock. Get an email when it's back.`;
+        }
+        button.classList.toggle('active', selectedVariant !== null && selectedVariant.id === variant.id);
+        button.setAttribute('aria-pressed', button.classList.contains('active') ? 'true' : 'false');
+
+        const content = createElement('div');
+        if (variant.imageUrl) {
+            const thumb = createElement('div', 'variant-option-thumb');
+            const image = createElement('img');
+            image.src = variant.imageUrl;
+            image.alt = '';
+            thumb.appendChild(image);
+            content.appendChild(thumb);
+        }
+
+        content.appendChild(createElement('small', null, variant.name));
+        if (Math.abs(price - Number(options.basePrice)) > 0.01) {
+            content.appendChild(createElement('small', 'text-primary', `$${price.toFixed(2)}`));
+        }
+        if (!inStock) {
+            const outOfStock = createElement('small', 'text-danger');
+            const icon = createElement('i', 'bi bi-x-circle');
+            icon.setAttribute('aria-hidden', 'true');
+            outOfStock.append(icon, ' Out of Stock');
+            content.appendChild(outOfStock);
+        }
+        if (notify) {
+            const notifyLabel = createElement('small', 'variant-option-notify-label');
+            const bell = createElement('i', 'bi bi-bell');
+            bell.setAttribute('aria-hidden', 'true');
+            notifyLabel.append(bell, ' Notify me');
+            content.appendChild(notifyLabel);
+        }
+
+        button.appendChild(content);
+        button.addEventListener('click', () => {
+            if (button.disabled) return;
+            if (notify) {
+                notifyUnavailable(variant);
+                return;
+            }
+            selectVariant(variant);
+            changed();
+        });
+        return button;
+    }
+
+    function render() {
+        const names = attributeNames(variants);
+        if (names.length === 0) {
+            attributesContainer.replaceChildren(createElement('p', 'text-muted', 'Select a variant:'));
+        } else {
+            renderAttributes(names);
+        }
+
+        variantsContainer.replaceChildren(...matchingVariants(variants, selectedAttributes).map(renderVariantButton));
+    }
+
+    function selection() {
+        return {
+            attributes: Object.assign({}, selectedAttributes),
+            variantId: selectedVariant ? selectedVariant.id : null
+        };
+    }
+
+    function changed() {
+        if (options.onChange) options.onChange(selection());
+    }
+
+    // Names and values from a URL may differ in case from the variants' own
+    function knownAttributes(requested) {
+        const known = {};
+        const names = attributeNames(variants);
+
+        Object.entries(requested || {}).forEach(([name, value]) => {
+            const knownName = names.find(n => n.toLowerCase() === name.toLowerCase());
+            if (!knownName) return;
+
+            const knownValue = attributeValues(variants, knownName).find(v => v.toLowerCase() === value.toLowerCase());
+            if (knownValue !== undefined) known[knownName] = knownValue;
+        });
+        return known;
+    }
+
+    function clearSelection() {
+        selectedVariant = null;
+        if (options.onClear) options.onClear();
+    }
+
+    function selectAttribute(name, value) {
+        if (selectedAttributes[name] === value) {
+            delete selectedAttributes[name];
+        } else {
+            selectedAttributes[name] = value;
+        }
+
+        // A variant picked earlier that no longer has the chosen values is let go
+        if (selectedVariant && !matchingVariants([selectedVariant], selectedAttributes).length) {
+            clearSelection();
+        }
+        render();
+        attributesChanged();
+        changed();
+    }
+
+    function attributesChanged() {
+        if (options.onAttributesChange) {
+            options.onAttributesChange({
+                attributes: Object.assign({}, selectedAttributes),
+                variants: matchingVariants(variants, selectedAttributes)
+            });
+        }
+    }
+
+    function selectVariant(variant) {
+        selectedVariant = variant;
+        render();
+
+        if (options.onSelect) {
+            options.onSelect({
+                id: variant.id,
+                name: variant.name,
+                price: variantPrice(variant, options.basePrice),
+                stock: variant.stock,
+                imageUrl: variant.imageUrl || null,
+                images: imagesOf(variant)
+            });
+        }
+    }
+
+    return {
+        /**
+         * Shows the given variants (or loads them from a URL) with nothing picked
+         */
+        load(source) {
+            const loaded = typeof source === 'string' ? loadVariants(source, options.fetch) : Promise.resolve(source || []);
+            return loaded.then(data => {
+                variants = data;
+                selectedAttributes = {};
+                clearSelection();
+                render();
+                attributesChanged();
+                return variants;
+            });
+        },
+
+        /**
+         * Picks what selection ({ attributes, variantId }) describes, for a choice kept in the
+         * URL. Values that leave exactly one in-stock variant pick that variant, so a link to
+         * "Blue / M" is ready to add to the cart. A variant that is gone is ignored, and one that
+         * has sold out only has its values chosen (and goes to onUnavailable).
+         */
+        select(requested) {
+            const byId = requested.variantId !== null && requested.variantId !== undefined
+                ? variants.find(v => v.id === requested.variantId)
+                : null;
+
+            if (byId) {
+                selectedAttributes = {};
+                (byId.attributes || []).forEach(a => {
+                    if (a.attributeName) selectedAttributes[a.attributeName] = a.value;
+                });
+            } else {
+                selectedAttributes = knownAttributes(requested.attributes);
+            }
+
+            const names = attributeNames(variants);
+            const matching = matchingVariants(variants, selectedAttributes);
+            const inStock = matching.filter(isInStock);
+            const complete = names.length > 0 && names.every(name => name in selectedAttributes);
+            const variant = byId
+                ? (isInStock(byId) ? byId : null)
+                : (complete && inStock.length === 1 ? inStock[0] : null);
+
+            if (variant) {
+                selectVariant(variant);
+            } else {
+                clearSelection();
+                render();
+            }
+            attributesChanged();
+
+            const soldOut = byId || (complete && matching.length === 1 ? matching[0] : null);
+            if (!variant && soldOut && canNotify(soldOut)) {
+                notifyUnavailable(soldOut);
+            }
+        },
+
+        get selectedVariantId() {
+            return selectedVariant ? selectedVariant.id : null;
+        }
+    };
+}
@@ -0,0 +1,253 @@
+﻿// @ts-check
+// Wishlist hearts and the wishlist page
+//
+// Any element with data-wishlist-toggle="<productId>" is a heart. Guests keep their wishlist in
+// localStorage (persistent-storage.js); signed-in customers keep it on their account
+// (WishlistController) and the guest copy is merged into it at sign-in. Hearts in other tabs
+// follow along through StoreSync.
+(function() {
+    const wishlistScript = document.currentScript;
+    const isAuthenticated = !!wishlistScript && wishlistScript.dataset.authenticated === 'true';
+
+    const { createElement, fetchJson } = Http;
+
+    function postWishlist(url, productId) {
+        return Http.postJson(url, { productId }).then(data => data.productIds || []);
+    }
+
+    const Wishlist = {
+        getIds() {
+            if (isAuthenticated) {
+                return fetchJson('/api/wishlist').then(data => data.productIds || []);
+            }
+            return Promise.resolve(window.guestWishlist ? guestWishlist.get() : []);
+        },
+
+        add(productId) {
+            if (isAuthenticated) {
+                return postWishlist('/api/wishlist/items', productId).then(publish);
+            }
+            return Promise.resolve(publish(guestWishlist.add(productId)));
+        },
+
+        remove(productId) {
+            if (isAuthenticated) {
+                return postWishlist('/api/wishlist/items/delete', productId).then(publish);
+            }
+            return Promise.resolve(publish(guestWishlist.remove(productId)));
+        }
+    };
+
+    // StoreSync only tells the other tabs, so the wishlist page in this tab is updated here
+    let wishlistPage = null;
+
+    function publish(productIds) {
+        if (window.StoreSync) {
+            StoreSync.wishlistChanged(productIds);
+        }
+        if (wishlistPage) {
+            pruneWishlistPage(wishlistPage, productIds);
+        }
+        return productIds;
+    }
+
+    // Hearts
+    document.addEventListener('click', function(e) {
+        const target = /** @type {Element} */ (e.target);
+        const toggle = /** @type {HTMLButtonElement} */ (target.closest('[data-wishlist-toggle]'));
+        if (!toggle) return;
+        e.preventDefault();
+
+        const productId = parseInt(toggle.dataset.wishlistToggle, 10);
+        if (!productId || toggle.disabled) return;
+
+        const saving = toggle.getAttribute('aria-pressed') !== 'true';
+        toggle.disabled = true;
+
+        (saving ? Wishlist.add(productId) : Wishlist.remove(productId))
+            .then(() => {
+                if (!window.ToastManager) return;
+                if (saving) {
+                    ToastManager.success('Saved to your wishlist.', 'Wishlist');
+                } else {
+                    ToastManager.info('Removed from your wishlist.', 'Wishlist');
+                }
+            })
+            .catch(() => {
+                if (window.ToastManager) {
+                    ToastManager.error('Your wishlist could not be updated. Please try again.');
+                }
+            })
+            .finally(() => {
+                toggle.disabled = false;
+            });
+    });
+
+    // Wishlist page: the list is only known in the browser (or behind the API), so it is
+    // rendered here from a product lookup
+    function addToCart(product) {
+        const body = new URLSearchParams({ quantity: '1', __RequestVerificationToken: Http.antiforgeryToken() });
+        return fetchJson(`/Products/Details/${product.id}?handler=AddToCartJson`, {
+            method: 'POST',
+            body
+        }).then(data => {
+            if (!data.success) {
+                return Promise.reject(new Error(data.message || 'Could not add to cart'));
+            }
+            return data;
+        });
+    }
+
+    function moveToCart(product, button) {
+        button.disabled = true;
+
+        addToCart(product)
+            .then(data => {
+                if (window.CartSyncManager && typeof data.cartCount === 'number') {
+                    CartSyncManager.setCartCount(data.cartCount);
+                }
+                if (window.ToastManager) {
+                    ToastManager.success(`${product.name} was moved to your cart.`, 'Added to Cart');
+                }
+                return Wishlist.remove(product.id);
+            })
+            .catch(err => {
+                button.disabled = false;
+                if (window.ToastManager) {
+                    ToastManager.error(err && err.message && !err.message.startsWith('Request failed')
+                        ? err.message
+                        : 'This item could not be added to your cart. Please try again.');
+                }
+            });
+    }
+
+    function renderCard(product) {
+        const column = createElement('div', 'col-lg-4 col-md-6 col-sm-12');
+        column.dataset.wishlistProduct = product.id;
+
+        const card = createElement('div', 'card h-100 d-flex flex-column');
+
+        const heart = createElement('button', 'wishlist-toggle wishlist-toggle-overlay active');
+        heart.type = 'button';
+        heart.dataset.wishlistToggle = product.id;
+        heart.setAttribute('aria-pressed', 'true');
+        heart.setAttribute('aria-label', `Remove ${product.name} from your wishlist`);
+        heart.append(createElement('i', 'bi bi-heart wishlist-icon-off'), createElement('i', 'bi bi-heart-fill wishlist-icon-on'));
+        heart.querySelectorAll('i').forEach(icon => icon.setAttribute('aria-hidden', 'true'));
+
+        const imageLink = createElement('a', 'text-decoration-none');
+        imageLink.href = product.url;
+        const image = createElement('img', 'card-img-top product-card-img');
+        image.src = product.imageUrl || '';
+        image.alt = product.name;
+        image.loading = 'lazy';
+        imageLink.appendChild(image);
+
+        const body = createElement('div', 'card-body d-flex flex-column flex-grow-1');
+        const titleLink = createElement('a', 'text-decoration-none text-dark');
+        titleLink.href = product.url;
+        titleLink.appendChild(createElement('h5', 'card-title', product.name));
+
+        const price = createElement('p', 'card-text');
+        price.appendChild(createElement('strong', 'text-primary fs-5', `$${Number(product.price).toFixed(2)}`));
+
+        const actions = createElement('div', 'mt-auto pt-3');
+        if (product.isAvailable && !product.isComingSoon) {
+            if (product.hasVariants) {
+                const choose = createElement('a', 'btn btn-outline-primary btn-sm w-100');
+                choose.href = product.url;
+                choose.append(createElement('i', 'bi bi-sliders'), ' Choose options');
+                actions.appendChild(choose);
+            } else {
+                const move = createElement('button', 'btn btn-primary btn-sm w-100');
+                move.type = 'button';
+                move.append(createElement('i', 'bi bi-bag-plus'), ' Move to cart');
+                move.addEventListener('click', () => moveToCart(product, move));
+                actions.appendChild(move);
+            }
+        } else {
+            actions.appendChild(createElement('span', product.isComingSoon ? 'badge bg-info' : 'badge bg-danger',
+                product.isComingSoon ? 'Coming Soon' : 'Out of Stock'));
+        }
+
+        body.append(titleLink, price, actions);
+        card.append(heart, imageLink, body);
+        column.appendChild(card);
+        return column;
+    }
+
+    function renderWishlistPage(page, productIds) {
+        const list = page.querySelector('[data-wishlist-items]');
+        const empty = page.querySelector('[data-wishlist-empty]');
+        const loading = page.querySelector('[data-wishlist-loading]');
+
+        const showEmpty = () => {
+            list.replaceChildren();
+            empty.hidden = false;
+        };
+
+        if (productIds.length === 0) {
+            loading.hidden = true;
+            showEmpty();
+            return Promise.resolve();
+        }
+
+        return fetchJson(`/api/products/lookup?ids=${productIds.join(',')}`)
+            .then(data => {
+                const products = data.products || [];
+                loading.hidden = true;
+
+                // Products that were deleted from the catalog are dropped from the wishlist
+                const found = new Set(products.map(p => p.id));
+                productIds.filter(id => !found.has(id)).forEach(id => Wishlist.remove(id).catch(() => {}));
+
+                if (products.length === 0) {
+                    showEmpty();
+                    return;
+                }
+
+                empty.hidden = true;
+                list.replaceChildren(...products.map(renderCard));
+            });
+    }
+
+    // Removing a heart here (or in another tab) takes the product off the page
+    function pruneWishlistPage(page, productIds) {
+        const saved = new Set((productIds || []).map(String));
+        page.querySelectorAll('[data-wishlist-product]').forEach(column => {
+            if (!saved.has(column.dataset.wishlistProduct)) column.remove();
+        });
+        if (!page.querySelector('[data-wishlist-product]') && page.querySelector('[data-wishlist-loading]').hidden) {
+            page.querySelector('[data-wishlist-empty]').hidden = false;
+        }
+    }
+
+    function initWishlistPage(page) {
+        wishlistPage = page;
+        if (window.StoreSync) {
+            StoreSync.subscribe('wishlist', ({ productIds }) => pruneWishlistPage(page, productIds));
+        }
+
+        return Wishlist.getIds()
+            .then(ids => renderWishlistPage(page, ids.map(Number)))
+            .catch(() => {
+                page.querySelector('[data-wishlist-loading]').hidden = true;
+                page.querySelector('[data-wishlist-error]').hidden = false;
+            });
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        const page = document.querySelector('[data-wishlist-page]');
+        if (page) {
+            initWishlistPage(page);
+        }
+
+        Wishlist.getIds()
+            .then(ids => {
+                if (window.StoreSync) StoreSync.renderWishlist(ids);
+            })
+            .catch(() => {});
+    });
+
+    window.Wishlist = Wishlist;
+})();
@@ -0,0 +1,220 @@
+// Service worker - app shell precache, stale-while-revalidate catalog, offline fallback
+//
+// pwa.js registers this file as /sw.js?release=<n>&shell=<comma separated URLs>, where
+// each URL carries the same ?v= hash that asp-append-version writes into the layout and
+// release is the client app release published from Admin > Updates. A deploy that changes
+// any shell file (or a forced release) changes the registration URL, which installs a new
+// worker with a new cache version. The new worker waits until pwa.js posts SKIP_WAITING
+// after the customer accepts the "Reload to update" prompt, then drops the old caches.
+
+importScripts('/js/cart-queue.js');
+
+const WORKER_PARAMS = new URL(self.location).searchParams;
+
+const SHELL_URLS = (WORKER_PARAMS.get('shell') || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(url => url.startsWith('/'));
+
+const CLIENT_RELEASE = WORKER_PARAMS.get('release') || '0';
+
+const OFFLINE_URL = '/offline.html';
+
+const CACHE_VERSION = computeCacheVersion(SHELL_URLS, CLIENT_RELEASE);
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const CATALOG_CACHE = `catalog-${CACHE_VERSION}`;
+const CATALOG_CACHE_LIMIT = 60;
+
+// Build a short, stable version string from the ?v= hashes of the shell assets and the release
+function computeCacheVersion(urls, release) {
+    const source = urls
+        .map(url => new URL(url, self.location.origin).searchParams.get('v') || url)
+        .concat(release)
+        .join('|');
+
+    // djb2 - only needs to change when any hash changes
+    let hash = 5381;
+    for (let i = 0; i < source.length; i++) {
+        hash = ((hash << 5) + hash + source.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll([...SHELL_URLS, OFFLINE_URL]))
+    );
+});
+
+// Sent by pwa.js once the customer chooses "Reload to update"
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE && key !== CATALOG_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Replay cart changes queued while offline (see cart-queue.js). A rejected promise
+// tells the browser to retry the sync later, so a dropped connection keeps the queue.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== CartQueue.SYNC_TAG) return;
+    event.waitUntil(
+        CartQueue.replay().then(results => notifyClients({ type: 'CART_SYNC_RESULT', results }))
+    );
+});
+
+async function notifyClients(message) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage(message));
+}
+
+// Order status notifications sent by WebPushService as { title, body, url, tag }
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (err) {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Order update', {
+            body: data.body || '',
+            icon: '/api/pwa/icons/192',
+            badge: '/logo.svg',
+            tag: data.tag || undefined,
+            data: { url: data.url || '/Orders/Index' }
+        })
+    );
+});
+
+// Focus a tab that already shows the order, otherwise open it
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const target = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const existing = windows.find(client => client.url === target);
+            if (existing) return existing.focus();
+            return self.clients.openWindow(target);
+        })
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Never touch cross-origin requests (Stripe, CDNs, analytics)
+    if (url.origin !== self.location.origin) return;
+
+    // Admin, account, cart and checkout pages must always be live
+    if (isPrivatePath(url.pathname)) return;
+
+    if (isShellRequest(url)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    // Page handler fetches (the Grid, PageJson and QuickView handlers on Products pages) answer
+    // with live stock for the page that asked, so they always go to the network untouched
+    if (url.searchParams.has('handler')) return;
+
+    if (isCatalogRequest(url)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkWithOfflineFallback(request));
+    }
+});
+
+function isPrivatePath(pathname) {
+    return /^\/(Admin|Account|Cart|Checkout|Orders|api)(\/|$)/i.test(pathname);
+}
+
+function isShellRequest(url) {
+    return SHELL_URLS.includes(url.pathname + url.search) || url.pathname === OFFLINE_URL;
+}
+
+function isCatalogRequest(url) {
+    return /^\/Products(\/|$)/i.test(url.pathname)
+        || url.pathname.startsWith('/images/products/')
+        || url.pathname.startsWith('/images/stored/');
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CATALOG_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            // Only keep complete same-origin responses (no redirects, errors or partial content)
+            if (response.ok && response.status === 200 && response.type === 'basic') {
+                cache.put(request, response.clone()).then(() => trimCache(cache));
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Keep the worker alive until the background refresh has finished
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (err) {
+        if (request.mode === 'navigate') {
+            return offlineResponse();
+        }
+        throw err;
+    }
+}
+
+async function networkWithOfflineFallback(request) {
+    try {
+        return await fetch(request);
+    } catch (err) {
+        const cached = await caches.match(request);
+        return cached || offlineResponse();
+    }
+}
+
+async function offlineResponse() {
+    const offline = await caches.match(OFFLINE_URL);
+    return offline || new Response('You are offline.', {
+        status: 503,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+}
+
+// Evict the oldest catalog entries so product browsing cannot grow the cache without bound
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - CATALOG_CACHE_LIMIT;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
@@ -0,0 +1,62 @@
+// Lint for the storefront scripts (npm run lint)
+//
+// Most of wwwroot/js are classic scripts loaded by _Layout that share their top-level names
+// (ToastManager, StoreSync, guestCart, ...); those are listed as globals below. The three ES
+// modules are linted as modules.
+import js from '@eslint/js';
+import globals from 'globals';
+
+const MODULES = [
+    'EcommerceStarter/wwwroot/js/back-in-stock.js',
+    'EcommerceStarter/wwwroot/js/product-gallery.js',
+    'EcommerceStarter/wwwroot/js/variant-picker.js'
+];
+
+// Declared by one layout script and used by the others
+const SHARED = Object.fromEntries([
+    // http.js, cart-queue.js
+    'Http', 'CartQueue',
+    // enhancements.js
+    'ToastManager', 'SkeletonLoader', 'CartSyncManager', 'CartEditor',
+    // store-sync.js, persistent-storage.js
+    'StoreSync', 'guestCart', 'guestWishlist', 'guestSavedForLater', 'guestRecentlyViewed',
+    // wishlist.js, compare.js
+    'Wishlist', 'compareList',
+    // defined inline by the admin pages that load secure-key-management.js
+    'showToast',
+    // Bootstrap bundle
+    'bootstrap'
+].map(name => [name, 'readonly']));
+
+export default [
+    {
+        ignores: ['EcommerceStarter/wwwroot/lib/**', 'EcommerceStarter/bin/**', 'EcommerceStarter/obj/**']
+    },
+    js.configs.recommended,
+    {
+        files: ['EcommerceStarter/wwwroot/**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'script',
+            globals: { ...globals.browser, ...SHARED }
+        },
+        rules: {
+            // Top-level functions of the classic scripts are called from other scripts and inline handlers
+            'no-unused-vars': ['error', { vars: 'local', caughtErrors: 'none' }],
+            // The scripts that declare the shared names above
+            'no-redeclare': ['error', { builtinGlobals: false }]
+        }
+    },
+    {
+        files: MODULES,
+        languageOptions: { sourceType: 'module' }
+    },
+    {
+        files: ['EcommerceStarter/wwwroot/sw.js'],
+        languageOptions: { globals: { ...globals.serviceworker } }
+    },
+    {
+        files: ['EcommerceStarter.Tests/js/**/*.mjs', 'eslint.config.js'],
+        languageOptions: { sourceType: 'module', globals: { ...globals.node } }
+    }
+];
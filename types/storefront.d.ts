@@ -0,0 +1,29 @@
+// Names the storefront scripts share through window (see eslint.config.js)
+
+declare var Http: any;
+declare var CartQueue: any;
+declare var StoreSync: any;
+declare var guestCart: any;
+declare var guestWishlist: any;
+declare var guestSavedForLater: any;
+declare var guestRecentlyViewed: any;
+declare var Wishlist: any;
+declare var compareList: any;
+declare var showToast: any;
+declare var bootstrap: any;
+
+// Top-level consts of enhancements.js and friends, also put on window for the other scripts
+interface Window {
+    ToastManager: any;
+    SkeletonLoader: any;
+    CartSyncManager: any;
+    CartEditor: any;
+    ThemeManager: any;
+    SearchSuggest: any;
+    FloatingCartWidget: any;
+    RecentlyViewed: any;
+    MiniCart: any;
+    PwaInstall: any;
+    PwaInstallability: any;
+    syncGuestDataWithServer: any;
+}